@@ -14,12 +14,20 @@ import ora from 'ora';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import dotenv from 'dotenv';
+import { readFile } from 'fs/promises';
+import { missingCredentialFields } from '../lib/netsuite-api-client.js';
 
 // Load environment variables
 dotenv.config({ path: '.env.local' });
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+const DEV_ENCRYPTION_KEY = 'default-dev-key-change-in-production';
+
+// Envelope: enc1:<key version>:<base64 salt|iv|authTag|ciphertext>.
+// Payloads without the prefix predate key versioning.
+const ENVELOPE_PREFIX = 'enc1';
+
 export class NetSuiteSandboxManager {
   async init(sharedDb = null) {
     if (sharedDb) {
@@ -35,9 +43,76 @@ export class NetSuiteSandboxManager {
     }
     
     await this.setupTables();
-    
-    // Get encryption key from environment or use default (change in production!)
-    this.encryptionKey = process.env.ENCRYPTION_KEY || 'default-dev-key-change-in-production';
+    await this.loadEncryptionKeys();
+  }
+
+  /**
+   * Load the current and previous encryption keys and register the current
+   * version. ENCRYPTION_KEY is required unless NETSUITE_ALLOW_DEV_KEY=true.
+   * Previous keys come from ENCRYPTION_PREVIOUS_KEYS ("1:oldkey,2:otherkey")
+   * and decrypt only until their grace period ends.
+   */
+  async loadEncryptionKeys() {
+    if (!process.env.ENCRYPTION_KEY && process.env.NETSUITE_ALLOW_DEV_KEY !== 'true') {
+      throw new Error('ENCRYPTION_KEY is not set. Set it in .env.local, or set NETSUITE_ALLOW_DEV_KEY=true to use the built-in development key.');
+    }
+
+    this.encryptionKey = process.env.ENCRYPTION_KEY || DEV_ENCRYPTION_KEY;
+    this.keyVersion = parseInt(process.env.ENCRYPTION_KEY_VERSION) || 1;
+    this.keyGraceDays = parseInt(process.env.ENCRYPTION_KEY_GRACE_DAYS) || 30;
+    this.previousKeys = new Map();
+
+    for (const entry of (process.env.ENCRYPTION_PREVIOUS_KEYS || '').split(',').filter(Boolean)) {
+      const separator = entry.indexOf(':');
+      const version = parseInt(entry.slice(0, separator));
+      if (separator === -1 || !version) {
+        throw new Error('ENCRYPTION_PREVIOUS_KEYS entries must look like <version>:<key>');
+      }
+      if (version === this.keyVersion) {
+        throw new Error(`ENCRYPTION_PREVIOUS_KEYS repeats the current key version ${version}`);
+      }
+      this.previousKeys.set(version, entry.slice(separator + 1));
+    }
+
+    // Catch a changed key that kept its version number before it corrupts new rows
+    const registered = await this.db.get(
+      'SELECT fingerprint FROM netsuite_encryption_keys WHERE version = ?',
+      [this.keyVersion]
+    );
+    if (registered && !this.keyMatches(this.encryptionKey, registered.fingerprint)) {
+      throw new Error(`ENCRYPTION_KEY does not match key version ${this.keyVersion}; bump ENCRYPTION_KEY_VERSION when changing the key`);
+    }
+    if (registered) {
+      await this.db.run('UPDATE netsuite_encryption_keys SET retired_at = NULL WHERE version = ?', [this.keyVersion]);
+    } else {
+      await this.db.run(
+        'INSERT INTO netsuite_encryption_keys (version, fingerprint, activated_at) VALUES (?, ?, ?)',
+        [this.keyVersion, this.keyCheckValue(this.encryptionKey), new Date().toISOString()]
+      );
+    }
+    await this.db.run(
+      'UPDATE netsuite_encryption_keys SET retired_at = ? WHERE version != ? AND retired_at IS NULL',
+      [new Date().toISOString(), this.keyVersion]
+    );
+
+    const retired = await this.db.all('SELECT version, retired_at FROM netsuite_encryption_keys WHERE version != ?', [this.keyVersion]);
+    this.keyRetiredAt = new Map(retired.map(row => [row.version, row.retired_at]));
+  }
+
+  /**
+   * Check value of a key: scrypt under its own random salt, so testing guesses
+   * against it costs as much as against the stored credentials
+   */
+  keyCheckValue(key, salt = crypto.randomBytes(16)) {
+    const check = crypto.scryptSync(key, Buffer.concat([Buffer.from('netsuite-credential-key-check:'), salt]), 32);
+    return `scrypt:${salt.toString('hex')}:${check.toString('hex')}`;
+  }
+
+  keyMatches(key, checkValue) {
+    const [, salt] = checkValue.split(':');
+    const expected = Buffer.from(this.keyCheckValue(key, Buffer.from(salt, 'hex')));
+    const actual = Buffer.from(checkValue);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
   }
 
   /**
@@ -125,14 +200,36 @@ export class NetSuiteSandboxManager {
         encrypted_credentials TEXT NOT NULL,
         is_default INTEGER DEFAULT 0,
         last_used TEXT,
+        last_test_at TEXT,
+        last_test_success INTEGER,
+        last_test_message TEXT,
         created_at TEXT DEFAULT CURRENT_TIMESTAMP,
         UNIQUE(client_name, account_id, environment)
       )
     `);
+
+    // Key versions in use with a salted scrypt check value; key material itself is never stored
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS netsuite_encryption_keys (
+        version INTEGER PRIMARY KEY,
+        fingerprint TEXT NOT NULL,
+        activated_at TEXT NOT NULL,
+        retired_at TEXT
+      )
+    `);
+
+    // Databases created before connection tests were recorded lack these columns
+    const columns = (await this.db.all('PRAGMA table_info(netsuite_credentials)')).map(column => column.name);
+    for (const [name, type] of [['last_test_at', 'TEXT'], ['last_test_success', 'INTEGER'], ['last_test_message', 'TEXT']]) {
+      if (!columns.includes(name)) {
+        await this.db.exec(`ALTER TABLE netsuite_credentials ADD COLUMN ${name} ${type}`);
+      }
+    }
   }
   
   /**
-   * Encrypt data using AES-256-GCM
+   * Encrypt data using AES-256-GCM under the current key version.
+   * The version is bound in as associated data so it cannot be relabelled.
    */
   encrypt(text) {
     const algorithm = 'aes-256-gcm';
@@ -140,6 +237,7 @@ export class NetSuiteSandboxManager {
     const key = crypto.scryptSync(this.encryptionKey, salt, 32);
     const iv = crypto.randomBytes(16);
     const cipher = crypto.createCipheriv(algorithm, key, iv);
+    cipher.setAAD(Buffer.from(`${ENVELOPE_PREFIX}:${this.keyVersion}`));
     
     let encrypted = cipher.update(text, 'utf8', 'hex');
     encrypted += cipher.final('hex');
@@ -147,20 +245,44 @@ export class NetSuiteSandboxManager {
     const authTag = cipher.getAuthTag();
     
     // Combine salt, iv, authTag, and encrypted data
-    return Buffer.concat([
+    const payload = Buffer.concat([
       salt,
       iv,
       authTag,
       Buffer.from(encrypted, 'hex')
     ]).toString('base64');
+
+    return `${ENVELOPE_PREFIX}:${this.keyVersion}:${payload}`;
   }
   
   /**
-   * Decrypt data
+   * Decrypt an envelope with the key of its version, or a pre-versioning
+   * payload with whichever loaded key opens it
+   * @param {Object} options - { ignoreGrace } lets rotation read rows on retired keys
    */
-  decrypt(encryptedData) {
+  decrypt(encryptedData, { ignoreGrace = false } = {}) {
+    const { version, payload } = this.parseEnvelope(encryptedData);
+
+    if (version === null) {
+      const candidates = [this.encryptionKey, ...[...this.previousKeys.keys()]
+        .filter(previous => ignoreGrace || this.keyUsable(previous))
+        .map(previous => this.previousKeys.get(previous))];
+      for (const key of candidates) {
+        try {
+          return this.decryptPayload(payload, key, null);
+        } catch {
+          // Not this key; try the next one
+        }
+      }
+      throw new Error('Could not decrypt unversioned credentials with the current or previous keys');
+    }
+
+    return this.decryptPayload(payload, this.keyFor(version, { ignoreGrace }), `${ENVELOPE_PREFIX}:${version}`);
+  }
+
+  decryptPayload(payload, encryptionKey, aad) {
     const algorithm = 'aes-256-gcm';
-    const data = Buffer.from(encryptedData, 'base64');
+    const data = Buffer.from(payload, 'base64');
     
     // Extract components
     const salt = data.slice(0, 32);
@@ -168,15 +290,110 @@ export class NetSuiteSandboxManager {
     const authTag = data.slice(48, 64);
     const encrypted = data.slice(64);
     
-    const key = crypto.scryptSync(this.encryptionKey, salt, 32);
+    const key = crypto.scryptSync(encryptionKey, salt, 32);
     const decipher = crypto.createDecipheriv(algorithm, key, iv);
     decipher.setAuthTag(authTag);
+    if (aad) {
+      decipher.setAAD(Buffer.from(aad));
+    }
     
     let decrypted = decipher.update(encrypted, null, 'utf8');
     decrypted += decipher.final('utf8');
     
     return decrypted;
   }
+
+  parseEnvelope(encryptedData) {
+    const parts = encryptedData.split(':');
+    if (parts.length === 3 && parts[0] === ENVELOPE_PREFIX) {
+      return { version: parseInt(parts[1]), payload: parts[2] };
+    }
+    return { version: null, payload: encryptedData };
+  }
+
+  /**
+   * Key for a version, refusing previous keys whose grace period has ended
+   */
+  keyFor(version, { ignoreGrace = false } = {}) {
+    if (version === this.keyVersion) {
+      return this.encryptionKey;
+    }
+    if (!this.previousKeys.has(version)) {
+      throw new Error(`Credentials are encrypted with key version ${version}; add it to ENCRYPTION_PREVIOUS_KEYS and run rotate-key`);
+    }
+    if (!ignoreGrace && !this.keyUsable(version)) {
+      throw new Error(`Key version ${version} was retired more than ${this.keyGraceDays} days ago; run rotate-key to re-encrypt its credentials`);
+    }
+    return this.previousKeys.get(version);
+  }
+
+  keyUsable(version) {
+    const retiredAt = this.keyRetiredAt.get(version);
+    return !retiredAt || Date.now() < new Date(retiredAt).getTime() + this.keyGraceDays * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Re-encrypt every stored credential under the current key version in one
+   * transaction. Any row that fails to decrypt rolls the whole rotation back.
+   * @returns {Object} { rotated, keyVersion, fromVersions }
+   */
+  async rotateEncryptionKey() {
+    const fromVersions = {};
+    let rows;
+
+    // Take the write lock before reading, so no credential saved meanwhile is missed
+    await this.db.exec('BEGIN IMMEDIATE');
+    try {
+      rows = await this.db.all('SELECT id, client_name, account_id, encrypted_credentials FROM netsuite_credentials');
+      for (const row of rows) {
+        let plaintext;
+        try {
+          plaintext = this.decrypt(row.encrypted_credentials, { ignoreGrace: true });
+        } catch (error) {
+          throw new Error(`${row.client_name}/${row.account_id}: ${error.message}`);
+        }
+        await this.db.run('UPDATE netsuite_credentials SET encrypted_credentials = ? WHERE id = ?', [this.encrypt(plaintext), row.id]);
+
+        const { version } = this.parseEnvelope(row.encrypted_credentials);
+        const label = version === null ? 'unversioned' : `v${version}`;
+        fromVersions[label] = (fromVersions[label] || 0) + 1;
+      }
+      await this.db.exec('COMMIT');
+    } catch (error) {
+      await this.db.exec('ROLLBACK');
+      throw error;
+    }
+
+    return { rotated: rows.length, keyVersion: this.keyVersion, fromVersions };
+  }
+
+  /**
+   * Count stored credentials per key version and report grace period ends
+   */
+  async getKeyStatus() {
+    const rows = await this.db.all('SELECT encrypted_credentials FROM netsuite_credentials');
+    const byVersion = {};
+    for (const row of rows) {
+      const { version } = this.parseEnvelope(row.encrypted_credentials);
+      const label = version === null ? 'unversioned' : `v${version}`;
+      byVersion[label] = (byVersion[label] || 0) + 1;
+    }
+
+    const versions = await this.db.all('SELECT version, activated_at, retired_at FROM netsuite_encryption_keys ORDER BY version');
+    return {
+      currentVersion: this.keyVersion,
+      usingDevKey: this.encryptionKey === DEV_ENCRYPTION_KEY,
+      credentialsByVersion: byVersion,
+      pendingRotation: rows.length - (byVersion[`v${this.keyVersion}`] || 0),
+      versions: versions.map(row => ({
+        ...row,
+        keyLoaded: row.version === this.keyVersion || this.previousKeys.has(row.version),
+        graceEndsAt: row.retired_at
+          ? new Date(new Date(row.retired_at).getTime() + this.keyGraceDays * 24 * 60 * 60 * 1000).toISOString()
+          : null
+      }))
+    };
+  }
   
   /**
    * Interactive credential setup
@@ -231,20 +448,31 @@ export class NetSuiteSandboxManager {
       
       const environment = await question('Environment (sandbox/production) [sandbox]: ') || 'sandbox';
       
-      const credentials = {
-        accountId: await question('Account ID (e.g., 1234567_SB1): '),
-        consumerKey: await question('Consumer Key: '),
-        consumerSecret: await question('Consumer Secret: '),
-        tokenId: await question('Token ID: '),
-        tokenSecret: await question('Token Secret: '),
-        restletUrl: await question('RESTlet URL (optional, press Enter to skip): ') || null,
-        environment: environment,
-        accountAlias: await question(`Account alias [${clientInfo.client}-${environment}]: `) || `${clientInfo.client}-${environment}`
-      };
+      const authType = await question('Auth type (tba/oauth2) [tba]: ') || 'tba';
+      const accountId = await question('Account ID (e.g., 1234567_SB1): ');
+      
+      const credentials = authType === 'oauth2'
+        ? {
+          authType,
+          accountId,
+          clientId: await question('Client ID: '),
+          certificateId: await question('Certificate ID: '),
+          privateKey: await readFile(await question('Private key PEM file: '), 'utf8').catch(() => null)
+        }
+        : {
+          authType,
+          accountId,
+          consumerKey: await question('Consumer Key: '),
+          consumerSecret: await question('Consumer Secret: '),
+          tokenId: await question('Token ID: '),
+          tokenSecret: await question('Token Secret: ')
+        };
+      credentials.restletUrl = await question('RESTlet URL (optional, press Enter to skip): ') || null;
+      credentials.environment = environment;
+      credentials.accountAlias = await question(`Account alias [${clientInfo.client}-${environment}]: `) || `${clientInfo.client}-${environment}`;
       
       // Validate required fields
-      const required = ['accountId', 'consumerKey', 'consumerSecret', 'tokenId', 'tokenSecret'];
-      const missing = required.filter(field => !credentials[field]);
+      const missing = missingCredentialFields(credentials);
       
       if (missing.length > 0) {
         console.error(chalk.red(`\n❌ Missing required fields: ${missing.join(', ')}`));
@@ -382,7 +610,7 @@ export class NetSuiteSandboxManager {
    */
   async listAccounts() {
     const accounts = await this.db.all(`
-      SELECT account_id, environment, created_at, last_used
+      SELECT account_id, environment, created_at, last_used, last_test_at, last_test_success
       FROM netsuite_credentials
       ORDER BY last_used DESC
     `);
@@ -400,6 +628,9 @@ export class NetSuiteSandboxManager {
       console.log(chalk.gray(`  Environment: ${account.environment}`));
       console.log(chalk.gray(`  Created: ${account.created_at}`));
       console.log(chalk.gray(`  Last used: ${account.last_used || 'Never'}`));
+      if (account.last_test_at) {
+        console.log(chalk.gray(`  Last test: ${account.last_test_success ? 'passed' : 'failed'} at ${account.last_test_at}`));
+      }
     });
     
     return accounts;
@@ -446,10 +677,7 @@ export class NetSuiteSandboxManager {
     // Here you would implement actual NetSuite API connection test
     // For now, we'll just validate that credentials exist
     
-    const requiredFields = ['accountId', 'consumerKey', 'consumerSecret', 'tokenId', 'tokenSecret'];
-    const hasAllFields = requiredFields.every(field => credentials[field]);
-    
-    if (hasAllFields) {
+    if (missingCredentialFields(credentials).length === 0) {
       console.log(chalk.green('✅ Credentials validated successfully'));
       console.log(chalk.gray('Note: Actual API connection test requires NetSuite SDK'));
       return true;
@@ -536,6 +764,37 @@ async function main() {
         await manager.exportCredentials(args[1], args[2]);
       }
       break;
+
+    case 'rotate-key': {
+      const spinner = ora(`Re-encrypting credentials with key version ${manager.keyVersion}...`).start();
+      try {
+        const result = await manager.rotateEncryptionKey();
+        spinner.succeed(`Re-encrypted ${result.rotated} credential(s) with key version ${result.keyVersion}`);
+        Object.entries(result.fromVersions).forEach(([version, count]) => {
+          console.log(chalk.gray(`  from ${version}: ${count}`));
+        });
+        console.log(chalk.gray('Previous keys can be removed from ENCRYPTION_PREVIOUS_KEYS once every server has restarted.'));
+      } catch (error) {
+        spinner.fail('Rotation failed; no credentials were changed');
+        console.error(chalk.red(error.message));
+      }
+      break;
+    }
+
+    case 'key-status': {
+      const status = await manager.getKeyStatus();
+      console.log(chalk.cyan(`\n🔑 Current key version: ${status.currentVersion}${status.usingDevKey ? chalk.yellow(' (development key)') : ''}`));
+      Object.entries(status.credentialsByVersion).forEach(([version, count]) => {
+        console.log(chalk.gray(`  ${version}: ${count} credential(s)`));
+      });
+      status.versions.filter(version => version.retired_at).forEach(version => {
+        console.log(chalk.gray(`  v${version.version} retired ${version.retired_at}, readable until ${version.graceEndsAt}${version.keyLoaded ? '' : ' (key not loaded)'}`));
+      });
+      if (status.pendingRotation > 0) {
+        console.log(chalk.yellow(`\n${status.pendingRotation} credential(s) not on the current key; run: node config/netsuite_sandbox.js rotate-key`));
+      }
+      break;
+    }
       
     default:
       console.log(chalk.cyan('NetSuite Multi-Client Credential Manager'));
@@ -545,10 +804,15 @@ async function main() {
       console.log('  test <account_id>  - Test connection');
       console.log('  remove <account_id>- Remove credentials');
       console.log('  export <account_id> <file> - Export encrypted backup');
+      console.log('  key-status         - Show encryption key versions in use');
+      console.log('  rotate-key         - Re-encrypt all credentials with the current key');
       console.log(chalk.gray('\nExamples:'));
       console.log('  node config/netsuite_sandbox.js setup         # Auto-detect client');
       console.log('  node config/netsuite_sandbox.js setup esonus  # Specific client');
       console.log('  npm run setup:netsuite                        # Via npm script');
+      console.log(chalk.gray('\nKey rotation:'));
+      console.log('  ENCRYPTION_KEY=<new> ENCRYPTION_KEY_VERSION=2 ENCRYPTION_PREVIOUS_KEYS=1:<old> \\');
+      console.log('    node config/netsuite_sandbox.js rotate-key');
   }
   
   await manager.close();
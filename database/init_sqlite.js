@@ -109,6 +109,9 @@ export async function initializeDatabase() {
         encrypted_credentials TEXT NOT NULL,
         is_default INTEGER DEFAULT 0,
         last_used TEXT,
+        last_test_at TEXT,
+        last_test_success INTEGER,
+        last_test_message TEXT,
         created_at TEXT DEFAULT CURRENT_TIMESTAMP,
         UNIQUE(client_name, account_id, environment)
       );
@@ -12,7 +12,7 @@ CREATE TABLE IF NOT EXISTS validation_rules (
     category TEXT NOT NULL,                 -- 'syntax', 'performance', 'security', 'style', 'netsuite'
     priority TEXT NOT NULL,                 -- 'error', 'warning', 'suggestion'
     technology TEXT NOT NULL,               -- 'javascript', 'netsuite', 'suitescript', 'general'
-    pattern_text TEXT NOT NULL,             -- Regex pattern as text
+    pattern_text TEXT NOT NULL,             -- Regex pattern, or ESTree selector for 'ast'
     pattern_type TEXT DEFAULT 'regex',      -- 'regex', 'ast', 'function'
     message TEXT NOT NULL,                  -- Error/warning message
     suggestion TEXT,                        -- How to fix the issue
@@ -46,6 +46,50 @@ CREATE TABLE IF NOT EXISTS rule_applications (
     FOREIGN KEY (rule_id) REFERENCES validation_rules(rule_id) ON DELETE CASCADE
 );
 
+-- Cached validation results per file, reused while the content hash and rule-set version match
+CREATE TABLE IF NOT EXISTS validation_cache (
+    project_path TEXT NOT NULL,
+    file_path TEXT NOT NULL,
+    content_hash TEXT NOT NULL,             -- sha256 of the file content
+    ruleset_version TEXT NOT NULL,          -- Hash of the rules and checks that produced the results
+    results TEXT NOT NULL,                  -- validateCode results as JSON
+    validated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (project_path, file_path)
+);
+
+-- Commits and pushes let through a blocking validation hook, one row per bypass
+CREATE TABLE IF NOT EXISTS hook_bypasses (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    project_path TEXT NOT NULL,
+    client_name TEXT NOT NULL,
+    hook TEXT NOT NULL,                     -- 'pre-commit', 'pre-push'
+    reason TEXT NOT NULL,                   -- Why the developer bypassed the hook
+    rule_ids TEXT DEFAULT '[]',             -- JSON array of the rules that blocked
+    findings TEXT DEFAULT '[]',             -- JSON array of the blocking findings
+    bypassed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Suppression comments counted as negative rule feedback, once per rule, file and directive
+CREATE TABLE IF NOT EXISTS rule_suppressions (
+    rule_id TEXT NOT NULL,
+    file_path TEXT NOT NULL,
+    directive TEXT NOT NULL,                -- Directive kind and reason, e.g. 'next-line -- legacy module'
+    first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (rule_id, file_path, directive)
+);
+
+-- Priority demotions of rules people keep suppressing; a demoted rule is
+-- judged again only on what is recorded after the day of its last demotion
+CREATE TABLE IF NOT EXISTS rule_demotions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule_id TEXT NOT NULL,
+    old_priority TEXT NOT NULL,
+    new_priority TEXT NOT NULL,
+    applications INTEGER,                   -- Applications the demotion was based on
+    negative_feedback INTEGER,              -- Suppressions and bypasses the demotion was based on
+    demoted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Client and project scope definitions
 CREATE TABLE IF NOT EXISTS validation_scopes (
     id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
@@ -145,7 +189,10 @@ BEGIN
     UPDATE validation_scopes SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
 END;
 
--- Create trigger to update rule effectiveness based on applications
+-- Create trigger to update rule effectiveness based on applications.
+-- The day's row is created on its first application; user feedback recorded
+-- by ValidationRuleManager.recordRuleFeedback() is carried over.
+DROP TRIGGER IF EXISTS update_rule_effectiveness;
 CREATE TRIGGER IF NOT EXISTS update_rule_effectiveness
 AFTER INSERT ON rule_applications
 BEGIN
@@ -155,7 +202,10 @@ BEGIN
         applications_count,
         true_positives,
         false_positives,
-        fixes_applied
+        fixes_applied,
+        user_feedback_positive,
+        user_feedback_negative,
+        avg_execution_time_ms
     )
     SELECT 
         NEW.rule_id,
@@ -163,15 +213,19 @@ BEGIN
         COALESCE(re.applications_count, 0) + 1,
         COALESCE(re.true_positives, 0) + CASE WHEN NEW.success = 1 AND NEW.false_positive = 0 THEN 1 ELSE 0 END,
         COALESCE(re.false_positives, 0) + CASE WHEN NEW.false_positive = 1 THEN 1 ELSE 0 END,
-        COALESCE(re.fixes_applied, 0) + CASE WHEN NEW.fix_applied = 1 THEN 1 ELSE 0 END
-    FROM (SELECT * FROM rule_effectiveness WHERE rule_id = NEW.rule_id AND time_period = DATE(NEW.applied_at)) re;
+        COALESCE(re.fixes_applied, 0) + CASE WHEN NEW.fix_applied = 1 THEN 1 ELSE 0 END,
+        COALESCE(re.user_feedback_positive, 0),
+        COALESCE(re.user_feedback_negative, 0),
+        (COALESCE(re.avg_execution_time_ms, 0) * COALESCE(re.applications_count, 0) + COALESCE(NEW.execution_time_ms, 0)) / (COALESCE(re.applications_count, 0) + 1)
+    FROM (SELECT 1) AS application
+    LEFT JOIN rule_effectiveness re ON re.rule_id = NEW.rule_id AND re.time_period = DATE(NEW.applied_at);
     
-    -- Update rule confidence based on effectiveness
+    -- Update rule confidence based on effectiveness; negative feedback discounts true positives
     UPDATE validation_rules 
     SET effectiveness_score = (
         SELECT CASE 
             WHEN applications_count > 0 THEN 
-                (CAST(true_positives AS REAL) / applications_count) * 0.8 + 
+                (CAST(MAX(true_positives - user_feedback_negative, 0) AS REAL) / applications_count) * 0.8 + 
                 (CAST(fixes_applied AS REAL) / applications_count) * 0.2
             ELSE 0.0 
         END
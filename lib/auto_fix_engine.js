@@ -0,0 +1,352 @@
+/**
+ * Auto-Fix Engine
+ * Turns the auto-fixes of learned rules into non-overlapping edits across a
+ * whole file, previews them as a unified diff, and applies them atomically
+ * with a backup once re-validation confirms the issues are gone
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const SED_FLAGS = /^[gimsuy]*$/;
+
+/**
+ * Parse a sed-style substitution, s/search/replacement/flags. Any character
+ * after the s is the delimiter and may be escaped inside either part;
+ * \1-\9 in the replacement become $1-$9.
+ * @returns {Object} { search: RegExp, replacement }
+ */
+export function parseSedPattern(pattern) {
+    if (typeof pattern !== 'string' || pattern[0] !== 's' || pattern.length < 2) {
+        throw new Error(`Invalid auto-fix pattern "${pattern}": expected s/search/replacement/flags`);
+    }
+
+    const delimiter = pattern[1];
+    const parts = [''];
+    for (let index = 2; index < pattern.length; index++) {
+        const char = pattern[index];
+        if (char === '\\' && pattern[index + 1] === delimiter) {
+            parts[parts.length - 1] += delimiter;
+            index++;
+        } else if (char === '\\' && index + 1 < pattern.length) {
+            parts[parts.length - 1] += char + pattern[index + 1];
+            index++;
+        } else if (char === delimiter) {
+            parts.push('');
+        } else {
+            parts[parts.length - 1] += char;
+        }
+    }
+
+    if (parts.length !== 3) {
+        throw new Error(`Invalid auto-fix pattern "${pattern}": expected 3 parts separated by ${delimiter}, found ${parts.length}`);
+    }
+    const [search, replacement, flags] = parts;
+    if (!SED_FLAGS.test(flags)) {
+        throw new Error(`Invalid auto-fix pattern "${pattern}": unsupported flags "${flags}"`);
+    }
+
+    try {
+        return { search: new RegExp(search, flags), replacement: replacement.replace(/\\([1-9])/g, '$$$1') };
+    } catch (error) {
+        throw new Error(`Invalid auto-fix pattern "${pattern}": ${error.message}`);
+    }
+}
+
+/**
+ * Apply a parsed or raw sed-style pattern to text
+ * @returns {string|null} the replaced text, or null when nothing changes
+ */
+export function applySedPattern(text, pattern) {
+    const { search, replacement } = typeof pattern === 'string' ? parseSedPattern(pattern) : pattern;
+    search.lastIndex = 0;
+    const replaced = text.replace(search, replacement);
+    return replaced === text ? null : replaced;
+}
+
+/**
+ * Escape the delimiter in one part of a sed-style pattern
+ */
+export function escapeSedPart(text, delimiter = '/') {
+    let escaped = '';
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (char === '\\' && index + 1 < text.length) {
+            escaped += char + text[++index];
+        } else {
+            escaped += char === delimiter ? `\\${char}` : char;
+        }
+    }
+    return escaped;
+}
+
+/**
+ * Select the fixable issues' edits, dropping edits that overlap an earlier one
+ * @param {Array} issues - validateCode issues; fixable ones carry fix: { range, text }
+ * @returns {Object} { edits: [{ start, end, text, issue }], skipped: [{ issue, reason }] }
+ */
+export function collectEdits(issues) {
+    const candidates = issues
+        .filter(issue => issue.autoFix && issue.fix)
+        .map(issue => ({ start: issue.fix.range[0], end: issue.fix.range[1], text: issue.fix.text, issue }))
+        .sort((a, b) => a.start - b.start || a.end - b.end);
+
+    const edits = [];
+    const skipped = [];
+    for (const edit of candidates) {
+        const previous = edits[edits.length - 1];
+        if (previous && previous.start === edit.start && previous.end === edit.end && previous.text === edit.text) {
+            skipped.push({ issue: edit.issue, reason: `same edit as ${previous.issue.ruleId}` });
+        } else if (previous && edit.start < previous.end) {
+            skipped.push({ issue: edit.issue, reason: `overlaps the fix for ${previous.issue.ruleId} at line ${previous.issue.line}` });
+        } else {
+            edits.push(edit);
+        }
+    }
+    return { edits, skipped };
+}
+
+/**
+ * Apply sorted, non-overlapping edits to content
+ */
+export function applyEdits(content, edits) {
+    let output = '';
+    let position = 0;
+    for (const edit of edits) {
+        output += content.slice(position, edit.start) + edit.text;
+        position = edit.end;
+    }
+    return output + content.slice(position);
+}
+
+function lineStarts(content) {
+    const starts = [0];
+    for (let index = content.indexOf('\n'); index !== -1; index = content.indexOf('\n', index + 1)) {
+        starts.push(index + 1);
+    }
+    return starts;
+}
+
+function lineAt(starts, offset) {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (starts[middle] <= offset) low = middle;
+        else high = middle - 1;
+    }
+    return low;
+}
+
+/**
+ * Offset of a 1-based line and column
+ */
+export function offsetAt(content, line, column, starts = lineStarts(content)) {
+    return (starts[line - 1] ?? content.length) + column - 1;
+}
+
+/**
+ * Render edits as a unified diff with the given lines of context
+ */
+export function createUnifiedDiff(content, edits, filePath, context = 3) {
+    if (edits.length === 0) return '';
+
+    const starts = lineStarts(content);
+    const lines = content.split('\n');
+    if (content.endsWith('\n')) lines.pop();
+    const lineEnd = index => index + 1 < starts.length ? starts[index + 1] - 1 : content.length;
+
+    // Edits on the same or touching lines change one block of lines together
+    const blocks = [];
+    for (const edit of edits) {
+        const first = lineAt(starts, edit.start);
+        let last = lineAt(starts, Math.max(edit.start, edit.end - 1));
+        // An edit that removes a line break joins the following line
+        if (edit.end > lineEnd(last) && last + 1 < starts.length) last++;
+        const block = blocks[blocks.length - 1];
+        if (block && first <= block.last) {
+            block.last = Math.max(block.last, last);
+            block.edits.push(edit);
+        } else {
+            blocks.push({ first, last, edits: [edit] });
+        }
+    }
+    for (const block of blocks) {
+        const start = starts[block.first];
+        const shifted = block.edits.map(edit => ({ ...edit, start: edit.start - start, end: edit.end - start }));
+        block.newLines = applyEdits(content.slice(start, lineEnd(block.last)), shifted).split('\n');
+    }
+
+    // Blocks closer than twice the context share a hunk
+    const hunks = [];
+    for (const block of blocks) {
+        const hunk = hunks[hunks.length - 1];
+        if (hunk && block.first - hunk.blocks[hunk.blocks.length - 1].last <= context * 2 + 1) hunk.blocks.push(block);
+        else hunks.push({ blocks: [block] });
+    }
+
+    const output = [`--- a/${filePath}`, `+++ b/${filePath}`];
+    let delta = 0;
+    for (const hunk of hunks) {
+        const first = Math.max(0, hunk.blocks[0].first - context);
+        const last = Math.min(lines.length - 1, hunk.blocks[hunk.blocks.length - 1].last + context);
+        const body = [];
+        let oldCount = 0;
+        let newCount = 0;
+        let line = first;
+
+        for (const block of hunk.blocks) {
+            for (; line < block.first; line++, oldCount++, newCount++) body.push(` ${lines[line]}`);
+            for (; line <= block.last; line++, oldCount++) body.push(`-${lines[line]}`);
+            for (const newLine of block.newLines) {
+                body.push(`+${newLine}`);
+                newCount++;
+            }
+        }
+        for (; line <= last; line++, oldCount++, newCount++) body.push(` ${lines[line]}`);
+
+        const oldStart = oldCount === 0 ? first : first + 1;
+        const newStart = newCount === 0 ? first + delta : first + delta + 1;
+        output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`, ...body);
+        delta += newCount - oldCount;
+    }
+    return `${output.join('\n')}\n`;
+}
+
+/**
+ * Write a file through a temporary file and a rename, so readers see either
+ * the old or the new content, after copying the original to a backup
+ * @returns {string|null} the backup path
+ */
+export async function writeFileAtomic(filePath, content, { backup = true } = {}) {
+    const stats = await fs.stat(filePath);
+    let backupPath = null;
+    if (backup) {
+        backupPath = `${filePath}.bak`;
+        await fs.copyFile(filePath, backupPath);
+    }
+
+    const temporaryPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+    try {
+        await fs.writeFile(temporaryPath, content, { mode: stats.mode });
+        await fs.rename(temporaryPath, filePath);
+    } catch (error) {
+        await fs.rm(temporaryPath, { force: true });
+        throw error;
+    }
+    return backupPath;
+}
+
+export class AutoFixEngine {
+    constructor(ruleManager) {
+        this.ruleManager = ruleManager;
+    }
+
+    issuesOf(results) {
+        return [...results.errors, ...results.warnings, ...results.suggestions];
+    }
+
+    /**
+     * Rules that apply to a project, for callers that fix many files
+     */
+    async loadRules({ clientName, projectPath, technologies = ['javascript', 'suitescript'] } = {}) {
+        const scopes = this.ruleManager.determineScopesForProject(clientName, projectPath);
+        return this.ruleManager.getRulesForScope(scopes, technologies, clientName, projectPath);
+    }
+
+    /**
+     * Validate a file and compute its fixes without touching it or the
+     * database; the rule applications are returned for fixFile() to record
+     * @param {string} filePath - File to fix
+     * @param {Object} options - { clientName, projectPath, technologies, content, rules }
+     * @returns {Object} { filePath, content, fixed, edits, skipped, diff, results, applications }
+     */
+    async preview(filePath, options = {}) {
+        const { clientName, projectPath, technologies = ['javascript', 'suitescript'], content = null } = options;
+        const original = content ?? await fs.readFile(filePath, 'utf8');
+        const rules = options.rules ?? await this.loadRules(options);
+        const { results, applications } = await this.ruleManager.evaluateCode(original, filePath, rules, { clientName, projectPath, technologies });
+        const { edits, skipped } = collectEdits(this.issuesOf(results));
+        const displayPath = projectPath ? path.relative(projectPath, filePath) : filePath;
+
+        return {
+            filePath,
+            content: original,
+            fixed: applyEdits(original, edits),
+            edits,
+            skipped,
+            diff: createUnifiedDiff(original, edits, displayPath),
+            results,
+            applications
+        };
+    }
+
+    /**
+     * Re-validate fixed content: every fixed issue must be gone and no new
+     * errors may appear
+     * @returns {Object} { confirmed, unresolved, introduced, results }
+     */
+    async confirm(preview, options = {}) {
+        const { clientName, projectPath, technologies = ['javascript', 'suitescript'] } = options;
+        const { filePath, fixed, edits } = preview;
+        const rules = options.rules ?? await this.loadRules(options);
+        const { results } = await this.ruleManager.evaluateCode(fixed, filePath, rules, { clientName, projectPath, technologies });
+        const starts = lineStarts(fixed);
+        const remaining = this.issuesOf(results).map(issue => ({
+            issue,
+            start: offsetAt(fixed, issue.line, issue.column, starts),
+            end: offsetAt(fixed, issue.endLine ?? issue.line, issue.endColumn ?? issue.column, starts)
+        }));
+
+        // Where each edit's replacement ended up in the fixed content
+        const unresolved = [];
+        let shift = 0;
+        for (const edit of edits) {
+            const start = edit.start + shift;
+            const end = start + edit.text.length;
+            shift += edit.text.length - (edit.end - edit.start);
+            const still = remaining.find(candidate => candidate.issue.ruleId === edit.issue.ruleId && candidate.start <= end && candidate.end >= start);
+            if (still) unresolved.push(edit.issue);
+        }
+
+        const before = new Map();
+        for (const issue of preview.results.errors) {
+            const key = `${issue.ruleId}|${issue.message}`;
+            before.set(key, (before.get(key) || 0) + 1);
+        }
+        const introduced = results.errors.filter(issue => {
+            const key = `${issue.ruleId}|${issue.message}`;
+            const count = before.get(key) || 0;
+            before.set(key, count - 1);
+            return count <= 0;
+        });
+
+        return { confirmed: unresolved.length === 0 && introduced.length === 0, unresolved, introduced, results };
+    }
+
+    /**
+     * Fix one file. With dryRun the diff is computed but nothing is written;
+     * otherwise the fixes are written only after re-validation confirms them.
+     * Rule applications of the original content are recorded once, and only
+     * when the fixes are written.
+     * @returns {Object} preview fields plus { status, backupPath, unresolved, introduced }
+     *   where status is 'clean', 'dry-run', 'applied' or 'rejected'
+     */
+    async fixFile(filePath, options = {}) {
+        const { dryRun = false, backup = true } = options;
+        const rules = options.rules ?? await this.loadRules(options);
+        const preview = await this.preview(filePath, { ...options, rules });
+        if (preview.edits.length === 0) return { ...preview, status: 'clean', backupPath: null, unresolved: [], introduced: [] };
+
+        const confirmation = await this.confirm(preview, { ...options, rules });
+        const outcome = { ...preview, unresolved: confirmation.unresolved, introduced: confirmation.introduced, backupPath: null };
+        if (!confirmation.confirmed) return { ...outcome, status: 'rejected' };
+        if (dryRun) return { ...outcome, status: 'dry-run' };
+
+        outcome.backupPath = await writeFileAtomic(filePath, preview.fixed, { backup });
+        await this.ruleManager.recordRuleApplications(preview.applications);
+        return { ...outcome, status: 'applied' };
+    }
+}
+
+export default AutoFixEngine;
@@ -0,0 +1,270 @@
+/**
+ * Customization Inventory
+ * Captures an account's scripts, deployments, custom fields, custom record
+ * types and workflows through SuiteQL into versioned snapshots in the shared
+ * SQLite database, and reports drift between snapshots or against the
+ * objects of a local SDF project
+ */
+
+import path from 'path';
+import { diffRows } from './result_differ.js';
+import { SCRIPT_TYPES } from './sdf_project_model.js';
+
+// One SuiteQL query per category. Internal IDs differ between accounts, so
+// references are returned by script ID or display name instead.
+export const INVENTORY_QUERIES = {
+  scripts: `
+    SELECT s.id, LOWER(s.scriptid) AS scriptid, s.name, s.scripttype, s.isinactive,
+           BUILTIN.DF(s.scriptfile) AS scriptfile
+    FROM script s`,
+  deployments: `
+    SELECT d.primarykey AS id, LOWER(d.scriptid) AS scriptid, LOWER(s.scriptid) AS script, d.title,
+           d.status, d.isdeployed, d.recordtype, d.loglevel
+    FROM scriptdeployment d
+    JOIN script s ON s.id = d.script`,
+  custom_fields: `
+    SELECT f.internalid AS id, LOWER(f.scriptid) AS scriptid, f.name, f.fieldtype, f.fieldvaluetype
+    FROM customfield f`,
+  custom_records: `
+    SELECT r.internalid AS id, LOWER(r.scriptid) AS scriptid, r.name
+    FROM customrecordtype r`,
+  workflows: `
+    SELECT w.id, LOWER(w.scriptid) AS scriptid, w.name, w.releasestatus, w.isinactive
+    FROM workflow w`
+};
+
+export const INVENTORY_CATEGORIES = Object.keys(INVENTORY_QUERIES);
+
+// SDF object root elements, by inventory category
+const SDF_CATEGORIES = {
+  scripts: Object.keys(SCRIPT_TYPES),
+  deployments: ['scriptdeployment'],
+  custom_fields: ['crmcustomfield', 'entitycustomfield', 'itemcustomfield', 'itemnumbercustomfield', 'itemoptioncustomfield',
+    'othercustomfield', 'transactionbodycustomfield', 'transactioncolumncustomfield'],
+  custom_records: ['customrecordtype'],
+  workflows: ['workflow']
+};
+
+// Account columns that have an SDF counterpart, as [account column, SDF element]
+const SDF_PROPERTIES = {
+  scripts: [['name', 'name'], ['isinactive', 'isinactive'], ['scriptfile', 'scriptfile']],
+  deployments: [['status', 'status'], ['isdeployed', 'isdeployed'], ['title', 'title']],
+  custom_fields: [['name', 'label']],
+  custom_records: [['name', 'recordname']],
+  workflows: [['name', 'name'], ['releasestatus', 'releasestatus']]
+};
+
+/**
+ * Comparable form of an account or SDF value: booleans as T/F, file
+ * references by file name, text uppercased
+ */
+function comparable(column, value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (column === 'scriptfile') {
+    return path.posix.basename(text.replace(/^\[|\]$/g, '')).toLowerCase();
+  }
+  if (/^(t|true)$/i.test(text)) return 'T';
+  if (/^(f|false)$/i.test(text)) return 'F';
+  return text.toUpperCase();
+}
+
+export class CustomizationInventory {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Create the snapshot table
+   */
+  async initialize() {
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS netsuite_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_name TEXT NOT NULL,
+        account_id TEXT NOT NULL,
+        environment TEXT,
+        version INTEGER NOT NULL,
+        label TEXT,
+        inventory TEXT NOT NULL,
+        counts TEXT NOT NULL,
+        errors TEXT,
+        created_at TEXT NOT NULL,
+        UNIQUE (client_name, account_id, version)
+      );
+    `);
+  }
+
+  /**
+   * Query every category without storing anything. A category that fails
+   * (missing permission, feature not enabled) is recorded in errors and left
+   * out rather than failing the inventory.
+   * @returns {Object} { inventory, counts, errors }
+   */
+  async collect(apiClient, categories = INVENTORY_CATEGORIES) {
+    const inventory = {};
+    const counts = {};
+    const errors = {};
+
+    for (const category of categories) {
+      if (!INVENTORY_QUERIES[category]) {
+        throw new Error(`Unknown inventory category ${category}; use one of: ${INVENTORY_CATEGORIES.join(', ')}`);
+      }
+      const result = await apiClient.fetchAllSuiteQL(INVENTORY_QUERIES[category].trim(), { maxRows: 50000 });
+      if (!result.success) {
+        errors[category] = result.error;
+        continue;
+      }
+      inventory[category] = result.results
+        .map(({ links, ...item }) => item)
+        .sort((a, b) => String(a.scriptid).localeCompare(String(b.scriptid)));
+      counts[category] = inventory[category].length;
+    }
+
+    return { inventory, counts, errors: Object.keys(errors).length ? errors : null };
+  }
+
+  /**
+   * Collect the inventory and store it as the account's next snapshot version
+   */
+  async capture(apiClient, { clientName, accountId, environment }, { label = null, categories = INVENTORY_CATEGORIES } = {}) {
+    const account = accountId.toUpperCase();
+    const { inventory, counts, errors } = await this.collect(apiClient, categories);
+
+    const { version } = await this.db.get(`
+      SELECT COALESCE(MAX(version), 0) + 1 AS version
+      FROM netsuite_snapshots
+      WHERE client_name = ? AND account_id = ?
+    `, [clientName, account]);
+
+    const createdAt = new Date().toISOString();
+    const result = await this.db.run(`
+      INSERT INTO netsuite_snapshots (client_name, account_id, environment, version, label, inventory, counts, errors, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [clientName, account, environment, version, label, JSON.stringify(inventory), JSON.stringify(counts),
+      errors ? JSON.stringify(errors) : null, createdAt]);
+
+    return {
+      id: result.lastID,
+      client_name: clientName,
+      account_id: account,
+      environment,
+      version,
+      label,
+      counts,
+      errors,
+      created_at: createdAt
+    };
+  }
+
+  /**
+   * Load a snapshot by ID, or the latest one for an account
+   */
+  async get({ id = null, clientName = null, accountId = null }) {
+    const row = id
+      ? await this.db.get('SELECT * FROM netsuite_snapshots WHERE id = ?', [id])
+      : await this.db.get(`
+        SELECT * FROM netsuite_snapshots
+        WHERE client_name = ? AND account_id = ?
+        ORDER BY version DESC
+        LIMIT 1
+      `, [clientName, accountId.toUpperCase()]);
+
+    if (!row) return null;
+    return {
+      ...row,
+      inventory: JSON.parse(row.inventory),
+      counts: JSON.parse(row.counts),
+      errors: row.errors ? JSON.parse(row.errors) : null
+    };
+  }
+
+  /**
+   * Snapshots for a client, newest first, without their inventories
+   */
+  async list(clientName, accountId = null) {
+    const rows = await this.db.all(`
+      SELECT id, client_name, account_id, environment, version, label, counts, errors, created_at
+      FROM netsuite_snapshots
+      WHERE client_name = ?${accountId ? ' AND account_id = ?' : ''}
+      ORDER BY created_at DESC, version DESC
+    `, accountId ? [clientName, accountId.toUpperCase()] : [clientName]);
+
+    return rows.map(row => ({
+      ...row,
+      counts: JSON.parse(row.counts),
+      errors: row.errors ? JSON.parse(row.errors) : null
+    }));
+  }
+
+  /**
+   * Diff two snapshots category by category on scriptid. Only categories
+   * present in both are compared.
+   */
+  diffSnapshots(from, to) {
+    const categories = {};
+    for (const category of INVENTORY_CATEGORIES) {
+      if (!from.inventory[category] || !to.inventory[category]) continue;
+      const diff = diffRows(from.inventory[category], to.inventory[category], { key: 'scriptid', ignoreColumns: ['id'] });
+      categories[category] = {
+        added: diff.added.map(({ key, row }) => ({ scriptid: key, ...row })),
+        removed: diff.removed.map(({ key, row }) => ({ scriptid: key, ...row })),
+        changed: diff.changed.map(({ key, fields }) => ({ scriptid: key, fields }))
+      };
+    }
+    return this.withSummary(categories);
+  }
+
+  /**
+   * Compare a snapshot with the objects of a local SDF project. Objects the
+   * project defines but the account lacks are not deployed yet; managed
+   * objects whose account values differ from the project were changed in
+   * the account and would be overwritten by the next deploy.
+   * @param {Array<Object>} sdfObjects - { scriptid, type, properties } from SdfProjectModel.objects
+   */
+  diffAgainstProject(snapshot, sdfObjects) {
+    const categories = {};
+    for (const category of INVENTORY_CATEGORIES) {
+      const items = snapshot.inventory[category];
+      if (!items) continue;
+
+      const local = new Map(sdfObjects
+        .filter(object => SDF_CATEGORIES[category].includes(object.type))
+        .map(object => [object.scriptid, object]));
+      const remote = new Map(items.map(item => [String(item.scriptid).toLowerCase(), item]));
+
+      const changed = [];
+      for (const [scriptid, object] of local) {
+        const item = remote.get(scriptid);
+        if (!item) continue;
+        const fields = {};
+        for (const [column, element] of SDF_PROPERTIES[category]) {
+          const projectValue = comparable(column, object.properties[element]);
+          const accountValue = comparable(column, item[column]);
+          // Elements the project leaves out take the account's value, so they are not drift
+          if (projectValue !== null && projectValue !== accountValue) {
+            fields[column] = { project: object.properties[element], account: item[column] ?? null };
+          }
+        }
+        if (Object.keys(fields).length) {
+          changed.push({ scriptid, type: object.type, fields });
+        }
+      }
+
+      categories[category] = {
+        not_deployed: [...local.keys()].filter(scriptid => !remote.has(scriptid)).map(scriptid => ({ scriptid, type: local.get(scriptid).type })),
+        not_in_project: items.filter(item => !local.has(String(item.scriptid).toLowerCase())).map(({ scriptid, name }) => ({ scriptid, name })),
+        changed
+      };
+    }
+    return this.withSummary(categories);
+  }
+
+  withSummary(categories) {
+    const summary = {};
+    for (const [category, lists] of Object.entries(categories)) {
+      summary[category] = Object.fromEntries(Object.entries(lists).map(([kind, entries]) => [kind, entries.length]));
+    }
+    return { summary, categories };
+  }
+}
@@ -406,7 +406,7 @@ export class DatabaseManager {
   async updateSession(sessionId, context) {
     return await this.run(`
       UPDATE user_sessions 
-      SET context = ?, updated_at = CURRENT_TIMESTAMP
+      SET context = ?, last_activity = CURRENT_TIMESTAMP
       WHERE session_id = ?
     `, [JSON.stringify(context), sessionId]);
   }
@@ -0,0 +1,128 @@
+/**
+ * Git Hooks
+ * Git plumbing for the validation hooks: where hooks live, which files a
+ * commit or push changes, their content as staged or committed (never the
+ * working tree), and the hook scripts themselves
+ */
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+export const HOOK_TYPES = ['pre-commit', 'pre-push'];
+
+// Marks the hooks this installer owns
+export const HOOK_MARKER = '# saralegui-validation-hook';
+
+// Set for a single git command to let a blocked commit or push through
+export const BYPASS_ENV = 'SARALEGUI_HOOK_BYPASS';
+
+const ZERO_SHA = /^0+$/;
+
+const VALIDATED_FILES = /\.js$/;
+
+function git(cwd, args) {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024, stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+function splitNames(output, separator = '\0') {
+    return [...new Set(output.split(separator).map(name => name.trim()).filter(Boolean))]
+        .filter(name => VALIDATED_FILES.test(name));
+}
+
+/**
+ * Hooks directory of the repository containing projectPath, honouring core.hooksPath
+ */
+export function gitHooksDir(projectPath) {
+    try {
+        return path.resolve(projectPath, git(projectPath, ['rev-parse', '--git-path', 'hooks']).trim());
+    } catch {
+        throw new Error(`Not a git repository: ${projectPath}`);
+    }
+}
+
+/**
+ * JavaScript files added, copied, modified or renamed in the index, relative to projectPath
+ */
+export function stagedFiles(projectPath) {
+    return splitNames(git(projectPath, ['diff', '--cached', '--name-only', '--diff-filter=ACMR', '--relative', '-z']));
+}
+
+/**
+ * Parse the "<local ref> <local sha> <remote ref> <remote sha>" lines git
+ * passes to pre-push on stdin. Deleted refs have nothing to validate.
+ */
+export function parsePushRefs(input) {
+    return input
+        .split('\n')
+        .map(line => line.trim().split(/\s+/))
+        .filter(parts => parts.length === 4 && !ZERO_SHA.test(parts[1]))
+        .map(([localRef, localSha, remoteRef, remoteSha]) => ({
+            localRef,
+            localSha,
+            remoteRef,
+            remoteSha: ZERO_SHA.test(remoteSha) ? null : remoteSha
+        }));
+}
+
+/**
+ * JavaScript files a push changes, relative to projectPath. New branches,
+ * and remote commits not known locally, fall back to the commits no remote has.
+ */
+export function pushedFiles(projectPath, { localSha, remoteSha }) {
+    let names = null;
+    if (remoteSha) {
+        try {
+            names = splitNames(git(projectPath, ['diff', '--name-only', '--diff-filter=ACMR', '--relative', '-z', remoteSha, localSha]));
+        } catch {
+            names = null;
+        }
+    }
+    if (!names) {
+        names = splitNames(git(projectPath, ['log', '--name-only', '--pretty=format:', '--diff-filter=ACMR', '--relative', localSha, '--not', '--remotes']), '\n');
+    }
+
+    // Files changed in an earlier pushed commit may be gone by the pushed one
+    return names.filter(name => {
+        try {
+            git(projectPath, ['cat-file', '-e', `${localSha}:./${name}`]);
+            return true;
+        } catch {
+            return false;
+        }
+    });
+}
+
+/**
+ * Content of a file in the index, or at a commit when a revision is given
+ */
+export function readGitFile(projectPath, relativePath, revision = '') {
+    return git(projectPath, ['show', `${revision}:./${relativePath}`]);
+}
+
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Bash hook that hands over to the hook runner, stdin included for pre-push
+ */
+export function hookScript(hook, { runnerScript, projectPath, clientName }) {
+    return `#!/bin/bash
+${HOOK_MARKER}: ${hook}
+# Validates ${hook === 'pre-commit' ? 'staged' : 'pushed'} files with the learned validation rules and
+# blocks on error-priority findings. To let one ${hook === 'pre-commit' ? 'commit' : 'push'} through, record why:
+#   ${BYPASS_ENV}="reason" git ${hook === 'pre-commit' ? 'commit' : 'push'} ...
+
+exec node ${shellQuote(runnerScript)} run ${hook} ${shellQuote(projectPath)} ${shellQuote(clientName)} "$@"
+`;
+}
+
+/**
+ * Whether a hook file was written by this installer
+ */
+export function isManagedHook(hookPath) {
+    return fs.existsSync(hookPath) && fs.readFileSync(hookPath, 'utf8').includes(HOOK_MARKER);
+}
+
+export default hookScript;
@@ -0,0 +1,432 @@
+/**
+ * Governance Estimator
+ * Statically estimates the worst-case SuiteScript governance units each entry
+ * point can consume, following local helper functions, loops and search
+ * result callbacks, and compares the estimate with the script type's limit
+ */
+
+import * as acorn from 'acorn';
+import { findDefineCall, findEntryPoints } from './suitescript_analyzer.js';
+
+// Unit costs of module functions. Arrays are [transaction, custom record, other record].
+export const MODULE_COSTS = {
+    'N/record': {
+        load: [10, 2, 5], create: [10, 2, 5], copy: [10, 2, 5], transform: [10, 2, 5],
+        submitFields: [10, 2, 5], delete: [20, 4, 10], attach: 10, detach: 10
+    },
+    'N/search': { load: 5, lookupFields: 1, global: 10, duplicates: 10, delete: 5, create: 0 },
+    'N/query': { runSuiteQL: 10, runSuiteQLPaged: 10, load: 5, delete: 5 },
+    'N/https': { get: 10, post: 10, put: 10, delete: 10, request: 10, requestSuitelet: 10, requestRestlet: 10 },
+    'N/http': { get: 10, post: 10, put: 10, delete: 10, request: 10 },
+    'N/email': { send: 20, sendBulk: 10, sendCampaignEvent: 10 },
+    'N/file': { load: 10, delete: 20 },
+    'N/render': { transaction: 10, statement: 10, packingSlip: 10, pickingTicket: 10, bom: 10, xmlToPdf: 10, mergeEmail: 20 },
+    'N/task': { checkStatus: 10 },
+    'N/workflow': { initiate: 20, trigger: 20 },
+    'N/transaction': { void: 10 },
+    'N/config': { load: 10 },
+    'N/currency': { exchangeRate: 10 }
+};
+
+// Unit costs of methods on objects the modules return
+export const OBJECT_COSTS = {
+    Record: { save: [20, 4, 10] },
+    Search: { save: 5, runPaged: 5 },
+    ResultSet: { each: 10, getRange: 10 },
+    PagedData: { fetch: 5 },
+    File: { save: 20 },
+    Task: { submit: 20 },
+    Query: { run: 10, runPaged: 10 }
+};
+
+const MODULE_RETURNS = {
+    'N/record': { load: 'Record', create: 'Record', copy: 'Record', transform: 'Record' },
+    'N/search': { create: 'Search', load: 'Search' },
+    'N/file': { load: 'File', create: 'File' },
+    'N/task': { create: 'Task' },
+    'N/query': { create: 'Query', load: 'Query' }
+};
+
+const OBJECT_RETURNS = {
+    Search: { run: 'ResultSet', runPaged: 'PagedData' },
+    Query: { runPaged: 'PagedData' }
+};
+
+// Units per script execution; map/reduce limits apply per entry point invocation
+export const GOVERNANCE_LIMITS = {
+    BundleInstallationScript: 10000,
+    ClientScript: 1000,
+    MapReduceScript: { getInputData: 10000, map: 1000, reduce: 5000, summarize: 10000 },
+    MassUpdateScript: 1000,
+    Portlet: 1000,
+    Restlet: 5000,
+    ScheduledScript: 10000,
+    SDFInstallationScript: 10000,
+    Suitelet: 1000,
+    UserEventScript: 1000,
+    WorkflowActionScript: 1000
+};
+
+// Iterations assumed when a loop's bound is not a literal; ResultSet.each stops at 4000 results
+export const DEFAULT_ITERATIONS = { loop: 100, searchResults: 4000 };
+
+// Share of the limit at which an estimate becomes a warning
+const WARNING_RATIO = 0.75;
+
+const ITERATION_METHODS = ['forEach', 'map', 'filter', 'some', 'every', 'reduce', 'find', 'findIndex', 'flatMap'];
+
+const TRANSACTION_TYPES = new Set([
+    'assemblybuild', 'cashrefund', 'cashsale', 'check', 'creditmemo', 'customerdeposit', 'customerpayment', 'customerrefund',
+    'deposit', 'estimate', 'expensereport', 'intercompanyjournalentry', 'inventoryadjustment', 'inventorytransfer', 'invoice',
+    'itemfulfillment', 'itemreceipt', 'journalentry', 'opportunity', 'purchaseorder', 'returnauthorization', 'salesorder',
+    'transferorder', 'vendorbill', 'vendorcredit', 'vendorpayment', 'workorder'
+]);
+
+const SUGGESTIONS = {
+    'record.load': 'Read the values with search columns or search.lookupFields instead of loading each record',
+    'Record.save': 'Use record.submitFields for body field updates, or move the per-record work to a Map/Reduce script',
+    'ResultSet.each': 'Fetch results in pages with runPaged() or move the processing to a Map/Reduce script'
+};
+
+const LOOP_TYPES = ['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'];
+
+const FUNCTION_TYPES = ['FunctionExpression', 'ArrowFunctionExpression'];
+
+/**
+ * Classify the type option of a record call as a transaction, custom record
+ * or other record. Anything that cannot be read is costed as a transaction.
+ * @returns {number} index into [transaction, custom, other] cost arrays
+ */
+function recordKind(call) {
+    const options = call.arguments[0];
+    const property = options?.type === 'ObjectExpression'
+        ? options.properties.find(candidate => ['type', 'fromType'].includes(candidate.key?.name ?? candidate.key?.value))
+        : null;
+    const value = property?.value;
+
+    let name = null;
+    if (value?.type === 'Literal' && typeof value.value === 'string') name = value.value;
+    if (value?.type === 'MemberExpression' && !value.computed && value.object.property?.name === 'Type') name = value.property.name;
+    if (!name) return 0;
+
+    const normalized = name.toLowerCase().replace(/_/g, '');
+    if (normalized.startsWith('customrecord')) return 1;
+    return TRANSACTION_TYPES.has(normalized) ? 0 : 2;
+}
+
+function unitsFor(cost, kind) {
+    return Array.isArray(cost) ? cost[kind] : cost;
+}
+
+// Iterations of `for (let i = 0; i < 10; i++)`, or null without literal bounds
+function literalIterations(loop) {
+    const { init, test } = loop;
+    if (test?.type !== 'BinaryExpression' || !['<', '<='].includes(test.operator) || typeof test.right.value !== 'number') {
+        return null;
+    }
+    const start = init?.type === 'VariableDeclaration' ? init.declarations[0]?.init?.value : 0;
+    if (typeof start !== 'number') return null;
+    return Math.max(0, test.right.value - start + (test.operator === '<=' ? 1 : 0));
+}
+
+function format(units) {
+    return units.toLocaleString('en-US');
+}
+
+function describeFrame(frame) {
+    const details = [`line ${frame.line}`];
+    if (frame.times) details.push(`×${frame.times}`);
+    return `${frame.label} (${details.join(', ')})`;
+}
+
+/**
+ * Walks entry point bodies and sums the units of every costed call,
+ * multiplied by the loops around it
+ */
+class GovernanceWalker {
+    constructor(callback, modules, iterations) {
+        this.iterations = iterations;
+        this.bindings = new Map();
+        callback.params.forEach((parameter, index) => {
+            if (parameter.type === 'Identifier' && modules[index]) this.bindings.set(parameter.name, modules[index]);
+        });
+        this.functions = new Map();
+        this.collectFunctions(callback.body);
+    }
+
+    // Named helper functions anywhere in the module callback
+    collectFunctions(node) {
+        if (!node || typeof node.type !== 'string') return;
+        if (node.type === 'FunctionDeclaration' && node.id && !this.functions.has(node.id.name)) {
+            this.functions.set(node.id.name, node);
+        }
+        if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && FUNCTION_TYPES.includes(node.init?.type)
+            && !this.functions.has(node.id.name)) {
+            this.functions.set(node.id.name, node.init);
+        }
+        for (const child of this.children(node)) this.collectFunctions(child);
+    }
+
+    children(node) {
+        const children = [];
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'loc') continue;
+            for (const child of Array.isArray(value) ? value : [value]) {
+                if (child && typeof child.type === 'string') children.push(child);
+            }
+        }
+        return children;
+    }
+
+    resolveFunction(node) {
+        if (FUNCTION_TYPES.includes(node?.type) || node?.type === 'FunctionDeclaration') return node;
+        if (node?.type === 'Identifier') return this.functions.get(node.name) || null;
+        return null;
+    }
+
+    /**
+     * Estimate one entry point
+     * @returns {Object} { units, calls } where calls are the costed call sites
+     */
+    estimate(name, value) {
+        const entry = this.resolveFunction(value);
+        this.calls = [];
+        this.types = new Map();
+        if (!entry) return { units: 0, calls: [] };
+
+        const context = { multiplier: 1, frames: [], visiting: new Set(value.type === 'Identifier' ? [value.name] : []), entryPoint: name };
+        const units = this.walk(entry.body, context);
+        return { units, calls: this.calls };
+    }
+
+    walk(node, context) {
+        if (!node || typeof node.type !== 'string') return 0;
+
+        switch (node.type) {
+            // Helpers run where they are called
+            case 'FunctionDeclaration':
+                return 0;
+            case 'VariableDeclarator':
+                if (FUNCTION_TYPES.includes(node.init?.type)) return 0;
+                if (node.id.type === 'Identifier' && node.init) {
+                    const units = this.walk(node.init, context);
+                    this.assignType(node.id.name, node.init);
+                    return units;
+                }
+                break;
+            case 'AssignmentExpression':
+                if (node.left.type === 'Identifier') {
+                    const units = this.walk(node.right, context);
+                    this.assignType(node.left.name, node.right);
+                    return units;
+                }
+                break;
+            // Only the costlier branch runs
+            case 'IfStatement':
+            case 'ConditionalExpression':
+                return this.walk(node.test, context)
+                    + Math.max(this.walk(node.consequent, context), this.walk(node.alternate, context));
+            case 'CallExpression':
+                return this.walkCall(node, context);
+            default:
+                if (LOOP_TYPES.includes(node.type)) return this.walkLoop(node, context);
+        }
+
+        let units = 0;
+        for (const child of this.children(node)) units += this.walk(child, context);
+        return units;
+    }
+
+    walkLoop(loop, context) {
+        const label = loop.type === 'ForStatement' || loop.type === 'ForInStatement' || loop.type === 'ForOfStatement' ? 'for loop'
+            : loop.type === 'WhileStatement' ? 'while loop' : 'do-while loop';
+        const times = (loop.type === 'ForStatement' ? literalIterations(loop) : null) ?? this.iterations.loop;
+
+        let units = 0;
+        // for...of and for...in evaluate their collection once
+        if (loop.init) units += this.walk(loop.init, context);
+        if (loop.right) units += this.walk(loop.right, context);
+
+        const inner = this.enter(context, { label, line: loop.loc.start.line, times });
+        for (const part of [loop.test, loop.update, loop.body]) units += this.walk(part, inner);
+        return units;
+    }
+
+    enter(context, frame) {
+        return {
+            ...context,
+            multiplier: context.multiplier * (frame.times || 1),
+            frames: [...context.frames, frame]
+        };
+    }
+
+    walkCall(call, context) {
+        let units = 0;
+        const { callee } = call;
+
+        // Local helpers: cost their body at the call site
+        if (callee.type === 'Identifier' && this.functions.has(callee.name)) {
+            if (!context.visiting.has(callee.name)) {
+                const helper = this.functions.get(callee.name);
+                const inner = this.enter(context, { label: `${callee.name}()`, line: call.loc.start.line });
+                inner.visiting = new Set([...context.visiting, callee.name]);
+                units += this.walk(helper.body, inner);
+            }
+            for (const argument of call.arguments) units += this.walk(argument, context);
+            return units;
+        }
+
+        units += this.walk(callee, context);
+
+        const method = callee.type === 'MemberExpression' && !callee.computed ? callee.property.name : null;
+        const target = method ? this.describeTarget(callee.object) : null;
+        const cost = target?.costs?.[method];
+        if (cost !== undefined) {
+            const kind = target.module === 'N/record' ? recordKind(call) : target.kind ?? 0;
+            units += this.record(call, `${target.label}.${method}`, unitsFor(cost, kind), context);
+        }
+
+        // Callbacks of search results and array iteration run once per element
+        const iterates = method === 'each' ? this.iterations.searchResults
+            : ITERATION_METHODS.includes(method) ? this.iterations.loop : null;
+        for (const argument of call.arguments) {
+            const callback = iterates ? this.resolveFunction(argument) : null;
+            if (!callback) {
+                units += this.walk(argument, context);
+                continue;
+            }
+            const label = method === 'each' ? `${target?.label === 'ResultSet' ? 'ResultSet' : 'search result'}.each callback` : `${method} callback`;
+            const inner = this.enter(context, { label, line: call.loc.start.line, times: iterates });
+            if (argument.type === 'Identifier') inner.visiting = new Set([...context.visiting, argument.name]);
+            units += this.walk(callback.body, inner);
+        }
+        return units;
+    }
+
+    /**
+     * What a call's receiver is: a bound N/ module or an object one returned
+     * @returns {Object|null} { label, costs, module, kind }
+     */
+    describeTarget(object) {
+        if (object.type === 'Identifier' && this.bindings.has(object.name)) {
+            const module = this.bindings.get(object.name);
+            return { label: module.replace(/^N\//, ''), costs: MODULE_COSTS[module], module };
+        }
+        const type = this.typeOf(object);
+        return type ? { label: type.name, costs: OBJECT_COSTS[type.name], kind: type.kind } : null;
+    }
+
+    typeOf(expression) {
+        if (expression.type === 'Identifier') return this.types.get(expression.name) || null;
+        if (expression.type !== 'CallExpression' || expression.callee.type !== 'MemberExpression' || expression.callee.computed) {
+            return null;
+        }
+
+        const method = expression.callee.property.name;
+        const object = expression.callee.object;
+        if (object.type === 'Identifier' && this.bindings.has(object.name)) {
+            const module = this.bindings.get(object.name);
+            const name = MODULE_RETURNS[module]?.[method];
+            return name ? { name, kind: module === 'N/record' ? recordKind(expression) : 0 } : null;
+        }
+        const name = OBJECT_RETURNS[this.typeOf(object)?.name]?.[method];
+        return name ? { name, kind: 0 } : null;
+    }
+
+    assignType(name, expression) {
+        const type = this.typeOf(expression);
+        if (type) this.types.set(name, type);
+        else this.types.delete(name);
+    }
+
+    record(call, label, cost, context) {
+        if (cost === 0) return 0;
+        const total = cost * context.multiplier;
+        this.calls.push({ node: call, label, cost, multiplier: context.multiplier, total, frames: context.frames, entryPoint: context.entryPoint });
+        return total;
+    }
+}
+
+export function describeCallPath(call) {
+    return [call.entryPoint, ...call.frames.map(describeFrame), `${call.label} (line ${call.node.loc.start.line})`].join(' → ');
+}
+
+/**
+ * Estimate the governance units of every entry point of a SuiteScript file
+ * @param {string} content - File source
+ * @param {Object} options - { scriptType, iterations: { loop, searchResults } }
+ * @returns {Object|null} { scriptType, entryPoints, findings }, or null when
+ *   the file is not a parsable define() module. Findings use the validateCode
+ *   issue shape.
+ */
+export function estimateGovernance(content, { scriptType = null, iterations = {} } = {}) {
+    let program;
+    try {
+        program = acorn.parse(content, { ecmaVersion: 'latest', sourceType: 'script', locations: true, allowHashBang: true });
+    } catch {
+        // The SuiteScript analyzer reports syntax errors
+        return null;
+    }
+
+    const define = findDefineCall(program);
+    const [first, second] = define?.arguments || [];
+    const dependencies = first?.type === 'ArrayExpression' ? first : null;
+    const callback = dependencies ? second : first;
+    if (!callback || !FUNCTION_TYPES.includes(callback.type)) return null;
+
+    const modules = (dependencies?.elements || []).map(element => element?.type === 'Literal' ? element.value : null);
+    const walker = new GovernanceWalker(callback, modules, { ...DEFAULT_ITERATIONS, ...iterations });
+    const entries = findEntryPoints(callback) || new Map();
+    const limits = GOVERNANCE_LIMITS[scriptType];
+
+    const findings = [];
+    const loopCalls = new Map();
+    const entryPoints = [];
+
+    for (const [name, { key, value }] of entries) {
+        const { units, calls } = walker.estimate(name, value);
+        const limit = typeof limits === 'object' ? limits[name] ?? null : limits ?? null;
+        const costliest = calls.reduce((best, call) => !best || call.total > best.total ? call : best, null);
+
+        entryPoints.push({ name, units, limit, costliestCall: costliest ? describeCallPath(costliest) : null });
+
+        for (const call of calls.filter(candidate => candidate.multiplier > 1)) {
+            const existing = loopCalls.get(call.node);
+            if (!existing || call.total > existing.total) loopCalls.set(call.node, call);
+        }
+
+        if (limit && units >= limit * WARNING_RATIO) {
+            findings.push(finding('governance-units', units > limit ? 'error' : 'warning', key,
+                `${name} may use up to ${format(units)} governance units (${scriptType} limit ${format(limit)}); costliest call: ${describeCallPath(costliest)}`,
+                SUGGESTIONS[costliest.label] || 'Reduce the API calls made per execution or move the work to a Map/Reduce script'));
+        }
+    }
+
+    for (const call of loopCalls.values()) {
+        findings.push(finding('governance-loop-call', 'warning', call.node,
+            `${call.label} costs ${call.cost} units and runs up to ${format(call.multiplier)} times per ${call.entryPoint} (${format(call.total)} units): ${describeCallPath(call)}`,
+            SUGGESTIONS[call.label] || 'Move the call out of the loop or batch the work'));
+    }
+    findings.sort((a, b) => a.line - b.line || a.column - b.column);
+
+    return { scriptType, entryPoints, findings };
+}
+
+function finding(ruleId, severity, node, message, suggestion) {
+    return {
+        ruleId,
+        line: node.loc.start.line,
+        column: node.loc.start.column + 1,
+        endLine: node.loc.end.line,
+        endColumn: node.loc.end.column + 1,
+        message,
+        suggestion,
+        autoFix: false,
+        autoFixReplacement: null,
+        severity,
+        category: 'performance',
+        matchedText: null
+    };
+}
+
+export default estimateGovernance;
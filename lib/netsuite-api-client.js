@@ -1,46 +1,431 @@
 /**
  * NetSuite REST API Client
- * Handles OAuth authentication and API calls to NetSuite
+ * Handles OAuth authentication (TBA or OAuth 2.0 M2M) and API calls to NetSuite
  */
 
 import fetch from 'node-fetch';
 import OAuth from 'oauth-1.0a';
 import crypto from 'crypto';
+import { analyzeSuiteQL } from './suiteql_parser.js';
 
-export class NetSuiteAPIClient {
-  constructor(credentials) {
-    this.credentials = credentials;
-    this.baseUrl = `https://${credentials.accountId.replace('_', '-')}.suitetalk.api.netsuite.com`;
-    
-    // Initialize OAuth
-    this.oauth = OAuth({
-      consumer: {
-        key: credentials.consumerKey,
-        secret: credentials.consumerSecret
-      },
-      signature_method: 'HMAC-SHA256',
-      hash_function(base_string, key) {
-        return crypto
-          .createHmac('sha256', key)
-          .update(base_string)
-          .digest('base64');
+/**
+ * REST record types for each SuiteScript type accepted by netsuite_deploy
+ */
+export const SCRIPT_RECORD_TYPES = {
+  userevent: 'usereventscript',
+  scheduled: 'scheduledscript',
+  restlet: 'restlet',
+  suitelet: 'suitelet',
+  client: 'clientscript',
+  mapreduce: 'mapreducescript'
+};
+
+const SUITESCRIPTS_FOLDER_ID = -15;
+
+/**
+ * The bundled RESTlet (suitescripts/) that runs and lists saved searches;
+ * REST web services and SuiteQL cannot run a saved search themselves
+ */
+export const COMPANION_RESTLET = {
+  fileName: 'saralegui_mcp_search_restlet.js',
+  scriptName: 'Saralegui MCP Saved Search',
+  scriptId: 'customscript_saralegui_mcp_search',
+  deploymentId: 'customdeploy_saralegui_mcp_search'
+};
+
+/**
+ * Credential shapes per auth type: OAuth 1.0a token-based auth, or OAuth 2.0
+ * client credentials with a JWT assertion signed by the integration's certificate key
+ */
+export const AUTH_TYPES = ['tba', 'oauth2'];
+export const OAUTH2_SIGNING_ALGORITHMS = ['PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const REQUIRED_CREDENTIAL_FIELDS = {
+  tba: ['accountId', 'consumerKey', 'consumerSecret', 'tokenId', 'tokenSecret'],
+  oauth2: ['accountId', 'clientId', 'certificateId', 'privateKey']
+};
+
+/**
+ * Name the fields a credential object is missing for its auth type
+ * @returns {string[]} Missing field names (empty when complete)
+ */
+export function missingCredentialFields(credentials) {
+  const authType = credentials.authType || 'tba';
+  if (!REQUIRED_CREDENTIAL_FIELDS[authType]) {
+    return [`authType (one of ${AUTH_TYPES.join(', ')})`];
+  }
+  return REQUIRED_CREDENTIAL_FIELDS[authType].filter(field => !credentials[field]);
+}
+
+/**
+ * Quote a value as a SuiteQL string literal
+ */
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Check one field value against its describe-schema definition
+ * @returns {string|null} Problem description, or null when the value fits
+ */
+function checkFieldValue(definition, value) {
+  if (value === null) {
+    return definition.nullable === false ? 'cannot be null' : null;
+  }
+  if (definition.enum && !definition.enum.includes(value)) {
+    return `must be one of: ${definition.enum.join(', ')}`;
+  }
+
+  switch (definition.type) {
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      if (definition.format === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) return 'must be a date (YYYY-MM-DD)';
+      if (definition.maxLength && value.length > definition.maxLength) return `must be at most ${definition.maxLength} characters`;
+      return null;
+    case 'integer':
+      return Number.isInteger(value) ? null : 'must be an integer';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'array':
+      return Array.isArray(value) ? null : 'must be an array';
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return 'must be an object';
       }
-    });
+      // Reference fields (entity, subsidiary, ...) are set by internal or external ID
+      const isReference = definition.properties && 'id' in definition.properties && 'refName' in definition.properties;
+      if (isReference && value.id === undefined && value.externalId === undefined) {
+        return 'is a reference field; set it as { "id": "<internal id>" } or { "externalId": "..." }';
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
 
-    this.token = {
-      key: credentials.tokenId,
-      secret: credentials.tokenSecret
+/**
+ * Check a field map against a record type's describe schema (JSON Schema
+ * `properties` and `required`). Unknown, read-only and mistyped fields are
+ * errors; on create, missing required fields are errors too.
+ */
+export function checkRecordFields(schema, fields, { isCreate = false } = {}) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return [{ field: null, message: 'fields must be an object of field IDs to values' }];
+  }
+
+  const properties = schema.properties || {};
+  const errors = [];
+
+  for (const [field, value] of Object.entries(fields)) {
+    const definition = properties[field];
+    if (!definition) {
+      const suggestion = Object.keys(properties).find(name => name.toLowerCase() === field.toLowerCase());
+      errors.push({
+        field,
+        message: suggestion ? `Unknown field ${field} (did you mean ${suggestion}?)` : `Unknown field ${field}`
+      });
+      continue;
+    }
+    if (definition.readOnly) {
+      errors.push({ field, message: `${field} is read-only` });
+      continue;
+    }
+    const problem = checkFieldValue(definition, value);
+    if (problem) {
+      errors.push({ field, message: `${field} ${problem}` });
+    }
+  }
+
+  if (isCreate) {
+    for (const field of schema.required || []) {
+      if (fields[field] === undefined || fields[field] === null || fields[field] === '') {
+        errors.push({ field, message: `${field} is required` });
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build a NetSuite script ID (lowercase, underscores, max 40 chars) with the given prefix
+ */
+function toScriptId(prefix, name) {
+  const lower = name.toLowerCase();
+  const base = lower.startsWith(prefix) ? lower.slice(prefix.length) : lower;
+  const slug = base.replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return `${prefix}${slug}`.slice(0, 40);
+}
+
+/**
+ * Per-account concurrency governor. NetSuite enforces its concurrency limit per
+ * account, so every client instance for the same account shares one governor.
+ */
+export class AccountGovernor {
+  static governors = new Map();
+  static DEFAULT_CONCURRENCY = 5;
+
+  static for(accountId, maxConcurrency = null) {
+    const key = String(accountId).toUpperCase();
+    let governor = AccountGovernor.governors.get(key);
+    if (!governor) {
+      governor = new AccountGovernor(maxConcurrency || AccountGovernor.DEFAULT_CONCURRENCY);
+      AccountGovernor.governors.set(key, governor);
+    } else if (maxConcurrency) {
+      governor.maxConcurrency = maxConcurrency;
+    }
+    return governor;
+  }
+
+  constructor(maxConcurrency) {
+    this.maxConcurrency = maxConcurrency;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async run(task) {
+    if (this.active >= this.maxConcurrency) {
+      // The releasing request hands its slot straight to us
+      await new Promise(resolve => this.waiting.push(resolve));
+    } else {
+      this.active++;
+    }
+    try {
+      return await task();
+    } finally {
+      const next = this.waiting.shift();
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    }
+  }
+}
+
+/**
+ * OAuth 2.0 client-credentials (M2M) access tokens. NetSuite issues tokens
+ * for up to an hour and no refresh token, so a fresh JWT assertion is signed
+ * and exchanged shortly before the cached token expires. Every client for the
+ * same integration and certificate shares one provider.
+ */
+export class M2MTokenProvider {
+  static providers = new Map();
+  static REFRESH_MARGIN_MS = 60000;
+
+  static for(credentials, tokenUrl) {
+    const key = [tokenUrl, credentials.clientId, credentials.certificateId].join('|');
+    let provider = M2MTokenProvider.providers.get(key);
+    if (!provider) {
+      provider = new M2MTokenProvider(credentials, tokenUrl);
+      M2MTokenProvider.providers.set(key, provider);
+    }
+    return provider;
+  }
+
+  constructor(credentials, tokenUrl) {
+    this.credentials = credentials;
+    this.tokenUrl = tokenUrl;
+    this.privateKey = crypto.createPrivateKey(credentials.privateKey);
+    this.algorithm = credentials.signingAlgorithm ||
+      (this.privateKey.asymmetricKeyType === 'ec' ? 'ES256' : 'PS256');
+    if (!OAUTH2_SIGNING_ALGORITHMS.includes(this.algorithm)) {
+      throw new Error(`Unsupported signing algorithm ${this.algorithm}; use one of: ${OAUTH2_SIGNING_ALGORITHMS.join(', ')}`);
+    }
+
+    this.accessToken = null;
+    this.expiresAt = 0;
+    this.pending = null;
+    this.tokensIssued = 0;
+  }
+
+  /**
+   * Return a cached token, or sign an assertion and fetch a new one.
+   * Concurrent callers share a single token request.
+   */
+  async getToken() {
+    if (this.accessToken && Date.now() < this.expiresAt - M2MTokenProvider.REFRESH_MARGIN_MS) {
+      return this.accessToken;
+    }
+    if (!this.pending) {
+      this.pending = this.requestToken().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Drop a token NetSuite rejected, unless it has already been replaced
+   */
+  invalidate(token) {
+    if (this.accessToken === token) {
+      this.accessToken = null;
+      this.expiresAt = 0;
+    }
+  }
+
+  /**
+   * Build the signed client assertion NetSuite's token endpoint expects
+   */
+  createAssertion(now = Date.now()) {
+    const issuedAt = Math.floor(now / 1000);
+    const header = { alg: this.algorithm, typ: 'JWT', kid: this.credentials.certificateId };
+    const payload = {
+      iss: this.credentials.clientId,
+      scope: this.credentials.scope || ['restlets', 'rest_webservices'],
+      aud: this.tokenUrl,
+      iat: issuedAt,
+      exp: issuedAt + 3600,
+      jti: crypto.randomUUID()
     };
 
+    const signingInput = [header, payload]
+      .map(part => Buffer.from(JSON.stringify(part)).toString('base64url'))
+      .join('.');
+    const digest = `sha${this.algorithm.slice(2)}`;
+    const signature = crypto.sign(digest, Buffer.from(signingInput), this.algorithm.startsWith('PS')
+      ? { key: this.privateKey, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST }
+      : { key: this.privateKey, dsaEncoding: 'ieee-p1363' });
+
+    return `${signingInput}.${signature.toString('base64url')}`;
+  }
+
+  async requestToken() {
+    const body = new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+      client_assertion: this.createAssertion()
+    });
+
+    console.error('🔑 Requesting NetSuite OAuth 2.0 access token');
+    let response;
+    try {
+      response = await fetch(this.tokenUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+        body: body.toString()
+      });
+    } catch (error) {
+      error.transient = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN'].includes(error.code);
+      throw error;
+    }
+    const responseText = await response.text();
+
+    if (!response.ok) {
+      const error = new Error(`NetSuite OAuth 2.0 token request failed: ${response.status} ${response.statusText} - ${responseText}`);
+      error.status = response.status;
+      error.transient = [500, 502, 503, 504].includes(response.status);
+      throw error;
+    }
+
+    const token = JSON.parse(responseText);
+    this.accessToken = token.access_token;
+    this.expiresAt = Date.now() + (Number(token.expires_in) || 3600) * 1000;
+    this.tokensIssued++;
+    return this.accessToken;
+  }
+}
+
+export class NetSuiteAPIClient {
+  constructor(credentials, options = {}) {
+    this.credentials = credentials;
+    this.baseUrl = options.baseUrl || credentials.baseUrl ||
+      `https://${credentials.accountId.replace('_', '-')}.suitetalk.api.netsuite.com`;
+    this.restletBaseUrl = options.restletBaseUrl || credentials.restletBaseUrl ||
+      `https://${credentials.accountId.toLowerCase().replace('_', '-')}.restlets.api.netsuite.com`;
+    this.authType = credentials.authType || 'tba';
+
+    if (this.authType === 'oauth2') {
+      this.tokenProvider = M2MTokenProvider.for(credentials, `${this.baseUrl}/services/rest/auth/oauth2/v1/token`);
+    } else {
+      // Initialize OAuth
+      this.oauth = OAuth({
+        consumer: {
+          key: credentials.consumerKey,
+          secret: credentials.consumerSecret
+        },
+        realm: credentials.accountId,
+        signature_method: 'HMAC-SHA256',
+        hash_function(base_string, key) {
+          return crypto
+            .createHmac('sha256', key)
+            .update(base_string)
+            .digest('base64');
+        }
+      });
+
+      this.token = {
+        key: credentials.tokenId,
+        secret: credentials.tokenSecret
+      };
+    }
+
     // Rate limiting
     this.lastRequestTime = 0;
-    this.minRequestInterval = 1000; // 1 second between requests
+    this.minRequestInterval = options.minRequestInterval ?? 1000; // 1 second between requests
+
+    // Retries for 429 / SSS_REQUEST_LIMIT_EXCEEDED and transient 5xx responses
+    this.retryOptions = {
+      maxRetries: options.maxRetries ?? 4,
+      baseDelay: options.retryBaseDelay ?? 1000,
+      maxDelay: options.retryMaxDelay ?? 30000
+    };
+    this.requestStats = { requests: 0, retries: 0, throttled: 0, tokenRefreshes: 0 };
+
+    // Concurrent requests are limited per account, across every client instance
+    this.governor = AccountGovernor.for(credentials.accountId, options.maxConcurrency);
   }
 
   /**
-   * Make authenticated request to NetSuite REST API
+   * Make authenticated request to NetSuite REST API, retrying concurrency-limit
+   * and transient server errors with exponential backoff
    */
   async makeRequest(method, endpoint, body = null) {
+    const verb = method.toUpperCase();
+    // SuiteQL POSTs are read-only, so they are as safe to replay as GETs
+    const idempotent = verb !== 'POST' || endpoint.startsWith('/services/rest/query/');
+    let attempt = 0;
+    let tokenRefreshed = false;
+
+    while (true) {
+      this.requestStats.requests++;
+      try {
+        return await this.governor.run(() => this.sendRequest(verb, endpoint, body));
+      } catch (error) {
+        // A revoked or expired bearer token: fetch a new one and try once more
+        if (error.rejectedToken && !tokenRefreshed) {
+          tokenRefreshed = true;
+          this.tokenProvider.invalidate(error.rejectedToken);
+          this.requestStats.tokenRefreshes++;
+          continue;
+        }
+
+        const retryable = error.concurrencyLimited || (error.transient && idempotent);
+        if (!retryable || attempt >= this.retryOptions.maxRetries) {
+          console.error('❌ NetSuite API request failed:', error);
+          throw error;
+        }
+
+        attempt++;
+        this.requestStats.retries++;
+        if (error.concurrencyLimited) {
+          this.requestStats.throttled++;
+        }
+
+        const delay = this.retryDelay(attempt, error.retryAfterMs);
+        console.error(`⏳ NetSuite API ${verb} ${endpoint} failed (${error.status || error.code}), retry ${attempt}/${this.retryOptions.maxRetries} in ${delay}ms`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Send a single signed request; errors are tagged so makeRequest can decide whether to retry
+   */
+  async sendRequest(method, endpoint, body) {
     // Rate limiting
     const now = Date.now();
     const timeSinceLastRequest = now - this.lastRequestTime;
@@ -48,53 +433,103 @@ export class NetSuiteAPIClient {
       await this.sleep(this.minRequestInterval - timeSinceLastRequest);
     }
 
-    const url = `${this.baseUrl}${endpoint}`;
+    // RESTlets live on their own host, so they are called by full URL
+    const url = endpoint.startsWith('http') ? endpoint : `${this.baseUrl}${endpoint}`;
     
     const requestData = {
       url,
-      method: method.toUpperCase()
+      method
     };
 
-    // Get OAuth headers
-    const authHeaders = this.oauth.toHeader(this.oauth.authorize(requestData, this.token));
+    // OAuth 1.0a signs each attempt with a fresh nonce; OAuth 2.0 uses the cached bearer token
+    const accessToken = this.tokenProvider ? await this.tokenProvider.getToken() : null;
+    const authorization = accessToken
+      ? `Bearer ${accessToken}`
+      : this.oauth.toHeader(this.oauth.authorize(requestData, this.token)).Authorization;
 
     const headers = {
-      'Authorization': authHeaders.Authorization,
+      'Authorization': authorization,
       'Content-Type': 'application/json',
       'Accept': 'application/json'
     };
 
     const options = {
-      method: method.toUpperCase(),
+      method,
       headers
     };
 
-    if (body && (method.toUpperCase() === 'POST' || method.toUpperCase() === 'PUT')) {
+    if (body && ['POST', 'PUT', 'PATCH'].includes(method)) {
       options.body = JSON.stringify(body);
     }
 
     this.lastRequestTime = Date.now();
 
-    try {
-      console.error(`🌐 NetSuite API ${method.toUpperCase()} ${endpoint}`);
-      
-      const response = await fetch(url, options);
-      const responseText = await response.text();
+    console.error(`🌐 NetSuite API ${method} ${endpoint}`);
 
-      if (!response.ok) {
-        throw new Error(`NetSuite API Error: ${response.status} ${response.statusText} - ${responseText}`);
-      }
+    let response;
+    try {
+      response = await fetch(url, options);
+    } catch (error) {
+      // Connection resets and timeouts are worth another attempt
+      error.transient = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN'].includes(error.code);
+      throw error;
+    }
+    const responseText = await response.text();
 
-      try {
-        return JSON.parse(responseText);
-      } catch (e) {
-        // If response is not JSON, return as text
-        return { success: true, data: responseText };
+    if (!response.ok) {
+      const error = new Error(`NetSuite API Error: ${response.status} ${response.statusText} - ${responseText}`);
+      error.status = response.status;
+      error.concurrencyLimited = response.status === 429 || responseText.includes('SSS_REQUEST_LIMIT_EXCEEDED');
+      error.transient = [500, 502, 503, 504].includes(response.status);
+      error.retryAfterMs = this.parseRetryAfter(response.headers.get('retry-after'));
+      if (response.status === 401 && accessToken) {
+        error.rejectedToken = accessToken;
       }
-    } catch (error) {
-      console.error('❌ NetSuite API request failed:', error);
       throw error;
     }
+
+    // Record writes answer 204 No Content with the new record URL in Location
+    if (!responseText) {
+      return {
+        success: true,
+        status: response.status,
+        location: response.headers.get('location')
+      };
+    }
+
+    try {
+      return JSON.parse(responseText);
+    } catch (e) {
+      // If response is not JSON, return as text
+      return { success: true, data: responseText };
+    }
+  }
+
+  /**
+   * Backoff delay for a retry attempt: full jitter over an exponential window
+   * capped at maxDelay. The server's Retry-After is always honored in full,
+   * even beyond maxDelay.
+   */
+  retryDelay(attempt, retryAfterMs = null) {
+    const { baseDelay, maxDelay } = this.retryOptions;
+    const window = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+    const jittered = Math.round(Math.random() * window);
+    return retryAfterMs != null ? Math.max(retryAfterMs, jittered) : jittered;
+  }
+
+  /**
+   * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+   */
+  parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
   }
 
   /**
@@ -132,6 +567,89 @@ export class NetSuiteAPIClient {
     }
   }
 
+  /**
+   * Stream SuiteQL result pages, following the `next` links NetSuite returns
+   * until the result set or the row budget is exhausted
+   * @param {string} query - SuiteQL query
+   * @param {Object} options - { pageSize, maxRows, offset }
+   * @yields {Object} { items, pageNumber, offset, hasMore, totalResults }
+   */
+  async *iterateSuiteQL(query, { pageSize = 1000, maxRows = Infinity, offset = 0 } = {}) {
+    const limit = Math.min(pageSize, 1000);
+    let endpoint = `/services/rest/query/v1/suiteql?limit=${limit}&offset=${offset}`;
+    let rowsRemaining = maxRows;
+    let pageNumber = 0;
+
+    while (endpoint && rowsRemaining > 0) {
+      const result = await this.makeRequest('POST', endpoint, { q: query });
+      const items = result.items || [];
+      pageNumber++;
+
+      const pageItems = items.length > rowsRemaining ? items.slice(0, rowsRemaining) : items;
+      rowsRemaining -= pageItems.length;
+
+      const next = (result.links || []).find(link => link.rel === 'next');
+      const hasMore = Boolean(result.hasMore) || pageItems.length < items.length;
+
+      yield {
+        items: pageItems,
+        pageNumber,
+        offset: result.offset ?? offset,
+        hasMore,
+        totalResults: result.totalResults
+      };
+
+      if (!result.hasMore || items.length === 0) {
+        break;
+      }
+      offset = (result.offset ?? offset) + items.length;
+      endpoint = next
+        ? (url => `${url.pathname}${url.search}`)(new URL(next.href))
+        : `/services/rest/query/v1/suiteql?limit=${limit}&offset=${offset}`;
+    }
+  }
+
+  /**
+   * Execute a SuiteQL query across as many pages as needed, up to maxRows
+   */
+  async fetchAllSuiteQL(query, { pageSize = 1000, maxRows = 10000, offset = 0 } = {}) {
+    const results = [];
+    let pagesFetched = 0;
+    let hasMore = false;
+    let totalResults = null;
+
+    try {
+      for await (const page of this.iterateSuiteQL(query, { pageSize, maxRows, offset })) {
+        results.push(...page.items);
+        pagesFetched = page.pageNumber;
+        hasMore = page.hasMore;
+        totalResults = page.totalResults ?? totalResults;
+      }
+
+      return {
+        success: true,
+        query,
+        results,
+        hasMore,
+        truncated: hasMore && results.length >= maxRows,
+        totalResults: totalResults ?? results.length,
+        pagesFetched,
+        totalRows: results.length,
+        executionTime: Date.now()
+      };
+    } catch (error) {
+      return {
+        success: false,
+        query,
+        error: error.message,
+        results,
+        pagesFetched,
+        totalRows: results.length,
+        executionTime: Date.now()
+      };
+    }
+  }
+
   /**
    * Test connection to NetSuite
    */
@@ -141,6 +659,10 @@ export class NetSuiteAPIClient {
     try {
       // Simple query to test connection
       const result = await this.executeSuiteQL('SELECT ROWNUM FROM dual WHERE ROWNUM = 1', 1);
+      // executeSuiteQL reports failures instead of throwing
+      if (!result.success) {
+        throw new Error(result.error);
+      }
       
       return {
         success: true,
@@ -165,9 +687,17 @@ export class NetSuiteAPIClient {
 
   /**
    * Get record by ID
+   * @param {Object} options - fields (limit the returned fields), expandSubResources (inline sublists)
    */
-  async getRecord(recordType, id) {
-    const endpoint = `/services/rest/record/v1/${recordType}/${id}`;
+  async getRecord(recordType, id, options = {}) {
+    const params = new URLSearchParams();
+    if (options.fields && options.fields.length > 0) {
+      params.append('fields', options.fields.join(','));
+    }
+    if (options.expandSubResources) {
+      params.append('expandSubResources', 'true');
+    }
+    const endpoint = `/services/rest/record/v1/${recordType}/${id}${params.toString() ? `?${params}` : ''}`;
     
     try {
       const result = await this.makeRequest('GET', endpoint);
@@ -187,6 +717,99 @@ export class NetSuiteAPIClient {
     }
   }
 
+  /**
+   * Create a record and return its internal ID
+   */
+  async createRecord(recordType, fields) {
+    const endpoint = `/services/rest/record/v1/${recordType}`;
+
+    try {
+      const result = await this.makeRequest('POST', endpoint, fields);
+      const id = result.location ? result.location.split('/').pop() : result.id;
+      return {
+        success: true,
+        recordType,
+        id: id ? String(id) : null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        recordType,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Update fields on an existing record
+   */
+  async updateRecord(recordType, id, fields) {
+    const endpoint = `/services/rest/record/v1/${recordType}/${id}`;
+
+    try {
+      await this.makeRequest('PATCH', endpoint, fields);
+      return {
+        success: true,
+        recordType,
+        id: String(id)
+      };
+    } catch (error) {
+      return {
+        success: false,
+        recordType,
+        id,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Delete a record
+   */
+  async deleteRecord(recordType, id) {
+    const endpoint = `/services/rest/record/v1/${recordType}/${id}`;
+
+    try {
+      await this.makeRequest('DELETE', endpoint);
+      return {
+        success: true,
+        recordType,
+        id: String(id)
+      };
+    } catch (error) {
+      return {
+        success: false,
+        recordType,
+        id,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Validate fields for a create or update against the record type's describe schema
+   */
+  async validateRecordFields(recordType, fields, { isCreate = false } = {}) {
+    const schemaResult = await this.getRecordSchema(recordType);
+    if (!schemaResult.success) {
+      return {
+        success: false,
+        valid: false,
+        recordType,
+        error: `Could not load ${recordType} schema: ${schemaResult.error}`,
+        errors: []
+      };
+    }
+
+    const errors = checkRecordFields(schemaResult.schema, fields, { isCreate });
+    return {
+      success: true,
+      valid: errors.length === 0,
+      recordType,
+      errors
+    };
+  }
+
   /**
    * Search records
    */
@@ -226,15 +849,73 @@ export class NetSuiteAPIClient {
   }
 
   /**
-   * Execute saved search
+   * Call the companion RESTlet. Its failures come back as { success: false, error }
+   * bodies; a missing deployment is flagged so callers can offer to install it.
    */
-  async executeSavedSearch(searchId, offset = 0, limit = 100) {
-    const endpoint = `/services/rest/query/v1/suiteql`;
-    
-    // Use saved search via SuiteQL
-    const query = `SELECT * FROM (SELECT ROWNUM as rn, s.* FROM (${searchId}) s) WHERE rn > ${offset} AND rn <= ${offset + limit}`;
+  async callCompanionRestlet(params) {
+    const query = new URLSearchParams({
+      script: COMPANION_RESTLET.scriptId,
+      deploy: COMPANION_RESTLET.deploymentId
+    });
+    for (const [name, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null && value !== '') {
+        query.set(name, String(value));
+      }
+    }
 
-    return this.executeSuiteQL(query, limit, offset);
+    try {
+      const result = await this.makeRequest('GET', `${this.restletBaseUrl}/app/site/hosting/restlet.nl?${query}`);
+      if (result.success === false) {
+        return { success: false, error: `${result.error?.name}: ${result.error?.message}` };
+      }
+      return result;
+    } catch (error) {
+      const companionMissing = /INVALID_SCRIPTLET_ID|SSS_INVALID_DEPLOYMENT|NOT_RELEASED/i.test(error.message);
+      return {
+        success: false,
+        companionMissing,
+        error: companionMissing
+          ? `The ${COMPANION_RESTLET.scriptId} RESTlet is not deployed in this account (${error.message})`
+          : error.message
+      };
+    }
+  }
+
+  /**
+   * Run a saved search by script ID (or internal ID) and return one page of
+   * rows with the search's column labels
+   * @param {Object} options - { page (1-based), pageSize (5-1000) }
+   */
+  async executeSavedSearch(searchId, { page = 1, pageSize = 100 } = {}) {
+    const result = await this.callCompanionRestlet({ action: 'run', searchId, page, pageSize });
+    if (!result.success) {
+      return { ...result, searchId, results: [] };
+    }
+
+    return {
+      success: true,
+      searchId,
+      title: result.title,
+      recordType: result.recordType,
+      columns: result.columns,
+      results: result.rows,
+      page: result.page,
+      pageSize: result.pageSize,
+      pageCount: result.pageCount,
+      totalResults: result.totalResults,
+      hasMore: result.hasMore
+    };
+  }
+
+  /**
+   * List the account's saved searches, optionally by title keyword or record type
+   */
+  async listSavedSearches({ keyword = null, recordType = null, page = 1, pageSize = 100 } = {}) {
+    const result = await this.callCompanionRestlet({ action: 'list', keyword, recordType, page, pageSize });
+    if (!result.success) {
+      return { ...result, searches: [] };
+    }
+    return result;
   }
 
   /**
@@ -260,47 +941,165 @@ export class NetSuiteAPIClient {
   }
 
   /**
-   * Utility function for sleeping
+   * List the record types in the account's REST metadata catalog, including
+   * custom record types
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  async listRecordTypes() {
+    try {
+      const result = await this.makeRequest('GET', '/services/rest/record/v1/metadata-catalog');
+      return {
+        success: true,
+        recordTypes: (result.items || []).map(item => item.name).filter(Boolean)
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
   }
 
   /**
-   * Validate SuiteQL query (basic validation)
+   * Deploy a SuiteScript: upload the file to the File Cabinet, create or update
+   * the script record and create or update its deployment record
    */
-  validateSuiteQL(query) {
-    const trimmedQuery = query.trim().toLowerCase();
-    
-    // Check if it's a SELECT query
-    if (!trimmedQuery.startsWith('select')) {
-      return {
-        valid: false,
-        reason: 'Only SELECT queries are supported for security'
-      };
+  async deployScript({
+    scriptType,
+    scriptName,
+    scriptContent,
+    fileName = null,
+    folderId = SUITESCRIPTS_FOLDER_ID,
+    scriptId = null,
+    deploymentId = null,
+    title = null,
+    status = 'testing',
+    logLevel = 'debug',
+    audience = {},
+    recordType = null
+  }) {
+    const scriptRecordType = SCRIPT_RECORD_TYPES[scriptType];
+    if (!scriptRecordType) {
+      throw new Error(`Unsupported script type: ${scriptType}`);
     }
 
-    // Check for potentially dangerous operations
-    const dangerousPatterns = [
-      /delete\s/i,
-      /drop\s/i,
-      /truncate\s/i,
-      /create\s/i,
-      /alter\s/i,
-      /insert\s/i,
-      /update\s/i
-    ];
-
-    for (const pattern of dangerousPatterns) {
-      if (pattern.test(query)) {
-        return {
-          valid: false,
-          reason: 'Query contains potentially dangerous operations'
-        };
-      }
+    const resolvedScriptId = toScriptId('customscript_', scriptId || scriptName);
+    const resolvedDeploymentId = toScriptId('customdeploy_', deploymentId || resolvedScriptId.replace(/^customscript_/, ''));
+    const resolvedFileName = fileName || `${resolvedScriptId.replace(/^customscript_/, '')}.js`;
+    const steps = [];
+
+    const fail = (step, error) => ({
+      success: false,
+      failed_step: step,
+      error,
+      steps
+    });
+
+    // 1. File Cabinet upload (update in place when the file already exists in the folder)
+    const existingFileId = await this.lookupId(
+      `SELECT id FROM file WHERE name = ${quoteLiteral(resolvedFileName)} AND folder = ${Number(folderId)}`
+    );
+    const fileFields = {
+      name: resolvedFileName,
+      folder: { id: String(folderId) },
+      fileType: 'JAVASCRIPT',
+      content: scriptContent
+    };
+    const fileResult = existingFileId
+      ? await this.updateRecord('file', existingFileId, fileFields)
+      : await this.createRecord('file', fileFields);
+    if (!fileResult.success) {
+      return fail('file', fileResult.error);
+    }
+    steps.push({ step: 'file', action: existingFileId ? 'updated' : 'created', id: fileResult.id });
+
+    // 2. Script record
+    const existingScriptId = await this.lookupId(
+      `SELECT id FROM script WHERE UPPER(scriptid) = UPPER(${quoteLiteral(resolvedScriptId)})`
+    );
+    const scriptFields = {
+      name: scriptName,
+      scriptFile: { id: fileResult.id }
+    };
+    const scriptResult = existingScriptId
+      ? await this.updateRecord(scriptRecordType, existingScriptId, scriptFields)
+      : await this.createRecord(scriptRecordType, { ...scriptFields, scriptId: resolvedScriptId });
+    if (!scriptResult.success) {
+      return fail('script', scriptResult.error);
     }
+    steps.push({ step: 'script', action: existingScriptId ? 'updated' : 'created', id: scriptResult.id });
 
-    return { valid: true };
+    // 3. Deployment record (status, log level, audience)
+    const existingDeploymentId = await this.lookupId(
+      `SELECT id FROM scriptdeployment WHERE UPPER(scriptid) = UPPER(${quoteLiteral(resolvedDeploymentId)})`
+    );
+    const deploymentFields = {
+      title: title || scriptName,
+      status: { id: String(status).toUpperCase() },
+      logLevel: { id: String(logLevel).toUpperCase() },
+      isDeployed: true,
+      allRoles: audience.all_roles ?? !audience.roles?.length,
+      allEmployees: audience.all_employees ?? false,
+      allPartners: audience.all_partners ?? false
+    };
+    if (audience.roles?.length) {
+      deploymentFields.audSlctRole = { items: audience.roles.map(id => ({ id: String(id) })) };
+    }
+    if (recordType) {
+      deploymentFields.recordType = { id: recordType };
+    }
+    const deploymentResult = existingDeploymentId
+      ? await this.updateRecord('scriptdeployment', existingDeploymentId, deploymentFields)
+      : await this.createRecord('scriptdeployment', {
+        ...deploymentFields,
+        script: { id: scriptResult.id },
+        scriptId: resolvedDeploymentId
+      });
+    if (!deploymentResult.success) {
+      return fail('deployment', deploymentResult.error);
+    }
+    steps.push({ step: 'deployment', action: existingDeploymentId ? 'updated' : 'created', id: deploymentResult.id });
+
+    return {
+      success: true,
+      file_id: fileResult.id,
+      file_name: resolvedFileName,
+      folder_id: String(folderId),
+      script_internal_id: scriptResult.id,
+      script_id: resolvedScriptId,
+      script_record_type: scriptRecordType,
+      deployment_internal_id: deploymentResult.id,
+      deployment_id: resolvedDeploymentId,
+      status: deploymentFields.status.id,
+      log_level: deploymentFields.logLevel.id,
+      steps
+    };
+  }
+
+  /**
+   * Return the id of the first row of a lookup query, or null when nothing matches
+   */
+  async lookupId(query) {
+    const result = await this.executeSuiteQL(query, 1);
+    if (!result.success) {
+      throw new Error(`Lookup failed: ${result.error}`);
+    }
+    const id = result.results[0]?.id;
+    return id != null ? String(id) : null;
+  }
+
+  /**
+   * Utility function for sleeping
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Validate SuiteQL query by parsing it
+   * @returns {Object} { valid, reason, diagnostics, tables, columns, outputColumns, ... }
+   */
+  validateSuiteQL(query) {
+    return analyzeSuiteQL(query);
   }
 
   /**
@@ -6,8 +6,31 @@
 import fs from 'fs';
 import path from 'path';
 import { ValidationRuleManager } from './validation_rule_manager.js';
+import { findSdfRoot, loadSdfProject } from './sdf_project_model.js';
+import { readSuiteScriptHeader } from './suitescript_analyzer.js';
 import sqlite3 from 'sqlite3';
 
+// Descriptive script types, by file name suffix and by @NScriptType
+const SCRIPT_TYPE_NAMES = {
+    'ue': 'User Event',
+    'sl': 'Suitelet',
+    'mr': 'Map/Reduce',
+    'cs': 'Client Script',
+    'wfas': 'Workflow Action Script',
+    'rl': 'Restlet',
+    'UserEventScript': 'User Event',
+    'Suitelet': 'Suitelet',
+    'MapReduceScript': 'Map/Reduce',
+    'ClientScript': 'Client Script',
+    'WorkflowActionScript': 'Workflow Action Script',
+    'Restlet': 'Restlet',
+    'ScheduledScript': 'Scheduled Script',
+    'MassUpdateScript': 'Mass Update',
+    'Portlet': 'Portlet',
+    'BundleInstallationScript': 'Bundle Installation Script',
+    'SDFInstallationScript': 'SDF Installation Script'
+};
+
 export class ProjectDetectionSystem {
     constructor() {
         this.dbPath = path.join(process.env.HOME, 'saralegui-solutions-mcp/database/saralegui_assistant.db');
@@ -56,13 +79,17 @@ export class ProjectDetectionSystem {
             hasNetSuiteFiles: false,
             hasESLintConfig: false,
             clientName: null,
-            projectType: null
+            projectType: null,
+            sdf: null
         };
 
         try {
-            // Check for manifest.xml
-            if (fs.existsSync(path.join(directory, 'manifest.xml'))) {
+            // Check for manifest.xml (at the root or in src/ for SDF projects)
+            const sdfProject = this.loadSdfProject(directory);
+            if (sdfProject) {
                 indicators.hasManifest = true;
+                const { projectType, projectName, scripts, deployments, scriptTypes, errors } = sdfProject.summary();
+                indicators.sdf = { projectType, projectName, scripts, deployments, scriptTypes, errors: errors.length };
             }
 
             // Check for SuiteScripts directory structure
@@ -79,6 +106,11 @@ export class ProjectDetectionSystem {
                 indicators.projectType = this.determineProjectType(netSuiteFiles);
             }
 
+            // Script records in the SDF project are authoritative over file name suffixes
+            if (indicators.sdf?.scripts > 0) {
+                indicators.projectType = this.describeScriptTypes(Object.keys(indicators.sdf.scriptTypes));
+            }
+
             // Check for ESLint config
             if (fs.existsSync(path.join(directory, '.eslintrc.js'))) {
                 indicators.hasESLintConfig = true;
@@ -106,6 +138,23 @@ export class ProjectDetectionSystem {
         }
     }
 
+    /**
+     * Find the SDF project root: the directory holding manifest.xml, either
+     * the given directory or its src/ folder
+     */
+    findSdfRoot(directory = process.cwd()) {
+        return findSdfRoot(directory);
+    }
+
+    /**
+     * Load the SDF project model (manifest, deploy.xml, Objects/ and the
+     * script files they reference) for a project directory
+     * @returns {SdfProjectModel|null} null when the directory is not an SDF project
+     */
+    loadSdfProject(directory = process.cwd(), options = {}) {
+        return loadSdfProject(directory, options);
+    }
+
     /**
      * Find SuiteScripts directory in project
      */
@@ -191,23 +240,24 @@ export class ProjectDetectionSystem {
         const fileTypes = new Set();
         
         netSuiteFiles.forEach(file => {
+            // The @NScriptType header is authoritative; the file name suffix is a fallback
+            const header = readSuiteScriptHeader(fs.readFileSync(file, 'utf8'));
             const match = file.match(/_([a-z]+)\.js$/);
-            if (match) {
+            if (header?.tags.NScriptType) {
+                fileTypes.add(header.tags.NScriptType);
+            } else if (match) {
                 fileTypes.add(match[1]);
             }
         });
 
-        // Map to descriptive project types
-        const typeMap = {
-            'ue': 'User Event',
-            'sl': 'Suitelet',
-            'mr': 'Map/Reduce',
-            'cs': 'Client Script',
-            'wfas': 'Workflow Action Script',
-            'rl': 'Restlet'
-        };
+        return this.describeScriptTypes(fileTypes);
+    }
 
-        const types = Array.from(fileTypes).map(type => typeMap[type] || type);
+    /**
+     * Descriptive project type from file name suffixes or @NScriptType values
+     */
+    describeScriptTypes(scriptTypes) {
+        const types = [...new Set(Array.from(scriptTypes).map(type => SCRIPT_TYPE_NAMES[type] || type))];
         return types.length > 0 ? types.join(', ') : 'Unknown';
     }
 
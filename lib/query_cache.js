@@ -0,0 +1,240 @@
+/**
+ * SuiteQL Result Cache
+ * Stores successful query results in the shared SQLite database, keyed by client,
+ * account, normalized query and paging, with per-entry TTLs and size-based eviction
+ */
+
+import crypto from 'crypto';
+import { normalizeSuiteQL } from './suiteql_parser.js';
+
+export const CACHE_MODES = ['use', 'bypass', 'refresh', 'only'];
+
+export class QueryCache {
+  constructor(database, options = {}) {
+    this.db = database;
+    this.config = {
+      defaultTtl: options.defaultTtl ?? (parseInt(process.env.NETSUITE_CACHE_TTL) || 300), // seconds
+      maxBytes: options.maxBytes ?? (parseInt(process.env.NETSUITE_CACHE_MAX_BYTES) || 50 * 1024 * 1024)
+    };
+
+    // Lookups in this process, for hit rate reporting
+    this.sessionStats = { hits: 0, misses: 0, stores: 0, evictions: 0, skipped: 0 };
+  }
+
+  /**
+   * Create the cache table
+   */
+  async initialize() {
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS netsuite_query_cache (
+        cache_key TEXT PRIMARY KEY,
+        client_name TEXT NOT NULL,
+        account_id TEXT NOT NULL,
+        normalized_query TEXT NOT NULL,
+        paging TEXT NOT NULL,
+        result TEXT NOT NULL,
+        row_count INTEGER DEFAULT 0,
+        size_bytes INTEGER NOT NULL,
+        ttl_seconds INTEGER NOT NULL,
+        hit_count INTEGER DEFAULT 0,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        last_accessed TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_netsuite_query_cache_account
+      ON netsuite_query_cache(client_name, account_id);
+
+      CREATE INDEX IF NOT EXISTS idx_netsuite_query_cache_accessed
+      ON netsuite_query_cache(last_accessed);
+    `);
+  }
+
+  /**
+   * Describe a lookup. Paging is part of the key, so limit/offset pages and
+   * fetch-all results with different row budgets are cached separately.
+   */
+  entryFor({ clientName, accountId, query, limit = null, offset = 0, maxRows = null }) {
+    const normalizedQuery = normalizeSuiteQL(query);
+    const paging = maxRows !== null ? `max_rows=${maxRows};offset=${offset}` : `limit=${limit};offset=${offset}`;
+    const cacheKey = crypto.createHash('sha256')
+      .update([clientName, accountId.toUpperCase(), normalizedQuery, paging].join('\n'))
+      .digest('hex');
+
+    return { cacheKey, clientName, accountId: accountId.toUpperCase(), normalizedQuery, paging };
+  }
+
+  /**
+   * Return a fresh cached result, or null. Expired entries are removed on read.
+   */
+  async get(entry) {
+    const row = await this.db.get(`
+      SELECT result, created_at, expires_at, ttl_seconds
+      FROM netsuite_query_cache
+      WHERE cache_key = ?
+    `, [entry.cacheKey]);
+
+    const now = new Date();
+    if (!row || new Date(row.expires_at) <= now) {
+      if (row) {
+        await this.db.run('DELETE FROM netsuite_query_cache WHERE cache_key = ?', [entry.cacheKey]);
+      }
+      this.sessionStats.misses++;
+      return null;
+    }
+
+    await this.db.run(`
+      UPDATE netsuite_query_cache
+      SET hit_count = hit_count + 1, last_accessed = ?
+      WHERE cache_key = ?
+    `, [now.toISOString(), entry.cacheKey]);
+    this.sessionStats.hits++;
+
+    return {
+      result: JSON.parse(row.result),
+      cachedAt: row.created_at,
+      expiresAt: row.expires_at,
+      ageSeconds: Math.round((now - new Date(row.created_at)) / 1000),
+      ttlSeconds: row.ttl_seconds
+    };
+  }
+
+  /**
+   * Store a result, then evict least recently used entries until the cache
+   * fits in maxBytes. Results larger than a quarter of the budget are not kept.
+   * @returns {boolean} Whether the result was stored
+   */
+  async set(entry, result, ttlSeconds = this.config.defaultTtl) {
+    const payload = JSON.stringify(result);
+    const sizeBytes = Buffer.byteLength(payload);
+    if (ttlSeconds <= 0 || sizeBytes > this.config.maxBytes / 4) {
+      this.sessionStats.skipped++;
+      return false;
+    }
+
+    const now = new Date();
+    await this.db.run(`
+      INSERT OR REPLACE INTO netsuite_query_cache
+        (cache_key, client_name, account_id, normalized_query, paging, result, row_count,
+         size_bytes, ttl_seconds, hit_count, created_at, expires_at, last_accessed)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?)
+    `, [
+      entry.cacheKey,
+      entry.clientName,
+      entry.accountId,
+      entry.normalizedQuery,
+      entry.paging,
+      payload,
+      Array.isArray(result.results) ? result.results.length : 0,
+      sizeBytes,
+      ttlSeconds,
+      now.toISOString(),
+      new Date(now.getTime() + ttlSeconds * 1000).toISOString(),
+      now.toISOString()
+    ]);
+    this.sessionStats.stores++;
+
+    await this.evict(entry.cacheKey);
+    return true;
+  }
+
+  /**
+   * Drop expired entries, then least recently used ones while over budget
+   */
+  async evict(keepKey = null) {
+    await this.db.run('DELETE FROM netsuite_query_cache WHERE expires_at <= ?', [new Date().toISOString()]);
+
+    let { total } = await this.db.get('SELECT COALESCE(SUM(size_bytes), 0) AS total FROM netsuite_query_cache');
+    if (total <= this.config.maxBytes) {
+      return;
+    }
+
+    const candidates = await this.db.all(`
+      SELECT cache_key, size_bytes
+      FROM netsuite_query_cache
+      WHERE cache_key != ?
+      ORDER BY last_accessed ASC
+    `, [keepKey || '']);
+
+    for (const candidate of candidates) {
+      if (total <= this.config.maxBytes) break;
+      await this.db.run('DELETE FROM netsuite_query_cache WHERE cache_key = ?', [candidate.cache_key]);
+      total -= candidate.size_bytes;
+      this.sessionStats.evictions++;
+    }
+  }
+
+  /**
+   * Remove cached results for a client, optionally for one account only
+   * @returns {number} Entries removed
+   */
+  async invalidate({ clientName = null, accountId = null } = {}) {
+    const conditions = [];
+    const params = [];
+    if (clientName) {
+      conditions.push('client_name = ?');
+      params.push(clientName);
+    }
+    if (accountId) {
+      conditions.push('account_id = ?');
+      params.push(accountId.toUpperCase());
+    }
+
+    const result = await this.db.run(
+      `DELETE FROM netsuite_query_cache${conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''}`,
+      params
+    );
+    return result?.changes || 0;
+  }
+
+  /**
+   * Summarize cache contents and this session's hit rate
+   */
+  async getStats(clientName = null) {
+    const filter = clientName ? 'WHERE client_name = ?' : '';
+    const params = clientName ? [clientName] : [];
+
+    const totals = await this.db.get(`
+      SELECT COUNT(*) AS entries,
+             COALESCE(SUM(size_bytes), 0) AS size_bytes,
+             COALESCE(SUM(row_count), 0) AS cached_rows,
+             COALESCE(SUM(hit_count), 0) AS stored_hits,
+             COALESCE(SUM(CASE WHEN expires_at <= ? THEN 1 ELSE 0 END), 0) AS expired_entries,
+             MIN(created_at) AS oldest_entry,
+             MAX(created_at) AS newest_entry
+      FROM netsuite_query_cache
+      ${filter}
+    `, [new Date().toISOString(), ...params]);
+
+    const byAccount = await this.db.all(`
+      SELECT client_name, account_id, COUNT(*) AS entries,
+             SUM(size_bytes) AS size_bytes, SUM(hit_count) AS hits
+      FROM netsuite_query_cache
+      ${filter}
+      GROUP BY client_name, account_id
+      ORDER BY size_bytes DESC
+    `, params);
+
+    const topQueries = await this.db.all(`
+      SELECT normalized_query, paging, hit_count, row_count, size_bytes, created_at, expires_at
+      FROM netsuite_query_cache
+      ${filter}
+      ORDER BY hit_count DESC, last_accessed DESC
+      LIMIT 10
+    `, params);
+
+    const lookups = this.sessionStats.hits + this.sessionStats.misses;
+    return {
+      ...totals,
+      max_bytes: this.config.maxBytes,
+      usage_percent: Math.round((totals.size_bytes / this.config.maxBytes) * 1000) / 10,
+      default_ttl_seconds: this.config.defaultTtl,
+      session: {
+        ...this.sessionStats,
+        hit_rate: lookups > 0 ? Math.round((this.sessionStats.hits / lookups) * 1000) / 10 : null
+      },
+      by_account: byAccount,
+      top_queries: topQueries
+    };
+  }
+}
@@ -0,0 +1,268 @@
+/**
+ * SuiteQL Cost Estimator
+ * Predicts how many rows a query touches from the parsed query and per-account
+ * record counts, flags queries likely to time out, and learns from the
+ * estimated versus actual row counts and run times of earlier queries
+ */
+
+import { LARGE_TABLES } from './suiteql_parser.js';
+
+// Date column to suggest bounding each large table by
+const DATE_COLUMNS = {
+  transaction: 'trandate',
+  transactionline: 'linelastmodifieddate',
+  transactionaccountingline: 'lastmodifieddate',
+  systemnote: 'date',
+  loginaudittrail: 'date'
+};
+
+// Rough share of a table a WHERE filter keeps, by what the filtered column looks like
+const SELECTIVITY = {
+  key: 0.0001, // id or another internal ID lookup
+  date: 0.1,
+  other: 0.3
+};
+
+// Row count assumed for tables that have not been counted yet
+const UNCOUNTED_ROWS = { large: 1000000, other: 10000 };
+
+// Runs needed before learned figures replace the defaults
+const MIN_SAMPLES = 3;
+
+function columnKind(name) {
+  if (name === 'id' || name === 'internalid' || name === 'rownum') return 'key';
+  if (/date|time|period/.test(name)) return 'date';
+  return 'other';
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+export class QueryCostEstimator {
+  constructor(database, options = {}) {
+    this.db = database;
+    this.config = {
+      maxRows: options.maxRows ?? (parseInt(process.env.NETSUITE_QUERY_MAX_ROWS) || 1000000),
+      maxMs: options.maxMs ?? (parseInt(process.env.NETSUITE_QUERY_MAX_MS) || 60000),
+      countTtl: options.countTtl ?? (parseInt(process.env.NETSUITE_RECORD_COUNT_TTL) || 7 * 24 * 3600), // seconds
+      baseMs: options.baseMs ?? 800, // request overhead before any rows are read
+      msPerRow: options.msPerRow ?? 0.02
+    };
+  }
+
+  /**
+   * Create the record count and query run tables
+   */
+  async initialize() {
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS netsuite_record_counts (
+        client_name TEXT NOT NULL,
+        account_id TEXT NOT NULL,
+        table_name TEXT NOT NULL,
+        row_count INTEGER NOT NULL,
+        counted_at TEXT NOT NULL,
+        PRIMARY KEY (client_name, account_id, table_name)
+      );
+
+      CREATE TABLE IF NOT EXISTS netsuite_query_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_name TEXT NOT NULL,
+        account_id TEXT NOT NULL,
+        driving_table TEXT,
+        normalized_query TEXT NOT NULL,
+        base_rows INTEGER,
+        estimated_rows INTEGER,
+        estimated_ms INTEGER,
+        risk TEXT,
+        forced BOOLEAN DEFAULT 0,
+        actual_rows INTEGER,
+        complete BOOLEAN DEFAULT 0,
+        actual_ms INTEGER,
+        success BOOLEAN DEFAULT 1,
+        error TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_netsuite_query_runs_account
+      ON netsuite_query_runs(client_name, account_id, created_at);
+    `);
+  }
+
+  /**
+   * Count rows in tables the account has no fresh count for. Counts that fail
+   * (no permission, not a countable table) are skipped and the estimate falls
+   * back to a default for that table.
+   * @returns {Array<string>} Tables counted
+   */
+  async refreshCounts(apiClient, { clientName, accountId }, tables) {
+    const account = accountId.toUpperCase();
+    const staleBefore = new Date(Date.now() - this.config.countTtl * 1000).toISOString();
+    const counted = [];
+
+    for (const table of tables) {
+      const row = await this.db.get(`
+        SELECT counted_at
+        FROM netsuite_record_counts
+        WHERE client_name = ? AND account_id = ? AND table_name = ?
+      `, [clientName, account, table]);
+      if (row && row.counted_at > staleBefore) continue;
+
+      const result = await apiClient.executeSuiteQL(`SELECT COUNT(*) AS row_count FROM ${table}`, 1, 0);
+      const count = parseInt(result.success ? result.results[0]?.row_count : NaN);
+      if (!Number.isFinite(count)) continue;
+
+      await this.db.run(`
+        INSERT OR REPLACE INTO netsuite_record_counts (client_name, account_id, table_name, row_count, counted_at)
+        VALUES (?, ?, ?, ?, ?)
+      `, [clientName, account, table, count, new Date().toISOString()]);
+      counted.push(table);
+    }
+    return counted;
+  }
+
+  /**
+   * Estimate rows and run time for a parsed query
+   * @param {Object} analysis - SuiteQL parser report
+   * @returns {Object} { estimated_rows, estimated_ms, risk, reasons, suggestion, tables, ... }
+   */
+  async estimate({ clientName, accountId }, analysis) {
+    const account = accountId.toUpperCase();
+    const tables = [];
+
+    for (const name of analysis.tables) {
+      const row = await this.db.get(`
+        SELECT row_count
+        FROM netsuite_record_counts
+        WHERE client_name = ? AND account_id = ? AND table_name = ?
+      `, [clientName, account, name]);
+      const rowCount = row ? row.row_count : UNCOUNTED_ROWS[LARGE_TABLES.has(name) ? 'large' : 'other'];
+
+      const filters = analysis.filters.filter(filter => filter.table === name).map(filter => filter.name);
+      // Unqualified filters in a multi-table query could belong to any table; credit them to each
+      const unresolved = analysis.filters.filter(filter => !filter.table).map(filter => filter.name);
+      const selectivity = [...filters, ...unresolved]
+        .map(column => SELECTIVITY[columnKind(column)])
+        .reduce((product, factor) => product * factor, 1);
+
+      tables.push({
+        table: name,
+        row_count: rowCount,
+        counted: Boolean(row),
+        filters,
+        date_bounded: filters.some(column => columnKind(column) === 'date'),
+        estimated_rows: Math.max(1, Math.ceil(rowCount * selectivity))
+      });
+    }
+
+    const driving = tables.reduce((largest, table) => (!largest || table.estimated_rows > largest.estimated_rows ? table : largest), null);
+    if (!driving) {
+      return { base_rows: 0, estimated_rows: 0, estimated_ms: this.config.baseMs, risk: 'low', reasons: [], suggestion: null, tables };
+    }
+
+    const calibration = await this.calibration(clientName, account, driving.table);
+    const estimatedRows = Math.max(1, Math.round(driving.estimated_rows * calibration.row_factor));
+    const estimatedMs = Math.round(calibration.base_ms + estimatedRows * calibration.ms_per_row);
+
+    const reasons = [];
+    if (estimatedRows > this.config.maxRows) {
+      reasons.push(`reads about ${estimatedRows.toLocaleString('en-US')} ${driving.table} rows (limit ${this.config.maxRows.toLocaleString('en-US')})`);
+    }
+    if (estimatedMs > this.config.maxMs) {
+      reasons.push(`is expected to take about ${Math.round(estimatedMs / 1000)}s (limit ${Math.round(this.config.maxMs / 1000)}s)`);
+    }
+    const risk = reasons.length
+      ? 'high'
+      : (estimatedRows > this.config.maxRows / 10 || estimatedMs > this.config.maxMs / 4 ? 'medium' : 'low');
+
+    return {
+      driving_table: driving.table,
+      // Before calibration; later runs compare their actual row counts with this
+      base_rows: driving.estimated_rows,
+      estimated_rows: estimatedRows,
+      estimated_ms: estimatedMs,
+      risk,
+      reasons,
+      suggestion: risk === 'low' ? null : this.suggestFilter(tables),
+      tables,
+      calibration
+    };
+  }
+
+  /**
+   * Suggest a date bound for the first large table without one
+   */
+  suggestFilter(tables) {
+    const unbounded = tables.find(table => LARGE_TABLES.has(table.table) && !table.date_bounded)
+      || tables.find(table => !table.date_bounded);
+    if (!unbounded) {
+      return 'Narrow the WHERE clause further (e.g. a shorter date range or a specific subsidiary)';
+    }
+    const column = DATE_COLUMNS[unbounded.table] || 'lastmodifieddate';
+    return `Bound ${unbounded.table} by date, e.g. ${column} >= ADD_MONTHS(SYSDATE, -3)`;
+  }
+
+  /**
+   * Learned adjustments for an account: how actual row counts compare with
+   * estimates for the driving table, and request overhead and time per row
+   * from earlier runs. Defaults apply until there are enough runs.
+   */
+  async calibration(clientName, account, drivingTable) {
+    const runs = await this.db.all(`
+      SELECT driving_table, base_rows, estimated_rows, actual_rows, complete, actual_ms
+      FROM netsuite_query_runs
+      WHERE client_name = ? AND account_id = ? AND success = 1 AND actual_ms IS NOT NULL
+      ORDER BY created_at DESC
+      LIMIT 100
+    `, [clientName, account]);
+
+    // Only complete result sets say how many rows actually matched
+    const ratios = runs
+      .filter(run => run.driving_table === drivingTable && run.complete && run.base_rows > 0)
+      .map(run => Math.min(100, Math.max(0.001, run.actual_rows / run.base_rows)));
+
+    const small = runs.filter(run => run.estimated_rows < 1000).map(run => run.actual_ms);
+    const baseMs = small.length >= MIN_SAMPLES ? median(small) : this.config.baseMs;
+    const perRow = runs
+      .filter(run => run.estimated_rows >= 1000)
+      .map(run => Math.max(0, run.actual_ms - baseMs) / run.estimated_rows);
+
+    return {
+      samples: runs.length,
+      row_factor: ratios.length >= MIN_SAMPLES ? median(ratios) : 1,
+      base_ms: Math.round(baseMs),
+      ms_per_row: perRow.length >= MIN_SAMPLES ? median(perRow) : this.config.msPerRow
+    };
+  }
+
+  /**
+   * Store a run's estimate next to what actually happened
+   */
+  async recordRun({ clientName, accountId, normalizedQuery }, estimate, { forced = false, actualRows = null, complete = false, actualMs, success = true, error = null }) {
+    await this.db.run(`
+      INSERT INTO netsuite_query_runs
+        (client_name, account_id, driving_table, normalized_query, base_rows, estimated_rows, estimated_ms,
+         risk, forced, actual_rows, complete, actual_ms, success, error, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      clientName,
+      accountId.toUpperCase(),
+      estimate.driving_table || null,
+      normalizedQuery,
+      estimate.base_rows,
+      estimate.estimated_rows,
+      estimate.estimated_ms,
+      estimate.risk,
+      forced ? 1 : 0,
+      actualRows,
+      complete ? 1 : 0,
+      actualMs,
+      success ? 1 : 0,
+      error,
+      new Date().toISOString()
+    ]);
+  }
+}
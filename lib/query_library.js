@@ -0,0 +1,359 @@
+/**
+ * Client Query Library
+ * Loads named SuiteQL queries from resources/<client>-queries.json, binds their
+ * {placeholders} to typed, escaped values and saves new queries back to the library
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { analyzeSuiteQL } from './suiteql_parser.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const PARAMETER_TYPES = ['string', 'integer', 'number', 'boolean', 'date', 'id_list'];
+const PLACEHOLDER_PATTERN = /\{([a-z_][a-z0-9_]*)\}/gi;
+
+export class QueryLibrary {
+  constructor(options = {}) {
+    this.resourcesDir = options.resourcesDir || path.join(dirname(__dirname), 'resources');
+  }
+
+  libraryPath(clientName) {
+    const safeName = String(clientName).toLowerCase().replace(/[^a-z0-9_-]/g, '');
+    if (!safeName) {
+      throw new Error(`Invalid client name for query library: ${clientName}`);
+    }
+    return path.join(this.resourcesDir, `${safeName}-queries.json`);
+  }
+
+  /**
+   * Load a client's library; a client without a library file gets an empty one
+   */
+  async loadLibrary(clientName) {
+    try {
+      const content = await fs.readFile(this.libraryPath(clientName), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load query library for ${clientName}: ${error.message}`);
+      }
+      return {
+        name: `${clientName} Query Library`,
+        description: `Saved NetSuite queries for ${clientName}`,
+        client: clientName,
+        version: '1.0.0',
+        last_updated: new Date().toISOString().split('T')[0],
+        categories: {}
+      };
+    }
+  }
+
+  /**
+   * Flatten the library into a list of queries with normalized parameter specs
+   */
+  async listQueries(clientName, category = null) {
+    const library = await this.loadLibrary(clientName);
+    const queries = [];
+
+    for (const [categoryKey, categoryData] of Object.entries(library.categories || {})) {
+      if (category && category !== categoryKey) continue;
+      for (const [key, definition] of Object.entries(categoryData.queries || {})) {
+        queries.push(this.describe(categoryKey, key, definition));
+      }
+    }
+
+    if (!category || category === 'quick_start') {
+      for (const definition of library.quick_start_queries || []) {
+        queries.push(this.describe('quick_start', this.slug(definition.name), definition));
+      }
+    }
+
+    return queries;
+  }
+
+  describe(category, key, definition) {
+    return {
+      id: `${category}.${key}`,
+      category,
+      key,
+      name: definition.name,
+      description: definition.description,
+      query: definition.query,
+      parameters: this.normalizeParameters(definition),
+      expected_columns: definition.expected_columns || [],
+      cache_ttl: definition.cache_ttl ?? null
+    };
+  }
+
+  /**
+   * Find a query by "category.key" or by a key that is unique across categories
+   */
+  async getQuery(clientName, queryId) {
+    const queries = await this.listQueries(clientName);
+    const exact = queries.find(q => q.id === queryId);
+    if (exact) return exact;
+
+    const byKey = queries.filter(q => q.key === queryId);
+    if (byKey.length === 1) return byKey[0];
+    if (byKey.length > 1) {
+      throw new Error(`Query key "${queryId}" is ambiguous; use one of: ${byKey.map(q => q.id).join(', ')}`);
+    }
+    throw new Error(`Query "${queryId}" not found in ${clientName} library`);
+  }
+
+  /**
+   * Parameters may be declared as plain names (typed as strings) or as
+   * { name, type, required, default, description } objects. Placeholders that
+   * are used in the query but not declared are treated as required strings.
+   */
+  normalizeParameters(definition) {
+    const declared = (definition.parameters || []).map(parameter => typeof parameter === 'string'
+      ? { name: parameter, type: 'string', required: true }
+      : { type: 'string', required: parameter.default === undefined, ...parameter });
+
+    for (const name of this.placeholders(definition.query)) {
+      if (!declared.some(parameter => parameter.name === name)) {
+        declared.push({ name, type: 'string', required: true });
+      }
+    }
+
+    for (const parameter of declared) {
+      if (!PARAMETER_TYPES.includes(parameter.type)) {
+        throw new Error(`Parameter ${parameter.name} has unsupported type ${parameter.type}`);
+      }
+    }
+    return declared;
+  }
+
+  placeholders(query) {
+    return [...new Set([...String(query).matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+  }
+
+  /**
+   * Substitute placeholders with escaped literals. Placeholders inside a string
+   * literal ('%{search_term}%') are spliced into it with quotes doubled;
+   * placeholders outside become typed SuiteQL literals.
+   * @returns {string} Bound query
+   */
+  bind(query, parameterSpecs, values = {}) {
+    const specs = new Map(parameterSpecs.map(spec => [spec.name, spec]));
+    const unknown = Object.keys(values).filter(name => !specs.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown parameter(s): ${unknown.join(', ')}`);
+    }
+
+    const resolved = {};
+    for (const spec of parameterSpecs) {
+      const value = values[spec.name] ?? spec.default;
+      if (value === undefined || value === null || value === '') {
+        if (spec.required) {
+          throw new Error(`Missing required parameter: ${spec.name}`);
+        }
+        continue;
+      }
+      resolved[spec.name] = this.coerce(spec, value);
+    }
+
+    let bound = '';
+    let inString = false;
+    for (let i = 0; i < query.length; i++) {
+      const ch = query[i];
+      if (ch === '\'') {
+        // '' inside a literal is an escaped quote, not the end of the literal
+        if (inString && query[i + 1] === '\'') {
+          bound += '\'\'';
+          i++;
+          continue;
+        }
+        inString = !inString;
+        bound += ch;
+        continue;
+      }
+
+      const match = ch === '{' ? query.slice(i).match(/^\{([a-z_][a-z0-9_]*)\}/i) : null;
+      if (!match) {
+        bound += ch;
+        continue;
+      }
+
+      const name = match[1];
+      if (!(name in resolved)) {
+        throw new Error(`No value for parameter: ${name}`);
+      }
+      const spec = specs.get(name);
+      bound += inString ? this.inlineValue(spec, resolved[name]) : this.literal(spec, resolved[name]);
+      i += match[0].length - 1;
+    }
+
+    return bound;
+  }
+
+  /**
+   * Validate and convert a raw parameter value to its declared type
+   */
+  coerce(spec, value) {
+    switch (spec.type) {
+      case 'integer': {
+        const text = String(value).trim();
+        if (!/^-?\d+$/.test(text)) {
+          throw new Error(`Parameter ${spec.name} must be an integer`);
+        }
+        return text;
+      }
+      case 'number': {
+        const number = Number(value);
+        if (!Number.isFinite(number)) {
+          throw new Error(`Parameter ${spec.name} must be a number`);
+        }
+        return String(number);
+      }
+      case 'boolean':
+        if (![true, false, 'true', 'false', 'T', 'F'].includes(value)) {
+          throw new Error(`Parameter ${spec.name} must be a boolean`);
+        }
+        return value === true || value === 'true' || value === 'T' ? 'T' : 'F';
+      case 'date': {
+        const text = String(value).trim();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(Date.parse(text))) {
+          throw new Error(`Parameter ${spec.name} must be a date (YYYY-MM-DD)`);
+        }
+        return text;
+      }
+      case 'id_list': {
+        const ids = (Array.isArray(value) ? value : String(value).split(',')).map(id => String(id).trim());
+        if (ids.length === 0 || !ids.every(id => /^\d+$/.test(id))) {
+          throw new Error(`Parameter ${spec.name} must be a list of internal IDs`);
+        }
+        return ids;
+      }
+      default: {
+        const text = String(value);
+        if (/[\u0000-\u001f]/.test(text)) {
+          throw new Error(`Parameter ${spec.name} contains control characters`);
+        }
+        return text;
+      }
+    }
+  }
+
+  literal(spec, value) {
+    switch (spec.type) {
+      case 'integer':
+      case 'number':
+        return value;
+      case 'id_list':
+        return value.join(', ');
+      case 'date':
+        return `TO_DATE('${value}', 'YYYY-MM-DD')`;
+      default:
+        return `'${value.replace(/'/g, '\'\'')}'`;
+    }
+  }
+
+  inlineValue(spec, value) {
+    if (spec.type === 'id_list') {
+      throw new Error(`Parameter ${spec.name} (id_list) cannot be used inside a string literal`);
+    }
+    return String(value).replace(/'/g, '\'\'');
+  }
+
+  /**
+   * Compare the columns NetSuite returned against expected_columns. SuiteQL
+   * leaves null fields out of each row, so columns are collected across all rows.
+   */
+  checkColumns(rows, expectedColumns = []) {
+    const returned = new Set();
+    for (const row of rows) {
+      Object.keys(row).filter(key => key !== 'links').forEach(key => returned.add(key.toLowerCase()));
+    }
+
+    const expected = expectedColumns.map(column => column.toLowerCase());
+    const missing = expected.filter(column => !returned.has(column));
+    const unexpected = [...returned].filter(column => !expected.includes(column));
+
+    return {
+      checked: rows.length > 0 && expected.length > 0,
+      matches: rows.length > 0 && missing.length === 0 && unexpected.length === 0,
+      expected_columns: expected,
+      returned_columns: [...returned],
+      missing_columns: missing,
+      unexpected_columns: unexpected,
+      note: rows.length === 0 ? 'No rows returned; columns could not be checked' : null
+    };
+  }
+
+  /**
+   * Save a query into a client's library
+   */
+  async saveQuery(clientName, {
+    key,
+    category = 'custom',
+    name = null,
+    description = '',
+    query,
+    parameters = null,
+    expectedColumns = null,
+    cacheTtl = null,
+    overwrite = false
+  }) {
+    const slug = this.slug(key || name || '');
+    if (!slug) {
+      throw new Error('A key or name is required to save a query');
+    }
+
+    const definition = { name: name || slug, description, query };
+    definition.parameters = parameters || this.placeholders(query);
+    const parameterSpecs = this.normalizeParameters(definition);
+
+    // Validate the query shape with sample values so placeholders do not break parsing
+    const sample = Object.fromEntries(parameterSpecs.map(spec => [spec.name, this.sampleValue(spec)]));
+    const analysis = analyzeSuiteQL(this.bind(query, parameterSpecs, sample));
+    if (!analysis.valid) {
+      const error = new Error(`Query validation failed: ${analysis.reason}`);
+      error.diagnostics = analysis.diagnostics;
+      throw error;
+    }
+
+    definition.expected_columns = expectedColumns || analysis.outputColumns.filter(column => column && column !== '*');
+    if (definition.parameters.length === 0) {
+      delete definition.parameters;
+    }
+    if (cacheTtl !== null && cacheTtl !== undefined) {
+      definition.cache_ttl = cacheTtl;
+    }
+
+    const library = await this.loadLibrary(clientName);
+    library.categories = library.categories || {};
+    library.categories[category] = library.categories[category] || {
+      title: category.charAt(0).toUpperCase() + category.slice(1).replace(/_/g, ' '),
+      description: 'Saved ad-hoc queries',
+      queries: {}
+    };
+
+    const queries = library.categories[category].queries;
+    if (queries[slug] && !overwrite) {
+      throw new Error(`Query ${category}.${slug} already exists; set overwrite to replace it`);
+    }
+    queries[slug] = definition;
+    library.last_updated = new Date().toISOString().split('T')[0];
+
+    // Write to a temp file and rename so a failed write never truncates the library
+    const filePath = this.libraryPath(clientName);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(library, null, 2) + '\n');
+    await fs.rename(tempPath, filePath);
+
+    return { ...this.describe(category, slug, definition), diagnostics: analysis.diagnostics };
+  }
+
+  sampleValue(spec) {
+    return { integer: 1, number: 1, boolean: 'T', date: '2000-01-01', id_list: [1] }[spec.type] ?? 'sample';
+  }
+
+  slug(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Query Result Differ
+ * Joins two SuiteQL result sets on a key column and reports added, removed
+ * and changed rows with field-level differences
+ */
+
+/**
+ * Comparable form of a cell. SuiteQL leaves null fields out of a row, so a
+ * missing field and null compare equal.
+ */
+function cellValue(value) {
+  if (value === undefined || value === null) return null;
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Index rows by key column, recording keys that appear more than once
+ */
+function indexRows(rows, key) {
+  const index = new Map();
+  const duplicates = new Set();
+  let missingKey = 0;
+  for (const row of rows) {
+    const value = cellValue(row[key]);
+    if (value === null) {
+      missingKey++;
+      continue;
+    }
+    if (index.has(value)) duplicates.add(value);
+    index.set(value, row);
+  }
+  return { index, duplicates: [...duplicates], missingKey };
+}
+
+/**
+ * Diff two result sets
+ * @param {Array<Object>} leftRows - Baseline rows
+ * @param {Array<Object>} rightRows - Rows to compare with the baseline
+ * @param {Object} options - { key, ignoreColumns }
+ * @returns {Object} { columns, added, removed, changed, unchanged, duplicates, missing_key }
+ */
+export function diffRows(leftRows, rightRows, { key = 'id', ignoreColumns = [] } = {}) {
+  // SuiteQL returns lowercase column names
+  const keyColumn = key.toLowerCase();
+  const ignored = new Set(['links', keyColumn, ...ignoreColumns.map(column => column.toLowerCase())]);
+
+  const columns = [];
+  for (const row of [...leftRows, ...rightRows]) {
+    for (const column of Object.keys(row)) {
+      if (!ignored.has(column) && !columns.includes(column)) {
+        columns.push(column);
+      }
+    }
+  }
+
+  const left = indexRows(leftRows, keyColumn);
+  const right = indexRows(rightRows, keyColumn);
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [keyValue, rightRow] of right.index) {
+    const leftRow = left.index.get(keyValue);
+    if (!leftRow) {
+      added.push({ key: keyValue, row: rightRow });
+      continue;
+    }
+
+    const fields = {};
+    for (const column of columns) {
+      const before = cellValue(leftRow[column]);
+      const after = cellValue(rightRow[column]);
+      if (before !== after) {
+        fields[column] = { left: leftRow[column] ?? null, right: rightRow[column] ?? null };
+      }
+    }
+    if (Object.keys(fields).length) {
+      changed.push({ key: keyValue, fields });
+    } else {
+      unchanged++;
+    }
+  }
+
+  const removed = [...left.index]
+    .filter(([keyValue]) => !right.index.has(keyValue))
+    .map(([keyValue, row]) => ({ key: keyValue, row }));
+
+  return {
+    key: keyColumn,
+    columns,
+    added,
+    removed,
+    changed,
+    unchanged,
+    duplicates: { left: left.duplicates, right: right.duplicates },
+    missing_key: { left: left.missingKey, right: right.missingKey }
+  };
+}
+
+/**
+ * Count changes per column, most changed first
+ */
+export function summarizeChanges(changed) {
+  const counts = {};
+  for (const { fields } of changed) {
+    for (const column of Object.keys(fields)) {
+      counts[column] = (counts[column] || 0) + 1;
+    }
+  }
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([column, rows]) => ({ column, rows }));
+}
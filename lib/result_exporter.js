@@ -0,0 +1,163 @@
+/**
+ * Query Result Exporter
+ * Formats SuiteQL result rows as CSV, TSV, JSONL or Markdown and writes exports
+ * into a client's project directory
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const OUTPUT_FORMATS = ['json', 'csv', 'tsv', 'jsonl', 'markdown'];
+
+const FORMAT_EXTENSIONS = {
+  '.json': 'json',
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+  '.md': 'markdown'
+};
+
+export class ResultExporter {
+  /**
+   * Pick the output format from the explicit option or the output_path extension
+   */
+  resolveFormat(outputFormat, outputPath) {
+    if (outputFormat) {
+      if (!OUTPUT_FORMATS.includes(outputFormat)) {
+        throw new Error(`Unsupported output_format ${outputFormat}; use one of: ${OUTPUT_FORMATS.join(', ')}`);
+      }
+      return outputFormat;
+    }
+    if (outputPath) {
+      const format = FORMAT_EXTENSIONS[path.extname(outputPath).toLowerCase()];
+      if (!format) {
+        throw new Error(`Cannot infer format from ${outputPath}; set output_format or use one of: ${Object.keys(FORMAT_EXTENSIONS).join(', ')}`);
+      }
+      return format;
+    }
+    return 'json';
+  }
+
+  /**
+   * Resolve output_path inside the project root. Exports may only create files
+   * with an export extension, so a bad path cannot overwrite project sources.
+   */
+  resolveOutputPath(projectRoot, outputPath) {
+    const root = path.resolve(projectRoot);
+    const target = path.resolve(root, outputPath);
+    if (!target.startsWith(root + path.sep)) {
+      throw new Error(`output_path must be inside the client project (${root})`);
+    }
+    if (!FORMAT_EXTENSIONS[path.extname(target).toLowerCase()]) {
+      throw new Error(`output_path must end in one of: ${Object.keys(FORMAT_EXTENSIONS).join(', ')}`);
+    }
+    return target;
+  }
+
+  /**
+   * Order columns as in the SELECT list. Columns the list does not name
+   * (SELECT *, unaliased expressions) are filled in where they appear in it,
+   * in the order NetSuite returned them.
+   * @param {Array<string|null>} outputColumns - Output columns from the SuiteQL parser
+   */
+  orderColumns(outputColumns, rows) {
+    const returned = [];
+    for (const row of rows) {
+      for (const key of Object.keys(row)) {
+        if (key !== 'links' && !returned.includes(key)) {
+          returned.push(key);
+        }
+      }
+    }
+
+    const named = [];
+    let fillAt = -1;
+    for (const column of outputColumns || []) {
+      if (!column || column === '*') {
+        if (fillAt === -1) fillAt = named.length;
+        continue;
+      }
+      const key = returned.find(name => name.toLowerCase() === column.toLowerCase()) || column.toLowerCase();
+      if (!named.includes(key)) {
+        named.push(key);
+      }
+    }
+
+    const unnamed = returned.filter(key => !named.includes(key));
+    if (fillAt === -1) fillAt = named.length;
+    return [...named.slice(0, fillAt), ...unnamed, ...named.slice(fillAt)];
+  }
+
+  /**
+   * Render rows in the given format
+   * @returns {string} Formatted content
+   */
+  format(rows, columns, format) {
+    switch (format) {
+      case 'csv':
+        // BOM so Excel opens the file as UTF-8; CRLF as Excel writes it
+        return '\ufeff' + [columns, ...rows.map(row => columns.map(column => row[column]))]
+          .map(values => values.map(value => this.csvCell(value)).join(','))
+          .join('\r\n') + '\r\n';
+      case 'tsv':
+        return [columns, ...rows.map(row => columns.map(column => row[column]))]
+          .map(values => values.map(value => this.tsvCell(value)).join('\t'))
+          .join('\n') + '\n';
+      case 'jsonl':
+        return rows.map(row => JSON.stringify(this.pick(row, columns))).join('\n') + (rows.length ? '\n' : '');
+      case 'markdown':
+        return [
+          `| ${columns.map(column => this.markdownCell(column)).join(' | ')} |`,
+          `| ${columns.map(() => '---').join(' | ')} |`,
+          ...rows.map(row => `| ${columns.map(column => this.markdownCell(row[column])).join(' | ')} |`)
+        ].join('\n') + '\n';
+      case 'json':
+        return JSON.stringify(rows.map(row => this.pick(row, columns)), null, 2) + '\n';
+      default:
+        throw new Error(`Unsupported output format: ${format}`);
+    }
+  }
+
+  /**
+   * Write formatted content atomically and report where it went
+   */
+  async write(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, content);
+    await fs.rename(tempPath, filePath);
+    return { filePath, bytes: Buffer.byteLength(content) };
+  }
+
+  pick(row, columns) {
+    return Object.fromEntries(columns.map(column => [column, row[column] ?? null]));
+  }
+
+  text(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  /**
+   * Spreadsheet apps run cells starting with = + - @ as formulas; prefix text
+   * like that with a quote. Plain numbers are left alone.
+   */
+  spreadsheetText(value) {
+    const text = this.text(value);
+    return /^[=+\-@]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text) ? `'${text}` : text;
+  }
+
+  csvCell(value) {
+    const text = this.spreadsheetText(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  tsvCell(value) {
+    return this.spreadsheetText(value).replace(/[\t\r\n]+/g, ' ');
+  }
+
+  markdownCell(value) {
+    return this.text(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+  }
+}
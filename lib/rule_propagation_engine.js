@@ -5,6 +5,18 @@
 
 import { ValidationRuleManager } from './validation_rule_manager.js';
 
+const RULE_DEMOTIONS_TABLE = `
+    CREATE TABLE IF NOT EXISTS rule_demotions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rule_id TEXT NOT NULL,
+        old_priority TEXT NOT NULL,
+        new_priority TEXT NOT NULL,
+        applications INTEGER,
+        negative_feedback INTEGER,
+        demoted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+`;
+
 export class RulePropagationEngine extends ValidationRuleManager {
     constructor(db) {
         super(db);
@@ -59,6 +71,7 @@ export class RulePropagationEngine extends ValidationRuleManager {
             rulesAnalyzed: 0,
             rulesPromoted: 0,
             rulesDeactivated: 0,
+            rulesDemoted: 0,
             newRulesLearned: 0
         };
 
@@ -71,9 +84,10 @@ export class RulePropagationEngine extends ValidationRuleManager {
             const learningResults = await this.learnFromRecentErrors();
             stats.newRulesLearned = learningResults.newRules || 0;
 
-            // 3. Deactivate ineffective rules
+            // 3. Demote rules people keep suppressing, deactivate ineffective ones
             const cleanupResults = await this.deactivateIneffectiveRules();
             stats.rulesDeactivated = cleanupResults.deactivated || 0;
+            stats.rulesDemoted = cleanupResults.demoted || 0;
 
             // 4. Update rule confidence scores
             await this.updateRuleConfidenceScores();
@@ -83,7 +97,7 @@ export class RulePropagationEngine extends ValidationRuleManager {
             await this.logPropagationCycle(stats, duration);
 
             console.log(`✅ Propagation cycle completed in ${duration}ms`);
-            console.log(`📊 Stats: ${stats.rulesPromoted} promoted, ${stats.newRulesLearned} learned, ${stats.rulesDeactivated} deactivated`);
+            console.log(`📊 Stats: ${stats.rulesPromoted} promoted, ${stats.newRulesLearned} learned, ${stats.rulesDemoted} demoted, ${stats.rulesDeactivated} deactivated`);
 
         } catch (error) {
             console.error('❌ Propagation cycle failed:', error.message);
@@ -215,23 +229,42 @@ export class RulePropagationEngine extends ValidationRuleManager {
     }
 
     /**
-     * Deactivate rules that are consistently ineffective
+     * Deactivate rules that are consistently ineffective. Rules people keep
+     * suppressing are demoted one priority level at a time instead, so a rule
+     * that is noisy in some projects stays available to the rest. A demoted
+     * rule is judged again only on applications and feedback recorded after
+     * the day it was demoted.
      */
     async deactivateIneffectiveRules() {
         console.log('🗑️  Cleaning up ineffective rules...');
+        await this.dbRun(RULE_DEMOTIONS_TABLE);
 
         const query = `
             SELECT 
                 r.rule_id,
+                r.priority,
                 r.confidence,
                 r.effectiveness_score,
                 COUNT(ra.id) as applications,
                 SUM(CASE WHEN ra.success = 1 THEN 1 ELSE 0 END) as successes,
-                SUM(CASE WHEN ra.false_positive = 1 THEN 1 ELSE 0 END) as false_positives
+                SUM(CASE WHEN ra.false_positive = 1 THEN 1 ELSE 0 END) as false_positives,
+                (
+                    SELECT COALESCE(SUM(re.user_feedback_negative), 0)
+                    FROM rule_effectiveness re
+                    WHERE re.rule_id = r.rule_id
+                    AND re.time_period > date('now', '-30 days')
+                    AND re.time_period > COALESCE(date(d.demoted_at), '')
+                ) as negative_feedback
             FROM validation_rules r
+            LEFT JOIN (
+                SELECT rule_id, MAX(demoted_at) as demoted_at
+                FROM rule_demotions
+                GROUP BY rule_id
+            ) d ON d.rule_id = r.rule_id
             LEFT JOIN rule_applications ra ON r.rule_id = ra.rule_id
             WHERE r.is_active = 1
             AND ra.applied_at > datetime('now', '-30 days')
+            AND ra.applied_at > COALESCE(date(d.demoted_at, '+1 day'), '')
             GROUP BY r.rule_id
             HAVING applications >= 10
             ORDER BY effectiveness_score ASC
@@ -239,18 +272,58 @@ export class RulePropagationEngine extends ValidationRuleManager {
 
         const rules = await this.dbAll(query);
         let deactivated = 0;
+        let demoted = 0;
 
         for (const rule of rules) {
-            const shouldDeactivate = this.shouldDeactivateRule(rule);
-            
-            if (shouldDeactivate) {
+            const newPriority = this.calculateDemotedPriority(rule);
+
+            if (newPriority !== rule.priority) {
+                await this.demoteRule(rule.rule_id, newPriority);
+                await this.recordDemotion(rule, newPriority);
+                console.log(`📉 Demoted suppressed rule ${rule.rule_id} from ${rule.priority} to ${newPriority}`);
+                demoted++;
+            } else if (this.shouldDeactivateRule(rule)) {
                 await this.deactivateRule(rule.rule_id);
                 console.log(`🗑️  Deactivated ineffective rule: ${rule.rule_id}`);
                 deactivated++;
             }
         }
 
-        return { deactivated };
+        return { deactivated, demoted };
+    }
+
+    /**
+     * Remember a demotion, so its feedback does not demote the rule again
+     */
+    async recordDemotion(rule, newPriority) {
+        await this.dbRun(`
+            INSERT INTO rule_demotions (rule_id, old_priority, new_priority, applications, negative_feedback)
+            VALUES (?, ?, ?, ?, ?)
+        `, [rule.rule_id, rule.priority, newPriority, rule.applications, rule.negative_feedback]);
+    }
+
+    /**
+     * Priority for a rule after its negative feedback: suppressions and hook
+     * bypasses on most findings move it one step down error -> warning ->
+     * suggestion
+     */
+    calculateDemotedPriority(rule) {
+        const { applications, negative_feedback = 0, priority } = rule;
+        const negativeFeedbackRate = applications > 0 ? (negative_feedback / applications) : 0;
+
+        if (negativeFeedbackRate <= 0.5) {
+            return priority;
+        }
+
+        // Demotion ladder
+        switch (priority) {
+            case 'error':
+                return 'warning';
+            case 'warning':
+                return 'suggestion';
+            default:
+                return priority;
+        }
     }
 
     /**
@@ -0,0 +1,314 @@
+/**
+ * NetSuite Schema Explorer
+ * Caches record type lists and describe schemas per client and account in the
+ * shared SQLite database, and turns them into field, join, custom field and
+ * SuiteQL column listings
+ */
+
+export const SCHEMA_VIEWS = ['summary', 'fields', 'joins', 'custom_fields', 'sublists', 'suiteql_columns'];
+
+// Script ID prefixes NetSuite gives custom fields, by where the field lives
+const CUSTOM_FIELD_PREFIXES = {
+  custbody: 'transaction body',
+  custcol: 'transaction line',
+  custentity: 'entity',
+  custitem: 'item',
+  custrecord: 'custom record',
+  custevent: 'CRM event',
+  custitemnumber: 'item number'
+};
+
+// Row key holding the account's record type list
+const RECORD_TYPE_LIST = '*';
+
+/**
+ * Classify a field ID as a custom field by its prefix
+ * @returns {string|null} The prefix (custbody, custcol, ...) or null for standard fields
+ */
+export function customFieldKind(fieldId) {
+  const prefix = Object.keys(CUSTOM_FIELD_PREFIXES)
+    .sort((a, b) => b.length - a.length)
+    .find(candidate => fieldId.toLowerCase().startsWith(candidate));
+  return prefix || null;
+}
+
+/**
+ * Record type a reference or sublist points at, taken from a metadata-catalog $ref
+ */
+function refTarget(definition) {
+  const ref = definition.$ref || definition.items?.$ref || definition.properties?.items?.items?.$ref;
+  if (!ref) return null;
+  return ref.split('/').filter(Boolean).pop().replace(/Collection$|Element$/, '') || null;
+}
+
+function isReference(definition) {
+  return Boolean(definition.$ref)
+    || (definition.type === 'object' && Boolean(definition.properties) && 'id' in definition.properties && 'refName' in definition.properties);
+}
+
+function isSublist(definition) {
+  return definition.type === 'object' && definition.properties?.items?.type === 'array';
+}
+
+/**
+ * Summarize a describe schema (JSON Schema with NetSuite x-ns-* extensions)
+ * into fields, joins, sublists, custom fields and SuiteQL columns
+ */
+export function summarizeRecordSchema(recordType, schema) {
+  const properties = schema.properties || {};
+  const required = new Set(schema.required || []);
+  const table = recordType.toLowerCase();
+
+  const fields = [];
+  const joins = [];
+  const sublists = [];
+
+  for (const [id, definition] of Object.entries(properties)) {
+    if (id === 'links') continue;
+
+    const kind = customFieldKind(id);
+    const custom = Boolean(kind || definition['x-ns-custom-field']);
+
+    if (isSublist(definition)) {
+      sublists.push({ id, label: definition.title || id, record_type: refTarget(definition), custom });
+      continue;
+    }
+
+    const reference = isReference(definition);
+    const field = {
+      id,
+      label: definition.title || id,
+      type: reference ? 'reference' : (definition.format ? `${definition.type}:${definition.format}` : definition.type || 'unknown'),
+      required: required.has(id),
+      read_only: Boolean(definition.readOnly),
+      custom,
+      ...(kind ? { custom_kind: kind, applies_to: CUSTOM_FIELD_PREFIXES[kind] } : {}),
+      ...(definition.enum ? { values: definition.enum } : {})
+    };
+    fields.push(field);
+
+    if (reference) {
+      const target = refTarget(definition);
+      joins.push({
+        field: id,
+        label: field.label,
+        record_type: target,
+        custom,
+        join: target
+          ? `JOIN ${target.toLowerCase()} ON ${target.toLowerCase()}.id = ${table}.${id.toLowerCase()}`
+          : null,
+        display: `BUILTIN.DF(${table}.${id.toLowerCase()})`
+      });
+    }
+  }
+
+  // SuiteQL column names are the lowercased field IDs; references hold the internal ID
+  const suiteqlColumns = fields.map(field => ({
+    column: field.id.toLowerCase(),
+    type: field.type,
+    label: field.label,
+    ...(field.type === 'reference' ? { display: `BUILTIN.DF(${table}.${field.id.toLowerCase()})` } : {})
+  }));
+
+  return {
+    record_type: recordType,
+    title: schema.title || recordType,
+    field_count: fields.length,
+    fields,
+    joins,
+    sublists,
+    custom_fields: fields.filter(field => field.custom),
+    suiteql_columns: suiteqlColumns
+  };
+}
+
+/**
+ * Closest known column to an unknown one: a case or underscore variant, a
+ * substring match, or a column within two edits
+ */
+export function suggestColumn(name, columns) {
+  const wanted = name.toLowerCase();
+  const squash = value => value.replace(/_/g, '');
+  const exact = columns.find(column => squash(column) === squash(wanted));
+  if (exact) return exact;
+
+  const contains = columns.filter(column => column.includes(wanted) || (column.length > 3 && wanted.includes(column)));
+  if (contains.length) {
+    return contains.sort((a, b) => Math.abs(a.length - wanted.length) - Math.abs(b.length - wanted.length))[0];
+  }
+
+  let best = null;
+  let bestDistance = 3;
+  for (const column of columns) {
+    const distance = editDistance(wanted, column);
+    if (distance < bestDistance) {
+      best = column;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+export class SchemaExplorer {
+  constructor(database, options = {}) {
+    this.db = database;
+    this.config = {
+      ttl: options.ttl ?? (parseInt(process.env.NETSUITE_SCHEMA_TTL) || 7 * 24 * 3600) // seconds
+    };
+  }
+
+  /**
+   * Create the metadata cache table
+   */
+  async initialize() {
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS netsuite_schema_cache (
+        client_name TEXT NOT NULL,
+        account_id TEXT NOT NULL,
+        record_type TEXT NOT NULL,
+        metadata TEXT NOT NULL,
+        fetched_at TEXT NOT NULL,
+        PRIMARY KEY (client_name, account_id, record_type)
+      );
+    `);
+  }
+
+  /**
+   * Record types in the account's metadata catalog, from cache unless stale or refreshed
+   */
+  async listRecordTypes(apiClient, { clientName, accountId, refresh = false }) {
+    return this.cached({ clientName, accountId, recordType: RECORD_TYPE_LIST, refresh }, async () => {
+      const result = await apiClient.listRecordTypes();
+      if (!result.success) return result;
+      return {
+        success: true,
+        record_types: result.recordTypes.map(name => ({
+          name,
+          custom: name.toLowerCase().startsWith('customrecord')
+        }))
+      };
+    });
+  }
+
+  /**
+   * Summarized describe schema for one record type, from cache unless stale or refreshed
+   */
+  async describeRecord(apiClient, { clientName, accountId, recordType, refresh = false }) {
+    const type = recordType.toLowerCase();
+    return this.cached({ clientName, accountId, recordType: type, refresh }, async () => {
+      const result = await apiClient.getRecordSchema(type);
+      if (!result.success) return result;
+      return { success: true, ...summarizeRecordSchema(type, result.schema) };
+    });
+  }
+
+  /**
+   * Serve a fresh cache row or fetch, store and return new metadata. Failed
+   * fetches are returned as-is and not stored.
+   */
+  async cached({ clientName, accountId, recordType, refresh }, fetch) {
+    const account = accountId.toUpperCase();
+    if (!refresh) {
+      const row = await this.db.get(`
+        SELECT metadata, fetched_at
+        FROM netsuite_schema_cache
+        WHERE client_name = ? AND account_id = ? AND record_type = ?
+      `, [clientName, account, recordType]);
+
+      if (row && Date.now() - new Date(row.fetched_at).getTime() < this.config.ttl * 1000) {
+        return { ...JSON.parse(row.metadata), cached: true, fetched_at: row.fetched_at };
+      }
+    }
+
+    const metadata = await fetch();
+    if (!metadata.success) {
+      return { ...metadata, cached: false };
+    }
+
+    const fetchedAt = new Date().toISOString();
+    await this.db.run(`
+      INSERT OR REPLACE INTO netsuite_schema_cache (client_name, account_id, record_type, metadata, fetched_at)
+      VALUES (?, ?, ?, ?, ?)
+    `, [clientName, account, recordType, JSON.stringify(metadata), fetchedAt]);
+
+    return { ...metadata, cached: false, fetched_at: fetchedAt };
+  }
+
+  /**
+   * Compare the columns a parsed query uses against cached record metadata.
+   * Only record types already in the cache are checked, so this never makes
+   * a request; NetSuite is the final word on anything it cannot see.
+   * @param {Object} analysis - SuiteQL parser report
+   * @returns {Array<Object>} Warning diagnostics for unknown columns
+   */
+  async checkColumns({ clientName, accountId }, analysis) {
+    const byTable = new Map();
+    for (const column of analysis.columns || []) {
+      if (!column.table) continue;
+      if (!byTable.has(column.table)) byTable.set(column.table, []);
+      byTable.get(column.table).push(column);
+    }
+
+    const warnings = [];
+    for (const [table, columns] of byTable) {
+      const row = await this.db.get(`
+        SELECT metadata
+        FROM netsuite_schema_cache
+        WHERE client_name = ? AND account_id = ? AND record_type = ?
+      `, [clientName, accountId.toUpperCase(), table]);
+      if (!row) continue;
+
+      const known = JSON.parse(row.metadata).suiteql_columns.map(column => column.column);
+      // id is a SuiteQL column on every record even when describe omits it
+      known.push('id');
+
+      for (const column of columns) {
+        if (known.includes(column.name)) continue;
+        const suggestion = suggestColumn(column.name, known);
+        warnings.push({
+          severity: 'warning',
+          code: 'unknown_column',
+          message: `${table}.${column.name} is not a known ${table} field${suggestion ? ` (did you mean ${suggestion}?)` : ''}`,
+          line: column.line,
+          column: column.column
+        });
+      }
+    }
+    return warnings;
+  }
+
+  /**
+   * Drop cached metadata for a client, optionally for one account only
+   * @returns {number} Rows removed
+   */
+  async invalidate({ clientName = null, accountId = null } = {}) {
+    const conditions = [];
+    const params = [];
+    if (clientName) {
+      conditions.push('client_name = ?');
+      params.push(clientName);
+    }
+    if (accountId) {
+      conditions.push('account_id = ?');
+      params.push(accountId.toUpperCase());
+    }
+
+    const result = await this.db.run(
+      `DELETE FROM netsuite_schema_cache${conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''}`,
+      params
+    );
+    return result?.changes || 0;
+  }
+}
@@ -0,0 +1,474 @@
+/**
+ * SDF Project Model
+ * Parses an SDF project's manifest.xml, deploy.xml and Objects/ XML into a
+ * model that maps script files to their script records, deployments and
+ * the custom fields they use
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// SDF script object types and the @NScriptType each one runs as
+export const SCRIPT_TYPES = {
+    bundleinstallationscript: 'BundleInstallationScript',
+    clientscript: 'ClientScript',
+    mapreducescript: 'MapReduceScript',
+    massupdatescript: 'MassUpdateScript',
+    portlet: 'Portlet',
+    restlet: 'Restlet',
+    scheduledscript: 'ScheduledScript',
+    sdfinstallationscript: 'SDFInstallationScript',
+    suitelet: 'Suitelet',
+    usereventscript: 'UserEventScript',
+    workflowactionscript: 'WorkflowActionScript'
+};
+
+// Custom field script ID prefixes: body, column, entity, item, CRM, record,
+// item number and other fields, plus script parameters
+const CUSTOM_FIELD_PATTERN = /^(custbody|custcol|custentity|custitem|custevent|custrecord|custitemnumber|custrecordfield|custscript)_\w+$/;
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+        }
+        return XML_ENTITIES[name.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Parse an XML document into { name, attributes, children, text } elements.
+ * Covers what SDF files use: elements, attributes, text, CDATA, comments and
+ * the XML declaration. Throws on unbalanced tags.
+ */
+export function parseXml(xml) {
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    const token = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][\s\S]*?>|<\/\s*([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/y;
+
+    let position = 0;
+    while (position < xml.length) {
+        token.lastIndex = position;
+        const match = token.exec(xml);
+        if (!match) {
+            throw new Error(`Malformed markup at offset ${position}: ${xml.slice(position, position + 40)}`);
+        }
+        position = token.lastIndex;
+        const [, cdata, closing, opening, attributeText, selfClosing, text] = match;
+        const current = stack[stack.length - 1];
+
+        if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (closing) {
+            if (current.name !== closing) {
+                throw new Error(`Unexpected </${closing}>, expected </${current.name}>`);
+            }
+            stack.pop();
+        } else if (opening) {
+            const attributes = {};
+            for (const [, name, , doubleQuoted, singleQuoted] of attributeText.matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+                attributes[name] = decodeEntities(doubleQuoted ?? singleQuoted);
+            }
+            const element = { name: opening, attributes, children: [], text: '' };
+            current.children.push(element);
+            if (!selfClosing) stack.push(element);
+        } else if (text !== undefined) {
+            current.text += decodeEntities(text);
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Unclosed <${stack[stack.length - 1].name}>`);
+    }
+    return root.children[0] || null;
+}
+
+function child(element, name) {
+    return element?.children.find(candidate => candidate.name === name) || null;
+}
+
+function childText(element, name) {
+    const found = child(element, name);
+    return found ? found.text.trim() : null;
+}
+
+/**
+ * Direct child elements with text content, e.g. <status>RELEASED</status>
+ */
+function simpleProperties(element) {
+    const properties = {};
+    for (const item of element.children) {
+        if (item.children.length === 0 && !(item.name in properties)) {
+            properties[item.name] = item.text.trim();
+        }
+    }
+    return properties;
+}
+
+/**
+ * Script IDs referenced anywhere below an element as [scriptid=...]
+ */
+function objectReferences(element, references = new Set()) {
+    for (const [, scriptid] of element.text.matchAll(/\[scriptid=([\w.]+)\]/gi)) {
+        references.add(scriptid.toLowerCase());
+    }
+    for (const item of element.children) {
+        objectReferences(item, references);
+    }
+    return references;
+}
+
+/**
+ * File Cabinet path from an SDF file reference, e.g. [/SuiteScripts/a.js]
+ */
+function fileReference(value) {
+    if (!value) return null;
+    const reference = value.trim().replace(/^\[|\]$/g, '');
+    return reference.startsWith('/') ? reference : null;
+}
+
+/**
+ * Custom field IDs used as string literals in a script's source
+ */
+function sourceFieldReferences(source) {
+    const fields = new Set();
+    for (const [, , value] of source.matchAll(/(['"`])(\w+)\1/g)) {
+        if (CUSTOM_FIELD_PATTERN.test(value)) fields.add(value.toLowerCase());
+    }
+    return fields;
+}
+
+/**
+ * Convert a deploy.xml path (~/FileCabinet/SuiteScripts/*) to a matcher for
+ * project-relative paths. A trailing /* covers the whole folder tree.
+ */
+function deployPathMatcher(deployPath) {
+    const relative = deployPath.trim().replace(/^~\//, '');
+    if (relative.endsWith('/*')) {
+        const folder = relative.slice(0, -1);
+        return candidate => candidate.startsWith(folder);
+    }
+    const pattern = new RegExp(`^${relative.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*')}$`);
+    return candidate => pattern.test(candidate);
+}
+
+function listFiles(directory, extension) {
+    if (!fs.existsSync(directory)) return [];
+    const files = [];
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) files.push(...listFiles(fullPath, extension));
+        else if (entry.name.endsWith(extension)) files.push(fullPath);
+    }
+    return files.sort();
+}
+
+export class SdfProjectModel {
+    constructor(root) {
+        this.root = root;
+        this.manifest = null;
+        this.deploy = null;
+        this.objects = [];
+        this.scripts = [];
+        this.errors = [];
+        this.byScriptId = new Map();
+        this.byFile = new Map();
+    }
+
+    /**
+     * Parse the project whose manifest.xml is in root
+     */
+    static load(root) {
+        const model = new SdfProjectModel(root);
+        model.manifest = model.parseManifest();
+        model.deploy = model.parseDeploy();
+        model.parseObjects();
+        model.linkScripts();
+        return model;
+    }
+
+    readXml(file) {
+        try {
+            return parseXml(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            this.errors.push({ file, message: error.message });
+            return null;
+        }
+    }
+
+    parseManifest() {
+        const manifest = this.readXml(path.join(this.root, 'manifest.xml'));
+        if (!manifest) return null;
+
+        const dependencies = child(manifest, 'dependencies');
+        const listed = (group, item) => (child(dependencies, group)?.children || [])
+            .filter(element => element.name === item);
+
+        return {
+            projectType: manifest.attributes.projecttype || null,
+            projectName: childText(manifest, 'projectname'),
+            frameworkVersion: childText(manifest, 'frameworkversion'),
+            publisherId: childText(manifest, 'publisherid'),
+            projectId: childText(manifest, 'projectid'),
+            projectVersion: childText(manifest, 'projectversion'),
+            dependencies: {
+                features: listed('features', 'feature').map(feature => ({
+                    name: feature.text.trim(),
+                    required: feature.attributes.required !== 'false'
+                })),
+                objects: listed('objects', 'object').map(object => object.text.trim().toLowerCase()),
+                files: listed('files', 'file').map(file => file.text.trim()),
+                applications: listed('applications', 'application').map(application => application.attributes.id)
+            }
+        };
+    }
+
+    parseDeploy() {
+        const deployFile = path.join(this.root, 'deploy.xml');
+        if (!fs.existsSync(deployFile)) return null;
+        const deploy = this.readXml(deployFile);
+        if (!deploy) return null;
+
+        const paths = group => (child(deploy, group)?.children || [])
+            .filter(element => element.name === 'path')
+            .map(element => element.text.trim());
+
+        return {
+            configuration: paths('configuration'),
+            files: paths('files'),
+            objects: paths('objects'),
+            translationImports: paths('translationimports')
+        };
+    }
+
+    parseObjects() {
+        for (const file of listFiles(path.join(this.root, 'Objects'), '.xml')) {
+            const element = this.readXml(file);
+            if (!element?.attributes.scriptid) continue;
+
+            const scriptid = element.attributes.scriptid.toLowerCase();
+            this.addObject({
+                scriptid,
+                type: element.name,
+                file,
+                parent: null,
+                properties: simpleProperties(element),
+                references: [...objectReferences(element)].filter(reference => reference !== scriptid)
+            });
+
+            if (!SCRIPT_TYPES[element.name]) continue;
+
+            const deployments = (child(element, 'scriptdeployments')?.children || [])
+                .filter(deployment => deployment.name === 'scriptdeployment' && deployment.attributes.scriptid);
+            const parameters = (child(element, 'scriptcustomfields')?.children || [])
+                .filter(parameter => parameter.attributes.scriptid);
+
+            const script = {
+                scriptid,
+                type: element.name,
+                scriptType: SCRIPT_TYPES[element.name],
+                name: childText(element, 'name'),
+                objectFile: file,
+                scriptFile: fileReference(childText(element, 'scriptfile')),
+                localFile: null,
+                deployments: deployments.map(deployment => ({
+                    scriptid: deployment.attributes.scriptid.toLowerCase(),
+                    script: scriptid,
+                    ...simpleProperties(deployment)
+                })),
+                parameters: parameters.map(parameter => parameter.attributes.scriptid.toLowerCase()),
+                customFields: []
+            };
+            this.scripts.push(script);
+
+            for (const deployment of script.deployments) {
+                const { scriptid: deploymentId, script: parent, ...properties } = deployment;
+                this.addObject({ scriptid: deploymentId, type: 'scriptdeployment', file, parent, properties, references: [] });
+            }
+        }
+    }
+
+    addObject(object) {
+        if (this.byScriptId.has(object.scriptid)) {
+            this.errors.push({ file: object.file, message: `Duplicate scriptid ${object.scriptid}, also in ${this.byScriptId.get(object.scriptid).file}` });
+        }
+        this.objects.push(object);
+        this.byScriptId.set(object.scriptid, object);
+    }
+
+    /**
+     * Resolve each script's File Cabinet path to the local file and collect
+     * the custom fields the script's XML and source reference
+     */
+    linkScripts() {
+        for (const script of this.scripts) {
+            const fields = new Set(this.byScriptId.get(script.scriptid).references.filter(reference => CUSTOM_FIELD_PATTERN.test(reference)));
+
+            if (script.scriptFile) {
+                script.localFile = path.join(this.root, 'FileCabinet', ...script.scriptFile.split('/').filter(Boolean));
+                if (fs.existsSync(script.localFile)) {
+                    for (const field of sourceFieldReferences(fs.readFileSync(script.localFile, 'utf8'))) {
+                        fields.add(field);
+                    }
+                } else {
+                    this.errors.push({ file: script.objectFile, message: `Script file ${script.scriptFile} of ${script.scriptid} is not in the project` });
+                }
+
+                const key = script.localFile.toLowerCase();
+                this.byFile.set(key, [...(this.byFile.get(key) || []), script]);
+            }
+
+            script.customFields = [...fields].sort().map(scriptid => ({
+                scriptid,
+                parameter: script.parameters.includes(scriptid),
+                defined: this.byScriptId.has(scriptid)
+            }));
+        }
+    }
+
+    /**
+     * Resolve an absolute, project-relative or File Cabinet path (/SuiteScripts/...)
+     * to the absolute local path
+     */
+    resolveFile(filePath) {
+        if (/^\/?(SuiteScripts|Templates|Web Site Hosting Files)\//.test(filePath)) {
+            return path.join(this.root, 'FileCabinet', ...filePath.split('/').filter(Boolean));
+        }
+        if (path.isAbsolute(filePath)) {
+            return path.resolve(filePath);
+        }
+        // Relative to the SDF root, or to the project folder holding src/
+        const fromRoot = path.resolve(this.root, filePath);
+        const fromProject = path.resolve(this.root, '..', filePath);
+        return !fs.existsSync(fromRoot) && fs.existsSync(fromProject) ? fromProject : fromRoot;
+    }
+
+    /**
+     * Script records whose script file is the given file
+     */
+    scriptsForFile(filePath) {
+        return this.byFile.get(this.resolveFile(filePath).toLowerCase()) || [];
+    }
+
+    /**
+     * Deployments that run the given file, with their script record
+     */
+    deploymentsForFile(filePath) {
+        return this.scriptsForFile(filePath).flatMap(script => script.deployments.map(deployment => ({
+            ...deployment,
+            scriptType: script.scriptType,
+            scriptName: script.name
+        })));
+    }
+
+    /**
+     * Scripts whose XML or source reference a custom field
+     */
+    scriptsUsingField(fieldId) {
+        const scriptid = fieldId.toLowerCase();
+        return this.scripts.filter(script => script.customFields.some(field => field.scriptid === scriptid));
+    }
+
+    getObject(scriptid) {
+        return this.byScriptId.get(scriptid.toLowerCase()) || null;
+    }
+
+    /**
+     * Whether deploy.xml includes a project path; null without a deploy.xml
+     */
+    isDeployed(filePath) {
+        if (!this.deploy) return null;
+        const relative = path.relative(this.root, this.resolveFile(filePath)).split(path.sep).join('/');
+        const group = relative.startsWith('Objects/') ? this.deploy.objects : this.deploy.files;
+        return group.some(deployPath => deployPathMatcher(deployPath)(relative));
+    }
+
+    /**
+     * SDF context of one file: its scripts, deployments and custom fields
+     */
+    describeFile(filePath) {
+        const scripts = this.scriptsForFile(filePath);
+        return {
+            file: this.resolveFile(filePath),
+            inDeploy: this.isDeployed(filePath),
+            scripts: scripts.map(script => ({
+                scriptid: script.scriptid,
+                scriptType: script.scriptType,
+                name: script.name,
+                deployments: script.deployments,
+                customFields: script.customFields
+            }))
+        };
+    }
+
+    /**
+     * Modification times of every file the model was built from, plus any
+     * Objects/ XML added since
+     */
+    fingerprint() {
+        const files = [
+            path.join(this.root, 'manifest.xml'),
+            path.join(this.root, 'deploy.xml'),
+            ...listFiles(path.join(this.root, 'Objects'), '.xml'),
+            ...this.scripts.map(script => script.localFile).filter(Boolean)
+        ];
+        return files.map(file => `${file}:${fs.existsSync(file) ? fs.statSync(file).mtimeMs : '-'}`).join('|');
+    }
+
+    summary() {
+        const scriptTypes = {};
+        for (const script of this.scripts) {
+            scriptTypes[script.scriptType] = (scriptTypes[script.scriptType] || 0) + 1;
+        }
+        return {
+            root: this.root,
+            projectType: this.manifest?.projectType || null,
+            projectName: this.manifest?.projectName || null,
+            dependencies: this.manifest?.dependencies || null,
+            deploy: this.deploy,
+            objects: this.objects.filter(object => !object.parent).length,
+            scripts: this.scripts.length,
+            deployments: this.scripts.reduce((total, script) => total + script.deployments.length, 0),
+            scriptTypes,
+            errors: this.errors
+        };
+    }
+}
+
+const loadedModels = new Map();
+
+/**
+ * Find the SDF project root: the directory holding manifest.xml, either the
+ * given directory or its src/ folder
+ */
+export function findSdfRoot(directory) {
+    for (const candidate of [directory, path.join(directory, 'src')]) {
+        if (fs.existsSync(path.join(candidate, 'manifest.xml'))) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * Load the SDF model of a project directory. Parsed models are reused until
+ * one of the files they were built from changes.
+ * @returns {SdfProjectModel|null} null when the directory is not an SDF project
+ */
+export function loadSdfProject(directory, { refresh = false } = {}) {
+    const sdfRoot = findSdfRoot(directory);
+    if (!sdfRoot) return null;
+
+    const cached = loadedModels.get(sdfRoot);
+    if (cached && !refresh && cached.fingerprint === cached.model.fingerprint()) {
+        return cached.model;
+    }
+
+    const model = SdfProjectModel.load(sdfRoot);
+    loadedModels.set(sdfRoot, { model, fingerprint: model.fingerprint() });
+    return model;
+}
+
+export default SdfProjectModel;
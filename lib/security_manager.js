@@ -41,9 +41,13 @@ export class SecurityManager {
       ],
       requireConfirmationTools: [
         'generate_tool', 'delete_tool', 'modify_schema', 'reset_database'
-      ]
+      ],
+      confirmationTokenTtl: parseInt(process.env.CONFIRMATION_TOKEN_TTL) || 300000 // 5 minutes
     };
 
+    // Outstanding confirmation tokens: token -> { sessionId, fingerprint, expiresAt }
+    this.pendingConfirmations = new Map();
+
     // Active executions tracking
     this.activeExecutions = new Map(); // sessionId -> Set of execution IDs
     
@@ -540,6 +544,74 @@ export class SecurityManager {
     return maxDepth;
   }
 
+  /**
+   * Issue a single-use token that confirms one specific operation. The token is
+   * bound to the session and to a fingerprint of the operation, so it cannot be
+   * replayed for a different change.
+   */
+  async issueConfirmationToken(sessionId, operation) {
+    const token = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + this.config.confirmationTokenTtl;
+
+    this.pendingConfirmations.set(token, {
+      sessionId,
+      fingerprint: this.fingerprintOperation(operation),
+      expiresAt
+    });
+
+    await this.logSecurityEvent(sessionId, 'confirmation_issued', 'medium', {
+      toolName: operation.tool,
+      operation: this.sanitizeForLogging(operation)
+    });
+
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * Check and use up a confirmation token. A token is spent on any attempt,
+   * including one for a different operation.
+   */
+  async consumeConfirmationToken(sessionId, token, operation) {
+    const pending = this.pendingConfirmations.get(token);
+    if (!pending || pending.sessionId !== sessionId) {
+      return { valid: false, reason: 'Unknown or already used confirmation token' };
+    }
+    this.pendingConfirmations.delete(token);
+
+    if (pending.expiresAt < Date.now()) {
+      return { valid: false, reason: 'Confirmation token expired' };
+    }
+    if (pending.fingerprint !== this.fingerprintOperation(operation)) {
+      await this.logSecurityEvent(sessionId, 'confirmation_mismatch', 'high', {
+        toolName: operation.tool,
+        operation: this.sanitizeForLogging(operation)
+      });
+      return { valid: false, reason: 'Confirmation token was issued for a different operation' };
+    }
+
+    await this.logSecurityEvent(sessionId, 'confirmation_used', 'medium', {
+      toolName: operation.tool,
+      operation: this.sanitizeForLogging(operation)
+    });
+    return { valid: true };
+  }
+
+  /**
+   * Hash an operation with object keys sorted so equal operations match
+   */
+  fingerprintOperation(operation) {
+    const canonical = (value) => {
+      if (Array.isArray(value)) {
+        return value.map(canonical);
+      }
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+      }
+      return value;
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(canonical(operation))).digest('hex');
+  }
+
   /**
    * Log security event
    */
@@ -729,7 +801,7 @@ export class SecurityManager {
    * Start cleanup tasks
    */
   startCleanupTasks() {
-    // Clean up old rate limit entries every 5 minutes
+    // Clean up old rate limit entries and expired confirmation tokens every 5 minutes
     setInterval(() => {
       const now = Date.now();
       const window = this.config.rateLimitWindow;
@@ -742,6 +814,12 @@ export class SecurityManager {
           this.rateLimits.delete(sessionId);
         }
       }
+
+      for (const [token, pending] of this.pendingConfirmations.entries()) {
+        if (pending.expiresAt < now) {
+          this.pendingConfirmations.delete(token);
+        }
+      }
     }, 5 * 60 * 1000);
 
     // Clean up old security events every hour
@@ -0,0 +1,802 @@
+/**
+ * SuiteQL Parser
+ * Tokenizes and parses SuiteQL so queries can be classified and checked on their
+ * structure instead of by keyword regexes
+ */
+
+const KEYWORDS = new Set([
+  'select', 'distinct', 'all', 'top', 'from', 'where', 'group', 'by', 'having', 'order', 'asc', 'desc',
+  'nulls', 'first', 'last', 'join', 'inner', 'left', 'right', 'full', 'outer', 'cross', 'on', 'as',
+  'and', 'or', 'not', 'in', 'is', 'null', 'like', 'between', 'exists', 'case', 'when', 'then', 'else',
+  'end', 'union', 'intersect', 'minus', 'except', 'with', 'fetch', 'next', 'rows', 'row', 'only',
+  'offset', 'escape', 'any', 'some', 'true', 'false', 'interval', 'prior', 'connect', 'start'
+]);
+
+// Statements that change data or schema; SuiteQL only allows SELECT. COMMENT
+// only starts a statement as COMMENT ON, so it is matched separately.
+const WRITE_STATEMENTS = new Set([
+  'insert', 'update', 'delete', 'merge', 'drop', 'create', 'alter', 'truncate', 'grant', 'revoke',
+  'rename', 'exec', 'execute', 'call', 'begin', 'declare', 'commit', 'rollback', 'lock'
+]);
+
+// Pseudo-columns and niladic functions that are not column references
+const BUILTINS = new Set(['rownum', 'sysdate', 'systimestamp', 'current_date', 'current_timestamp', 'level', 'dual']);
+
+// Record types large enough that an unfiltered scan routinely times out
+export const LARGE_TABLES = new Set([
+  'transaction', 'transactionline', 'transactionaccountingline', 'systemnote', 'loginaudittrail',
+  'inventoryassignment', 'inventorybalance', 'transactionshippingaddress', 'transactionbillingaddress'
+]);
+
+// Keywords that end a clause at the current nesting depth
+const CLAUSE_KEYWORDS = new Set(['from', 'where', 'group', 'having', 'order', 'union', 'intersect', 'minus', 'except', 'fetch', 'offset', 'connect', 'start']);
+const JOIN_KEYWORDS = new Set(['join', 'inner', 'left', 'right', 'full', 'cross']);
+
+export class SuiteQLParser {
+  /**
+   * Split a query into tokens. Comments are kept as tokens so callers can see
+   * them, but every other stage ignores them.
+   * @param {string} query - SuiteQL text
+   * @returns {{ tokens: Array, diagnostics: Array }}
+   */
+  tokenize(query) {
+    const tokens = [];
+    const diagnostics = [];
+    let i = 0;
+    let line = 1;
+    let lineStart = 0;
+
+    const position = (offset) => ({ offset, line, column: offset - lineStart + 1 });
+    const advanceLines = (from, to) => {
+      for (let j = from; j < to; j++) {
+        if (query[j] === '\n') {
+          line++;
+          lineStart = j + 1;
+        }
+      }
+    };
+
+    while (i < query.length) {
+      const ch = query[i];
+      const start = position(i);
+
+      if (/\s/.test(ch)) {
+        advanceLines(i, i + 1);
+        i++;
+        continue;
+      }
+
+      // Line comment
+      if (ch === '-' && query[i + 1] === '-') {
+        const end = query.indexOf('\n', i);
+        const stop = end === -1 ? query.length : end;
+        tokens.push({ type: 'comment', value: query.slice(i, stop), ...start });
+        i = stop;
+        continue;
+      }
+
+      // Block comment
+      if (ch === '/' && query[i + 1] === '*') {
+        const end = query.indexOf('*/', i + 2);
+        if (end === -1) {
+          diagnostics.push(this.diagnostic('error', 'UNTERMINATED_COMMENT', 'Block comment is never closed', start));
+          tokens.push({ type: 'comment', value: query.slice(i), ...start });
+          advanceLines(i, query.length);
+          i = query.length;
+          continue;
+        }
+        tokens.push({ type: 'comment', value: query.slice(i, end + 2), ...start });
+        advanceLines(i, end + 2);
+        i = end + 2;
+        continue;
+      }
+
+      // String literal ('' escapes a quote)
+      if (ch === '\'') {
+        let j = i + 1;
+        let value = '';
+        let closed = false;
+        while (j < query.length) {
+          if (query[j] === '\'' && query[j + 1] === '\'') {
+            value += '\'';
+            j += 2;
+          } else if (query[j] === '\'') {
+            closed = true;
+            j++;
+            break;
+          } else {
+            value += query[j++];
+          }
+        }
+        if (!closed) {
+          diagnostics.push(this.diagnostic('error', 'UNTERMINATED_STRING', 'String literal is never closed', start));
+        }
+        tokens.push({ type: 'string', value, ...start });
+        advanceLines(i, j);
+        i = j;
+        continue;
+      }
+
+      // Quoted identifier
+      if (ch === '"') {
+        const end = query.indexOf('"', i + 1);
+        const stop = end === -1 ? query.length : end + 1;
+        if (end === -1) {
+          diagnostics.push(this.diagnostic('error', 'UNTERMINATED_IDENTIFIER', 'Quoted identifier is never closed', start));
+        }
+        tokens.push({ type: 'identifier', value: query.slice(i + 1, end === -1 ? stop : end), quoted: true, ...start });
+        i = stop;
+        continue;
+      }
+
+      if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(query[i + 1]))) {
+        const match = query.slice(i).match(/^(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?/i);
+        tokens.push({ type: 'number', value: match[0], ...start });
+        i += match[0].length;
+        continue;
+      }
+
+      if (/[A-Za-z_]/.test(ch)) {
+        const match = query.slice(i).match(/^[A-Za-z_][A-Za-z0-9_$#]*/);
+        const lower = match[0].toLowerCase();
+        // Statement words stay identifiers (update_date, comment...) and are only
+        // significant where a statement can begin
+        tokens.push({
+          type: KEYWORDS.has(lower) ? 'keyword' : 'identifier',
+          value: lower,
+          raw: match[0],
+          statementKeyword: WRITE_STATEMENTS.has(lower) ||
+            (lower === 'comment' && /^\s+on\b/i.test(query.slice(i + match[0].length))),
+          ...start
+        });
+        i += match[0].length;
+        continue;
+      }
+
+      const operator = query.slice(i).match(/^(<>|!=|<=|>=|\|\||[=<>+\-*/%])/);
+      if (operator) {
+        tokens.push({ type: 'operator', value: operator[0], ...start });
+        i += operator[0].length;
+        continue;
+      }
+
+      if ('(),.;'.includes(ch)) {
+        tokens.push({ type: 'punctuation', value: ch, ...start });
+        i++;
+        continue;
+      }
+
+      diagnostics.push(this.diagnostic('error', 'UNEXPECTED_CHARACTER', `Unexpected character '${ch}'`, start));
+      i++;
+    }
+
+    return { tokens, diagnostics };
+  }
+
+  /**
+   * Parse a query into statements and SELECT structures
+   * @param {string} query - SuiteQL text
+   * @returns {Object} { statements, diagnostics, comments }
+   */
+  parse(query) {
+    const { tokens, diagnostics } = this.tokenize(query);
+    const comments = tokens.filter(token => token.type === 'comment');
+    const significant = tokens.filter(token => token.type !== 'comment');
+
+    // Split into statements on top-level semicolons
+    const statements = [];
+    let current = [];
+    let depth = 0;
+    for (const token of significant) {
+      if (token.value === '(' && token.type === 'punctuation') depth++;
+      if (token.value === ')' && token.type === 'punctuation') {
+        depth--;
+        if (depth < 0) {
+          diagnostics.push(this.diagnostic('error', 'UNBALANCED_PARENS', 'Closing parenthesis without a matching opening one', token));
+          depth = 0;
+        }
+      }
+      if (token.value === ';' && token.type === 'punctuation' && depth === 0) {
+        statements.push(current);
+        current = [];
+        continue;
+      }
+      current.push(token);
+    }
+    if (depth > 0) {
+      diagnostics.push(this.diagnostic('error', 'UNBALANCED_PARENS', 'Opening parenthesis is never closed', significant[significant.length - 1] || { line: 1, column: 1 }));
+    }
+    statements.push(current);
+
+    const parsed = statements
+      .filter(statementTokens => statementTokens.length > 0)
+      .map(statementTokens => this.parseStatement(statementTokens, diagnostics));
+
+    return { statements: parsed, diagnostics, comments };
+  }
+
+  parseStatement(tokens, diagnostics) {
+    const first = tokens[0];
+    if (first.value === 'select' || first.value === 'with' || first.value === '(') {
+      const cursor = { tokens, index: 0 };
+      const select = this.parseQueryExpression(cursor, diagnostics, null);
+      if (cursor.index < tokens.length) {
+        const extra = tokens[cursor.index];
+        const type = extra.statementKeyword ? 'STATEMENT_NOT_ALLOWED' : 'UNEXPECTED_TOKEN';
+        diagnostics.push(this.diagnostic('error', type, type === 'STATEMENT_NOT_ALLOWED'
+          ? `Query contains potentially dangerous operations: ${extra.value.toUpperCase()}`
+          : `Unexpected '${extra.raw || extra.value}' after end of query`, extra));
+      }
+      return { type: 'select', select, start: first };
+    }
+
+    const type = first.statementKeyword ? first.value : 'unknown';
+    diagnostics.push(this.diagnostic('error', 'STATEMENT_NOT_ALLOWED',
+      type === 'unknown'
+        ? 'Only SELECT queries are supported for security'
+        : `Query contains potentially dangerous operations: ${type.toUpperCase()} statements are not allowed`,
+      first));
+    return { type, select: null, start: first };
+  }
+
+  /**
+   * Parse [WITH ...] SELECT ... [UNION SELECT ...]
+   */
+  parseQueryExpression(cursor, diagnostics, parentScope) {
+    const ctes = [];
+    if (this.peek(cursor)?.value === 'with') {
+      cursor.index++;
+      do {
+        const name = this.next(cursor);
+        if (this.peek(cursor)?.value === 'as') cursor.index++;
+        const body = this.takeParenthesized(cursor);
+        ctes.push({ name: name?.value, select: body ? this.parseSubquery(body, diagnostics, parentScope) : null });
+      } while (this.peek(cursor)?.value === ',' && ++cursor.index);
+    }
+
+    const select = this.parseSelect(cursor, diagnostics, parentScope, ctes);
+    select.ctes = ctes;
+    select.compound = [];
+    while (['union', 'intersect', 'minus', 'except'].includes(this.peek(cursor)?.value)) {
+      cursor.index++;
+      if (this.peek(cursor)?.value === 'all') cursor.index++;
+      select.compound.push(this.parseSelect(cursor, diagnostics, parentScope, ctes));
+    }
+
+    // Trailing ORDER BY / FETCH after a compound query
+    this.skipTrailingClauses(cursor, select, diagnostics);
+    return select;
+  }
+
+  parseSelect(cursor, diagnostics, parentScope, ctes = []) {
+    const select = {
+      items: [],
+      tables: [],
+      joins: [],
+      columns: [],
+      subqueries: [],
+      hasWhere: false,
+      whereColumns: [],
+      joinPredicates: [],
+      parentScope,
+      cteNames: new Set(ctes.map(cte => cte.name))
+    };
+
+    // Parenthesized query expression
+    if (this.peek(cursor)?.value === '(') {
+      const inner = this.takeParenthesized(cursor);
+      return inner ? this.parseSubquery(inner, diagnostics, parentScope) : select;
+    }
+
+    const keyword = this.next(cursor);
+    if (keyword?.value !== 'select') {
+      diagnostics.push(this.diagnostic('error', 'EXPECTED_SELECT', 'Expected SELECT', keyword || { line: 1, column: 1 }));
+      return select;
+    }
+    select.start = keyword;
+
+    while (['distinct', 'all'].includes(this.peek(cursor)?.value)) cursor.index++;
+    if (this.peek(cursor)?.value === 'top') {
+      cursor.index += 2;
+    }
+
+    // Select list
+    const listTokens = this.takeUntil(cursor, token => token.type === 'keyword' && CLAUSE_KEYWORDS.has(token.value));
+    for (const itemTokens of this.splitTopLevel(listTokens, ',')) {
+      select.items.push(this.parseSelectItem(itemTokens, select, diagnostics));
+    }
+
+    if (this.peek(cursor)?.value === 'from') {
+      cursor.index++;
+      this.parseFrom(cursor, select, diagnostics);
+    } else {
+      diagnostics.push(this.diagnostic('error', 'MISSING_FROM', 'SELECT has no FROM clause (use FROM dual for expressions)', keyword));
+    }
+
+    if (this.peek(cursor)?.value === 'where') {
+      const where = this.next(cursor);
+      select.hasWhere = true;
+      const whereTokens = this.takeUntil(cursor, token => token.type === 'keyword' && CLAUSE_KEYWORDS.has(token.value));
+      if (whereTokens.length === 0) {
+        diagnostics.push(this.diagnostic('error', 'EMPTY_WHERE', 'WHERE clause has no condition', where));
+      }
+      const refs = this.collectExpression(whereTokens, select, diagnostics);
+      select.whereColumns.push(...refs);
+      select.joinPredicates.push(...this.equalityPredicates(whereTokens));
+    }
+
+    while (['group', 'having', 'connect', 'start'].includes(this.peek(cursor)?.value)) {
+      cursor.index++;
+      if (this.peek(cursor)?.value === 'by' || this.peek(cursor)?.value === 'with') cursor.index++;
+      const clauseTokens = this.takeUntil(cursor, token => token.type === 'keyword' && CLAUSE_KEYWORDS.has(token.value) && !['connect', 'start'].includes(token.value));
+      this.collectExpression(clauseTokens, select, diagnostics);
+    }
+
+    return select;
+  }
+
+  skipTrailingClauses(cursor, select, diagnostics) {
+    while (['order', 'fetch', 'offset'].includes(this.peek(cursor)?.value)) {
+      const clause = this.next(cursor);
+      if (clause.value === 'order') {
+        if (this.peek(cursor)?.value === 'by') cursor.index++;
+        const orderTokens = this.takeUntil(cursor, token => token.type === 'keyword' && ['fetch', 'offset'].includes(token.value));
+        select.orderBy = this.collectExpression(orderTokens, select, diagnostics, { allowOutputAliases: true });
+      } else {
+        this.takeUntil(cursor, token => token.type === 'keyword' && ['fetch', 'offset', 'order'].includes(token.value) && token !== clause);
+      }
+    }
+  }
+
+  parseSelectItem(tokens, select, diagnostics) {
+    if (tokens.length === 1 && tokens[0].value === '*') {
+      return { expression: '*', star: true, alias: null, columns: [] };
+    }
+    // alias.* form
+    if (tokens.length === 3 && tokens[1].value === '.' && tokens[2].value === '*') {
+      return { expression: `${tokens[0].value}.*`, star: true, qualifier: tokens[0].value, alias: null, columns: [] };
+    }
+
+    let alias = null;
+    let expressionTokens = tokens;
+    const last = tokens[tokens.length - 1];
+    const beforeLast = tokens[tokens.length - 2];
+    if (tokens.length >= 3 && beforeLast.value === 'as') {
+      alias = last.value;
+      expressionTokens = tokens.slice(0, -2);
+    } else if (tokens.length >= 2 && last.type === 'identifier' && beforeLast.value !== '.' &&
+      !(beforeLast.type === 'keyword' && !['end'].includes(beforeLast.value)) && beforeLast.type !== 'operator') {
+      alias = last.value;
+      expressionTokens = tokens.slice(0, -1);
+    }
+
+    const columns = this.collectExpression(expressionTokens, select, diagnostics);
+    const single = expressionTokens.length === 1 ? expressionTokens[0] : null;
+    const qualifiedSingle = expressionTokens.length === 3 && expressionTokens[1].value === '.' ? expressionTokens[2] : null;
+    const outputName = alias || (single && single.type === 'identifier' ? single.value : null) ||
+      (qualifiedSingle ? qualifiedSingle.value : null);
+
+    return {
+      expression: expressionTokens.map(token => token.raw || (token.type === 'string' ? `'${token.value}'` : token.value)).join(' ').replace(/ \. /g, '.').replace(/ \( /g, '(').replace(/ \)/g, ')'),
+      alias,
+      outputName,
+      columns
+    };
+  }
+
+  parseFrom(cursor, select, diagnostics) {
+    const isJoinStart = token => token.type === 'keyword' && JOIN_KEYWORDS.has(token.value);
+    const parseTableRef = () => {
+      const token = this.peek(cursor);
+      if (!token) {
+        diagnostics.push(this.diagnostic('error', 'MISSING_TABLE', 'FROM clause has no table', select.start));
+        return null;
+      }
+      let table;
+      if (token.value === '(') {
+        const inner = this.takeParenthesized(cursor);
+        const sub = inner ? this.parseSubquery(inner, diagnostics, select) : null;
+        if (sub) select.subqueries.push(sub);
+        table = { name: null, subquery: sub, position: token };
+      } else {
+        cursor.index++;
+        let name = token.value;
+        // schema-qualified names
+        while (this.peek(cursor)?.value === '.') {
+          cursor.index++;
+          name += `.${this.next(cursor)?.value}`;
+        }
+        table = { name, position: token, cte: select.cteNames.has(name) || this.inheritedCte(select, name) };
+      }
+      if (this.peek(cursor)?.value === 'as') cursor.index++;
+      const aliasToken = this.peek(cursor);
+      if (aliasToken && aliasToken.type === 'identifier' && !aliasToken.statementKeyword) {
+        table.alias = aliasToken.value;
+        cursor.index++;
+      } else {
+        table.alias = table.name;
+      }
+      select.tables.push(table);
+      return table;
+    };
+
+    const first = parseTableRef();
+    if (first) first.joinType = 'from';
+
+    while (this.peek(cursor)) {
+      const token = this.peek(cursor);
+      if (token.value === ',') {
+        cursor.index++;
+        const table = parseTableRef();
+        if (table) table.joinType = 'comma';
+        continue;
+      }
+      if (!isJoinStart(token)) break;
+
+      const joinWords = [];
+      while (this.peek(cursor) && ['inner', 'left', 'right', 'full', 'outer', 'cross'].includes(this.peek(cursor).value)) {
+        joinWords.push(this.next(cursor).value);
+      }
+      if (this.peek(cursor)?.value !== 'join') {
+        diagnostics.push(this.diagnostic('error', 'EXPECTED_JOIN', 'Expected JOIN', this.peek(cursor) || token));
+        break;
+      }
+      cursor.index++;
+      const table = parseTableRef();
+      if (!table) break;
+      table.joinType = joinWords.includes('cross') ? 'cross' : (joinWords.find(word => word !== 'outer') || 'inner');
+
+      if (this.peek(cursor)?.value === 'on') {
+        cursor.index++;
+        const onTokens = this.takeUntil(cursor, next =>
+          (next.type === 'keyword' && (CLAUSE_KEYWORDS.has(next.value) || JOIN_KEYWORDS.has(next.value))) || next.value === ',');
+        table.onColumns = this.collectExpression(onTokens, select, diagnostics);
+        table.hasCondition = onTokens.length > 0;
+        select.joinPredicates.push(...this.equalityPredicates(onTokens));
+      } else {
+        table.hasCondition = false;
+      }
+      select.joins.push(table);
+    }
+  }
+
+  inheritedCte(select, name) {
+    for (let scope = select.parentScope; scope; scope = scope.parentScope) {
+      if (scope.cteNames?.has(name)) return true;
+    }
+    return false;
+  }
+
+  parseSubquery(tokens, diagnostics, parentScope) {
+    const cursor = { tokens, index: 0 };
+    const select = this.parseQueryExpression(cursor, diagnostics, parentScope);
+    if (cursor.index < tokens.length) {
+      diagnostics.push(this.diagnostic('error', 'UNEXPECTED_TOKEN', `Unexpected '${tokens[cursor.index].raw || tokens[cursor.index].value}' in subquery`, tokens[cursor.index]));
+    }
+    return select;
+  }
+
+  /**
+   * Collect column references in an expression, parsing any nested subqueries
+   */
+  collectExpression(tokens, select, diagnostics, options = {}) {
+    const columns = [];
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+
+      if (token.value === '(' && tokens[i + 1]?.value === 'select') {
+        const end = this.matchingParen(tokens, i);
+        const sub = this.parseSubquery(tokens.slice(i + 1, end), diagnostics, select);
+        select.subqueries.push(sub);
+        i = end;
+        continue;
+      }
+
+      if (token.type !== 'identifier') continue;
+      const previous = tokens[i - 1];
+      const nextToken = tokens[i + 1];
+
+      // function call, or the member part of a qualified name handled below
+      if (nextToken?.value === '(' || previous?.value === '.') continue;
+      if (BUILTINS.has(token.value)) continue;
+
+      if (nextToken?.value === '.' && tokens[i + 2]?.type === 'identifier') {
+        columns.push(this.resolveColumn(select, token.value, tokens[i + 2].value, token));
+        i += 2;
+        continue;
+      }
+      if (options.allowOutputAliases && select.items.some(item => item.alias === token.value)) continue;
+      columns.push(this.resolveColumn(select, null, token.value, token));
+    }
+    select.columns.push(...columns);
+    return columns;
+  }
+
+  resolveColumn(select, qualifier, name, position) {
+    let table = null;
+    if (qualifier) {
+      for (let scope = select; scope && !table; scope = scope.parentScope) {
+        const match = scope.tables.find(t => t.alias === qualifier);
+        if (match) table = match.name;
+      }
+    } else if (select.tables.length === 1) {
+      table = select.tables[0].name;
+    }
+    return { qualifier, name, table, line: position.line, column: position.column };
+  }
+
+  /**
+   * Qualified column equalities (a.x = b.y) used to decide whether tables are joined
+   */
+  equalityPredicates(tokens) {
+    const predicates = [];
+    for (let i = 0; i + 6 < tokens.length + 1; i++) {
+      const [lq, ld, , op, rq, rd] = tokens.slice(i, i + 6);
+      if (lq?.type === 'identifier' && ld?.value === '.' && op?.value === '=' && rq?.type === 'identifier' && rd?.value === '.') {
+        predicates.push([lq.value, rq.value]);
+      }
+    }
+    return predicates;
+  }
+
+  /**
+   * Canonical form of a query for comparison: comments and trailing semicolons
+   * dropped, whitespace collapsed, unquoted keywords and identifiers lowercased.
+   * String literals and quoted identifiers keep their exact text.
+   * @param {string} query - SuiteQL text
+   * @returns {string} Normalized query
+   */
+  normalize(query) {
+    const tokens = this.tokenize(query).tokens.filter(token => token.type !== 'comment');
+    while (tokens.length && tokens[tokens.length - 1].value === ';') {
+      tokens.pop();
+    }
+    return tokens.map(token => {
+      if (token.type === 'string') return `'${token.value.replace(/'/g, "''")}'`;
+      if (token.quoted) return `"${token.value}"`;
+      return token.value;
+    }).join(' ');
+  }
+
+  /**
+   * Parse and check a query, returning a flat, serializable report
+   * @param {string} query - SuiteQL text
+   * @returns {Object} { valid, statementType, tables, columns, outputColumns, diagnostics, ... }
+   */
+  analyze(query) {
+    if (typeof query !== 'string' || !query.trim()) {
+      const diagnostic = this.diagnostic('error', 'EMPTY_QUERY', 'Query is empty', { line: 1, column: 1 });
+      return this.report({ statements: [], diagnostics: [diagnostic] });
+    }
+
+    const parsed = this.parse(query);
+    const { statements, diagnostics } = parsed;
+
+    if (statements.length > 1) {
+      diagnostics.push(this.diagnostic('error', 'MULTIPLE_STATEMENTS',
+        `Query contains ${statements.length} statements; only a single SELECT is allowed`, statements[1].start));
+    }
+
+    for (const comment of parsed.comments) {
+      const hidden = this.tokenize(comment.value.replace(/^--|^\/\*|\*\/$/g, '')).tokens
+        .find(token => token.statementKeyword);
+      if (hidden) {
+        diagnostics.push(this.diagnostic('warning', 'STATEMENT_IN_COMMENT',
+          `Comment contains a ${hidden.value.toUpperCase()} keyword; comments are ignored and not executed`, comment));
+      }
+    }
+
+    const main = statements[0]?.select;
+    if (main) {
+      for (const select of this.allSelects(main)) {
+        // Select-list columns are read before FROM, so resolve their tables now
+        for (const column of select.columns.filter(c => !c.table)) {
+          column.table = this.resolveColumn(select, column.qualifier, column.name, column).table;
+        }
+        this.checkSelect(select, diagnostics);
+      }
+    }
+
+    return this.report(parsed);
+  }
+
+  checkSelect(select, diagnostics) {
+    const realTables = select.tables.filter(table => table.name && !table.cte);
+
+    if (!select.hasWhere) {
+      for (const table of realTables.filter(t => LARGE_TABLES.has(t.name))) {
+        diagnostics.push(this.diagnostic('warning', 'MISSING_WHERE',
+          `Query reads ${table.name} without a WHERE clause; add a filter (e.g. a date range) to avoid a full scan`, table.position));
+      }
+    }
+
+    if (select.items.some(item => item.star && !item.qualifier)) {
+      diagnostics.push(this.diagnostic('info', 'SELECT_STAR', 'SELECT * returns every field; list the columns you need', select.start));
+    }
+
+    for (const join of select.joins) {
+      if (join.joinType === 'cross') {
+        diagnostics.push(this.diagnostic('warning', 'CARTESIAN_JOIN', `CROSS JOIN ${join.name || 'subquery'} produces a Cartesian product`, join.position));
+      } else if (!join.hasCondition) {
+        diagnostics.push(this.diagnostic('error', 'JOIN_WITHOUT_CONDITION', `JOIN ${join.name || 'subquery'} has no ON condition`, join.position));
+      }
+    }
+
+    // Comma-joined tables must be linked by a WHERE equality, otherwise every row pairs with every row
+    const commaTables = select.tables.filter(table => table.joinType === 'from' || table.joinType === 'comma');
+    if (commaTables.length > 1) {
+      const linked = new Set([commaTables[0].alias]);
+      let changed = true;
+      while (changed) {
+        changed = false;
+        for (const [left, right] of select.joinPredicates) {
+          if (linked.has(left) !== linked.has(right)) {
+            linked.add(left);
+            linked.add(right);
+            changed = true;
+          }
+        }
+      }
+      for (const table of commaTables.filter(t => !linked.has(t.alias))) {
+        diagnostics.push(this.diagnostic('warning', 'CARTESIAN_JOIN',
+          `${table.name || 'subquery'} is not joined to the other tables in the WHERE clause (Cartesian product)`, table.position));
+      }
+    }
+  }
+
+  allSelects(select) {
+    const selects = [select];
+    // Textual order: CTEs, then subqueries, then UNION branches
+    const children = [
+      ...(select.ctes || []).map(cte => cte.select).filter(Boolean),
+      ...(select.subqueries || []),
+      ...(select.compound || [])
+    ];
+    for (const child of children) {
+      selects.push(...this.allSelects(child));
+    }
+    return selects;
+  }
+
+  report({ statements, diagnostics }) {
+    const main = statements[0]?.select;
+    const selects = main ? this.allSelects(main) : [];
+
+    const tables = [];
+    const seenTables = new Set();
+    for (const select of selects) {
+      for (const table of select.tables.filter(t => t.name && !t.cte)) {
+        if (!seenTables.has(table.name)) {
+          seenTables.add(table.name);
+          tables.push(table.name);
+        }
+      }
+    }
+
+    const columns = [];
+    const seenColumns = new Set();
+    for (const select of selects) {
+      for (const column of select.columns) {
+        const key = `${column.table || column.qualifier || ''}.${column.name}`;
+        if (!seenColumns.has(key)) {
+          seenColumns.add(key);
+          columns.push({ table: column.table, qualifier: column.qualifier, name: column.name, line: column.line, column: column.column });
+        }
+      }
+    }
+
+    // WHERE-clause columns, for estimating how much of each table a query reads
+    const filters = [];
+    const seenFilters = new Set();
+    for (const select of selects) {
+      for (const column of select.whereColumns) {
+        const key = `${column.table || ''}.${column.name}`;
+        if (!seenFilters.has(key)) {
+          seenFilters.add(key);
+          filters.push({ table: column.table, name: column.name });
+        }
+      }
+    }
+
+    const sorted = [...diagnostics].sort((a, b) => a.line - b.line || a.column - b.column);
+    const errors = sorted.filter(d => d.severity === 'error');
+
+    return {
+      valid: errors.length === 0,
+      reason: errors[0]?.message || null,
+      statementType: statements[0]?.type || 'unknown',
+      statementCount: statements.length,
+      tables,
+      columns,
+      outputColumns: main ? main.items.map(item => item.star ? '*' : item.outputName) : [],
+      hasWhere: Boolean(main?.hasWhere),
+      filters,
+      diagnostics: sorted
+    };
+  }
+
+  // ── cursor helpers ──
+
+  peek(cursor) {
+    return cursor.tokens[cursor.index];
+  }
+
+  next(cursor) {
+    return cursor.tokens[cursor.index++];
+  }
+
+  /**
+   * Take tokens until stop(token) is true at nesting depth 0 (the stop token is not consumed)
+   */
+  takeUntil(cursor, stop) {
+    const taken = [];
+    let depth = 0;
+    while (cursor.index < cursor.tokens.length) {
+      const token = cursor.tokens[cursor.index];
+      if (depth === 0 && (stop(token) || token.value === ')')) break;
+      if (token.value === '(') depth++;
+      if (token.value === ')') depth--;
+      taken.push(token);
+      cursor.index++;
+    }
+    return taken;
+  }
+
+  /**
+   * Consume "( ... )" at the cursor and return the inner tokens
+   */
+  takeParenthesized(cursor) {
+    if (this.peek(cursor)?.value !== '(') return null;
+    const end = this.matchingParen(cursor.tokens, cursor.index);
+    const inner = cursor.tokens.slice(cursor.index + 1, end);
+    cursor.index = end + 1;
+    return inner;
+  }
+
+  matchingParen(tokens, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < tokens.length; i++) {
+      if (tokens[i].value === '(') depth++;
+      if (tokens[i].value === ')' && --depth === 0) return i;
+    }
+    return tokens.length;
+  }
+
+  splitTopLevel(tokens, separator) {
+    const parts = [];
+    let current = [];
+    let depth = 0;
+    for (const token of tokens) {
+      if (token.value === '(') depth++;
+      if (token.value === ')') depth--;
+      if (depth === 0 && token.value === separator) {
+        parts.push(current);
+        current = [];
+      } else {
+        current.push(token);
+      }
+    }
+    if (current.length) parts.push(current);
+    return parts;
+  }
+
+  diagnostic(severity, code, message, position) {
+    return { severity, code, message, line: position.line, column: position.column };
+  }
+}
+
+const defaultParser = new SuiteQLParser();
+
+/**
+ * Analyze a SuiteQL query with a shared parser instance
+ */
+export function analyzeSuiteQL(query) {
+  return defaultParser.analyze(query);
+}
+
+/**
+ * Normalize a SuiteQL query with a shared parser instance
+ */
+export function normalizeSuiteQL(query) {
+  return defaultParser.normalize(query);
+}
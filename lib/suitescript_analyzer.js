@@ -0,0 +1,247 @@
+/**
+ * SuiteScript Analyzer
+ * Reads SuiteScript 2.x JSDoc headers (@NApiVersion, @NScriptType,
+ * @NModuleScope) and checks the define() module list and the returned entry
+ * points against the declared script type
+ */
+
+import * as acorn from 'acorn';
+
+export const API_VERSIONS = ['2.0', '2.1', '2.x'];
+
+export const MODULE_SCOPES = ['SameAccount', 'TargetAccount', 'Public'];
+
+// Entry points each script type may return. required lists entry points the
+// type cannot run without; oneOf means at least one of them must be returned.
+export const ENTRY_POINTS = {
+    BundleInstallationScript: { allowed: ['beforeInstall', 'afterInstall', 'beforeUpdate', 'afterUpdate', 'beforeUninstall'], oneOf: true },
+    ClientScript: {
+        allowed: ['pageInit', 'fieldChanged', 'postSourcing', 'sublistChanged', 'lineInit', 'validateField', 'validateLine',
+            'validateInsert', 'validateDelete', 'saveRecord', 'localizationContextEnter', 'localizationContextExit'],
+        oneOf: true
+    },
+    MapReduceScript: { allowed: ['getInputData', 'map', 'reduce', 'summarize'], required: ['getInputData'], requiredOneOf: ['map', 'reduce'] },
+    MassUpdateScript: { allowed: ['each'], required: ['each'] },
+    Portlet: { allowed: ['render'], required: ['render'] },
+    Restlet: { allowed: ['get', 'post', 'put', 'delete'], oneOf: true },
+    ScheduledScript: { allowed: ['execute'], required: ['execute'] },
+    SDFInstallationScript: { allowed: ['run'], required: ['run'] },
+    Suitelet: { allowed: ['onRequest'], required: ['onRequest'] },
+    UserEventScript: { allowed: ['beforeLoad', 'beforeSubmit', 'afterSubmit'], oneOf: true },
+    WorkflowActionScript: { allowed: ['onAction'], required: ['onAction'] }
+};
+
+/**
+ * Read the @N tags of the JSDoc block that declares a SuiteScript module
+ * @returns {Object|null} { tags: { NApiVersion, ... }, line } or null without a header
+ */
+export function readSuiteScriptHeader(content) {
+    for (const [block] of content.matchAll(/\/\*\*[\s\S]*?\*\//g)) {
+        if (!/@N(ApiVersion|ScriptType)\b/.test(block)) continue;
+
+        const tags = {};
+        const line = content.slice(0, content.indexOf(block)).split('\n').length;
+        for (const [, name, value] of block.matchAll(/@(N\w+)[ \t]+([^\s*]+)/g)) {
+            tags[name] = value;
+        }
+        return { tags, line };
+    }
+    return null;
+}
+
+/**
+ * The define() call of an AMD module: define([deps], callback) or define(callback)
+ */
+export function findDefineCall(program) {
+    for (const statement of program.body) {
+        const call = statement.type === 'ExpressionStatement' ? statement.expression : null;
+        if (call?.type === 'CallExpression' && call.callee.type === 'Identifier' && call.callee.name === 'define') {
+            return call;
+        }
+    }
+    return null;
+}
+
+function propertyName(property) {
+    if (property.type !== 'Property') return null;
+    if (!property.computed && property.key.type === 'Identifier') return property.key.name;
+    if (property.key.type === 'Literal') return String(property.key.value);
+    return null;
+}
+
+/**
+ * Entry points the define callback returns, with the node that names each
+ * and the exported value. Handles returned object literals, arrow functions
+ * returning one, and a returned variable built up as an object literal plus
+ * assignments.
+ * @returns {Map|null} name → { key, value }, or null when the exports cannot be determined
+ */
+export function findEntryPoints(callback) {
+    if (callback.body.type === 'ObjectExpression') {
+        return objectEntries(callback.body);
+    }
+    if (callback.body.type !== 'BlockStatement') return null;
+
+    const statements = callback.body.body;
+    const returned = statements.filter(statement => statement.type === 'ReturnStatement' && statement.argument).pop();
+    if (!returned) return null;
+
+    if (returned.argument.type === 'ObjectExpression') {
+        return objectEntries(returned.argument);
+    }
+    if (returned.argument.type !== 'Identifier') return null;
+
+    const name = returned.argument.name;
+    let entries = null;
+    for (const statement of statements) {
+        if (statement.type === 'VariableDeclaration') {
+            const declarator = statement.declarations.find(candidate => candidate.id.type === 'Identifier' && candidate.id.name === name);
+            if (declarator?.init?.type === 'ObjectExpression') entries = objectEntries(declarator.init);
+        }
+        const expression = statement.type === 'ExpressionStatement' ? statement.expression : null;
+        if (entries && expression?.type === 'AssignmentExpression' && expression.left.type === 'MemberExpression'
+            && expression.left.object.type === 'Identifier' && expression.left.object.name === name && !expression.left.computed) {
+            entries.set(expression.left.property.name, { key: expression.left.property, value: expression.right });
+        }
+    }
+    return entries;
+}
+
+function objectEntries(object) {
+    const entries = new Map();
+    for (const property of object.properties) {
+        // A spread could export anything, so the entry points are unknown
+        if (property.type === 'SpreadElement') return null;
+        const name = propertyName(property);
+        if (name) entries.set(name, { key: property.key, value: property.value });
+    }
+    return entries;
+}
+
+/**
+ * Analyze one SuiteScript 2.x file
+ * @param {string} content - File source
+ * @param {Object} options - { sdfScriptTypes: script types the SDF project deploys this file as }
+ * @returns {Object} { header, modules, entryPoints, findings } where findings
+ *   use the validateCode issue shape
+ */
+export function analyzeSuiteScript(content, { sdfScriptTypes = [] } = {}) {
+    const findings = [];
+    const report = (ruleId, severity, node, message, suggestion = null) => findings.push({
+        ruleId: `suitescript-${ruleId}`,
+        line: node?.line ?? node?.loc?.start.line ?? 1,
+        column: node?.column ?? (node?.loc ? node.loc.start.column + 1 : 1),
+        message,
+        suggestion,
+        autoFix: false,
+        autoFixReplacement: null,
+        severity,
+        category: 'suitescript',
+        matchedText: null
+    });
+
+    const header = readSuiteScriptHeader(content);
+    const { NApiVersion: apiVersion, NScriptType: scriptType, NModuleScope: moduleScope } = header?.tags || {};
+    const headerAt = header ? { line: header.line, column: 1 } : null;
+
+    let program;
+    try {
+        program = acorn.parse(content, { ecmaVersion: 'latest', sourceType: 'script', locations: true, allowHashBang: true });
+    } catch (error) {
+        if (header || sdfScriptTypes.length > 0) {
+            report('syntax', 'error', { line: error.loc?.line ?? 1, column: (error.loc?.column ?? 0) + 1 }, `SuiteScript cannot be parsed: ${error.message}`);
+        }
+        return { header: header?.tags || null, modules: [], entryPoints: [], findings };
+    }
+
+    const define = findDefineCall(program);
+    // Plain JavaScript without a header, define() or script record is not a SuiteScript module
+    if (!header && !define && sdfScriptTypes.length === 0) {
+        return { header: null, modules: [], entryPoints: [], findings };
+    }
+
+    const [first, second] = define?.arguments || [];
+    const dependencies = first?.type === 'ArrayExpression' ? first : null;
+    const modules = (dependencies?.elements || []).map(element => element?.type === 'Literal' ? element.value : null);
+
+    if (!apiVersion) {
+        // Entry point scripts need the tag; custom modules loading N/ modules should declare it
+        const entryPointScript = Boolean(scriptType) || sdfScriptTypes.length > 0;
+        if (entryPointScript || modules.some(name => String(name).startsWith('N/'))) {
+            report('api-version', entryPointScript ? 'error' : 'warning', headerAt, 'SuiteScript module has no @NApiVersion tag',
+                'Start the file with a JSDoc block containing @NApiVersion 2.1');
+        }
+    } else if (!API_VERSIONS.includes(apiVersion)) {
+        report('api-version', 'error', headerAt, `Unsupported @NApiVersion ${apiVersion}`, `Use one of: ${API_VERSIONS.join(', ')}`);
+    }
+
+    if (scriptType && !ENTRY_POINTS[scriptType]) {
+        report('script-type', 'error', headerAt, `Unknown @NScriptType ${scriptType}`, `Use one of: ${Object.keys(ENTRY_POINTS).join(', ')}`);
+    }
+    if (moduleScope && !MODULE_SCOPES.includes(moduleScope)) {
+        report('module-scope', 'error', headerAt, `Unknown @NModuleScope ${moduleScope}`, `Use one of: ${MODULE_SCOPES.join(', ')}`);
+    }
+
+    // The SDF script record decides how NetSuite runs the file
+    for (const sdfType of new Set(sdfScriptTypes)) {
+        if (!scriptType) {
+            report('script-type', 'error', headerAt, `File is deployed as a ${sdfType} but has no @NScriptType tag`, `Add @NScriptType ${sdfType} to the header`);
+        } else if (sdfType !== scriptType) {
+            report('script-type', 'error', headerAt, `@NScriptType ${scriptType} does not match the SDF script record type ${sdfType}`);
+        }
+    }
+
+    if (!define) {
+        report('define', 'error', headerAt, 'SuiteScript module does not call define()', 'Wrap the module in define([...], (...) => { ... })');
+        return { header: header?.tags || null, modules: [], entryPoints: [], findings };
+    }
+
+    const callback = dependencies ? second : first;
+
+    if (!callback || !['FunctionExpression', 'ArrowFunctionExpression'].includes(callback.type)) {
+        report('define', 'error', define, 'define() has no module callback');
+        return { header: header?.tags || null, modules, entryPoints: [], findings };
+    }
+
+    const parameters = callback.params;
+    if (parameters.length > modules.length) {
+        for (const parameter of parameters.slice(modules.length)) {
+            report('define-arguments', 'error', parameter,
+                `Callback parameter ${parameter.name || 'pattern'} has no matching module in the define() list and will be undefined`,
+                'Add the module to the define() list or remove the parameter');
+        }
+    } else if (parameters.length < modules.length) {
+        const unbound = dependencies.elements.slice(parameters.length);
+        report('define-arguments', 'warning', unbound[0],
+            `Module${unbound.length > 1 ? 's' : ''} ${modules.slice(parameters.length).join(', ')} ${unbound.length > 1 ? 'are' : 'is'} loaded but not bound to a callback parameter`,
+            'Remove unused modules from the define() list or add parameters for them');
+    }
+
+    const entries = findEntryPoints(callback);
+    const entryPoints = entries ? [...entries.keys()] : [];
+    const expected = ENTRY_POINTS[scriptType];
+
+    if (expected && entries) {
+        const missing = (expected.required || []).filter(name => !entries.has(name));
+        for (const name of missing) {
+            report('entry-point', 'error', callback, `${scriptType} must return a ${name} entry point`);
+        }
+        if (expected.requiredOneOf && !expected.requiredOneOf.some(name => entries.has(name))) {
+            report('entry-point', 'error', callback, `${scriptType} must return ${expected.requiredOneOf.join(' or ')}`);
+        }
+
+        const recognized = entryPoints.filter(name => expected.allowed.includes(name));
+        if (expected.oneOf && recognized.length === 0) {
+            report('entry-point', 'error', callback, `${scriptType} returns none of its entry points`,
+                `Return at least one of: ${expected.allowed.join(', ')}`);
+        }
+        for (const name of entryPoints.filter(name => !expected.allowed.includes(name))) {
+            report('entry-point', 'warning', entries.get(name).key, `${name} is not a ${scriptType} entry point`,
+                `${scriptType} entry points: ${expected.allowed.join(', ')}`);
+        }
+    }
+
+    return { header: header?.tags || null, modules, entryPoints, findings };
+}
+
+export default analyzeSuiteScript;
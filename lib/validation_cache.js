@@ -0,0 +1,122 @@
+/**
+ * Validation Cache
+ * Keeps each file's validation results in the validation database, keyed by
+ * the file's content hash and the version of the rule set that produced
+ * them, so unchanged files are not validated again
+ */
+
+import crypto from 'crypto';
+
+// Bump when the built-in SDF, SuiteScript or governance checks or suppression handling change what they report
+export const VALIDATOR_VERSION = 2;
+
+export function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Version of a rule set: changes whenever a rule is added, removed or has
+ * its pattern, fix, message or priority changed. Context such as the
+ * technologies or the SDF project fingerprint is part of the version too.
+ */
+export function rulesetVersion(rules, context = {}) {
+    const fingerprint = rules
+        .map(rule => [
+            rule.rule_id, rule.scope, rule.category, rule.priority, rule.pattern_text, rule.pattern_type,
+            rule.message, rule.suggestion, rule.auto_fix, rule.auto_fix_pattern
+        ])
+        .sort((a, b) => String(a[0]).localeCompare(String(b[0])));
+
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify({ validator: VALIDATOR_VERSION, rules: fingerprint, context }))
+        .digest('hex')
+        .substring(0, 16);
+}
+
+export class ValidationCache {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Create the cache table
+     */
+    async initialize() {
+        await this.run(`
+            CREATE TABLE IF NOT EXISTS validation_cache (
+                project_path TEXT NOT NULL,
+                file_path TEXT NOT NULL,
+                content_hash TEXT NOT NULL,
+                ruleset_version TEXT NOT NULL,
+                results TEXT NOT NULL,
+                validated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (project_path, file_path)
+            )
+        `);
+    }
+
+    /**
+     * Cached results of a project's files
+     * @returns {Map} file path → { contentHash, rulesetVersion, results }
+     */
+    async load(projectPath) {
+        const rows = await this.all(
+            'SELECT file_path, content_hash, ruleset_version, results FROM validation_cache WHERE project_path = ?',
+            [projectPath]
+        );
+        return new Map(rows.map(row => [row.file_path, {
+            contentHash: row.content_hash,
+            rulesetVersion: row.ruleset_version,
+            results: JSON.parse(row.results)
+        }]));
+    }
+
+    /**
+     * Cached results of a file, only if its content and the rule set are unchanged
+     */
+    lookup(entries, filePath, contentHash, version) {
+        const entry = entries.get(filePath);
+        return entry && entry.contentHash === contentHash && entry.rulesetVersion === version ? entry.results : null;
+    }
+
+    /**
+     * Store fresh results in one transaction, replacing each file's previous entry
+     * @param {Array} entries - [{ filePath, contentHash, rulesetVersion, results }]
+     */
+    async store(projectPath, entries) {
+        if (entries.length === 0) return;
+
+        await this.run('BEGIN TRANSACTION');
+        try {
+            for (const entry of entries) {
+                await this.run(`
+                    INSERT OR REPLACE INTO validation_cache (project_path, file_path, content_hash, ruleset_version, results, validated_at)
+                    VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+                `, [projectPath, entry.filePath, entry.contentHash, entry.rulesetVersion, JSON.stringify(entry.results)]);
+            }
+            await this.run('COMMIT');
+        } catch (error) {
+            await this.run('ROLLBACK');
+            throw error;
+        }
+    }
+
+    async clear(projectPath) {
+        await this.run('DELETE FROM validation_cache WHERE project_path = ?', [projectPath]);
+    }
+
+    run(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, error => error ? reject(error) : resolve());
+        });
+    }
+
+    all(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (error, rows) => error ? reject(error) : resolve(rows));
+        });
+    }
+}
+
+export default ValidationCache;
@@ -0,0 +1,302 @@
+/**
+ * Validation Reporter
+ * Formats ProjectValidator results as SARIF 2.1.0, JUnit XML or a JSON
+ * summary for editors, CI and hooks, and turns them into an exit code
+ * against a severity threshold
+ */
+
+import path from 'path';
+
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+export const TOOL_NAME = 'saralegui-project-validator';
+
+export const REPORT_FORMATS = ['text', 'sarif', 'junit', 'json'];
+
+// Severities from least to most severe; a threshold fails on its level and above
+export const SEVERITIES = ['suggestion', 'warning', 'error'];
+
+export const FAIL_ON = [...SEVERITIES, 'none'];
+
+const SARIF_LEVELS = { error: 'error', warning: 'warning', suggestion: 'note' };
+
+function severityOf(issue) {
+    return SEVERITIES.includes(issue.severity) ? issue.severity : 'warning';
+}
+
+/**
+ * Every finding of a run with its severity, in errors, warnings, suggestions order
+ */
+export function collectFindings(results) {
+    return [
+        ...results.errors.map(issue => ({ ...issue, severity: issue.severity || 'error' })),
+        ...results.warnings.map(issue => ({ ...issue, severity: issue.severity || 'warning' })),
+        ...results.suggestions.map(issue => ({ ...issue, severity: issue.severity || 'suggestion' }))
+    ].map(issue => ({ ...issue, severity: severityOf(issue) }));
+}
+
+/**
+ * Whether a finding's severity reaches the threshold
+ */
+export function meetsThreshold(severity, failOn = 'error') {
+    if (failOn === 'none') return false;
+    return SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(failOn);
+}
+
+/**
+ * 1 when any finding reaches the threshold, otherwise 0
+ */
+export function exitCodeFor(results, failOn = 'error') {
+    if (!FAIL_ON.includes(failOn)) {
+        throw new Error(`Unknown severity threshold "${failOn}". Use one of: ${FAIL_ON.join(', ')}`);
+    }
+    return collectFindings(results).some(issue => meetsThreshold(issue.severity, failOn)) ? 1 : 0;
+}
+
+/**
+ * Project-relative, forward-slash path of a finding's file
+ */
+function relativeUri(file, projectPath) {
+    if (!file) return null;
+    const relative = path.isAbsolute(file) && projectPath ? path.relative(projectPath, file) : file;
+    return relative.split(path.sep).join('/');
+}
+
+function region(issue) {
+    if (!issue.line || issue.line < 1) return null;
+    return {
+        startLine: issue.line,
+        startColumn: issue.column || 1,
+        ...(issue.endLine ? { endLine: issue.endLine, endColumn: issue.endColumn } : {})
+    };
+}
+
+/**
+ * SARIF reportingDescriptor of a validation_rules row, or of a built-in
+ * check known only from its findings
+ */
+function ruleDescriptor(rule) {
+    return {
+        id: rule.rule_id,
+        shortDescription: { text: rule.message || rule.rule_id },
+        ...(rule.suggestion ? { help: { text: rule.suggestion } } : {}),
+        defaultConfiguration: { level: SARIF_LEVELS[rule.priority] || 'warning' },
+        properties: {
+            category: rule.category || null,
+            autoFix: Boolean(rule.auto_fix),
+            ...(rule.scope ? { scope: rule.scope } : {}),
+            ...(rule.confidence !== undefined && rule.confidence !== null ? { confidence: rule.confidence } : {}),
+            ...(rule.pattern_type ? { patternType: rule.pattern_type } : {})
+        }
+    };
+}
+
+/**
+ * Suppressed and baselined findings, which SARIF reports as suppressed results
+ */
+function acknowledgedFindings(results) {
+    return [
+        ...(results.suppressed || []).map(issue => ({
+            ...issue,
+            severity: severityOf(issue),
+            suppressions: [{ kind: 'inSource', ...(issue.suppression?.reason ? { justification: issue.suppression.reason } : {}) }]
+        })),
+        ...(results.baselined || []).map(issue => ({
+            ...issue,
+            severity: severityOf(issue),
+            suppressions: [{ kind: 'external', justification: 'Recorded in the project baseline' }]
+        }))
+    ];
+}
+
+/**
+ * SARIF 2.1.0 log of a project run
+ * @param {Object} results - ProjectValidator.validateProject() results
+ * @param {Object} options - { toolVersion }
+ */
+export function toSarif(results, { toolVersion = null } = {}) {
+    const findings = [...collectFindings(results), ...acknowledgedFindings(results)];
+
+    // Learned rules first, then built-in checks that reported findings
+    const rules = [...(results.rules || [])];
+    const known = new Set(rules.map(rule => rule.rule_id));
+    for (const issue of findings) {
+        const ruleId = issue.ruleId || issue.category || 'validation';
+        if (known.has(ruleId)) continue;
+        known.add(ruleId);
+        rules.push({ rule_id: ruleId, message: issue.message, suggestion: issue.suggestion, category: issue.category, priority: issue.severity, auto_fix: issue.autoFix });
+    }
+    const ruleIndex = new Map(rules.map((rule, index) => [rule.rule_id, index]));
+
+    const sarifResults = findings.map(issue => {
+        const ruleId = issue.ruleId || issue.category || 'validation';
+        const uri = relativeUri(issue.file, results.projectPath);
+        const location = uri ? {
+            physicalLocation: {
+                artifactLocation: { uri, uriBaseId: '%SRCROOT%' },
+                ...(region(issue) ? { region: region(issue) } : {})
+            }
+        } : null;
+
+        return {
+            ruleId,
+            ruleIndex: ruleIndex.get(ruleId),
+            level: SARIF_LEVELS[issue.severity],
+            message: { text: issue.message },
+            ...(location ? { locations: [location] } : {}),
+            ...(issue.autoFix && issue.fix && uri ? {
+                fixes: [{
+                    description: { text: issue.suggestion || `Apply the ${ruleId} auto-fix` },
+                    artifactChanges: [{
+                        artifactLocation: { uri, uriBaseId: '%SRCROOT%' },
+                        replacements: [{
+                            deletedRegion: { charOffset: issue.fix.range[0], charLength: issue.fix.range[1] - issue.fix.range[0] },
+                            insertedContent: { text: issue.fix.text }
+                        }]
+                    }]
+                }]
+            } : {}),
+            ...(issue.suppressions ? { suppressions: issue.suppressions } : {}),
+            properties: { category: issue.category || null }
+        };
+    });
+
+    const projectUri = `file://${path.resolve(results.projectPath || '.').split(path.sep).join('/').replace(/\/?$/, '/')}`;
+    return {
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: TOOL_NAME,
+                    ...(toolVersion ? { version: toolVersion } : {}),
+                    rules: rules.map(ruleDescriptor)
+                }
+            },
+            originalUriBaseIds: { '%SRCROOT%': { uri: projectUri } },
+            invocations: [{ executionSuccessful: true }],
+            results: sarifResults
+        }]
+    };
+}
+
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * JUnit XML: one test suite per file with one test case per finding.
+ * Findings that reach the threshold fail; the rest pass with the finding in
+ * system-out. Files without findings get one passing case.
+ */
+export function toJUnit(results, { failOn = 'error' } = {}) {
+    const byFile = new Map();
+    for (const file of results.fileList || []) {
+        byFile.set(relativeUri(file, results.projectPath), []);
+    }
+    for (const issue of collectFindings(results)) {
+        const file = relativeUri(issue.file, results.projectPath) || results.projectPath || 'project';
+        if (!byFile.has(file)) byFile.set(file, []);
+        byFile.get(file).push(issue);
+    }
+
+    let totalTests = 0;
+    let totalFailures = 0;
+    const suites = [];
+    for (const [file, issues] of byFile) {
+        const failures = issues.filter(issue => meetsThreshold(issue.severity, failOn)).length;
+        totalTests += Math.max(1, issues.length);
+        totalFailures += failures;
+
+        const cases = issues.length === 0
+            ? [`    <testcase classname="${escapeXml(file)}" name="${escapeXml(file)}"/>`]
+            : issues.map(issue => {
+                const ruleId = issue.ruleId || issue.category || 'validation';
+                const where = issue.line > 0 ? `line ${issue.line}, col ${issue.column || 1}` : 'file';
+                const detail = `${where}, ${issue.severity} - ${issue.message} (${ruleId})${issue.suggestion ? `\n${issue.suggestion}` : ''}`;
+                const body = meetsThreshold(issue.severity, failOn)
+                    ? `<failure message="${escapeXml(issue.message)}" type="${issue.severity}">${escapeXml(detail)}</failure>`
+                    : `<system-out>${escapeXml(detail)}</system-out>`;
+                return `    <testcase classname="${escapeXml(file)}" name="${escapeXml(`${ruleId} at ${where}`)}">${body}</testcase>`;
+            });
+
+        suites.push(`  <testsuite name="${escapeXml(file)}" tests="${Math.max(1, issues.length)}" failures="${failures}" errors="0">\n${cases.join('\n')}\n  </testsuite>`);
+    }
+
+    const duration = ((results.performance?.duration || 0) / 1000).toFixed(3);
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${TOOL_NAME}" tests="${totalTests}" failures="${totalFailures}" errors="0" time="${duration}">`,
+        ...suites,
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Machine-readable summary: counts by severity, rule and category, the
+ * threshold outcome and every finding with its location
+ */
+export function toJsonSummary(results, { failOn = 'error' } = {}) {
+    const findings = collectFindings(results);
+    const counts = { error: 0, warning: 0, suggestion: 0 };
+    const byRule = {};
+    const byCategory = {};
+    for (const issue of findings) {
+        const ruleId = issue.ruleId || issue.category || 'validation';
+        counts[issue.severity]++;
+        byRule[ruleId] = (byRule[ruleId] || 0) + 1;
+        byCategory[issue.category || 'uncategorized'] = (byCategory[issue.category || 'uncategorized'] || 0) + 1;
+    }
+
+    return {
+        tool: TOOL_NAME,
+        projectPath: results.projectPath,
+        clientName: results.clientName,
+        files: { total: results.totalFiles, validated: results.validatedFiles, cached: results.cachedFiles || 0 },
+        counts,
+        suppressed: (results.suppressed || []).length,
+        baselined: (results.baselined || []).length,
+        byRule,
+        byCategory,
+        failOn,
+        failed: exitCodeFor(results, failOn) === 1,
+        durationMs: results.performance?.duration ?? null,
+        findings: findings.map(issue => ({
+            file: relativeUri(issue.file, results.projectPath),
+            line: issue.line,
+            column: issue.column,
+            endLine: issue.endLine ?? null,
+            endColumn: issue.endColumn ?? null,
+            ruleId: issue.ruleId || issue.category || 'validation',
+            severity: issue.severity,
+            category: issue.category || null,
+            message: issue.message,
+            suggestion: issue.suggestion || null,
+            autoFix: Boolean(issue.autoFix && issue.fix)
+        }))
+    };
+}
+
+/**
+ * Render results in a report format other than text
+ */
+export function formatReport(results, format, options = {}) {
+    switch (format) {
+        case 'sarif':
+            return `${JSON.stringify(toSarif(results, options), null, 2)}\n`;
+        case 'junit':
+            return toJUnit(results, options);
+        case 'json':
+            return `${JSON.stringify(toJsonSummary(results, options), null, 2)}\n`;
+        default:
+            throw new Error(`Unknown report format "${format}". Use one of: ${REPORT_FORMATS.join(', ')}`);
+    }
+}
+
+export default formatReport;
@@ -7,13 +7,47 @@ import { LearningEngine } from './learning_engine.js';
 import sqlite3 from 'sqlite3';
 import { promisify } from 'util';
 import crypto from 'crypto';
+import * as acorn from 'acorn';
+import esquery from 'esquery';
+import { loadSdfProject } from './sdf_project_model.js';
+import { analyzeSuiteScript } from './suitescript_analyzer.js';
+import { estimateGovernance } from './governance_estimator.js';
+import { applySedPattern, escapeSedPart, parseSedPattern } from './auto_fix_engine.js';
+import { applySuppressions } from './validation_suppressions.js';
+
+const RULE_APPLICATION_INSERT = `
+    INSERT INTO rule_applications (
+        rule_id, project_path, client_name, file_path, line_number,
+        success, applied_at, execution_time_ms
+    ) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?)
+`;
+
+const RULE_SUPPRESSIONS_TABLE = `
+    CREATE TABLE IF NOT EXISTS rule_suppressions (
+        rule_id TEXT NOT NULL,
+        file_path TEXT NOT NULL,
+        directive TEXT NOT NULL,
+        first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (rule_id, file_path, directive)
+    )
+`;
+
+// Only suppressions of learned rules are recorded; built-in checks have no rule row
+const RULE_SUPPRESSION_INSERT = `
+    INSERT OR IGNORE INTO rule_suppressions (rule_id, file_path, directive)
+    SELECT rule_id, ?, ? FROM validation_rules WHERE rule_id = ?
+`;
 
 export class ValidationRuleManager extends LearningEngine {
     constructor(db) {
         super(db);
         this.ruleCache = new Map(); // Cache for frequently accessed rules
         this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
-        this.patternCompileCache = new Map(); // Compiled regex patterns cache
+        this.patternCompileCache = new Map(); // Compiled regex patterns and AST selectors cache
+        this.parsedSource = null; // Last source parsed for AST rules
+        this.applicationBatch = null; // Rule applications waiting for flushApplicationBatch()
+        this.suppressionBatch = null; // Suppressions waiting for flushApplicationBatch()
+        this.suppressionTable = null; // Creates rule_suppressions on first use
         
         // Rule auto-learning thresholds
         this.autoLearnThreshold = 3; // Create rule after 3 occurrences
@@ -62,11 +96,7 @@ export class ValidationRuleManager extends LearningEngine {
         const rules = await this.dbAll(query, params);
         
         // Compile regex patterns and cache
-        const compiledRules = rules.map(rule => ({
-            ...rule,
-            compiledPattern: this.compilePattern(rule.pattern_text, rule.pattern_type),
-            autoFixPattern: rule.auto_fix_pattern ? new RegExp(rule.auto_fix_pattern, 'g') : null
-        }));
+        const compiledRules = this.compileRules(rules);
 
         // Cache the results
         this.ruleCache.set(cacheKey, {
@@ -77,13 +107,39 @@ export class ValidationRuleManager extends LearningEngine {
         return compiledRules;
     }
 
+    /**
+     * Compile the patterns and auto-fixes of validation_rules rows
+     */
+    compileRules(rules) {
+        return rules.map(rule => ({
+            ...rule,
+            compiledPattern: this.compilePattern(rule.pattern_text, rule.pattern_type),
+            autoFixPattern: rule.auto_fix_pattern ? this.compileAutoFix(rule.auto_fix_pattern) : null
+        }));
+    }
+
     /**
      * Apply validation rules to code content
      */
     async validateCode(content, filePath, clientName, projectPath, technologies = ['javascript']) {
         const scopes = this.determineScopesForProject(clientName, projectPath);
         const rules = await this.getRulesForScope(scopes, technologies, clientName, projectPath);
-        
+
+        const { results, applications } = await this.evaluateCode(content, filePath, rules, { clientName, projectPath, technologies });
+        await this.recordRuleApplications(applications);
+        await this.recordSuppressions(results.suppressed, filePath);
+        return results;
+    }
+
+    /**
+     * Apply compiled rules and the built-in SDF, SuiteScript and governance
+     * checks without touching the database, so worker threads can run it.
+     * Findings silenced by suppression comments end up in results.suppressed.
+     * @returns {Object} { results, applications } where applications are the
+     *   rule applications to record with recordRuleApplications()
+     */
+    async evaluateCode(content, filePath, rules, { clientName, projectPath, technologies = ['javascript'] } = {}) {
+        const applications = [];
         const results = {
             errors: [],
             warnings: [],
@@ -108,10 +164,13 @@ export class ValidationRuleManager extends LearningEngine {
                         ruleId: rule.rule_id,
                         line: match.line,
                         column: match.column,
+                        endLine: match.endLine,
+                        endColumn: match.endColumn,
                         message: rule.message,
                         suggestion: rule.suggestion,
                         autoFix: rule.auto_fix,
                         autoFixReplacement: match.autoFixReplacement,
+                        fix: match.fix || null,
                         severity: rule.priority,
                         category: rule.category,
                         matchedText: match.text
@@ -127,15 +186,15 @@ export class ValidationRuleManager extends LearningEngine {
                     }
 
                     // Track rule application
-                    await this.trackRuleApplication(
-                        rule.rule_id,
+                    applications.push({
+                        ruleId: rule.rule_id,
                         projectPath,
                         clientName,
                         filePath,
-                        match.line,
-                        true, // success - found a match
-                        Date.now() - ruleStartTime
-                    );
+                        lineNumber: match.line,
+                        success: true, // found a match
+                        executionTime: Date.now() - ruleStartTime
+                    });
                 }
 
                 results.performance.rulesApplied++;
@@ -144,32 +203,97 @@ export class ValidationRuleManager extends LearningEngine {
                 console.error(`Error applying rule ${rule.rule_id}:`, error.message);
                 
                 // Track failed rule application
-                await this.trackRuleApplication(
-                    rule.rule_id,
+                applications.push({
+                    ruleId: rule.rule_id,
                     projectPath,
                     clientName,
                     filePath,
-                    0,
-                    false, // failed
-                    Date.now() - ruleStartTime
-                );
+                    lineNumber: 0,
+                    success: false,
+                    executionTime: Date.now() - ruleStartTime
+                });
+            }
+        }
+
+        // SDF context: the script records and deployments that run this file
+        results.sdf = this.getSdfContext(filePath, projectPath);
+        if (results.sdf?.scripts.length > 0 && results.sdf.inDeploy === false) {
+            results.warnings.push({
+                ruleId: 'sdf-file-not-deployed',
+                line: 1,
+                column: 1,
+                message: `Script file of ${results.sdf.scripts.map(script => script.scriptid).join(', ')} is not included in deploy.xml`,
+                suggestion: 'Add the file or its folder to <files> in deploy.xml',
+                autoFix: false,
+                autoFixReplacement: null,
+                severity: 'warning',
+                category: 'sdf',
+                matchedText: null
+            });
+        }
+
+        // SuiteScript 2.x header, define() and entry point checks
+        if (technologies.includes('suitescript') && /\.js$/i.test(filePath || '')) {
+            const { header, modules, entryPoints, findings } = analyzeSuiteScript(content, {
+                sdfScriptTypes: (results.sdf?.scripts || []).map(script => script.scriptType)
+            });
+            if (header || findings.length > 0) {
+                results.suitescript = { header, modules, entryPoints };
+            }
+            for (const finding of findings) {
+                (finding.severity === 'error' ? results.errors : results.warnings).push(finding);
+            }
+
+            // Worst-case governance units per entry point
+            const governance = estimateGovernance(content, {
+                scriptType: header?.NScriptType || results.sdf?.scripts[0]?.scriptType || null
+            });
+            if (governance) {
+                results.governance = { scriptType: governance.scriptType, entryPoints: governance.entryPoints };
+                for (const finding of governance.findings) {
+                    (finding.severity === 'error' ? results.errors : results.warnings).push(finding);
+                }
             }
         }
 
+        applySuppressions(results, content);
+
         results.performance.executionTime = Date.now() - startTime;
-        return results;
+        return { results, applications };
+    }
+
+    /**
+     * SDF context of a file in an SDF project: its script records,
+     * deployments and referenced custom fields. Null outside SDF projects.
+     */
+    getSdfContext(filePath, projectPath) {
+        if (!projectPath || !filePath) return null;
+        try {
+            const sdfProject = loadSdfProject(projectPath);
+            return sdfProject ? sdfProject.describeFile(filePath) : null;
+        } catch (error) {
+            console.error(`Failed to load SDF project ${projectPath}:`, error.message);
+            return null;
+        }
     }
 
     /**
      * Apply a single rule to content
      */
     async applyRule(rule, content, filePath) {
+        if (rule.pattern_type === 'ast') {
+            return this.applyAstRule(rule, content);
+        }
+
         const matches = [];
         const lines = content.split('\n');
+        let lineOffset = 0;
         
         for (let i = 0; i < lines.length; i++) {
             const line = lines[i];
             const lineNumber = i + 1;
+            const offset = lineOffset;
+            lineOffset += line.length + 1;
             
             let match;
             const pattern = rule.compiledPattern;
@@ -183,17 +307,19 @@ export class ValidationRuleManager extends LearningEngine {
                 const matchResult = {
                     line: lineNumber,
                     column: match.index + 1,
+                    endLine: lineNumber,
+                    endColumn: match.index + match[0].length + 1,
                     text: match[0],
                     autoFixReplacement: null
                 };
 
                 // Generate auto-fix if available
                 if (rule.auto_fix && rule.auto_fix_pattern) {
-                    matchResult.autoFixReplacement = this.generateAutoFix(
-                        line, 
-                        rule.auto_fix_pattern, 
-                        match
-                    );
+                    const start = offset + match.index;
+                    matchResult.fix = this.createFix(rule, match[0], start, start + match[0].length)
+                        // Fixes written against the whole line, as sed-style fixes were
+                        || this.createFix(rule, line, offset, offset + line.length);
+                    matchResult.autoFixReplacement = matchResult.fix?.text ?? null;
                 }
 
                 matches.push(matchResult);
@@ -206,6 +332,67 @@ export class ValidationRuleManager extends LearningEngine {
         return matches;
     }
 
+    /**
+     * Apply an AST rule: every node matching the rule's ESTree selector is a
+     * match, reported with the node's full source range. Code in comments
+     * and strings is never matched.
+     */
+    applyAstRule(rule, content) {
+        if (!rule.compiledPattern) return [];
+
+        const ast = this.parseSource(content);
+        return esquery.match(ast, rule.compiledPattern).map(node => {
+            const text = content.slice(node.start, node.end);
+            const fix = rule.auto_fix && rule.auto_fix_pattern ? this.createFix(rule, text, node.start, node.end) : null;
+            return {
+                line: node.loc.start.line,
+                column: node.loc.start.column + 1,
+                endLine: node.loc.end.line,
+                endColumn: node.loc.end.column + 1,
+                text,
+                autoFixReplacement: fix?.text ?? null,
+                fix
+            };
+        });
+    }
+
+    /**
+     * Edit replacing content[start, end) with the rule's auto-fix applied to text
+     * @returns {Object|null} { range: [start, end], text }, or null when the fix does not apply
+     */
+    createFix(rule, text, start, end) {
+        const replacement = this.generateAutoFix(text, rule.autoFixPattern || rule.auto_fix_pattern);
+        return replacement === null ? null : { range: [start, end], text: replacement };
+    }
+
+    /**
+     * Parse source for AST rules, as a script first and then as an ES
+     * module. The last parse is kept so every AST rule shares it.
+     */
+    parseSource(content) {
+        if (this.parsedSource?.content === content) {
+            if (this.parsedSource.error) throw this.parsedSource.error;
+            return this.parsedSource.ast;
+        }
+
+        const options = { ecmaVersion: 'latest', locations: true, allowHashBang: true };
+        let ast = null;
+        let parseError = null;
+        try {
+            ast = acorn.parse(content, { ...options, sourceType: 'script' });
+        } catch (scriptError) {
+            try {
+                ast = acorn.parse(content, { ...options, sourceType: 'module' });
+            } catch {
+                parseError = new Error(`Cannot parse source for AST rules: ${scriptError.message}`);
+            }
+        }
+
+        this.parsedSource = { content, ast, error: parseError };
+        if (parseError) throw parseError;
+        return ast;
+    }
+
     /**
      * Learn new validation rule from error pattern
      */
@@ -247,6 +434,7 @@ export class ValidationRuleManager extends LearningEngine {
             priority: this.determinePriority(errorMessage),
             technology: this.determineTechnology(filePath, context),
             pattern: pattern.pattern,
+            patternType: pattern.patternType,
             message: this.generateRuleMessage(errorMessage),
             suggestion: fix || this.generateSuggestion(pattern, errorMessage),
             autoFix: !!fix,
@@ -265,6 +453,18 @@ export class ValidationRuleManager extends LearningEngine {
      * Create a new validation rule
      */
     async createValidationRule(ruleData) {
+        if (ruleData.patternType === 'ast') {
+            // Reject selectors esquery cannot parse before they reach the rules table
+            try {
+                esquery.parse(ruleData.pattern);
+            } catch (error) {
+                throw new Error(`Invalid AST selector "${ruleData.pattern}": ${error.message}`);
+            }
+        }
+        if (ruleData.autoFixPattern) {
+            parseSedPattern(ruleData.autoFixPattern);
+        }
+
         const ruleId = this.generateRuleId(ruleData);
         
         const query = `
@@ -338,20 +538,141 @@ export class ValidationRuleManager extends LearningEngine {
     }
 
     /**
-     * Track rule application for effectiveness measurement
+     * Track rule application for effectiveness measurement. Inside a batch
+     * the row is held until flushApplicationBatch().
      */
     async trackRuleApplication(ruleId, projectPath, clientName, filePath, lineNumber, success, executionTime) {
-        const query = `
-            INSERT INTO rule_applications (
-                rule_id, project_path, client_name, file_path, line_number,
-                success, applied_at, execution_time_ms
-            ) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?)
-        `;
-
-        await this.dbRun(query, [
+        const params = [
             ruleId, projectPath, clientName, filePath, lineNumber,
             success ? 1 : 0, executionTime
-        ]);
+        ];
+
+        if (this.applicationBatch) {
+            this.applicationBatch.push(params);
+            return;
+        }
+
+        await this.dbRun(RULE_APPLICATION_INSERT, params);
+    }
+
+    /**
+     * Record the rule applications evaluateCode() collected
+     */
+    async recordRuleApplications(applications) {
+        for (const { ruleId, projectPath, clientName, filePath, lineNumber, success, executionTime } of applications) {
+            await this.trackRuleApplication(ruleId, projectPath, clientName, filePath, lineNumber, success, executionTime);
+        }
+    }
+
+    /**
+     * Hold rule applications and suppressions in memory until
+     * flushApplicationBatch(), so a project run writes them in one
+     * transaction instead of one insert each
+     */
+    beginApplicationBatch() {
+        this.applicationBatch = this.applicationBatch || [];
+        this.suppressionBatch = this.suppressionBatch || [];
+    }
+
+    /**
+     * Write the batched rule applications and suppressions in a single transaction
+     * @returns {number} rule applications written
+     */
+    async flushApplicationBatch() {
+        const batch = this.applicationBatch || [];
+        const suppressions = this.suppressionBatch || [];
+        this.applicationBatch = null;
+        this.suppressionBatch = null;
+        if (batch.length === 0 && suppressions.length === 0) return 0;
+
+        if (suppressions.length > 0) await this.ensureSuppressionTable();
+        await this.dbRun('BEGIN TRANSACTION');
+        try {
+            for (const params of batch) {
+                await this.dbRun(RULE_APPLICATION_INSERT, params);
+            }
+            for (const suppression of suppressions) {
+                await this.writeSuppression(suppression);
+            }
+            await this.dbRun('COMMIT');
+        } catch (error) {
+            await this.dbRun('ROLLBACK');
+            throw error;
+        }
+        return batch.length;
+    }
+
+    /**
+     * Count suppressed findings as negative feedback on their rules, once per
+     * rule, file and directive however often the file is validated. Inside a
+     * batch they are held until flushApplicationBatch().
+     */
+    async recordSuppressions(suppressed, filePath) {
+        const seen = new Set();
+        const pending = [];
+        for (const issue of suppressed) {
+            const { kind, reason } = issue.suppression;
+            const directive = reason ? `${kind} -- ${reason}` : kind;
+            const key = `${issue.ruleId}\0${directive}`;
+            if (!issue.ruleId || seen.has(key)) continue;
+            seen.add(key);
+            pending.push({ ruleId: issue.ruleId, filePath, directive });
+        }
+
+        if (this.suppressionBatch) {
+            this.suppressionBatch.push(...pending);
+            return;
+        }
+
+        if (pending.length > 0) await this.ensureSuppressionTable();
+        for (const suppression of pending) {
+            await this.writeSuppression(suppression);
+        }
+    }
+
+    ensureSuppressionTable() {
+        this.suppressionTable = this.suppressionTable || this.dbRun(RULE_SUPPRESSIONS_TABLE);
+        return this.suppressionTable;
+    }
+
+    /**
+     * Record a suppression; only the first sighting counts as feedback
+     */
+    async writeSuppression({ ruleId, filePath, directive }) {
+        const { changes } = await this.dbRun(RULE_SUPPRESSION_INSERT, [filePath, directive, ruleId]);
+        if (changes > 0) {
+            await this.recordRuleFeedback(ruleId, { positive: false });
+        }
+    }
+
+    /**
+     * Record user feedback on a rule in today's rule_effectiveness row, e.g.
+     * a bypassed commit hook. The effectiveness score discounts true
+     * positives by the negative feedback.
+     * @returns {boolean} false for built-in checks, which have no rule row
+     */
+    async recordRuleFeedback(ruleId, { positive = false } = {}) {
+        const rule = await this.dbGet('SELECT rule_id FROM validation_rules WHERE rule_id = ?', [ruleId]);
+        if (!rule) return false;
+
+        const column = positive ? 'user_feedback_positive' : 'user_feedback_negative';
+        await this.dbRun("INSERT OR IGNORE INTO rule_effectiveness (rule_id, time_period) VALUES (?, DATE('now'))", [ruleId]);
+        await this.dbRun(`UPDATE rule_effectiveness SET ${column} = ${column} + 1 WHERE rule_id = ? AND time_period = DATE('now')`, [ruleId]);
+        await this.dbRun(`
+            UPDATE validation_rules
+            SET effectiveness_score = (
+                SELECT CASE
+                    WHEN applications_count > 0 THEN
+                        (CAST(MAX(true_positives - user_feedback_negative, 0) AS REAL) / applications_count) * 0.8 +
+                        (CAST(fixes_applied AS REAL) / applications_count) * 0.2
+                    ELSE 0.0
+                END
+                FROM rule_effectiveness
+                WHERE rule_id = ? AND time_period = DATE('now')
+            )
+            WHERE rule_id = ?
+        `, [ruleId, ruleId]);
+        return true;
     }
 
     /**
@@ -369,8 +690,10 @@ export class ValidationRuleManager extends LearningEngine {
         try {
             if (patternType === 'regex') {
                 compiledPattern = new RegExp(patternText, 'gm');
+            } else if (patternType === 'ast') {
+                // ESTree selector, e.g. CallExpression[callee.property.name="load"]
+                compiledPattern = esquery.parse(patternText);
             }
-            // Add support for AST patterns in the future
             
             this.patternCompileCache.set(cacheKey, compiledPattern);
         } catch (error) {
@@ -461,11 +784,14 @@ export class ValidationRuleManager extends LearningEngine {
         // SuiteScript governance patterns  
         if (errorMessage.includes('governance') || errorMessage.includes('USAGE_LIMIT_EXCEEDED')) {
             return {
-                pattern: '\\b(search\\.create|record\\.load|record\\.save)\\b',
-                patternType: 'regex', 
+                // NetSuite calls inside loops and callbacks of search results or arrays
+                pattern: ':matches(ForStatement, ForInStatement, ForOfStatement, WhileStatement, DoWhileStatement, '
+                    + 'CallExpression[callee.property.name=/^(each|forEach|map)$/] > :function) '
+                    + 'CallExpression[callee.object.name=/^(record|search|query|https|http|email|file|render)$/]',
+                patternType: 'ast',
                 confidence: 0.8,
                 category: 'performance',
-                description: 'Potential governance issue'
+                description: 'NetSuite API call inside a loop'
             };
         }
         
@@ -557,27 +883,38 @@ export class ValidationRuleManager extends LearningEngine {
             return 's/this\\.(\\w+)\\s*=\\s*([^;]+);/get$1 = () => $2;/g';
         }
         
+        // AST matches are whole nodes, so the fix replaces the node's source
+        if (pattern.patternType === 'ast') {
+            return `s/^[\\s\\S]*$/${escapeSedPart(fix)}/`;
+        }
+
         // Generic replacement pattern
-        return `s/${pattern.pattern}/${fix}/g`;
+        return `s/${escapeSedPart(pattern.pattern)}/${escapeSedPart(fix)}/g`;
     }
 
     /**
-     * Generate auto-fix replacement for a match
+     * Parse a rule's sed-style auto-fix pattern; broken patterns disable the fix
      */
-    generateAutoFix(line, autoFixPattern, match) {
+    compileAutoFix(autoFixPattern) {
         try {
-            if (autoFixPattern.startsWith('s/')) {
-                // Sed-style replacement
-                const parts = autoFixPattern.split('/');
-                if (parts.length >= 4) {
-                    const searchPattern = new RegExp(parts[1], parts[3] || '');
-                    const replacement = parts[2];
-                    return line.replace(searchPattern, replacement);
-                }
-            }
+            return parseSedPattern(autoFixPattern);
+        } catch (error) {
+            console.error(error.message);
             return null;
+        }
+    }
+
+    /**
+     * Generate auto-fix replacement for matched text
+     * @param {string} text - Matched text, or the whole line for line-based fixes
+     * @param {string|Object} autoFixPattern - Sed-style pattern or its parsed form
+     * @returns {string|null} replaced text, or null when the fix does not apply
+     */
+    generateAutoFix(text, autoFixPattern) {
+        try {
+            return applySedPattern(text, autoFixPattern);
         } catch (error) {
-            console.error('Auto-fix generation failed:', error);
+            console.error('Auto-fix generation failed:', error.message);
             return null;
         }
     }
@@ -596,6 +933,20 @@ export class ValidationRuleManager extends LearningEngine {
         await this.dbRun(query, [newScope, ruleId]);
     }
 
+    /**
+     * Demote rule to a lower priority
+     */
+    async demoteRule(ruleId, newPriority) {
+        const query = `
+            UPDATE validation_rules 
+            SET priority = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE rule_id = ?
+        `;
+        
+        await this.dbRun(query, [newPriority, ruleId]);
+    }
+
     /**
      * Calculate new scope for rule promotion
      */
@@ -0,0 +1,183 @@
+/**
+ * Validation Suppressions
+ * Acknowledged findings: inline and file-level suppression comments, and a
+ * per-project baseline of existing findings so only new ones fail
+ *
+ *   // saralegui-disable-next-line no-var, no-console -- legacy module
+ *   // saralegui-disable-file governance-loop-call -- runs on 10 records
+ *
+ * Without rule ids a directive suppresses every rule, and then it must give
+ * a reason; a bare directive is ignored.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export const BASELINE_FILE = '.saralegui-baseline.json';
+
+export const BASELINE_VERSION = 1;
+
+const DIRECTIVE = /(?:\/\/|\/\*)\s*saralegui-disable-(next-line|file)(?=\s|\*\/|$)(.*)$/;
+
+const SEVERITY_LISTS = ['errors', 'warnings', 'suggestions'];
+
+/**
+ * Suppression directives in a file's comments
+ * @returns {Array} [{ kind: 'next-line' | 'file', line, target, ruleIds, reason }]
+ *   where target is the suppressed line and ruleIds is null for all rules.
+ *   Directives with neither rule ids nor a reason are left out.
+ */
+export function parseSuppressions(content) {
+    const suppressions = [];
+    const lines = content.split('\n');
+
+    lines.forEach((text, index) => {
+        const match = text.match(DIRECTIVE);
+        if (!match) return;
+
+        const body = match[2].replace(/\*\/.*$/, '');
+        const separator = body.search(/\s--(\s|$)/);
+        const rulePart = separator === -1 ? body : body.substring(0, separator);
+        const reason = separator === -1 ? null : body.substring(separator).replace(/^\s--/, '').trim() || null;
+        const ruleIds = rulePart.split(/[\s,]+/).filter(Boolean);
+        if (ruleIds.length === 0 && !reason) return;
+
+        suppressions.push({
+            kind: match[1],
+            line: index + 1,
+            target: match[1] === 'next-line' ? index + 2 : null,
+            ruleIds: ruleIds.length > 0 ? ruleIds : null,
+            reason
+        });
+    });
+
+    return suppressions;
+}
+
+function suppressionFor(issue, suppressions) {
+    return suppressions.find(suppression =>
+        (suppression.kind === 'file' || suppression.target === issue.line) &&
+        (!suppression.ruleIds || suppression.ruleIds.includes(issue.ruleId))
+    );
+}
+
+/**
+ * Move suppressed findings of a file's results to results.suppressed, each
+ * with the suppression that matched it
+ */
+export function applySuppressions(results, content) {
+    results.suppressed = results.suppressed || [];
+    const suppressions = parseSuppressions(content);
+    if (suppressions.length === 0) return results;
+
+    for (const list of SEVERITY_LISTS) {
+        results[list] = results[list].filter(issue => {
+            const suppression = suppressionFor(issue, suppressions);
+            if (!suppression) return true;
+            results.suppressed.push({
+                ...issue,
+                suppression: { kind: suppression.kind, line: suppression.line, reason: suppression.reason }
+            });
+            return false;
+        });
+    }
+
+    return results;
+}
+
+function relativeFile(file, projectPath) {
+    if (!file) return '';
+    const relative = path.isAbsolute(file) ? path.relative(projectPath, file) : file;
+    return relative.split(path.sep).join('/');
+}
+
+/**
+ * Fingerprint of a finding that survives line shifts and re-indentation:
+ * the rule and the matched source text, or the message for checks without one
+ */
+export function findingFingerprint(issue) {
+    const text = (issue.matchedText ?? issue.message ?? '').replace(/\s+/g, ' ').trim();
+    return crypto.createHash('sha256').update(`${issue.ruleId || issue.category}\0${text}`).digest('hex').substring(0, 16);
+}
+
+function baselineKey(file, ruleId, fingerprint) {
+    return `${file}\0${ruleId}\0${fingerprint}`;
+}
+
+/**
+ * Baseline of a project run's findings, counted per file, rule and fingerprint
+ */
+export function createBaseline(results, projectPath = results.projectPath) {
+    const counts = new Map();
+    for (const list of SEVERITY_LISTS) {
+        for (const issue of results[list] || []) {
+            const entry = {
+                file: relativeFile(issue.file, projectPath),
+                ruleId: issue.ruleId || issue.category,
+                fingerprint: findingFingerprint(issue)
+            };
+            const key = baselineKey(entry.file, entry.ruleId, entry.fingerprint);
+            counts.set(key, { ...entry, count: (counts.get(key)?.count || 0) + 1 });
+        }
+    }
+
+    return {
+        version: BASELINE_VERSION,
+        createdAt: new Date().toISOString(),
+        findings: [...counts.values()].sort((a, b) =>
+            a.file.localeCompare(b.file) || a.ruleId.localeCompare(b.ruleId) || a.fingerprint.localeCompare(b.fingerprint))
+    };
+}
+
+/**
+ * A project's baseline, or null when it has none
+ */
+export function loadBaseline(projectPath, fileName = BASELINE_FILE) {
+    const baselinePath = path.join(projectPath, fileName);
+    if (!fs.existsSync(baselinePath)) return null;
+
+    let baseline;
+    try {
+        baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid baseline file ${baselinePath}: ${error.message}`);
+    }
+    if (baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.findings)) {
+        throw new Error(`Unsupported baseline file ${baselinePath}: expected version ${BASELINE_VERSION}`);
+    }
+    return baseline;
+}
+
+export function writeBaseline(projectPath, baseline, fileName = BASELINE_FILE) {
+    const baselinePath = path.join(projectPath, fileName);
+    fs.writeFileSync(baselinePath, `${JSON.stringify(baseline, null, 2)}\n`);
+    return baselinePath;
+}
+
+/**
+ * Move findings recorded in the baseline to results.baselined. Each baseline
+ * entry absorbs at most as many findings as it counted, so a second copy of
+ * a known finding is new.
+ */
+export function applyBaseline(results, baseline, projectPath = results.projectPath) {
+    results.baselined = results.baselined || [];
+    if (!baseline) return results;
+
+    const remaining = new Map(baseline.findings.map(entry => [baselineKey(entry.file, entry.ruleId, entry.fingerprint), entry.count]));
+
+    for (const list of SEVERITY_LISTS) {
+        if (!results[list]) continue;
+        results[list] = results[list].filter(issue => {
+            const key = baselineKey(relativeFile(issue.file, projectPath), issue.ruleId || issue.category, findingFingerprint(issue));
+            if (!(remaining.get(key) > 0)) return true;
+            remaining.set(key, remaining.get(key) - 1);
+            results.baselined.push(issue);
+            return false;
+        });
+    }
+
+    return results;
+}
+
+export default applySuppressions;
@@ -0,0 +1,21 @@
+/**
+ * Validation Worker
+ * Runs ValidationRuleManager.evaluateCode in a worker thread. The rules come
+ * from the main thread, which owns the database and records the rule
+ * applications each task reports back.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { ValidationRuleManager } from './validation_rule_manager.js';
+
+const ruleManager = new ValidationRuleManager(null);
+const rules = ruleManager.compileRules(workerData.rules);
+
+parentPort.on('message', async ({ id, filePath, content, clientName, projectPath, technologies }) => {
+    try {
+        const { results, applications } = await ruleManager.evaluateCode(content, filePath, rules, { clientName, projectPath, technologies });
+        parentPort.postMessage({ id, results, applications });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
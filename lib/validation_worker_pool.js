@@ -0,0 +1,126 @@
+/**
+ * Validation Worker Pool
+ * Spreads file validation over worker threads. Every worker gets the same
+ * rule set; tasks are queued and handed to whichever worker is free.
+ */
+
+import os from 'os';
+import { Worker } from 'worker_threads';
+
+const WORKER_SCRIPT = new URL('./validation_worker.js', import.meta.url);
+
+/**
+ * Workers to start by default: one per core, leaving one for the main thread
+ */
+export function defaultPoolSize() {
+    const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    return Math.max(1, cores - 1);
+}
+
+export class ValidationWorkerPool {
+    /**
+     * @param {Array} rules - validation_rules rows; each worker compiles them
+     * @param {Object} options - { size }
+     */
+    constructor(rules, { size = defaultPoolSize() } = {}) {
+        // Compiled patterns stay behind; workers compile the plain rows
+        this.rules = rules.map(({ compiledPattern, autoFixPattern, ...rule }) => rule);
+        this.size = Number.isInteger(size) ? Math.max(1, size) : 1;
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.pending = new Map();
+        this.nextId = 1;
+        this.closed = false;
+    }
+
+    start() {
+        for (let index = 0; index < this.size; index++) {
+            this.spawn();
+        }
+    }
+
+    spawn() {
+        const worker = new Worker(WORKER_SCRIPT, { workerData: { rules: this.rules } });
+        worker.task = null;
+
+        worker.on('message', ({ id, results, applications, error }) => {
+            const task = this.pending.get(id);
+            this.pending.delete(id);
+            worker.task = null;
+            if (error) task.reject(new Error(error));
+            else task.resolve({ results, applications });
+            this.release(worker);
+        });
+
+        // A crashed worker fails its task and is replaced. Workers that exit
+        // without an 'error', e.g. on process.exit() or out of memory, too.
+        worker.on('error', error => this.fail(worker, error));
+        worker.on('exit', code => {
+            if (!this.closed) this.fail(worker, new Error(`Validation worker exited with code ${code}`));
+        });
+
+        this.workers.push(worker);
+        this.idle.push(worker);
+        return worker;
+    }
+
+    fail(worker, error) {
+        // 'exit' follows 'error' for the same crash
+        if (!this.workers.includes(worker)) return;
+
+        if (worker.task) {
+            this.pending.delete(worker.task.id);
+            worker.task.reject(error);
+            worker.task = null;
+        }
+        this.remove(worker);
+        if (!this.closed) this.release(this.spawn());
+    }
+
+    remove(worker) {
+        this.workers = this.workers.filter(candidate => candidate !== worker);
+        this.idle = this.idle.filter(candidate => candidate !== worker);
+    }
+
+    release(worker) {
+        const next = this.queue.shift();
+        if (next) {
+            this.dispatch(worker, next);
+        } else if (!this.idle.includes(worker)) {
+            this.idle.push(worker);
+        }
+    }
+
+    dispatch(worker, task) {
+        this.idle = this.idle.filter(candidate => candidate !== worker);
+        worker.task = task;
+        this.pending.set(task.id, task);
+        worker.postMessage({ id: task.id, ...task.payload });
+    }
+
+    /**
+     * Validate one file in a worker
+     * @param {Object} payload - { filePath, content, clientName, projectPath, technologies }
+     * @returns {Promise<Object>} { results, applications }
+     */
+    validate(payload) {
+        if (this.workers.length === 0) this.start();
+
+        return new Promise((resolve, reject) => {
+            const task = { id: this.nextId++, payload, resolve, reject };
+            const worker = this.idle[0];
+            if (worker) this.dispatch(worker, task);
+            else this.queue.push(task);
+        });
+    }
+
+    async close() {
+        this.closed = true;
+        await Promise.all(this.workers.map(worker => worker.terminate()));
+        this.workers = [];
+        this.idle = [];
+    }
+}
+
+export default ValidationWorkerPool;
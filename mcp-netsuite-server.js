@@ -17,11 +17,21 @@ import {
   ReadResourceRequestSchema
 } from '@modelcontextprotocol/sdk/types.js';
 import fs from 'fs/promises';
+import crypto from 'crypto';
 import { DatabaseManager } from './lib/database_manager.js';
 import { NetSuiteSandboxManager } from './config/netsuite_sandbox.js';
 import { LearningEngine } from './lib/learning_engine.js';
 import { SecurityManager } from './lib/security_manager.js';
-import { NetSuiteAPIClient } from './lib/netsuite-api-client.js';
+import { NetSuiteAPIClient, AUTH_TYPES, OAUTH2_SIGNING_ALGORITHMS, COMPANION_RESTLET, missingCredentialFields } from './lib/netsuite-api-client.js';
+import { analyzeSuiteQL, normalizeSuiteQL } from './lib/suiteql_parser.js';
+import { QueryLibrary } from './lib/query_library.js';
+import { ResultExporter, OUTPUT_FORMATS } from './lib/result_exporter.js';
+import { QueryCache, CACHE_MODES } from './lib/query_cache.js';
+import { SchemaExplorer, SCHEMA_VIEWS } from './lib/schema_explorer.js';
+import { QueryCostEstimator } from './lib/query_cost_estimator.js';
+import { diffRows, summarizeChanges } from './lib/result_differ.js';
+import { CustomizationInventory } from './lib/customization_inventory.js';
+import { ProjectDetectionSystem } from './lib/project_detection_system.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
@@ -50,10 +60,18 @@ class NetSuiteMCPServer {
     this.netsuiteManager = new NetSuiteSandboxManager();
     this.learningEngine = new LearningEngine(this.db);
     this.securityManager = new SecurityManager(this.db);
+    this.queryLibrary = new QueryLibrary();
+    this.resultExporter = new ResultExporter();
+    this.queryCache = new QueryCache(this.db);
+    this.schemaExplorer = new SchemaExplorer(this.db);
+    this.costEstimator = new QueryCostEstimator(this.db);
+    this.inventory = new CustomizationInventory(this.db);
+    this.projectDetector = new ProjectDetectionSystem();
     
     this.sessionId = this.generateSessionId();
     this.context = {
       activeClient: null,
+      activeProfile: null,
       recentActions: [],
       sessionStart: new Date()
     };
@@ -75,6 +93,10 @@ class NetSuiteMCPServer {
       
       // Initialize other components
       await this.securityManager.initialize();
+      await this.queryCache.initialize();
+      await this.schemaExplorer.initialize();
+      await this.costEstimator.initialize();
+      await this.inventory.initialize();
       
       // Set up handlers
       await this.setupHandlers();
@@ -83,7 +105,7 @@ class NetSuiteMCPServer {
       await this.db.createSession(this.sessionId, this.context);
       
       console.error('✅ NetSuite MCP Server initialized successfully');
-      console.error(`📋 Available tools: netsuite_setup, netsuite_list, netsuite_test, netsuite_query, netsuite_deploy, client_discover, netsuite_help, netsuite_status, netsuite_examples, netsuite_validate`);
+      console.error(`📋 Available tools: netsuite_setup, netsuite_list, netsuite_test, netsuite_query, netsuite_deploy, client_discover, netsuite_help, netsuite_status, netsuite_examples, netsuite_validate, netsuite_saved_query_list, netsuite_saved_query_run, netsuite_saved_query_save, netsuite_record_get, netsuite_record_create, netsuite_record_update, netsuite_record_delete, netsuite_cache_stats, netsuite_use, netsuite_saved_search, netsuite_saved_search_list, netsuite_schema, netsuite_compare, netsuite_snapshot, netsuite_drift, netsuite_sdf_project`);
       console.error(`📚 Available resources: netsuite://commands, netsuite://setup, netsuite://examples, netsuite://status`);
     } catch (error) {
       console.error('❌ Initialization failed:', error);
@@ -98,7 +120,7 @@ class NetSuiteMCPServer {
         tools: [
           {
             name: 'netsuite_setup',
-            description: 'Configure NetSuite credentials for a client project',
+            description: 'Configure NetSuite credentials (token-based or OAuth 2.0 M2M) for a client project',
             inputSchema: {
               type: 'object',
               properties: {
@@ -111,6 +133,12 @@ class NetSuiteMCPServer {
                   description: 'NetSuite account ID (e.g., TSTDRV123456)',
                   pattern: '^[A-Z0-9_]+$'
                 },
+                auth_type: {
+                  type: 'string',
+                  enum: AUTH_TYPES,
+                  default: 'tba',
+                  description: 'tba: OAuth 1.0a token-based auth; oauth2: OAuth 2.0 client credentials (M2M) with a certificate'
+                },
                 consumer_key: {
                   type: 'string',
                   description: 'OAuth consumer key'
@@ -127,14 +155,49 @@ class NetSuiteMCPServer {
                   type: 'string',
                   description: 'Access token secret'
                 },
+                client_id: {
+                  type: 'string',
+                  description: 'Integration client ID (oauth2)'
+                },
+                certificate_id: {
+                  type: 'string',
+                  description: 'Certificate ID from the OAuth 2.0 client credentials setup (oauth2)'
+                },
+                private_key: {
+                  type: 'string',
+                  description: 'PEM private key for the uploaded certificate (oauth2; or use private_key_path)'
+                },
+                private_key_path: {
+                  type: 'string',
+                  description: 'Path to the PEM private key file; the key is read once and stored encrypted (oauth2)'
+                },
+                signing_algorithm: {
+                  type: 'string',
+                  enum: OAUTH2_SIGNING_ALGORITHMS,
+                  description: 'JWT signing algorithm (oauth2; default PS256 for RSA keys, ES256 for EC keys)'
+                },
+                scope: {
+                  type: 'array',
+                  items: { type: 'string', enum: ['restlets', 'rest_webservices', 'suite_analytics'] },
+                  description: 'OAuth 2.0 scopes (oauth2; default restlets and rest_webservices)'
+                },
                 environment: {
                   type: 'string',
-                  enum: ['sandbox', 'production'],
+                  enum: ['sandbox', 'production', 'release_preview'],
                   default: 'sandbox',
                   description: 'NetSuite environment'
+                },
+                account_alias: {
+                  type: 'string',
+                  description: 'Profile name shown by netsuite_list (default: <client>-<environment>)'
+                },
+                make_default: {
+                  type: 'boolean',
+                  default: true,
+                  description: 'Make this the client\'s default profile'
                 }
               },
-              required: ['account_id', 'consumer_key', 'consumer_secret', 'token_id', 'token_secret']
+              required: ['account_id']
             }
           },
           {
@@ -149,7 +212,7 @@ class NetSuiteMCPServer {
                 },
                 include_test_status: {
                   type: 'boolean',
-                  description: 'Include connection test results',
+                  description: 'Test every listed profile now and include the results',
                   default: false
                 }
               }
@@ -168,6 +231,11 @@ class NetSuiteMCPServer {
                 account_id: {
                   type: 'string',
                   description: 'Specific account ID to test (optional)'
+                },
+                environment: {
+                  type: 'string',
+                  enum: ['sandbox', 'production', 'release_preview'],
+                  description: 'Test the client\'s profile for this environment (optional)'
                 }
               }
             }
@@ -182,6 +250,15 @@ class NetSuiteMCPServer {
                   type: 'string',
                   description: 'Client name (auto-detected if not provided)'
                 },
+                account_id: {
+                  type: 'string',
+                  description: 'Use this account\'s profile instead of the session or default profile'
+                },
+                environment: {
+                  type: 'string',
+                  enum: ['sandbox', 'production', 'release_preview'],
+                  description: 'Use the client\'s profile for this environment'
+                },
                 query: {
                   type: 'string',
                   description: 'SuiteQL query to execute'
@@ -196,6 +273,42 @@ class NetSuiteMCPServer {
                   type: 'integer',
                   description: 'Number of results to skip',
                   default: 0
+                },
+                fetch_all: {
+                  type: 'boolean',
+                  description: 'Follow NetSuite paging and return every page up to max_rows',
+                  default: false
+                },
+                max_rows: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: 'Row budget when paging (implies fetch_all)',
+                  default: 10000
+                },
+                output_format: {
+                  type: 'string',
+                  enum: OUTPUT_FORMATS,
+                  description: 'Return or write results as json, csv, tsv, jsonl or markdown (inferred from output_path if omitted)'
+                },
+                output_path: {
+                  type: 'string',
+                  description: 'Write results to this file inside the client project and return only a summary'
+                },
+                cache: {
+                  type: 'string',
+                  enum: CACHE_MODES,
+                  default: 'use',
+                  description: 'use: serve a fresh cached result if there is one; bypass: skip the cache; refresh: re-run and re-cache; only: never call NetSuite'
+                },
+                cache_ttl: {
+                  type: 'integer',
+                  minimum: 0,
+                  description: 'Seconds to keep this result cached (0 = do not cache)'
+                },
+                force: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Run a query the cost estimator flags as likely to time out'
                 }
               },
               required: ['query']
@@ -211,6 +324,15 @@ class NetSuiteMCPServer {
                   type: 'string',
                   description: 'Client name (auto-detected if not provided)'
                 },
+                account_id: {
+                  type: 'string',
+                  description: 'Use this account\'s profile instead of the session or default profile'
+                },
+                environment: {
+                  type: 'string',
+                  enum: ['sandbox', 'production', 'release_preview'],
+                  description: 'Use the client\'s profile for this environment'
+                },
                 script_type: {
                   type: 'string',
                   enum: ['userevent', 'scheduled', 'restlet', 'suitelet', 'client', 'mapreduce'],
@@ -226,522 +348,2323 @@ class NetSuiteMCPServer {
                 },
                 deployment_config: {
                   type: 'object',
-                  description: 'Deployment configuration options'
+                  description: 'Deployment configuration options',
+                  properties: {
+                    script_id: {
+                      type: 'string',
+                      description: 'Script ID (customscript_...); derived from script_name if omitted'
+                    },
+                    deployment_id: {
+                      type: 'string',
+                      description: 'Deployment ID (customdeploy_...); derived from script_id if omitted'
+                    },
+                    file_name: {
+                      type: 'string',
+                      description: 'File Cabinet file name (defaults to <script id>.js)'
+                    },
+                    folder_id: {
+                      type: 'integer',
+                      description: 'File Cabinet folder internal ID (defaults to SuiteScripts, -15)'
+                    },
+                    title: {
+                      type: 'string',
+                      description: 'Deployment title (defaults to script_name)'
+                    },
+                    status: {
+                      type: 'string',
+                      enum: ['testing', 'released'],
+                      default: 'testing',
+                      description: 'Deployment status'
+                    },
+                    log_level: {
+                      type: 'string',
+                      enum: ['debug', 'audit', 'error', 'emergency'],
+                      default: 'debug',
+                      description: 'Deployment log level'
+                    },
+                    audience: {
+                      type: 'object',
+                      description: 'Deployment audience: all_roles, roles (internal IDs), all_employees, all_partners'
+                    },
+                    record_type: {
+                      type: 'string',
+                      description: 'Record type the deployment applies to (user event and client scripts)'
+                    }
+                  }
                 }
               },
               required: ['script_type', 'script_content', 'script_name']
             }
           },
           {
-            name: 'client_discover',
-            description: 'Discover new client projects and integrate them',
+            name: 'netsuite_saved_query_list',
+            description: 'List the named queries in a client query library',
             inputSchema: {
               type: 'object',
               properties: {
-                base_path: {
+                client_name: {
                   type: 'string',
-                  description: 'Base path to scan for clients',
-                  default: '/home/ben/saralegui-solutions-llc'
+                  description: 'Client name (auto-detected if not provided)'
                 },
-                dry_run: {
+                category: {
+                  type: 'string',
+                  description: 'Only list queries in this category (optional)'
+                }
+              }
+            }
+          },
+          {
+            name: 'netsuite_saved_query_run',
+            description: 'Run a named query from a client query library with bound parameters',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                client_name: {
+                  type: 'string',
+                  description: 'Client name (auto-detected if not provided)'
+                },
+                account_id: {
+                  type: 'string',
+                  description: 'Use this account\'s profile instead of the session or default profile'
+                },
+                environment: {
+                  type: 'string',
+                  enum: ['sandbox', 'production', 'release_preview'],
+                  description: 'Use the client\'s profile for this environment'
+                },
+                query_id: {
+                  type: 'string',
+                  description: 'Query to run, as category.key or a unique key (e.g. customers.customer_search)'
+                },
+                parameters: {
+                  type: 'object',
+                  description: 'Values for the query placeholders, e.g. { "search_term": "acme" }'
+                },
+                limit: {
+                  type: 'integer',
+                  description: 'Maximum number of results to return',
+                  default: 100,
+                  maximum: 1000
+                },
+                offset: {
+                  type: 'integer',
+                  description: 'Number of results to skip',
+                  default: 0
+                },
+                fetch_all: {
                   type: 'boolean',
-                  description: 'Show what would be done without making changes',
+                  description: 'Follow NetSuite paging and return every page up to max_rows',
                   default: false
+                },
+                max_rows: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: 'Row budget when paging (implies fetch_all)',
+                  default: 10000
+                },
+                output_format: {
+                  type: 'string',
+                  enum: OUTPUT_FORMATS,
+                  description: 'Return or write results as json, csv, tsv, jsonl or markdown (inferred from output_path if omitted)'
+                },
+                output_path: {
+                  type: 'string',
+                  description: 'Write results to this file inside the client project and return only a summary'
+                },
+                cache: {
+                  type: 'string',
+                  enum: CACHE_MODES,
+                  default: 'use',
+                  description: 'use: serve a fresh cached result if there is one; bypass: skip the cache; refresh: re-run and re-cache; only: never call NetSuite'
+                },
+                cache_ttl: {
+                  type: 'integer',
+                  minimum: 0,
+                  description: 'Seconds to keep this result cached (0 = do not cache)'
+                },
+                force: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Run a query the cost estimator flags as likely to time out'
                 }
-              }
+              },
+              required: ['query_id']
             }
           },
           {
-            name: 'netsuite_help',
-            description: 'Get help and documentation for NetSuite MCP commands',
+            name: 'netsuite_saved_query_save',
+            description: 'Save an ad-hoc SuiteQL query into a client query library',
             inputSchema: {
               type: 'object',
               properties: {
-                command: {
+                client_name: {
                   type: 'string',
-                  description: 'Specific command to get help for (optional)'
+                  description: 'Client name (auto-detected if not provided)'
+                },
+                key: {
+                  type: 'string',
+                  description: 'Query key (derived from name if not provided)'
+                },
+                name: {
+                  type: 'string',
+                  description: 'Display name for the query'
+                },
+                description: {
+                  type: 'string',
+                  description: 'What the query is for'
                 },
                 category: {
                   type: 'string',
-                  description: 'Help category (setup, queries, deployment, troubleshooting)',
-                  enum: ['setup', 'queries', 'deployment', 'troubleshooting', 'all']
+                  description: 'Library category',
+                  default: 'custom'
+                },
+                query: {
+                  type: 'string',
+                  description: 'SuiteQL query; use {name} placeholders for parameters'
+                },
+                parameters: {
+                  type: 'array',
+                  description: 'Parameter names or { name, type, required, default, description } objects; type is string, integer, number, boolean, date or id_list'
+                },
+                expected_columns: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Columns the query returns (derived from the SELECT list if not provided)'
+                },
+                cache_ttl: {
+                  type: 'integer',
+                  minimum: 0,
+                  description: 'Default seconds to cache results of this query when it is run'
+                },
+                overwrite: {
+                  type: 'boolean',
+                  description: 'Replace an existing query with the same key',
+                  default: false
                 }
-              }
+              },
+              required: ['query']
             }
           },
           {
-            name: 'netsuite_status',
-            description: 'Check NetSuite MCP server and configuration status',
+            name: 'netsuite_record_get',
+            description: 'Get a NetSuite record by type and internal ID',
             inputSchema: {
               type: 'object',
               properties: {
-                detailed: {
+                client_name: {
+                  type: 'string',
+                  description: 'Client name (auto-detected if not provided)'
+                },
+                account_id: {
+                  type: 'string',
+                  description: 'Use this account\'s profile instead of the session or default profile'
+                },
+                environment: {
+                  type: 'string',
+                  enum: ['sandbox', 'production', 'release_preview'],
+                  description: 'Use the client\'s profile for this environment'
+                },
+                record_type: {
+                  type: 'string',
+                  description: 'REST record type (e.g. customer, salesorder, customrecord_xyz)'
+                },
+                id: {
+                  type: 'string',
+                  description: 'Record internal ID'
+                },
+                fields: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Only return these fields (optional)'
+                },
+                expand_sub_resources: {
                   type: 'boolean',
-                  description: 'Include detailed system information',
+                  description: 'Include sublists and subrecords inline',
                   default: false
                 }
-              }
+              },
+              required: ['record_type', 'id']
             }
           },
           {
-            name: 'netsuite_examples',
-            description: 'Show usage examples for NetSuite MCP operations',
+            name: 'netsuite_record_create',
+            description: 'Create a NetSuite record (production requires a confirmation token)',
             inputSchema: {
               type: 'object',
               properties: {
-                category: {
+                client_name: {
                   type: 'string',
-                  description: 'Example category (setup, queries, deployment, workflows)',
-                  enum: ['setup', 'queries', 'deployment', 'workflows', 'all']
+                  description: 'Client name (auto-detected if not provided)'
                 },
-                operation: {
+                account_id: {
                   type: 'string',
-                  description: 'Specific operation to show examples for'
+                  description: 'Use this account\'s profile instead of the session or default profile'
+                },
+                environment: {
+                  type: 'string',
+                  enum: ['sandbox', 'production', 'release_preview'],
+                  description: 'Use the client\'s profile for this environment'
+                },
+                record_type: {
+                  type: 'string',
+                  description: 'REST record type (e.g. customer, salesorder, customrecord_xyz)'
+                },
+                fields: {
+                  type: 'object',
+                  description: 'Field values keyed by field ID; checked against the record describe schema'
+                },
+                confirmation_token: {
+                  type: 'string',
+                  description: 'Token returned by the first call, required to write to production'
                 }
-              }
+              },
+              required: ['record_type', 'fields']
             }
           },
           {
-            name: 'netsuite_validate',
-            description: 'Validate NetSuite MCP setup and configuration',
+            name: 'netsuite_record_update',
+            description: 'Update fields on a NetSuite record (production requires a confirmation token)',
             inputSchema: {
               type: 'object',
               properties: {
                 client_name: {
                   type: 'string',
-                  description: 'Client name to validate (auto-detected if not provided)'
+                  description: 'Client name (auto-detected if not provided)'
                 },
-                check_connection: {
-                  type: 'boolean',
-                  description: 'Test NetSuite connection as part of validation',
-                  default: true
+                account_id: {
+                  type: 'string',
+                  description: 'Use this account\'s profile instead of the session or default profile'
+                },
+                environment: {
+                  type: 'string',
+                  enum: ['sandbox', 'production', 'release_preview'],
+                  description: 'Use the client\'s profile for this environment'
+                },
+                record_type: {
+                  type: 'string',
+                  description: 'REST record type (e.g. customer, salesorder, customrecord_xyz)'
+                },
+                id: {
+                  type: 'string',
+                  description: 'Record internal ID'
+                },
+                fields: {
+                  type: 'object',
+                  description: 'Field values to change, keyed by field ID; checked against the record describe schema'
+                },
+                confirmation_token: {
+                  type: 'string',
+                  description: 'Token returned by the first call, required to write to production'
                 }
-              }
+              },
+              required: ['record_type', 'id', 'fields']
             }
-          }
-        ]
-      };
-    });
-
-    // List available resources
-    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
-      return {
-        resources: [
-          {
-            uri: 'netsuite://commands',
-            name: 'NetSuite MCP Commands Reference',
-            description: 'Comprehensive reference for all NetSuite MCP commands and tools',
-            mimeType: 'application/json'
           },
           {
-            uri: 'netsuite://setup',
-            name: 'NetSuite MCP Setup Guide',
-            description: 'Complete setup and installation guide for NetSuite MCP integration',
-            mimeType: 'application/json'
+            name: 'netsuite_record_delete',
+            description: 'Delete a NetSuite record (production requires a confirmation token)',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                client_name: {
+                  type: 'string',
+                  description: 'Client name (auto-detected if not provided)'
+                },
+                account_id: {
+                  type: 'string',
+                  description: 'Use this account\'s profile instead of the session or default profile'
+                },
+                environment: {
+                  type: 'string',
+                  enum: ['sandbox', 'production', 'release_preview'],
+                  description: 'Use the client\'s profile for this environment'
+                },
+                record_type: {
+                  type: 'string',
+                  description: 'REST record type (e.g. customer, salesorder, customrecord_xyz)'
+                },
+                id: {
+                  type: 'string',
+                  description: 'Record internal ID'
+                },
+                confirmation_token: {
+                  type: 'string',
+                  description: 'Token returned by the first call, required to write to production'
+                }
+              },
+              required: ['record_type', 'id']
+            }
           },
           {
-            uri: 'netsuite://examples',
-            name: 'NetSuite MCP Usage Examples',
-            description: 'Practical examples and workflows for NetSuite MCP operations',
-            mimeType: 'application/json'
+            name: 'netsuite_cache_stats',
+            description: 'Show SuiteQL result cache usage, or clear cached results',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                client_name: {
+                  type: 'string',
+                  description: 'Only report on (or clear) this client (optional)'
+                },
+                clear: {
+                  type: 'boolean',
+                  description: 'Remove cached results for client_name, or for every client if none is given',
+                  default: false
+                }
+              }
+            }
           },
           {
-            uri: 'netsuite://status',
-            name: 'NetSuite MCP System Status',
-            description: 'Current server status, configuration, and health information',
-            mimeType: 'application/json'
-          }
+            name: 'netsuite_use',
+            description: 'Set the credential profile this session uses when a call does not name an account or environment',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                client_name: {
+                  type: 'string',
+                  description: 'Client name (auto-detected if not provided)'
+                },
+                account_id: {
+                  type: 'string',
+                  description: 'Account of the profile to use'
+                },
+                environment: {
+                  type: 'string',
+                  enum: ['sandbox', 'production', 'release_preview'],
+                  description: 'Environment of the profile to use'
+                },
+                account_alias: {
+                  type: 'string',
+                  description: 'Alias of the profile to use'
+                },
+                clear: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Go back to each client\'s default profile'
+                }
+              }
+            }
+          },
+          {
+            name: 'netsuite_saved_search',
+            description: 'Run a saved search by script ID through the companion RESTlet, one page at a time, with column labels',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                client_name: {
+                  type: 'string',
+                  description: 'Client name (auto-detected if not provided)'
+                },
+                account_id: {
+                  type: 'string',
+                  description: 'Use this account\'s profile instead of the session or default profile'
+                },
+                environment: {
+                  type: 'string',
+                  enum: ['sandbox', 'production', 'release_preview'],
+                  description: 'Use the client\'s profile for this environment'
+                },
+                search_id: {
+                  type: 'string',
+                  description: 'Saved search script ID (e.g. customsearch_open_orders) or internal ID'
+                },
+                page: {
+                  type: 'integer',
+                  minimum: 1,
+                  default: 1,
+                  description: 'Page of results to return'
+                },
+                page_size: {
+                  type: 'integer',
+                  minimum: 5,
+                  maximum: 1000,
+                  default: 100,
+                  description: 'Rows per page'
+                },
+                install_companion: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Deploy (or update) the bundled companion RESTlet before running'
+                }
+              },
+              required: ['search_id']
+            }
+          },
+          {
+            name: 'netsuite_saved_search_list',
+            description: 'List the account\'s saved searches through the companion RESTlet',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                client_name: {
+                  type: 'string',
+                  description: 'Client name (auto-detected if not provided)'
+                },
+                account_id: {
+                  type: 'string',
+                  description: 'Use this account\'s profile instead of the session or default profile'
+                },
+                environment: {
+                  type: 'string',
+                  enum: ['sandbox', 'production', 'release_preview'],
+                  description: 'Use the client\'s profile for this environment'
+                },
+                keyword: {
+                  type: 'string',
+                  description: 'Only searches whose title contains this text'
+                },
+                record_type: {
+                  type: 'string',
+                  description: 'Only searches of this search type (e.g. Customer, Transaction)'
+                },
+                page: {
+                  type: 'integer',
+                  minimum: 1,
+                  default: 1,
+                  description: 'Page of results to return'
+                },
+                page_size: {
+                  type: 'integer',
+                  minimum: 5,
+                  maximum: 1000,
+                  default: 100,
+                  description: 'Searches per page'
+                },
+                install_companion: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Deploy (or update) the bundled companion RESTlet before listing'
+                }
+              }
+            }
+          },
+          {
+            name: 'netsuite_schema',
+            description: 'Explore record metadata: record types, fields and field types, joins, sublists, custom fields (custbody/custentity/custcol/...) and SuiteQL column names. Cached per account; use refresh after customizing.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                client_name: {
+                  type: 'string',
+                  description: 'Client name (auto-detected if not provided)'
+                },
+                account_id: {
+                  type: 'string',
+                  description: 'Use this account\'s profile instead of the session or default profile'
+                },
+                environment: {
+                  type: 'string',
+                  enum: ['sandbox', 'production', 'release_preview'],
+                  description: 'Use the client\'s profile for this environment'
+                },
+                record_type: {
+                  type: 'string',
+                  description: 'Record type to describe (e.g. customer, salesorder, customrecord_x). Omit to list record types.'
+                },
+                view: {
+                  type: 'string',
+                  enum: ['summary', 'fields', 'joins', 'custom_fields', 'sublists', 'suiteql_columns'],
+                  default: 'summary',
+                  description: 'Part of the record metadata to return'
+                },
+                search: {
+                  type: 'string',
+                  description: 'Only return record types, fields or columns whose ID or label contains this text'
+                },
+                refresh: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Fetch fresh metadata from NetSuite instead of the cache'
+                }
+              }
+            }
+          },
+          {
+            name: 'netsuite_compare',
+            description: 'Run one SuiteQL query against two of a client\'s profiles (sandbox and production by default), join the results on a key column and report added, removed and changed rows with field-level diffs',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                client_name: {
+                  type: 'string',
+                  description: 'Client name (auto-detected if not provided)'
+                },
+                query: {
+                  type: 'string',
+                  description: 'SuiteQL query to run on both profiles; must select the key column'
+                },
+                key_column: {
+                  type: 'string',
+                  default: 'id',
+                  description: 'Column that identifies the same row in both result sets (e.g. id, externalid, scriptid)'
+                },
+                left_environment: {
+                  type: 'string',
+                  enum: ['sandbox', 'production', 'release_preview'],
+                  default: 'sandbox',
+                  description: 'Environment of the baseline profile'
+                },
+                left_account_id: {
+                  type: 'string',
+                  description: 'Account of the baseline profile, when the environment has several'
+                },
+                right_environment: {
+                  type: 'string',
+                  enum: ['sandbox', 'production', 'release_preview'],
+                  default: 'production',
+                  description: 'Environment of the profile compared with the baseline'
+                },
+                right_account_id: {
+                  type: 'string',
+                  description: 'Account of the compared profile, when the environment has several'
+                },
+                ignore_columns: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Columns to leave out of the comparison (e.g. lastmodifieddate)'
+                },
+                max_rows: {
+                  type: 'integer',
+                  minimum: 1,
+                  maximum: 100000,
+                  default: 5000,
+                  description: 'Rows to fetch from each profile'
+                },
+                max_differences: {
+                  type: 'integer',
+                  minimum: 1,
+                  default: 100,
+                  description: 'Rows to list per category (added, removed, changed); counts are always complete'
+                },
+                force: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Run a query the cost estimator flags as likely to time out'
+                }
+              },
+              required: ['query']
+            }
+          },
+          {
+            name: 'netsuite_snapshot',
+            description: 'Capture the account\'s scripts, deployments, custom fields, custom record types and workflows into a versioned snapshot, or list stored snapshots',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                client_name: {
+                  type: 'string',
+                  description: 'Client name (auto-detected if not provided)'
+                },
+                account_id: {
+                  type: 'string',
+                  description: 'Use this account\'s profile instead of the session or default profile'
+                },
+                environment: {
+                  type: 'string',
+                  enum: ['sandbox', 'production', 'release_preview'],
+                  description: 'Use the client\'s profile for this environment'
+                },
+                label: {
+                  type: 'string',
+                  description: 'Note stored with the snapshot (e.g. "before 2024.2 release")'
+                },
+                categories: {
+                  type: 'array',
+                  items: { type: 'string', enum: ['scripts', 'deployments', 'custom_fields', 'custom_records', 'workflows'] },
+                  description: 'Categories to capture (default: all)'
+                },
+                list: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'List the profile\'s stored snapshots instead of capturing one'
+                }
+              }
+            }
+          },
+          {
+            name: 'netsuite_drift',
+            description: 'Report customization drift: a stored snapshot against the live account, another snapshot, or the local SDF project (objects changed in the account that a deploy would overwrite)',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                client_name: {
+                  type: 'string',
+                  description: 'Client name (auto-detected if not provided)'
+                },
+                account_id: {
+                  type: 'string',
+                  description: 'Use this account\'s profile instead of the session or default profile'
+                },
+                environment: {
+                  type: 'string',
+                  enum: ['sandbox', 'production', 'release_preview'],
+                  description: 'Use the client\'s profile for this environment'
+                },
+                snapshot_id: {
+                  type: 'integer',
+                  description: 'Baseline snapshot (default: the profile\'s latest snapshot)'
+                },
+                against: {
+                  type: 'string',
+                  enum: ['live', 'snapshot', 'project'],
+                  default: 'live',
+                  description: 'live: the account as it is now; snapshot: compare_snapshot_id; project: the local SDF project'
+                },
+                save_snapshot: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'When against is live, store the live state as the account\'s next snapshot'
+                },
+                label: {
+                  type: 'string',
+                  description: 'Label of the snapshot stored by save_snapshot (default: "drift check")'
+                },
+                compare_snapshot_id: {
+                  type: 'integer',
+                  description: 'Snapshot to compare with the baseline when against is snapshot'
+                },
+                project_path: {
+                  type: 'string',
+                  description: 'SDF project directory when against is project (default: the profile\'s project path)'
+                },
+                max_items: {
+                  type: 'integer',
+                  minimum: 1,
+                  default: 50,
+                  description: 'Objects listed per category and kind of change; counts are always complete'
+                }
+              }
+            }
+          },
+          {
+            name: 'netsuite_sdf_project',
+            description: 'Query the local SDF project model built from manifest.xml, deploy.xml and Objects/: which script records and deployments run a file, what a script ID defines, or which scripts use a custom field',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                client_name: {
+                  type: 'string',
+                  description: 'Client name (auto-detected if not provided)'
+                },
+                project_path: {
+                  type: 'string',
+                  description: 'SDF project directory (default: the profile\'s project path)'
+                },
+                file: {
+                  type: 'string',
+                  description: 'Script file as a local path or File Cabinet path (/SuiteScripts/...); returns the scripts and deployments that run it'
+                },
+                scriptid: {
+                  type: 'string',
+                  description: 'Object script ID; returns its definition, and for scripts the file, deployments and custom fields'
+                },
+                field: {
+                  type: 'string',
+                  description: 'Custom field script ID; returns the scripts that reference it'
+                },
+                refresh: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Re-parse the project even if no file changed'
+                }
+              }
+            }
+          },
+          {
+            name: 'client_discover',
+            description: 'Discover new client projects and integrate them',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                base_path: {
+                  type: 'string',
+                  description: 'Base path to scan for clients',
+                  default: '/home/ben/saralegui-solutions-llc'
+                },
+                dry_run: {
+                  type: 'boolean',
+                  description: 'Show what would be done without making changes',
+                  default: false
+                }
+              }
+            }
+          },
+          {
+            name: 'netsuite_help',
+            description: 'Get help and documentation for NetSuite MCP commands',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                command: {
+                  type: 'string',
+                  description: 'Specific command to get help for (optional)'
+                },
+                category: {
+                  type: 'string',
+                  description: 'Help category (setup, queries, deployment, troubleshooting)',
+                  enum: ['setup', 'queries', 'deployment', 'troubleshooting', 'all']
+                }
+              }
+            }
+          },
+          {
+            name: 'netsuite_status',
+            description: 'Check NetSuite MCP server and configuration status',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                detailed: {
+                  type: 'boolean',
+                  description: 'Include detailed system information',
+                  default: false
+                }
+              }
+            }
+          },
+          {
+            name: 'netsuite_examples',
+            description: 'Show usage examples for NetSuite MCP operations',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                category: {
+                  type: 'string',
+                  description: 'Example category (setup, queries, deployment, workflows)',
+                  enum: ['setup', 'queries', 'deployment', 'workflows', 'all']
+                },
+                operation: {
+                  type: 'string',
+                  description: 'Specific operation to show examples for'
+                }
+              }
+            }
+          },
+          {
+            name: 'netsuite_validate',
+            description: 'Validate NetSuite MCP setup and configuration',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                client_name: {
+                  type: 'string',
+                  description: 'Client name to validate (auto-detected if not provided)'
+                },
+                check_connection: {
+                  type: 'boolean',
+                  description: 'Test NetSuite connection as part of validation',
+                  default: true
+                }
+              }
+            }
+          }
+        ]
+      };
+    });
+
+    // List available resources
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      return {
+        resources: [
+          {
+            uri: 'netsuite://commands',
+            name: 'NetSuite MCP Commands Reference',
+            description: 'Comprehensive reference for all NetSuite MCP commands and tools',
+            mimeType: 'application/json'
+          },
+          {
+            uri: 'netsuite://setup',
+            name: 'NetSuite MCP Setup Guide',
+            description: 'Complete setup and installation guide for NetSuite MCP integration',
+            mimeType: 'application/json'
+          },
+          {
+            uri: 'netsuite://examples',
+            name: 'NetSuite MCP Usage Examples',
+            description: 'Practical examples and workflows for NetSuite MCP operations',
+            mimeType: 'application/json'
+          },
+          {
+            uri: 'netsuite://status',
+            name: 'NetSuite MCP System Status',
+            description: 'Current server status, configuration, and health information',
+            mimeType: 'application/json'
+          }
         ]
       };
     });
 
-    // Read resource content
-    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-      const { uri } = request.params;
-      
-      console.error(`📖 Reading NetSuite resource: ${uri}`);
-      
-      try {
-        let content;
-        
-        switch (uri) {
-          case 'netsuite://commands':
-            content = await fs.readFile(path.join(__dirname, 'resources', 'commands.json'), 'utf8');
-            break;
-          case 'netsuite://setup':
-            content = await fs.readFile(path.join(__dirname, 'resources', 'setup.json'), 'utf8');
-            break;
-          case 'netsuite://examples':
-            content = await fs.readFile(path.join(__dirname, 'resources', 'examples.json'), 'utf8');
-            break;
-          case 'netsuite://status':
-            content = await this.generateStatusResource();
-            break;
-          default:
-            throw new Error(`Unknown resource: ${uri}`);
-        }
+    // Read resource content
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      
+      console.error(`📖 Reading NetSuite resource: ${uri}`);
+      
+      try {
+        let content;
+        
+        switch (uri) {
+          case 'netsuite://commands':
+            content = await fs.readFile(path.join(__dirname, 'resources', 'commands.json'), 'utf8');
+            break;
+          case 'netsuite://setup':
+            content = await fs.readFile(path.join(__dirname, 'resources', 'setup.json'), 'utf8');
+            break;
+          case 'netsuite://examples':
+            content = await fs.readFile(path.join(__dirname, 'resources', 'examples.json'), 'utf8');
+            break;
+          case 'netsuite://status':
+            content = await this.generateStatusResource();
+            break;
+          default:
+            throw new Error(`Unknown resource: ${uri}`);
+        }
+
+        return {
+          contents: [{
+            uri,
+            mimeType: 'application/json',
+            text: content
+          }]
+        };
+
+      } catch (error) {
+        console.error(`❌ Resource read failed: ${error.message}`);
+        throw error;
+      }
+    });
+
+    // Execute tool
+    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+      
+      console.error(`📋 Executing NetSuite tool: ${name}`);
+      
+      try {
+        // Security validation
+        const validation = await this.validateToolRequest(name, args);
+        if (!validation.valid) {
+          throw new Error(`Security validation failed: ${validation.reason}`);
+        }
+
+        let result;
+        switch (name) {
+          case 'netsuite_setup':
+            result = await this.handleNetSuiteSetup(args);
+            break;
+          case 'netsuite_list':
+            result = await this.handleNetSuiteList(args);
+            break;
+          case 'netsuite_test':
+            result = await this.handleNetSuiteTest(args);
+            break;
+          case 'netsuite_query':
+            result = await this.handleNetSuiteQuery(args);
+            break;
+          case 'netsuite_deploy':
+            result = await this.handleNetSuiteDeploy(args);
+            break;
+          case 'netsuite_saved_query_list':
+            result = await this.handleSavedQueryList(args);
+            break;
+          case 'netsuite_saved_query_run':
+            result = await this.handleSavedQueryRun(args);
+            break;
+          case 'netsuite_saved_query_save':
+            result = await this.handleSavedQuerySave(args);
+            break;
+          case 'netsuite_record_get':
+            result = await this.handleRecordGet(args);
+            break;
+          case 'netsuite_record_create':
+            result = await this.handleRecordWrite('create', args);
+            break;
+          case 'netsuite_record_update':
+            result = await this.handleRecordWrite('update', args);
+            break;
+          case 'netsuite_record_delete':
+            result = await this.handleRecordWrite('delete', args);
+            break;
+          case 'netsuite_cache_stats':
+            result = await this.handleCacheStats(args);
+            break;
+          case 'netsuite_use':
+            result = await this.handleNetSuiteUse(args);
+            break;
+          case 'netsuite_saved_search':
+            result = await this.handleSavedSearch(args);
+            break;
+          case 'netsuite_saved_search_list':
+            result = await this.handleSavedSearchList(args);
+            break;
+          case 'netsuite_schema':
+            result = await this.handleSchema(args);
+            break;
+          case 'netsuite_compare':
+            result = await this.handleCompare(args);
+            break;
+          case 'netsuite_snapshot':
+            result = await this.handleSnapshot(args);
+            break;
+          case 'netsuite_drift':
+            result = await this.handleDrift(args);
+            break;
+          case 'netsuite_sdf_project':
+            result = await this.handleSdfProject(args);
+            break;
+          case 'client_discover':
+            result = await this.handleClientDiscover(args);
+            break;
+          case 'netsuite_help':
+            result = await this.handleNetSuiteHelp(args);
+            break;
+          case 'netsuite_status':
+            result = await this.handleNetSuiteStatus(args);
+            break;
+          case 'netsuite_examples':
+            result = await this.handleNetSuiteExamples(args);
+            break;
+          case 'netsuite_validate':
+            result = await this.handleNetSuiteValidate(args);
+            break;
+          default:
+            throw new Error(`Unknown tool: ${name}`);
+        }
+
+        // Log successful execution for learning
+        await this.logToolExecution(name, args, result, 'success');
+
+        return {
+          contents: [{
+            type: 'text',
+            text: JSON.stringify(result, null, 2)
+          }]
+        };
+
+      } catch (error) {
+        console.error(`❌ Tool execution failed: ${error.message}`);
+        
+        // Log failed execution
+        await this.logToolExecution(name, args, null, 'error', error.message);
+        
+        throw error;
+      }
+    });
+  }
+
+  async validateToolRequest(toolName, args) {
+    try {
+      // Rate limiting check
+      const recentCalls = await this.db.get(`
+        SELECT COUNT(*) as count 
+        FROM tool_executions 
+        WHERE user_session_id = ? 
+        AND tool_name = ?
+        AND created_at > datetime('now', '-1 minute')
+      `, [this.sessionId, toolName]);
+
+      if (recentCalls?.count > 10) {
+        return {
+          valid: false,
+          reason: 'Rate limit exceeded (10 calls per minute)'
+        };
+      }
+
+      // Block anything other than a single SELECT statement
+      if (toolName === 'netsuite_query' && args.query) {
+        const analysis = analyzeSuiteQL(args.query);
+        const blocked = analysis.diagnostics.find(d =>
+          d.code === 'STATEMENT_NOT_ALLOWED' || d.code === 'MULTIPLE_STATEMENTS');
+        if (blocked) {
+          return {
+            valid: false,
+            reason: `Query contains potentially dangerous operations (${blocked.message}, line ${blocked.line})`
+          };
+        }
+      }
+
+      return { valid: true };
+    } catch (error) {
+      console.warn('⚠️ Validation check failed:', error.message);
+      return { valid: true }; // Fail open for availability
+    }
+  }
+
+  async handleNetSuiteSetup(args) {
+    console.error('🔐 Setting up NetSuite credentials...');
+    
+    // Auto-detect client if not provided
+    const clientInfo = args.client_name 
+      ? { client: args.client_name, projectPath: process.cwd() }
+      : this.netsuiteManager.detectClient(process.cwd());
+
+    if (!clientInfo.client) {
+      throw new Error('Could not detect client from current directory. Please specify client_name.');
+    }
+
+    // Prepare credentials object
+    const authType = args.auth_type || 'tba';
+    const credentials = authType === 'oauth2'
+      ? {
+        authType,
+        accountId: args.account_id,
+        clientId: args.client_id,
+        certificateId: args.certificate_id,
+        privateKey: args.private_key || (args.private_key_path ? await fs.readFile(args.private_key_path, 'utf8') : undefined),
+        signingAlgorithm: args.signing_algorithm,
+        scope: args.scope
+      }
+      : {
+        authType,
+        accountId: args.account_id,
+        consumerKey: args.consumer_key,
+        consumerSecret: args.consumer_secret,
+        tokenId: args.token_id,
+        tokenSecret: args.token_secret
+      };
+    credentials.environment = args.environment || 'sandbox';
+    credentials.accountAlias = args.account_alias || `${clientInfo.client}-${credentials.environment}`;
+
+    const missing = missingCredentialFields(credentials);
+    if (missing.length > 0) {
+      throw new Error(`Missing ${authType} credentials: ${missing.join(', ')}`);
+    }
+    if (authType === 'oauth2') {
+      // Fail now rather than on the first request if the key is unusable
+      try {
+        crypto.createPrivateKey(credentials.privateKey);
+      } catch (error) {
+        throw new Error(`private_key is not a valid PEM private key: ${error.message}`);
+      }
+    }
+
+    // The first profile for a client is always its default
+    const existing = await this.db.get(`
+      SELECT COUNT(*) AS profiles FROM netsuite_credentials
+      WHERE client_name = ? AND NOT (account_id = ? AND environment = ?)
+    `, [clientInfo.client, credentials.accountId, credentials.environment]);
+    const makeDefault = args.make_default !== false || existing.profiles === 0;
+
+    // Encrypt and store credentials
+    const encrypted = this.netsuiteManager.encrypt(JSON.stringify(credentials));
+    
+    if (makeDefault) {
+      await this.db.run(`
+        UPDATE netsuite_credentials 
+        SET is_default = 0 
+        WHERE client_name = ?`,
+        [clientInfo.client]
+      );
+    }
+
+    await this.db.run(`
+      INSERT OR REPLACE INTO netsuite_credentials 
+      (client_name, project_path, account_id, environment, account_alias, encrypted_credentials, is_default)
+      VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [clientInfo.client, clientInfo.projectPath, credentials.accountId, 
+       credentials.environment, credentials.accountAlias, encrypted, makeDefault ? 1 : 0]
+    );
+
+    return {
+      success: true,
+      message: `NetSuite credentials configured successfully for ${clientInfo.client}`,
+      client_name: clientInfo.client,
+      account_id: credentials.accountId,
+      environment: credentials.environment,
+      account_alias: credentials.accountAlias,
+      auth_type: authType,
+      is_default: makeDefault,
+      configured_at: new Date().toISOString()
+    };
+  }
+
+  async handleNetSuiteList(args) {
+    console.error('📋 Listing NetSuite accounts...');
+    
+    let query = `
+      SELECT client_name, account_id, environment, account_alias, 
+             is_default, created_at, last_used,
+             last_test_at, last_test_success, last_test_message
+      FROM netsuite_credentials
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (args.client_filter) {
+      query += ' AND client_name = ?';
+      params.push(args.client_filter);
+    }
+
+    query += ' ORDER BY client_name, is_default DESC';
+
+    let accounts = await this.db.all(query, params);
+
+    // Test each profile in turn, then re-read the recorded results
+    if (args.include_test_status) {
+      for (const account of accounts) {
+        await this.handleNetSuiteTest({ client_name: account.client_name, account_id: account.account_id, environment: account.environment })
+          .catch(error => console.error(`⚠️ Test failed for ${account.account_id}:`, error.message));
+      }
+      accounts = await this.db.all(query, params);
+    }
+
+    const active = this.context.activeProfile;
+    return {
+      accounts: accounts.map(account => ({
+        client_name: account.client_name,
+        account_id: account.account_id,
+        environment: account.environment,
+        account_alias: account.account_alias,
+        is_default: account.is_default === 1,
+        active: Boolean(active && active.client_name === account.client_name && active.account_id === account.account_id),
+        configured_date: account.created_at,
+        last_used: account.last_used,
+        last_test: account.last_test_at ? {
+          tested_at: account.last_test_at,
+          success: account.last_test_success === 1,
+          message: account.last_test_message
+        } : null
+      })),
+      total_accounts: accounts.length,
+      active_profile: active || null,
+      filtered_by: args.client_filter || 'none'
+    };
+  }
+
+  /**
+   * Choose the credential profile later calls in this session use when they
+   * do not pass account_id or environment themselves
+   */
+  async handleNetSuiteUse(args) {
+    if (args.clear) {
+      const previous = this.context.activeProfile || null;
+      this.context.activeProfile = null;
+      await this.db.updateSession(this.sessionId, this.context);
+      return { success: true, message: 'Active profile cleared; calls use each client\'s default profile', previous_profile: previous };
+    }
+
+    if (!args.client_name && !args.account_id && !args.environment && !args.account_alias) {
+      return {
+        success: true,
+        active_profile: this.context.activeProfile || null,
+        message: this.context.activeProfile
+          ? `Using ${this.context.activeProfile.account_alias || this.context.activeProfile.account_id}`
+          : 'No active profile; calls use each client\'s default profile'
+      };
+    }
+
+    const { clientName, profile } = await this.loadClientCredentials(args, { useSession: false });
+
+    this.context.activeProfile = {
+      client_name: clientName,
+      account_id: profile.account_id,
+      environment: profile.environment,
+      account_alias: profile.account_alias,
+      selected_at: new Date().toISOString()
+    };
+    this.context.activeClient = clientName;
+    await this.db.updateSession(this.sessionId, this.context);
+
+    return {
+      success: true,
+      message: `Using ${profile.account_alias || profile.account_id} (${profile.environment}) for ${clientName}`,
+      active_profile: this.context.activeProfile
+    };
+  }
+
+  async handleNetSuiteTest(args) {
+    console.error('🧪 Testing NetSuite connection...');
+    
+    const { clientName, credentials, profile } = await this.loadClientCredentials(args);
+    
+    // Create API client and test connection
+    const apiClient = new NetSuiteAPIClient(credentials);
+    const testResult = await apiClient.testConnection();
+
+    // Record the outcome on the profile so netsuite_list can show it
+    await this.db.run(`
+      UPDATE netsuite_credentials 
+      SET last_used = datetime('now'),
+          last_test_at = datetime('now'),
+          last_test_success = ?,
+          last_test_message = ?
+      WHERE client_name = ? AND account_id = ?
+    `, [
+      testResult.success ? 1 : 0,
+      testResult.success ? `Connected in ${testResult.responseTime}ms` : testResult.error,
+      clientName,
+      credentials.accountId
+    ]);
+
+    return {
+      ...testResult,
+      client_name: clientName,
+      account_alias: profile.account_alias,
+      profile_selected_by: profile.selected_by,
+      request_stats: { ...apiClient.requestStats }
+    };
+  }
+
+  async handleNetSuiteQuery(args) {
+    console.error('🔍 Executing NetSuite query...');
+
+    // An explicit max_rows of 0 is a mistake, not a request for the default budget
+    const maxRows = args.max_rows ?? 10000;
+    if (!Number.isInteger(maxRows) || maxRows < 1) {
+      throw new Error(`max_rows must be a positive integer, got ${args.max_rows}`);
+    }
+    
+    // Resolve the credential profile (explicit account/environment, session, or default)
+    const { clientName, credentials, profile } = await this.loadClientCredentials(args);
+    
+    // Create API client and execute query
+    const apiClient = new NetSuiteAPIClient(credentials);
+    
+    // Parse and validate the query; diagnostics go back to the caller either way
+    const validation = apiClient.validateSuiteQL(args.query);
+    if (!validation.valid) {
+      return {
+        success: false,
+        query: args.query,
+        error: `Query validation failed: ${validation.reason}`,
+        diagnostics: validation.diagnostics,
+        client_name: clientName,
+        account_id: credentials.accountId,
+        environment: credentials.environment
+      };
+    }
+    
+    // Reject a bad output_format before spending a request on the query
+    this.resultExporter.resolveFormat(args.output_format, args.output_path);
+
+    // Columns that cached record metadata does not know about (no request is made)
+    const schemaWarnings = await this.schemaExplorer.checkColumns({ clientName, accountId: credentials.accountId }, validation);
+
+    const cacheMode = args.cache || 'use';
+    if (!CACHE_MODES.includes(cacheMode)) {
+      throw new Error(`Unsupported cache mode ${cacheMode}; use one of: ${CACHE_MODES.join(', ')}`);
+    }
+
+    const startTime = Date.now();
+    const paged = args.fetch_all || args.max_rows !== undefined;
+    const cacheEntry = this.queryCache.entryFor({
+      clientName: clientName,
+      accountId: credentials.accountId,
+      query: args.query,
+      offset: args.offset || 0,
+      ...(paged ? { maxRows } : { limit: args.limit || 100 })
+    });
+
+    const cacheHit = cacheMode === 'use' || cacheMode === 'only'
+      ? await this.queryCache.get(cacheEntry)
+      : null;
+
+    if (!cacheHit && cacheMode === 'only') {
+      return {
+        success: false,
+        cached: false,
+        query: args.query,
+        error: 'No fresh cached result for this query (cache: only)',
+        client_name: clientName,
+        account_id: credentials.accountId,
+        environment: credentials.environment
+      };
+    }
+
+    let queryResult;
+    let cacheInfo;
+    let costEstimate = null;
+    if (cacheHit) {
+      queryResult = cacheHit.result;
+      cacheInfo = {
+        mode: cacheMode,
+        status: 'hit',
+        cached_at: cacheHit.cachedAt,
+        age_seconds: cacheHit.ageSeconds,
+        expires_at: cacheHit.expiresAt,
+        ttl_seconds: cacheHit.ttlSeconds
+      };
+    } else {
+      // Estimate the cost from record counts before sending anything expensive
+      const costScope = { clientName, accountId: credentials.accountId };
+      await this.costEstimator.refreshCounts(apiClient, costScope, validation.tables);
+      costEstimate = await this.costEstimator.estimate(costScope, validation);
 
+      if (costEstimate.risk === 'high' && !args.force) {
         return {
-          contents: [{
-            uri,
-            mimeType: 'application/json',
-            text: content
-          }]
+          success: false,
+          blocked: true,
+          query: args.query,
+          error: `Query blocked: it ${costEstimate.reasons.join(' and ')}. ${costEstimate.suggestion}, or pass force: true to run it anyway`,
+          suggestion: costEstimate.suggestion,
+          cost_estimate: costEstimate,
+          client_name: clientName,
+          account_id: credentials.accountId,
+          environment: credentials.environment
         };
+      }
 
-      } catch (error) {
-        console.error(`❌ Resource read failed: ${error.message}`);
-        throw error;
+      const runStart = Date.now();
+      queryResult = paged
+        ? await apiClient.fetchAllSuiteQL(args.query, {
+          maxRows,
+          offset: args.offset || 0
+        })
+        : await apiClient.executeSuiteQL(
+          args.query, 
+          args.limit || 100, 
+          args.offset || 0
+        );
+
+      await this.costEstimator.recordRun({ ...costScope, normalizedQuery: cacheEntry.normalizedQuery }, costEstimate, {
+        forced: Boolean(args.force) && costEstimate.risk === 'high',
+        actualRows: queryResult.success ? queryResult.results.length : null,
+        complete: queryResult.success && !queryResult.hasMore && !(args.offset > 0),
+        actualMs: Date.now() - runStart,
+        success: queryResult.success,
+        error: queryResult.success ? null : queryResult.error
+      });
+
+      const stored = queryResult.success && cacheMode !== 'bypass'
+        ? await this.queryCache.set(cacheEntry, queryResult, args.cache_ttl ?? undefined)
+        : false;
+      cacheInfo = {
+        mode: cacheMode,
+        status: cacheMode === 'bypass' ? 'bypassed' : (cacheMode === 'refresh' ? 'refreshed' : 'miss'),
+        stored,
+        ttl_seconds: stored ? (args.cache_ttl ?? this.queryCache.config.defaultTtl) : null
+      };
+
+      // Update last_used timestamp
+      await this.db.run(`
+        UPDATE netsuite_credentials 
+        SET last_used = datetime('now') 
+        WHERE client_name = ? AND account_id = ?
+      `, [clientName, credentials.accountId]);
+    }
+
+    return this.exportQueryResult({
+      ...queryResult,
+      cached: Boolean(cacheHit),
+      cache: cacheInfo,
+      client_name: clientName,
+      account_id: credentials.accountId,
+      environment: credentials.environment,
+      account_alias: profile.account_alias,
+      profile_selected_by: profile.selected_by,
+      executed_at: new Date().toISOString(),
+      execution_time_ms: Date.now() - startTime,
+      ...(paged
+        ? { max_rows: maxRows, pages_fetched: queryResult.pagesFetched, total_rows: queryResult.totalRows }
+        : { limit: args.limit || 100 }),
+      offset: args.offset || 0,
+      request_stats: { ...apiClient.requestStats },
+      ...(costEstimate ? { cost_estimate: costEstimate } : {}),
+      query_analysis: {
+        tables: validation.tables,
+        output_columns: validation.outputColumns,
+        diagnostics: [...validation.diagnostics, ...schemaWarnings]
       }
-    });
+    }, args);
+  }
 
-    // Execute tool
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-      
-      console.error(`📋 Executing NetSuite tool: ${name}`);
-      
-      try {
-        // Security validation
-        const validation = await this.validateToolRequest(name, args);
-        if (!validation.valid) {
-          throw new Error(`Security validation failed: ${validation.reason}`);
-        }
+  /**
+   * Apply output_format / output_path to a query result. Formatted output
+   * replaces the raw items; with output_path the rows go to a file under the
+   * client's project and only a summary comes back.
+   */
+  async exportQueryResult(queryResult, args) {
+    if (!queryResult.success || (!args.output_format && !args.output_path)) {
+      return queryResult;
+    }
 
-        let result;
-        switch (name) {
-          case 'netsuite_setup':
-            result = await this.handleNetSuiteSetup(args);
-            break;
-          case 'netsuite_list':
-            result = await this.handleNetSuiteList(args);
-            break;
-          case 'netsuite_test':
-            result = await this.handleNetSuiteTest(args);
-            break;
-          case 'netsuite_query':
-            result = await this.handleNetSuiteQuery(args);
-            break;
-          case 'netsuite_deploy':
-            result = await this.handleNetSuiteDeploy(args);
-            break;
-          case 'client_discover':
-            result = await this.handleClientDiscover(args);
-            break;
-          case 'netsuite_help':
-            result = await this.handleNetSuiteHelp(args);
-            break;
-          case 'netsuite_status':
-            result = await this.handleNetSuiteStatus(args);
-            break;
-          case 'netsuite_examples':
-            result = await this.handleNetSuiteExamples(args);
-            break;
-          case 'netsuite_validate':
-            result = await this.handleNetSuiteValidate(args);
-            break;
-          default:
-            throw new Error(`Unknown tool: ${name}`);
+    const format = this.resultExporter.resolveFormat(args.output_format, args.output_path);
+    const { results, ...summary } = queryResult;
+    const columns = this.resultExporter.orderColumns(queryResult.query_analysis?.output_columns, results);
+    const content = this.resultExporter.format(results, columns, format);
+
+    if (!args.output_path) {
+      return {
+        ...summary,
+        output: {
+          format,
+          columns,
+          rows: results.length,
+          content
         }
+      };
+    }
 
-        // Log successful execution for learning
-        await this.logToolExecution(name, args, result, 'success');
+    const project = await this.db.get(`
+      SELECT project_path
+      FROM netsuite_credentials
+      WHERE client_name = ? AND account_id = ?
+    `, [queryResult.client_name, queryResult.account_id]);
 
-        return {
-          contents: [{
-            type: 'text',
-            text: JSON.stringify(result, null, 2)
-          }]
-        };
+    if (!project?.project_path) {
+      throw new Error(`No project path recorded for client: ${queryResult.client_name}`);
+    }
 
-      } catch (error) {
-        console.error(`❌ Tool execution failed: ${error.message}`);
-        
-        // Log failed execution
-        await this.logToolExecution(name, args, null, 'error', error.message);
-        
-        throw error;
+    const filePath = this.resultExporter.resolveOutputPath(project.project_path, args.output_path);
+    const written = await this.resultExporter.write(filePath, content);
+    console.error(`💾 Wrote ${results.length} rows to ${written.filePath}`);
+
+    return {
+      ...summary,
+      output: {
+        format,
+        columns,
+        rows: results.length,
+        file_path: written.filePath,
+        bytes: written.bytes
+      }
+    };
+  }
+
+  async handleNetSuiteDeploy(args) {
+    console.error('🚀 Deploying to NetSuite...');
+    
+    const { clientName, credentials, profile } = await this.loadClientCredentials(args);
+    const config = args.deployment_config || {};
+
+    // Upload file, then create or update the script and deployment records
+    const apiClient = new NetSuiteAPIClient(credentials);
+    const deployResult = await apiClient.deployScript({
+      scriptType: args.script_type,
+      scriptName: args.script_name,
+      scriptContent: args.script_content,
+      fileName: config.file_name,
+      folderId: config.folder_id,
+      scriptId: config.script_id,
+      deploymentId: config.deployment_id,
+      title: config.title,
+      status: config.status,
+      logLevel: config.log_level,
+      audience: config.audience,
+      recordType: config.record_type
+    });
+
+    // Update last_used timestamp
+    await this.db.run(`
+      UPDATE netsuite_credentials 
+      SET last_used = datetime('now') 
+      WHERE client_name = ? AND account_id = ?
+    `, [clientName, credentials.accountId]);
+
+    return {
+      ...deployResult,
+      script_name: args.script_name,
+      script_type: args.script_type,
+      client: clientName,
+      account_id: credentials.accountId,
+      environment: credentials.environment,
+      account_alias: profile.account_alias,
+      deployed_at: new Date().toISOString(),
+      request_stats: { ...apiClient.requestStats },
+      message: deployResult.success
+        ? `Script deployed as ${deployResult.script_id} / ${deployResult.deployment_id}`
+        : `Deployment failed at ${deployResult.failed_step} step: ${deployResult.error}`
+    };
+  }
+
+  async handleSavedQueryList(args) {
+    console.error('📚 Listing saved queries...');
+
+    const clientInfo = args.client_name
+      ? { client: args.client_name }
+      : this.netsuiteManager.detectClient(process.cwd());
+
+    if (!clientInfo.client) {
+      throw new Error('Could not detect client. Please specify client_name.');
+    }
+
+    const queries = await this.queryLibrary.listQueries(clientInfo.client, args.category);
+
+    return {
+      client_name: clientInfo.client,
+      library_file: this.queryLibrary.libraryPath(clientInfo.client),
+      queries: queries.map(query => ({
+        id: query.id,
+        name: query.name,
+        description: query.description,
+        parameters: query.parameters,
+        expected_columns: query.expected_columns,
+        cache_ttl: query.cache_ttl
+      })),
+      total_queries: queries.length,
+      filtered_by: args.category || 'none'
+    };
+  }
+
+  async handleSavedQueryRun(args) {
+    console.error(`📚 Running saved query ${args.query_id}...`);
+
+    const clientInfo = args.client_name || this.context.activeProfile
+      ? { client: args.client_name || this.context.activeProfile.client_name }
+      : this.netsuiteManager.detectClient(process.cwd());
+
+    if (!clientInfo.client) {
+      throw new Error('Could not detect client. Please specify client_name.');
+    }
+
+    const savedQuery = await this.queryLibrary.getQuery(clientInfo.client, args.query_id);
+    const boundQuery = this.queryLibrary.bind(savedQuery.query, savedQuery.parameters, args.parameters || {});
+    this.resultExporter.resolveFormat(args.output_format, args.output_path);
+
+    const queryResult = await this.handleNetSuiteQuery({
+      client_name: clientInfo.client,
+      account_id: args.account_id,
+      environment: args.environment,
+      query: boundQuery,
+      limit: args.limit,
+      offset: args.offset,
+      fetch_all: args.fetch_all,
+      max_rows: args.max_rows,
+      cache: args.cache,
+      cache_ttl: args.cache_ttl ?? savedQuery.cache_ttl ?? undefined,
+      force: args.force
+    });
+
+    return this.exportQueryResult({
+      ...queryResult,
+      saved_query: {
+        id: savedQuery.id,
+        name: savedQuery.name
+      },
+      parameters: args.parameters || {},
+      column_check: queryResult.success
+        ? this.queryLibrary.checkColumns(queryResult.results, savedQuery.expected_columns)
+        : null
+    }, args);
+  }
+
+  async handleSavedQuerySave(args) {
+    console.error('💾 Saving query to client library...');
+
+    const clientInfo = args.client_name
+      ? { client: args.client_name }
+      : this.netsuiteManager.detectClient(process.cwd());
+
+    if (!clientInfo.client) {
+      throw new Error('Could not detect client. Please specify client_name.');
+    }
+
+    const saved = await this.queryLibrary.saveQuery(clientInfo.client, {
+      key: args.key,
+      category: args.category,
+      name: args.name,
+      description: args.description,
+      query: args.query,
+      parameters: args.parameters,
+      expectedColumns: args.expected_columns,
+      cacheTtl: args.cache_ttl,
+      overwrite: args.overwrite
+    });
+
+    return {
+      success: true,
+      message: `Saved ${saved.id} to the ${clientInfo.client} query library`,
+      client_name: clientInfo.client,
+      library_file: this.queryLibrary.libraryPath(clientInfo.client),
+      saved_query: saved,
+      saved_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Pick and decrypt the credential profile for a request. An explicit
+   * account_id, environment or account_alias wins, then the profile chosen with
+   * netsuite_use for this session, then the client's default profile.
+   */
+  async loadClientCredentials(args, { useSession = true } = {}) {
+    const activeProfile = useSession ? this.context.activeProfile : null;
+    const clientName = args.client_name
+      || activeProfile?.client_name
+      || this.netsuiteManager.detectClient(process.cwd()).client;
+
+    if (!clientName) {
+      throw new Error('Could not detect client. Please specify client_name.');
+    }
+
+    const conditions = ['client_name = ?'];
+    const params = [clientName];
+    let selectedBy = 'default';
+
+    if (args.account_id || args.environment || args.account_alias) {
+      selectedBy = 'request';
+      if (args.account_id) {
+        conditions.push('UPPER(account_id) = UPPER(?)');
+        params.push(args.account_id);
+      }
+      if (args.environment) {
+        conditions.push('environment = ?');
+        params.push(args.environment);
+      }
+      if (args.account_alias) {
+        conditions.push('account_alias = ?');
+        params.push(args.account_alias);
+      }
+    } else if (activeProfile && activeProfile.client_name === clientName) {
+      selectedBy = 'session';
+      conditions.push('account_id = ?');
+      params.push(activeProfile.account_id);
+    } else {
+      conditions.push('is_default = 1');
+    }
+
+    const rows = await this.db.all(`
+      SELECT encrypted_credentials, account_id, environment, account_alias, project_path, is_default
+      FROM netsuite_credentials
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY is_default DESC, last_used DESC
+    `, params);
+
+    if (rows.length === 0) {
+      const profiles = await this.db.all(`
+        SELECT account_id, environment, account_alias
+        FROM netsuite_credentials
+        WHERE client_name = ?
+      `, [clientName]);
+      if (profiles.length === 0) {
+        throw new Error(`No NetSuite credentials found for client: ${clientName}`);
+      }
+      const available = profiles.map(p => `${p.account_alias || p.account_id} (${p.account_id}, ${p.environment})`).join(', ');
+      throw new Error(selectedBy === 'default'
+        ? `No default NetSuite profile for ${clientName}; pass account_id or environment. Available: ${available}`
+        : `No NetSuite profile for ${clientName} matches the requested account/environment. Available: ${available}`);
+    }
+
+    // Several accounts in one environment: only the default can be picked implicitly
+    if (rows.length > 1 && !args.account_id && rows[0].is_default !== 1) {
+      throw new Error(`More than one ${args.environment || ''} profile for ${clientName} (${rows.map(r => r.account_id).join(', ')}); pass account_id`);
+    }
+
+    const row = rows[0];
+    return {
+      clientName,
+      credentials: JSON.parse(this.netsuiteManager.decrypt(row.encrypted_credentials)),
+      profile: {
+        account_id: row.account_id,
+        environment: row.environment,
+        account_alias: row.account_alias,
+        project_path: row.project_path,
+        is_default: row.is_default === 1,
+        selected_by: selectedBy
+      }
+    };
+  }
+
+  async handleRecordGet(args) {
+    console.error(`📄 Getting ${args.record_type} ${args.id}...`);
+
+    const { clientName, credentials } = await this.loadClientCredentials(args);
+    const apiClient = new NetSuiteAPIClient(credentials);
+    const recordResult = await apiClient.getRecord(args.record_type, args.id, {
+      fields: args.fields,
+      expandSubResources: args.expand_sub_resources
+    });
+
+    await this.db.run(`
+      UPDATE netsuite_credentials 
+      SET last_used = datetime('now') 
+      WHERE client_name = ? AND account_id = ?
+    `, [clientName, credentials.accountId]);
+
+    return {
+      ...recordResult,
+      client_name: clientName,
+      account_id: credentials.accountId,
+      environment: credentials.environment,
+      retrieved_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Create, update or delete a record. Fields are checked against the describe
+   * schema before anything is sent. Sandbox writes go straight through; a
+   * production write first returns a confirmation token and is only sent when
+   * the identical call is repeated with that token.
+   */
+  async handleRecordWrite(operation, args) {
+    console.error(`✏️ Record ${operation}: ${args.record_type}${args.id ? ` ${args.id}` : ''}...`);
+
+    const { clientName, credentials } = await this.loadClientCredentials(args);
+    const apiClient = new NetSuiteAPIClient(credentials);
+    const target = {
+      operation,
+      record_type: args.record_type,
+      id: args.id !== undefined ? String(args.id) : null,
+      client_name: clientName,
+      account_id: credentials.accountId,
+      environment: credentials.environment
+    };
+
+    if (operation !== 'delete') {
+      const validation = await apiClient.validateRecordFields(args.record_type, args.fields, {
+        isCreate: operation === 'create'
+      });
+      if (!validation.valid) {
+        return {
+          success: false,
+          ...target,
+          error: validation.error || `Field validation failed for ${args.record_type}`,
+          field_errors: validation.errors
+        };
       }
-    });
-  }
+    }
 
-  async validateToolRequest(toolName, args) {
-    try {
-      // Rate limiting check
-      const recentCalls = await this.db.get(`
-        SELECT COUNT(*) as count 
-        FROM tool_executions 
-        WHERE user_session_id = ? 
-        AND tool_name = ?
-        AND created_at > datetime('now', '-1 minute')
-      `, [this.sessionId, toolName]);
+    if (credentials.environment === 'production') {
+      const confirmation = {
+        tool: `netsuite_record_${operation}`,
+        client_name: clientName,
+        account_id: credentials.accountId,
+        record_type: args.record_type,
+        id: target.id,
+        fields: args.fields || null
+      };
 
-      if (recentCalls?.count > 10) {
+      if (!args.confirmation_token) {
+        const issued = await this.securityManager.issueConfirmationToken(this.sessionId, confirmation);
         return {
-          valid: false,
-          reason: 'Rate limit exceeded (10 calls per minute)'
+          success: false,
+          requires_confirmation: true,
+          ...target,
+          fields: args.fields,
+          confirmation_token: issued.token,
+          confirmation_expires_at: issued.expiresAt,
+          message: `Nothing was written. This ${operation} targets PRODUCTION account ${credentials.accountId}; repeat the same call with confirmation_token to proceed.`
         };
       }
 
-      // Check for suspicious content in queries
-      if (toolName === 'netsuite_query' && args.query) {
-        const suspiciousPatterns = [
-          /delete\s+from/i,
-          /drop\s+table/i,
-          /truncate/i,
-          /create\s+table/i,
-          /alter\s+table/i
-        ];
-
-        for (const pattern of suspiciousPatterns) {
-          if (pattern.test(args.query)) {
-            return {
-              valid: false,
-              reason: 'Query contains potentially dangerous operations'
-            };
-          }
-        }
+      const check = await this.securityManager.consumeConfirmationToken(this.sessionId, args.confirmation_token, confirmation);
+      if (!check.valid) {
+        return {
+          success: false,
+          ...target,
+          error: `Production ${operation} not confirmed: ${check.reason}`
+        };
       }
+    }
 
-      return { valid: true };
-    } catch (error) {
-      console.warn('⚠️ Validation check failed:', error.message);
-      return { valid: true }; // Fail open for availability
+    let writeResult;
+    if (operation === 'create') {
+      writeResult = await apiClient.createRecord(args.record_type, args.fields);
+    } else if (operation === 'update') {
+      writeResult = await apiClient.updateRecord(args.record_type, args.id, args.fields);
+    } else {
+      writeResult = await apiClient.deleteRecord(args.record_type, args.id);
     }
+
+    await this.db.run(`
+      UPDATE netsuite_credentials 
+      SET last_used = datetime('now') 
+      WHERE client_name = ? AND account_id = ?
+    `, [clientName, credentials.accountId]);
+
+    // Cached query results for this account may now be stale
+    const cacheInvalidated = writeResult.success
+      ? await this.queryCache.invalidate({ clientName, accountId: credentials.accountId })
+      : 0;
+
+    return {
+      ...target,
+      ...writeResult,
+      id: writeResult.id ?? target.id,
+      cache_invalidated: cacheInvalidated,
+      executed_at: new Date().toISOString(),
+      request_stats: { ...apiClient.requestStats }
+    };
   }
 
-  async handleNetSuiteSetup(args) {
-    console.error('🔐 Setting up NetSuite credentials...');
-    
-    // Auto-detect client if not provided
-    const clientInfo = args.client_name 
-      ? { client: args.client_name, projectPath: process.cwd() }
-      : this.netsuiteManager.detectClient(process.cwd());
+  async handleCacheStats(args) {
+    console.error('🗄️ Checking query cache...');
 
-    if (!clientInfo.client) {
-      throw new Error('Could not detect client from current directory. Please specify client_name.');
-    }
+    const cleared = args.clear
+      ? await this.queryCache.invalidate({ clientName: args.client_name || null })
+      : null;
 
-    // Prepare credentials object
-    const credentials = {
-      accountId: args.account_id,
-      consumerKey: args.consumer_key,
-      consumerSecret: args.consumer_secret,
-      tokenId: args.token_id,
-      tokenSecret: args.token_secret,
-      environment: args.environment || 'sandbox',
-      accountAlias: `${clientInfo.client}-${args.environment || 'sandbox'}`
+    return {
+      client_name: args.client_name || 'all',
+      ...(cleared !== null ? { cleared_entries: cleared } : {}),
+      ...await this.queryCache.getStats(args.client_name || null),
+      checked_at: new Date().toISOString()
     };
+  }
+
+  async handleSavedSearch(args) {
+    console.error(`🔎 Running saved search ${args.search_id}...`);
+
+    const { clientName, credentials, profile } = await this.loadClientCredentials(args);
+    const apiClient = new NetSuiteAPIClient(credentials);
+
+    const installation = args.install_companion ? await this.installCompanionRestlet(apiClient) : null;
+    if (installation && !installation.success) {
+      return installation;
+    }
+
+    const startTime = Date.now();
+    const result = await apiClient.executeSavedSearch(args.search_id, { page: args.page, pageSize: args.page_size });
 
-    // Encrypt and store credentials
-    const encrypted = this.netsuiteManager.encrypt(JSON.stringify(credentials));
-    
     await this.db.run(`
-      INSERT OR REPLACE INTO netsuite_credentials 
-      (client_name, project_path, account_id, environment, account_alias, encrypted_credentials, is_default)
-      VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [clientInfo.client, clientInfo.projectPath, credentials.accountId, 
-       credentials.environment, credentials.accountAlias, encrypted, 1]
-    );
+      UPDATE netsuite_credentials 
+      SET last_used = datetime('now') 
+      WHERE client_name = ? AND account_id = ?
+    `, [clientName, credentials.accountId]);
 
     return {
-      success: true,
-      message: `NetSuite credentials configured successfully for ${clientInfo.client}`,
-      client_name: clientInfo.client,
+      ...result,
+      ...this.companionStatus(result, installation),
+      client_name: clientName,
       account_id: credentials.accountId,
       environment: credentials.environment,
-      configured_at: new Date().toISOString()
+      account_alias: profile.account_alias,
+      executed_at: new Date().toISOString(),
+      execution_time_ms: Date.now() - startTime,
+      request_stats: { ...apiClient.requestStats }
     };
   }
 
-  async handleNetSuiteList(args) {
-    console.error('📋 Listing NetSuite accounts...');
-    
-    let query = `
-      SELECT client_name, account_id, environment, account_alias, 
-             is_default, created_at, last_used
-      FROM netsuite_credentials
-      WHERE 1=1
-    `;
-    const params = [];
+  async handleSavedSearchList(args) {
+    console.error('🔎 Listing saved searches...');
 
-    if (args.client_filter) {
-      query += ' AND client_name = ?';
-      params.push(args.client_filter);
-    }
+    const { clientName, credentials, profile } = await this.loadClientCredentials(args);
+    const apiClient = new NetSuiteAPIClient(credentials);
 
-    query += ' ORDER BY client_name, is_default DESC';
+    const installation = args.install_companion ? await this.installCompanionRestlet(apiClient) : null;
+    if (installation && !installation.success) {
+      return installation;
+    }
 
-    const accounts = await this.db.all(query, params);
+    const result = await apiClient.listSavedSearches({
+      keyword: args.keyword,
+      recordType: args.record_type,
+      page: args.page,
+      pageSize: args.page_size
+    });
 
     return {
-      accounts: accounts.map(account => ({
-        client_name: account.client_name,
-        account_id: account.account_id,
-        environment: account.environment,
-        account_alias: account.account_alias,
-        is_default: account.is_default === 1,
-        configured_date: account.created_at,
-        last_used: account.last_used
-      })),
-      total_accounts: accounts.length,
-      filtered_by: args.client_filter || 'none'
+      ...result,
+      ...this.companionStatus(result, installation),
+      client_name: clientName,
+      account_id: credentials.accountId,
+      account_alias: profile.account_alias,
+      filtered_by: { keyword: args.keyword || null, record_type: args.record_type || null },
+      request_stats: { ...apiClient.requestStats }
     };
   }
 
-  async handleNetSuiteTest(args) {
-    console.error('🧪 Testing NetSuite connection...');
-    
-    // Auto-detect client if not provided
-    const clientInfo = args.client_name 
-      ? { client: args.client_name }
-      : this.netsuiteManager.detectClient(process.cwd());
+  /**
+   * Deploy the bundled saved search RESTlet with the regular deploy path
+   */
+  async installCompanionRestlet(apiClient) {
+    const scriptContent = await fs.readFile(path.join(__dirname, 'suitescripts', COMPANION_RESTLET.fileName), 'utf8');
+    const deployResult = await apiClient.deployScript({
+      scriptType: 'restlet',
+      scriptName: COMPANION_RESTLET.scriptName,
+      scriptContent,
+      fileName: COMPANION_RESTLET.fileName,
+      scriptId: COMPANION_RESTLET.scriptId,
+      deploymentId: COMPANION_RESTLET.deploymentId,
+      status: 'released',
+      logLevel: 'error'
+    });
 
-    if (!clientInfo.client) {
-      throw new Error('Could not detect client. Please specify client_name.');
+    return deployResult.success
+      ? deployResult
+      : { ...deployResult, message: `Companion RESTlet install failed at ${deployResult.failed_step} step: ${deployResult.error}` };
+  }
+
+  companionStatus(result, installation) {
+    if (installation) {
+      return { companion: { installed: true, script_id: installation.script_id, deployment_id: installation.deployment_id } };
+    }
+    if (result.companionMissing) {
+      return { hint: 'Call again with install_companion: true to deploy the bundled saved search RESTlet' };
     }
+    return {};
+  }
 
-    // Get credentials
-    let query = `
-      SELECT encrypted_credentials, account_id, environment
-      FROM netsuite_credentials
-      WHERE client_name = ?
-    `;
-    const params = [clientInfo.client];
+  async handleSchema(args) {
+    console.error(`📐 Exploring ${args.record_type || 'record types'}...`);
 
-    if (args.account_id) {
-      query += ' AND account_id = ?';
-      params.push(args.account_id);
-    } else {
-      query += ' AND is_default = 1';
+    const view = args.view || 'summary';
+    if (!SCHEMA_VIEWS.includes(view)) {
+      throw new Error(`Unsupported view ${view}; use one of: ${SCHEMA_VIEWS.join(', ')}`);
     }
 
-    const credentialRow = await this.db.get(query, params);
-    
-    if (!credentialRow) {
-      throw new Error(`No NetSuite credentials found for client: ${clientInfo.client}`);
+    const { clientName, credentials, profile } = await this.loadClientCredentials(args);
+    const apiClient = new NetSuiteAPIClient(credentials);
+    const scope = { clientName, accountId: credentials.accountId, refresh: Boolean(args.refresh) };
+    const search = args.search?.toLowerCase();
+    const matches = (...values) => !search || values.some(value => value?.toLowerCase().includes(search));
+    const context = {
+      client_name: clientName,
+      account_id: credentials.accountId,
+      account_alias: profile.account_alias
+    };
+
+    if (!args.record_type) {
+      const result = await this.schemaExplorer.listRecordTypes(apiClient, scope);
+      if (!result.success) {
+        return { ...result, ...context };
+      }
+      const recordTypes = result.record_types.filter(type => matches(type.name));
+      return {
+        success: true,
+        ...context,
+        record_types: recordTypes,
+        count: recordTypes.length,
+        custom_count: recordTypes.filter(type => type.custom).length,
+        cached: result.cached,
+        fetched_at: result.fetched_at,
+        request_stats: { ...apiClient.requestStats }
+      };
     }
 
-    // Decrypt credentials and test connection
-    const credentials = JSON.parse(this.netsuiteManager.decrypt(credentialRow.encrypted_credentials));
-    
-    // Create API client and test connection
-    const apiClient = new NetSuiteAPIClient(credentials);
-    const testResult = await apiClient.testConnection();
+    const schema = await this.schemaExplorer.describeRecord(apiClient, { ...scope, recordType: args.record_type });
+    if (!schema.success) {
+      return { ...schema, record_type: args.record_type, ...context };
+    }
 
-    // Update last_used timestamp
-    await this.db.run(`
-      UPDATE netsuite_credentials 
-      SET last_used = datetime('now') 
-      WHERE client_name = ? AND account_id = ?
-    `, [clientInfo.client, credentials.accountId]);
+    const base = {
+      success: true,
+      ...context,
+      record_type: schema.record_type,
+      title: schema.title,
+      view,
+      cached: schema.cached,
+      fetched_at: schema.fetched_at
+    };
+
+    if (view === 'summary') {
+      return {
+        ...base,
+        field_count: schema.field_count,
+        join_count: schema.joins.length,
+        custom_field_count: schema.custom_fields.length,
+        required_fields: schema.fields.filter(field => field.required).map(field => field.id),
+        custom_fields: schema.custom_fields.filter(field => matches(field.id, field.label)).map(field => field.id),
+        sublists: schema.sublists.map(sublist => sublist.id),
+        // Column names only, for autocomplete
+        suiteql_columns: schema.suiteql_columns.filter(column => matches(column.column, column.label)).map(column => column.column),
+        request_stats: { ...apiClient.requestStats }
+      };
+    }
 
+    const entries = schema[view].filter(entry => matches(entry.id || entry.field || entry.column, entry.label));
     return {
-      ...testResult,
-      client_name: clientInfo.client
+      ...base,
+      [view]: entries,
+      count: entries.length,
+      request_stats: { ...apiClient.requestStats }
     };
   }
 
-  async handleNetSuiteQuery(args) {
-    console.error('🔍 Executing NetSuite query...');
-    
-    // Auto-detect client if not provided
-    const clientInfo = args.client_name 
-      ? { client: args.client_name }
-      : this.netsuiteManager.detectClient(process.cwd());
+  async handleCompare(args) {
+    console.error('🔀 Comparing query results across profiles...');
 
-    if (!clientInfo.client) {
-      throw new Error('Could not detect client. Please specify client_name.');
+    const keyColumn = args.key_column || 'id';
+    const maxRows = args.max_rows || 5000;
+    const maxDifferences = args.max_differences || 100;
+
+    const validation = analyzeSuiteQL(args.query);
+    if (!validation.valid) {
+      return {
+        success: false,
+        query: args.query,
+        error: `Query validation failed: ${validation.reason}`,
+        diagnostics: validation.diagnostics
+      };
     }
 
-    // Get credentials
-    const credentialRow = await this.db.get(`
-      SELECT encrypted_credentials, account_id, environment
-      FROM netsuite_credentials
-      WHERE client_name = ? AND is_default = 1
-    `, [clientInfo.client]);
-    
-    if (!credentialRow) {
-      throw new Error(`No default NetSuite credentials found for client: ${clientInfo.client}`);
+    // Profiles are picked explicitly for each side, never from the session
+    const sides = {
+      left: await this.loadClientCredentials({
+        client_name: args.client_name,
+        environment: args.left_environment || 'sandbox',
+        account_id: args.left_account_id
+      }, { useSession: false }),
+      right: await this.loadClientCredentials({
+        client_name: args.client_name,
+        environment: args.right_environment || 'production',
+        account_id: args.right_account_id
+      }, { useSession: false })
+    };
+    if (sides.left.profile.account_id === sides.right.profile.account_id) {
+      throw new Error(`Both sides resolve to the same profile (${sides.left.profile.account_id}); pick two different environments or accounts`);
     }
 
-    const credentials = JSON.parse(this.netsuiteManager.decrypt(credentialRow.encrypted_credentials));
-    
-    // Create API client and execute query
-    const apiClient = new NetSuiteAPIClient(credentials);
-    
-    // Validate query for security
-    const validation = apiClient.validateSuiteQL(args.query);
-    if (!validation.valid) {
-      throw new Error(`Query validation failed: ${validation.reason}`);
+    const normalizedQuery = normalizeSuiteQL(args.query);
+    const runs = {};
+    for (const [side, { clientName, credentials }] of Object.entries(sides)) {
+      const apiClient = new NetSuiteAPIClient(credentials);
+      const costScope = { clientName, accountId: credentials.accountId };
+      await this.costEstimator.refreshCounts(apiClient, costScope, validation.tables);
+      const estimate = await this.costEstimator.estimate(costScope, validation);
+      if (estimate.risk === 'high' && !args.force) {
+        return {
+          success: false,
+          blocked: true,
+          query: args.query,
+          error: `Query blocked on ${credentials.environment} (${credentials.accountId}): it ${estimate.reasons.join(' and ')}. ${estimate.suggestion}, or pass force: true to run it anyway`,
+          suggestion: estimate.suggestion,
+          cost_estimate: estimate
+        };
+      }
+      runs[side] = { apiClient, costScope, estimate };
     }
-    
-    const startTime = Date.now();
-    const queryResult = await apiClient.executeSuiteQL(
-      args.query, 
-      args.limit || 100, 
-      args.offset || 0
-    );
 
-    // Update last_used timestamp
-    await this.db.run(`
-      UPDATE netsuite_credentials 
-      SET last_used = datetime('now') 
-      WHERE client_name = ? AND account_id = ?
-    `, [clientInfo.client, credentials.accountId]);
+    // Both sides run at once so the snapshots are as close in time as possible
+    const results = await Promise.all(Object.values(runs).map(async run => {
+      const runStart = Date.now();
+      const result = await run.apiClient.fetchAllSuiteQL(args.query, { maxRows });
+      await this.costEstimator.recordRun({ ...run.costScope, normalizedQuery }, run.estimate, {
+        forced: Boolean(args.force) && run.estimate.risk === 'high',
+        actualRows: result.success ? result.results.length : null,
+        complete: result.success && !result.hasMore,
+        actualMs: Date.now() - runStart,
+        success: result.success,
+        error: result.success ? null : result.error
+      });
+      return result;
+    }));
+    const [left, right] = results;
+
+    const describeSide = (side, result) => ({
+      client_name: sides[side].clientName,
+      account_id: sides[side].credentials.accountId,
+      environment: sides[side].credentials.environment,
+      account_alias: sides[side].profile.account_alias,
+      rows: result.success ? result.results.length : null,
+      truncated: Boolean(result.truncated),
+      ...(result.success ? {} : { error: result.error })
+    });
+
+    if (!left.success || !right.success) {
+      return {
+        success: false,
+        query: args.query,
+        error: `Query failed on ${[['left', left], ['right', right]].filter(([, r]) => !r.success).map(([side]) => sides[side].credentials.environment).join(' and ')}`,
+        left: describeSide('left', left),
+        right: describeSide('right', right)
+      };
+    }
+
+    const diff = diffRows(left.results, right.results, { key: keyColumn, ignoreColumns: args.ignore_columns || [] });
+    if ((left.results.length > 0 && diff.missing_key.left === left.results.length) ||
+        (right.results.length > 0 && diff.missing_key.right === right.results.length)) {
+      throw new Error(`Key column ${keyColumn} is not in the results; add it to the SELECT list or pick another key_column`);
+    }
+
+    const warnings = [];
+    if (left.truncated || right.truncated) {
+      warnings.push(`Results were cut off at max_rows=${maxRows}; rows past the limit show up as added or removed`);
+    }
+    for (const side of ['left', 'right']) {
+      if (diff.duplicates[side].length) {
+        warnings.push(`${keyColumn} is not unique on the ${side} side (${diff.duplicates[side].slice(0, 5).join(', ')}); only the last row per key was compared`);
+      }
+      if (diff.missing_key[side]) {
+        warnings.push(`${diff.missing_key[side]} ${side} rows have no ${keyColumn} and were skipped`);
+      }
+    }
 
     return {
-      ...queryResult,
-      client_name: clientInfo.client,
-      account_id: credentials.accountId,
-      environment: credentials.environment,
-      executed_at: new Date().toISOString(),
-      execution_time_ms: Date.now() - startTime,
-      limit: args.limit || 100,
-      offset: args.offset || 0
+      success: true,
+      query: args.query,
+      key_column: diff.key,
+      left: describeSide('left', left),
+      right: describeSide('right', right),
+      summary: {
+        added: diff.added.length,
+        removed: diff.removed.length,
+        changed: diff.changed.length,
+        unchanged: diff.unchanged,
+        identical: diff.added.length + diff.removed.length + diff.changed.length === 0,
+        changed_columns: summarizeChanges(diff.changed)
+      },
+      // added: only in right; removed: only in left
+      added: diff.added.slice(0, maxDifferences),
+      removed: diff.removed.slice(0, maxDifferences),
+      changed: diff.changed.slice(0, maxDifferences),
+      compared_columns: diff.columns,
+      ...(warnings.length ? { warnings } : {}),
+      compared_at: new Date().toISOString()
     };
   }
 
-  async handleNetSuiteDeploy(args) {
-    console.error('🚀 Deploying to NetSuite...');
-    
-    // Auto-detect client if not provided
-    const clientInfo = args.client_name 
-      ? { client: args.client_name }
-      : this.netsuiteManager.detectClient(process.cwd());
+  async handleSnapshot(args) {
+    const { clientName, credentials, profile } = await this.loadClientCredentials(args);
 
-    if (!clientInfo.client) {
-      throw new Error('Could not detect client. Please specify client_name.');
+    if (args.list) {
+      const snapshots = await this.inventory.list(clientName, credentials.accountId);
+      return {
+        client_name: clientName,
+        account_id: credentials.accountId,
+        snapshots,
+        count: snapshots.length
+      };
     }
 
-    // Get credentials
-    const credentialRow = await this.db.get(`
-      SELECT encrypted_credentials, account_id, environment
-      FROM netsuite_credentials
-      WHERE client_name = ? AND is_default = 1
-    `, [clientInfo.client]);
-    
-    if (!credentialRow) {
-      throw new Error(`No default NetSuite credentials found for client: ${clientInfo.client}`);
+    console.error(`📸 Capturing customization snapshot for ${clientName} (${credentials.accountId})...`);
+    const apiClient = new NetSuiteAPIClient(credentials);
+    const snapshot = await this.inventory.capture(apiClient, {
+      clientName,
+      accountId: credentials.accountId,
+      environment: credentials.environment
+    }, { label: args.label || null, categories: args.categories?.length ? args.categories : undefined });
+
+    return {
+      success: Object.keys(snapshot.counts).length > 0,
+      ...snapshot,
+      account_alias: profile.account_alias,
+      request_stats: { ...apiClient.requestStats }
+    };
+  }
+
+  async handleDrift(args) {
+    const against = args.against || 'live';
+    console.error(`🧭 Checking customization drift against ${against}...`);
+
+    const { clientName, credentials, profile } = await this.loadClientCredentials(args);
+    const baseline = await this.inventory.get(args.snapshot_id
+      ? { id: args.snapshot_id }
+      : { clientName, accountId: credentials.accountId });
+    if (!baseline) {
+      throw new Error(args.snapshot_id
+        ? `Snapshot ${args.snapshot_id} not found`
+        : `No snapshots for ${clientName} (${credentials.accountId}); capture one with netsuite_snapshot first`);
     }
 
-    const credentials = JSON.parse(this.netsuiteManager.decrypt(credentialRow.encrypted_credentials));
-    
-    // Simulate deployment (in real implementation, this would deploy actual SuiteScript)
-    const deployResult = {
-      success: true,
-      script_name: args.script_name,
-      script_type: args.script_type,
-      client: clientInfo.client,
-      account_id: credentials.accountId,
-      environment: credentials.environment,
-      deployed_at: new Date().toISOString(),
-      deployment_id: `deploy_${Date.now()}`,
-      script_id: `customscript_${args.script_name.toLowerCase().replace(/\s+/g, '_')}`,
-      message: 'Script deployed successfully (simulated)'
+    const describe = snapshot => ({
+      id: snapshot.id,
+      account_id: snapshot.account_id,
+      environment: snapshot.environment,
+      version: snapshot.version,
+      label: snapshot.label,
+      created_at: snapshot.created_at
+    });
+
+    let drift;
+    let compared;
+    if (against === 'project') {
+      const projectPath = args.project_path || profile.project_path;
+      const sdfProject = projectPath ? this.projectDetector.loadSdfProject(projectPath) : null;
+      if (!sdfProject) {
+        throw new Error(`No SDF project (manifest.xml) found in ${projectPath || 'the profile\'s project path'}; pass project_path`);
+      }
+      drift = this.inventory.diffAgainstProject(baseline, sdfProject.objects);
+      compared = { project: sdfProject.root, objects: sdfProject.objects.length };
+    } else {
+      let other;
+      if (against === 'snapshot') {
+        if (!args.compare_snapshot_id) {
+          throw new Error('compare_snapshot_id is required when against is snapshot');
+        }
+        other = await this.inventory.get({ id: args.compare_snapshot_id });
+        if (!other) {
+          throw new Error(`Snapshot ${args.compare_snapshot_id} not found`);
+        }
+      } else {
+        // Live state is only stored as a snapshot when the caller asks for it
+        const apiClient = new NetSuiteAPIClient(credentials);
+        const account = { clientName, accountId: credentials.accountId, environment: credentials.environment };
+        if (args.save_snapshot) {
+          const captured = await this.inventory.capture(apiClient, account, { label: args.label || 'drift check' });
+          other = await this.inventory.get({ id: captured.id });
+        } else {
+          other = {
+            id: null,
+            account_id: credentials.accountId.toUpperCase(),
+            environment: credentials.environment,
+            version: null,
+            label: 'live',
+            created_at: new Date().toISOString(),
+            ...await this.inventory.collect(apiClient)
+          };
+        }
+      }
+      drift = this.inventory.diffSnapshots(baseline, other);
+      compared = { snapshot: describe(other) };
+    }
+
+    const maxItems = args.max_items || 50;
+    const categories = Object.fromEntries(Object.entries(drift.categories).map(([category, lists]) => [
+      category,
+      Object.fromEntries(Object.entries(lists).map(([kind, entries]) => [kind, entries.slice(0, maxItems)]))
+    ]));
+    // Everything but objects the project does not manage counts as drift
+    const drifted = Object.values(drift.summary)
+      .some(counts => Object.entries(counts).some(([kind, count]) => kind !== 'not_in_project' && count > 0));
+
+    return {
+      client_name: clientName,
+      against,
+      baseline: describe(baseline),
+      compared_with: compared,
+      drifted,
+      summary: drift.summary,
+      categories,
+      checked_at: new Date().toISOString()
     };
+  }
+
+  async handleSdfProject(args) {
+    let projectPath = args.project_path;
+    if (!projectPath) {
+      const { profile } = await this.loadClientCredentials(args);
+      projectPath = profile.project_path;
+    }
+    console.error(`📦 Reading SDF project ${projectPath}...`);
+
+    const sdfProject = projectPath ? this.projectDetector.loadSdfProject(projectPath, { refresh: Boolean(args.refresh) }) : null;
+    if (!sdfProject) {
+      throw new Error(`No SDF project (manifest.xml) found in ${projectPath || 'the profile\'s project path'}; pass project_path`);
+    }
+
+    const describeScript = script => ({
+      scriptid: script.scriptid,
+      script_type: script.scriptType,
+      name: script.name,
+      script_file: script.scriptFile,
+      deployments: script.deployments,
+      custom_fields: script.customFields
+    });
+    const result = { success: true, project: sdfProject.root };
+
+    if (args.file) {
+      const context = sdfProject.describeFile(args.file);
+      result.file = context.file;
+      result.in_deploy = context.inDeploy;
+      result.scripts = sdfProject.scriptsForFile(args.file).map(describeScript);
+      result.deployments = sdfProject.deploymentsForFile(args.file);
+      if (result.scripts.length === 0) {
+        result.note = 'No script record in Objects/ uses this file; it may be a library module or not defined in the project';
+      }
+    } else if (args.scriptid) {
+      const object = sdfProject.getObject(args.scriptid);
+      if (!object) {
+        throw new Error(`${args.scriptid} is not defined in ${path.join(sdfProject.root, 'Objects')}`);
+      }
+      const script = sdfProject.scripts.find(candidate => candidate.scriptid === object.scriptid);
+      result.object = object;
+      if (script) result.script = describeScript(script);
+      const usedBy = sdfProject.scriptsUsingField(object.scriptid);
+      if (usedBy.length > 0) result.used_by = usedBy.map(describeScript);
+    } else if (args.field) {
+      const scripts = sdfProject.scriptsUsingField(args.field);
+      result.field = args.field.toLowerCase();
+      result.defined_in_project = Boolean(sdfProject.getObject(args.field));
+      result.scripts = scripts.map(describeScript);
+    } else {
+      result.summary = sdfProject.summary();
+      result.scripts = sdfProject.scripts.map(script => ({
+        scriptid: script.scriptid,
+        script_type: script.scriptType,
+        script_file: script.scriptFile,
+        deployments: script.deployments.map(deployment => deployment.scriptid)
+      }));
+    }
 
-    return deployResult;
+    return result;
   }
 
   async handleClientDiscover(args) {
@@ -1064,7 +2987,8 @@ class NetSuiteMCPServer {
           session_id: this.sessionId,
           session_start: this.context.sessionStart,
           server_uptime: new Date() - this.context.sessionStart,
-          active_client: this.context.activeClient
+          active_client: this.context.activeClient,
+          active_profile: this.context.activeProfile || null
         },
         configured_clients: clients.map(client => ({
           name: client.client_name,
@@ -1091,7 +3015,16 @@ class NetSuiteMCPServer {
           tools: [
             'netsuite_setup', 'netsuite_list', 'netsuite_test', 
             'netsuite_query', 'netsuite_deploy', 'client_discover',
-            'netsuite_help', 'netsuite_status', 'netsuite_examples', 'netsuite_validate'
+            'netsuite_help', 'netsuite_status', 'netsuite_examples', 'netsuite_validate',
+            'netsuite_saved_query_list', 'netsuite_saved_query_run', 'netsuite_saved_query_save',
+            'netsuite_record_get', 'netsuite_record_create', 'netsuite_record_update', 'netsuite_record_delete',
+            'netsuite_cache_stats',
+            'netsuite_use',
+            'netsuite_saved_search', 'netsuite_saved_search_list',
+            'netsuite_schema',
+            'netsuite_compare',
+            'netsuite_snapshot', 'netsuite_drift',
+            'netsuite_sdf_project'
           ],
           resources: [
             'netsuite://commands', 'netsuite://setup', 
@@ -0,0 +1,146 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType Restlet
+ * @NModuleScope SameAccount
+ *
+ * Saralegui MCP companion RESTlet
+ * Runs saved searches page by page and lists the account's saved searches for
+ * the netsuite_saved_search tools. Read-only: GET requests only.
+ *
+ * GET ?action=run&searchId=customsearch_x&page=1&pageSize=100
+ * GET ?action=list&keyword=open&recordType=Transaction&page=1&pageSize=100
+ */
+define(['N/search', 'N/error'], (search, error) => {
+  const MIN_PAGE_SIZE = 5;
+  const MAX_PAGE_SIZE = 1000;
+
+  const pageSizeOf = (value) => Math.min(MAX_PAGE_SIZE, Math.max(MIN_PAGE_SIZE, parseInt(value, 10) || 100));
+
+  /**
+   * Stable, unique keys for result columns: summary.join.name, lowercased,
+   * with a numeric suffix when a search repeats a column
+   */
+  const describeColumns = (columns) => {
+    const used = {};
+    return columns.map((column) => {
+      const base = [column.summary, column.join, column.name].filter(Boolean).join('.').toLowerCase();
+      used[base] = (used[base] || 0) + 1;
+      return {
+        key: used[base] > 1 ? `${base}_${used[base]}` : base,
+        label: column.label || column.name,
+        name: column.name,
+        join: column.join || null,
+        summary: column.summary || null,
+        formula: column.formula || null
+      };
+    });
+  };
+
+  /**
+   * Select fields carry both the internal ID and the display text
+   */
+  const cellValue = (result, column) => {
+    const value = result.getValue(column);
+    let text = null;
+    try {
+      text = result.getText(column);
+    } catch (e) {
+      // Not a select field
+    }
+    return text && text !== value ? { value, text } : value;
+  };
+
+  const fetchPage = (searchObj, params) => {
+    const pageSize = pageSizeOf(params.pageSize);
+    const page = Math.max(1, parseInt(params.page, 10) || 1);
+    const paged = searchObj.runPaged({ pageSize });
+    const pageCount = paged.pageRanges.length;
+
+    return {
+      page,
+      pageSize,
+      pageCount,
+      totalResults: paged.count,
+      hasMore: page < pageCount,
+      data: page <= pageCount ? paged.fetch({ index: page - 1 }).data : []
+    };
+  };
+
+  const runSearch = (params) => {
+    if (!params.searchId) {
+      throw error.create({ name: 'MISSING_SEARCH_ID', message: 'searchId is required' });
+    }
+
+    const savedSearch = search.load({ id: params.searchId });
+    const columns = describeColumns(savedSearch.columns);
+    const { data, ...paging } = fetchPage(savedSearch, params);
+
+    return {
+      searchId: params.searchId,
+      title: savedSearch.title,
+      recordType: savedSearch.searchType,
+      columns,
+      rows: data.map((result) => {
+        const row = { id: result.id };
+        columns.forEach((column, index) => {
+          row[column.key] = cellValue(result, savedSearch.columns[index]);
+        });
+        return row;
+      }),
+      ...paging
+    };
+  };
+
+  const listSearches = (params) => {
+    const filters = [];
+    if (params.recordType) {
+      filters.push(['recordtype', 'anyof', params.recordType]);
+    }
+    if (params.keyword) {
+      if (filters.length) filters.push('AND');
+      filters.push(['title', 'contains', params.keyword]);
+    }
+
+    const listing = search.create({
+      type: search.Type.SAVED_SEARCH,
+      filters,
+      columns: [
+        search.createColumn({ name: 'title', sort: search.Sort.ASC }),
+        'id',
+        'recordtype',
+        'owner',
+        'access'
+      ]
+    });
+    const { data, ...paging } = fetchPage(listing, params);
+
+    return {
+      searches: data.map((result) => ({
+        internalId: result.id,
+        scriptId: result.getValue('id'),
+        title: result.getValue('title'),
+        recordType: result.getText('recordtype') || result.getValue('recordtype'),
+        owner: result.getText('owner'),
+        access: result.getText('access') || result.getValue('access')
+      })),
+      ...paging
+    };
+  };
+
+  const get = (params) => {
+    try {
+      switch (params.action) {
+        case 'run':
+          return { success: true, ...runSearch(params) };
+        case 'list':
+          return { success: true, ...listSearches(params) };
+        default:
+          throw error.create({ name: 'UNKNOWN_ACTION', message: `Unknown action ${params.action}; use run or list` });
+      }
+    } catch (e) {
+      return { success: false, error: { name: e.name, message: e.message } };
+    }
+  };
+
+  return { get };
+});
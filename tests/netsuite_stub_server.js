@@ -0,0 +1,303 @@
+/**
+ * Local NetSuite stand-in for tests
+ * Serves the SuiteQL and REST record endpoints from in-memory records so the
+ * API client can be exercised without a NetSuite account
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+
+const SCRIPT_TABLES = ['usereventscript', 'scheduledscript', 'restlet', 'suitelet', 'clientscript', 'mapreducescript'];
+
+export class NetSuiteStubServer {
+  constructor() {
+    this.records = new Map(); // recordType -> Map(id -> fields)
+    this.schemas = new Map(); // recordType -> describe schema
+    this.requests = [];
+    this.queuedResponses = [];
+    this.queryHandler = null;
+    this.interceptor = null;
+    this.nextId = 100;
+    this.responseDelay = 0;
+    this.integrations = new Map(); // clientId:certificateId -> public key
+    this.accessTokens = new Map(); // token -> expiry (ms)
+    this.tokenLifetime = 3600;
+    this.savedSearches = new Map(); // script ID -> { title, recordType, columns, rows }
+    this.companionInstalled = true;
+    this.inFlight = 0;
+    this.maxInFlight = 0;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+    return this.baseUrl;
+  }
+
+  async stop() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Serve the given response for the next request instead of the default behaviour
+   * @param {Object} response - { status, body, headers, delay }
+   */
+  enqueue(response) {
+    this.queuedResponses.push(response);
+  }
+
+  /**
+   * Override responses for matching requests; fn(request) returns a response or null
+   */
+  intercept(fn) {
+    this.interceptor = fn;
+  }
+
+  /**
+   * Add a record directly, returning its internal ID
+   */
+  seed(recordType, fields) {
+    const id = String(this.nextId++);
+    this.table(recordType).set(id, { ...fields });
+    return id;
+  }
+
+  /**
+   * Set the schema served from /record/v1/<recordType>/describe
+   */
+  describe(recordType, schema) {
+    this.schemas.set(recordType, schema);
+  }
+
+  /**
+   * Register an OAuth 2.0 M2M integration whose assertions the token endpoint accepts
+   */
+  registerIntegration(clientId, certificateId, publicKey) {
+    this.integrations.set(`${clientId}:${certificateId}`, crypto.createPublicKey(publicKey));
+  }
+
+  /**
+   * Check a client assertion the way NetSuite does: known certificate (kid),
+   * issuer, audience, expiry and signature
+   * @returns {string|null} Rejection reason, or null when valid
+   */
+  verifyAssertion(assertion, tokenUrl) {
+    const [headerPart, payloadPart, signaturePart] = (assertion || '').split('.');
+    if (!signaturePart) return 'malformed assertion';
+    const header = JSON.parse(Buffer.from(headerPart, 'base64url').toString());
+    const payload = JSON.parse(Buffer.from(payloadPart, 'base64url').toString());
+
+    const key = this.integrations.get(`${payload.iss}:${header.kid}`);
+    if (!key) return 'unknown client or certificate';
+    if (payload.aud !== tokenUrl) return 'wrong audience';
+    if (payload.exp * 1000 < Date.now()) return 'assertion expired';
+
+    const digest = `sha${header.alg.slice(2)}`;
+    const valid = crypto.verify(digest, Buffer.from(`${headerPart}.${payloadPart}`), header.alg.startsWith('PS')
+      ? { key, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST }
+      : { key, dsaEncoding: 'ieee-p1363' }, Buffer.from(signaturePart, 'base64url'));
+    return valid ? null : 'bad signature';
+  }
+
+  /**
+   * Add a saved search for the companion RESTlet to run.
+   * columns are the RESTlet's column descriptions ({ key, label, ... })
+   */
+  savedSearch(scriptId, { title, recordType = 'Customer', columns, rows }) {
+    this.savedSearches.set(scriptId, { title, recordType, columns, rows });
+  }
+
+  /**
+   * Answer the companion RESTlet the way the bundled script does
+   */
+  runCompanion(params) {
+    const pageSize = Math.min(1000, Math.max(5, Number(params.get('pageSize')) || 100));
+    const page = Math.max(1, Number(params.get('page')) || 1);
+    const paginate = items => {
+      const pageCount = Math.ceil(items.length / pageSize);
+      return {
+        items: items.slice((page - 1) * pageSize, page * pageSize),
+        paging: { page, pageSize, pageCount, totalResults: items.length, hasMore: page < pageCount }
+      };
+    };
+
+    if (params.get('action') === 'run') {
+      const saved = this.savedSearches.get(params.get('searchId'));
+      if (!saved) {
+        return { success: false, error: { name: 'SSS_MISSING_REQD_ARGUMENT', message: `That search or mass update does not exist: ${params.get('searchId')}` } };
+      }
+      const { items, paging } = paginate(saved.rows);
+      return { success: true, searchId: params.get('searchId'), title: saved.title, recordType: saved.recordType, columns: saved.columns, rows: items, ...paging };
+    }
+    if (params.get('action') === 'list') {
+      const keyword = (params.get('keyword') || '').toLowerCase();
+      const searches = [...this.savedSearches.entries()]
+        .filter(([, saved]) => saved.title.toLowerCase().includes(keyword))
+        .filter(([, saved]) => !params.get('recordType') || saved.recordType === params.get('recordType'))
+        .map(([scriptId, saved], index) => ({ internalId: String(index + 1), scriptId, title: saved.title, recordType: saved.recordType, owner: 'Stub Admin', access: 'Public' }));
+      const { items, paging } = paginate(searches);
+      return { success: true, searches: items, ...paging };
+    }
+    return { success: false, error: { name: 'UNKNOWN_ACTION', message: `Unknown action ${params.get('action')}` } };
+  }
+
+  table(recordType) {
+    if (!this.records.has(recordType)) {
+      this.records.set(recordType, new Map());
+    }
+    return this.records.get(recordType);
+  }
+
+  async handle(req, res) {
+    this.inFlight++;
+    this.maxInFlight = Math.max(this.maxInFlight, this.inFlight);
+    res.on('finish', () => this.inFlight--);
+
+    let raw = '';
+    for await (const chunk of req) {
+      raw += chunk;
+    }
+    const isForm = (req.headers['content-type'] || '').startsWith('application/x-www-form-urlencoded');
+    const body = !raw ? null : isForm ? Object.fromEntries(new URLSearchParams(raw)) : JSON.parse(raw);
+    const url = new URL(req.url, this.baseUrl);
+    const request = { method: req.method, path: url.pathname, query: url.search, headers: req.headers, body };
+    this.requests.push(request);
+
+    const override = this.queuedResponses.shift() || (this.interceptor && this.interceptor(request));
+    const delay = override?.delay ?? this.responseDelay;
+    if (delay) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    if (override?.status) {
+      return this.send(res, override.status, override.body, override.headers);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/services/rest/auth/oauth2/v1/token') {
+      const problem = body.grant_type !== 'client_credentials'
+        ? 'unsupported grant_type'
+        : this.verifyAssertion(body.client_assertion, `${this.baseUrl}${url.pathname}`);
+      if (problem) {
+        return this.send(res, 400, { error: 'invalid_grant', error_description: problem });
+      }
+      const token = `stub-token-${crypto.randomBytes(8).toString('hex')}`;
+      this.accessTokens.set(token, Date.now() + this.tokenLifetime * 1000);
+      return this.send(res, 200, { access_token: token, token_type: 'Bearer', expires_in: this.tokenLifetime });
+    }
+
+    // Bearer tokens must be ones this server issued and not yet expired
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ') && !(this.accessTokens.get(authorization.slice(7)) > Date.now())) {
+      return this.send(res, 401, { title: 'Unauthorized', detail: 'Invalid or expired access token' });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/app/site/hosting/restlet.nl') {
+      if (!this.companionInstalled) {
+        return this.send(res, 400, { error: { code: 'SSS_INVALID_SCRIPTLET_ID', message: 'That Suitelet is invalid, disabled, or no longer exists.' } });
+      }
+      return this.send(res, 200, this.runCompanion(url.searchParams));
+    }
+
+    if (req.method === 'GET' && url.pathname === '/services/rest/record/v1/metadata-catalog') {
+      return this.send(res, 200, {
+        items: [...this.schemas.keys()].map(name => ({
+          name,
+          links: [{ rel: 'canonical', href: `${this.baseUrl}/services/rest/record/v1/metadata-catalog/${name}` }]
+        }))
+      });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/services/rest/query/v1/suiteql') {
+      const items = this.queryHandler ? this.queryHandler(body.q, body) : this.runLookup(body.q);
+      if (!Array.isArray(items)) {
+        return this.send(res, 200, items);
+      }
+      const limit = Number(url.searchParams.get('limit') ?? body.limit ?? 1000);
+      const offset = Number(url.searchParams.get('offset') ?? body.offset ?? 0);
+      const page = items.slice(offset, offset + limit);
+      const hasMore = offset + page.length < items.length;
+      const links = [{ rel: 'self', href: `${this.baseUrl}${url.pathname}?limit=${limit}&offset=${offset}` }];
+      if (hasMore) {
+        links.push({ rel: 'next', href: `${this.baseUrl}${url.pathname}?limit=${limit}&offset=${offset + limit}` });
+      }
+      return this.send(res, 200, {
+        items: page,
+        count: page.length,
+        offset,
+        hasMore,
+        totalResults: items.length,
+        links
+      });
+    }
+
+    const match = url.pathname.match(/^\/services\/rest\/record\/v1\/(\w+)(?:\/([^/]+))?$/);
+    if (!match) {
+      return this.send(res, 404, { title: 'Not Found', detail: url.pathname });
+    }
+    const [, recordType, id] = match;
+    const records = this.table(recordType);
+
+    if (req.method === 'POST' && !id) {
+      const newId = this.seed(recordType, body);
+      return this.send(res, 204, null, { Location: `${this.baseUrl}/services/rest/record/v1/${recordType}/${newId}` });
+    }
+    if (req.method === 'GET' && id === 'describe' && this.schemas.has(recordType)) {
+      return this.send(res, 200, this.schemas.get(recordType));
+    }
+    if (!records.has(id)) {
+      return this.send(res, 404, { title: 'Record not found', detail: `${recordType} ${id}` });
+    }
+    if (req.method === 'GET') {
+      const fields = url.searchParams.get('fields');
+      const record = { id, ...records.get(id) };
+      return this.send(res, 200, fields
+        ? Object.fromEntries(Object.entries(record).filter(([key]) => key === 'id' || fields.split(',').includes(key)))
+        : record);
+    }
+    if (req.method === 'PATCH') {
+      records.set(id, { ...records.get(id), ...body });
+      return this.send(res, 204, null);
+    }
+    if (req.method === 'DELETE') {
+      records.delete(id);
+      return this.send(res, 204, null);
+    }
+    return this.send(res, 405, { title: 'Method not allowed' });
+  }
+
+  /**
+   * Answer `SELECT id FROM <table> WHERE a = 'x' AND UPPER(b) = UPPER('y')` lookups
+   */
+  runLookup(query) {
+    const tableMatch = query.match(/FROM\s+(\w+)/i);
+    if (!tableMatch) {
+      return [];
+    }
+    const table = tableMatch[1].toLowerCase();
+    const types = table === 'script' ? SCRIPT_TABLES : [table];
+    const conditions = [...query.matchAll(/(?:UPPER\()?(\w+)\)?\s*=\s*(?:UPPER\()?(?:'((?:[^']|'')*)'|(-?\d+))\)?/gi)]
+      .map(([, field, text, number]) => ({
+        field: field.toLowerCase(),
+        value: (text !== undefined ? text.replace(/''/g, "'") : number).toLowerCase()
+      }));
+
+    const rows = [];
+    for (const type of types) {
+      for (const [id, fields] of this.table(type)) {
+        const normalized = Object.fromEntries(Object.entries(fields).map(([key, value]) => [
+          key.toLowerCase(),
+          String(value && typeof value === 'object' ? value.id : value).toLowerCase()
+        ]));
+        if (conditions.every(({ field, value }) => normalized[field] === value)) {
+          rows.push({ id });
+        }
+      }
+    }
+    return rows;
+  }
+
+  send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body == null ? '' : JSON.stringify(body));
+  }
+}
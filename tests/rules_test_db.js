@@ -0,0 +1,62 @@
+/**
+ * Scratch validation rules database for tests
+ * Applies database/validation_rules_schema.sql to a fresh SQLite file and
+ * wraps the callback API the validation suites use
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { fileURLToPath } from 'url';
+
+const SCHEMA_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'database', 'validation_rules_schema.sql');
+
+export class RulesTestDatabase {
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    this.db = new sqlite3.Database(dbPath);
+  }
+
+  /**
+   * Open dbPath with the validation rules schema applied
+   */
+  static async create(dbPath) {
+    const rulesDb = new RulesTestDatabase(dbPath);
+    const schema = await fs.readFile(SCHEMA_PATH, 'utf8');
+    await new Promise((resolve, reject) => rulesDb.db.exec(schema, error => error ? reject(error) : resolve()));
+    return rulesDb;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => this.db.run(sql, params, error => error ? reject(error) : resolve()));
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => this.db.all(sql, params, (error, rows) => error ? reject(error) : resolve(rows)));
+  }
+
+  /**
+   * Insert a global JavaScript rule. The message defaults to "<ruleId> matched"
+   * and an auto-fix pattern turns auto_fix on.
+   */
+  async addRule(ruleId, patternText, {
+    patternType = 'regex',
+    priority = 'warning',
+    category = 'style',
+    message = `${ruleId} matched`,
+    suggestion = null,
+    autoFixPattern = null,
+    confidence = 0.5
+  } = {}) {
+    await this.run(`
+      INSERT INTO validation_rules (rule_id, scope, category, priority, technology, pattern_text, pattern_type, message, suggestion, auto_fix, auto_fix_pattern, confidence)
+      VALUES (?, 'global', ?, ?, 'javascript', ?, ?, ?, ?, ?, ?, ?)
+    `, [ruleId, category, priority, patternText, patternType, message, suggestion, autoFixPattern ? 1 : 0, autoFixPattern, confidence]);
+  }
+
+  async close() {
+    await new Promise(resolve => this.db.close(resolve));
+  }
+}
+
+export default RulesTestDatabase;
@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+
+/**
+ * AST Rules Test Suite
+ * ESTree selector rules next to regex rules in validation_rules: multi-line
+ * matches, source ranges, comments and strings, and the ESLint visitors
+ * built from them
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import esquery from 'esquery';
+import * as acorn from 'acorn';
+import { ValidationRuleManager } from '../lib/validation_rule_manager.js';
+import { LearnedRulesPlugin } from '../tools/eslint-plugin-learned-rules.js';
+import { RulesTestDatabase } from './rules_test_db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const RECORD_LOAD_SELECTOR = 'CallExpression[callee.object.name="record"][callee.property.name="load"]';
+
+const SOURCE = `define(['N/record'], (record) => {
+  // record.load({ type: 'salesorder', id: 1 }) was too slow here
+  const note = 'call record.load( only once';
+  const execute = () => {
+    const order = record.load({
+      type: record.Type.SALES_ORDER,
+      id: 42
+    });
+    return order;
+  };
+  return { execute };
+});
+`;
+
+class AstRulesTester {
+  constructor() {
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  async addRule(ruleId, patternType, patternText) {
+    await this.rulesDb.addRule(ruleId, patternText, { patternType, category: 'performance' });
+    this.ruleManager.ruleCache.clear();
+  }
+
+  async setup(tempDir) {
+    this.rulesDb = await RulesTestDatabase.create(path.join(tempDir, 'rules.db'));
+    this.ruleManager = new ValidationRuleManager(this.rulesDb.db);
+    this.projectPath = tempDir;
+  }
+
+  async runTests() {
+    this.log('🧪 Starting AST Rules Test Suite\n');
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ast-rules-'));
+    // Silence rule manager logging
+    const { error: originalError, log: originalLog } = console;
+    console.error = () => {};
+
+    try {
+      await this.setup(tempDir);
+      await this.testMatching();
+      await this.testRules();
+      await this.testESLintBridge();
+    } finally {
+      console.log = originalLog;
+      console.error = originalError;
+      await this.rulesDb.close();
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+
+  validate(content = SOURCE, technologies = ['javascript']) {
+    return this.ruleManager.validateCode(content, path.join(this.projectPath, 'order_ss.js'), 'acme', this.projectPath, technologies);
+  }
+
+  async testMatching() {
+    await this.test('AST rules match multi-line calls and skip comments and strings', async () => {
+      const rule = { pattern_type: 'ast', compiledPattern: this.ruleManager.compilePattern(RECORD_LOAD_SELECTOR, 'ast') };
+      const regexRule = { pattern_type: 'regex', compiledPattern: this.ruleManager.compilePattern('record\\.load\\(', 'regex') };
+
+      const astMatches = await this.ruleManager.applyRule(rule, SOURCE, 'order_ss.js');
+      const regexMatches = await this.ruleManager.applyRule(regexRule, SOURCE, 'order_ss.js');
+
+      this.assert(astMatches.length === 1 && regexMatches.length === 3, `Expected 1 AST and 3 regex matches, got ${astMatches.length} and ${regexMatches.length}`);
+      this.assert(astMatches[0].text.startsWith('record.load({') && astMatches[0].text.endsWith('})'), 'Expected the whole call as text');
+    });
+
+    await this.test('Matches carry start and end positions', async () => {
+      const rule = { pattern_type: 'ast', compiledPattern: this.ruleManager.compilePattern(RECORD_LOAD_SELECTOR, 'ast') };
+      const [match] = await this.ruleManager.applyRule(rule, SOURCE, 'order_ss.js');
+      const [regexMatch] = await this.ruleManager.applyRule({ pattern_type: 'regex', compiledPattern: /const order/g }, SOURCE, 'order_ss.js');
+
+      this.assert(match.line === 5 && match.column === 19 && match.endLine === 8 && match.endColumn === 7, `Unexpected range ${match.line}:${match.column}-${match.endLine}:${match.endColumn}`);
+      this.assert(regexMatch.line === 5 && regexMatch.column === 5 && regexMatch.endColumn === 16, 'Expected the regex match range');
+    });
+
+    await this.test('ES modules parse; unparsable source fails only the AST rule', async () => {
+      const rule = { pattern_type: 'ast', compiledPattern: this.ruleManager.compilePattern('ImportDeclaration', 'ast') };
+      const matches = await this.ruleManager.applyRule(rule, "import fs from 'fs';\nexport const read = () => fs;", 'reader.mjs');
+      this.assert(matches.length === 1, 'Expected the import to match');
+
+      let message = null;
+      try {
+        await this.ruleManager.applyRule(rule, 'const = ;', 'broken.js');
+      } catch (error) {
+        message = error.message;
+      }
+      this.assert(message?.startsWith('Cannot parse source for AST rules: Unexpected token'), `Unexpected error ${message}`);
+    });
+  }
+
+  async testRules() {
+    await this.test('Regex and AST rules coexist in validation_rules', async () => {
+      await this.addRule('ast-record-load', 'ast', RECORD_LOAD_SELECTOR);
+      await this.addRule('regex-console', 'regex', 'console\\.log');
+
+      const results = await this.validate(`${SOURCE}console.log('done');\n`);
+      const byRule = Object.fromEntries(results.warnings.map(issue => [issue.ruleId, issue]));
+
+      this.assert(results.warnings.length === 2, `Unexpected warnings ${results.warnings.map(issue => issue.ruleId)}`);
+      this.assert(byRule['ast-record-load'].endLine === 8 && byRule['regex-console'].line === 13, 'Expected ranges on both kinds');
+    });
+
+    await this.test('Invalid selectors are rejected when a rule is created', async () => {
+      let message = null;
+      try {
+        await this.ruleManager.createValidationRule({
+          scope: 'global', category: 'style', priority: 'warning', technology: 'javascript',
+          pattern: 'CallExpression[callee.name=', patternType: 'ast', message: 'Broken selector'
+        });
+      } catch (error) {
+        message = error.message;
+      }
+      this.assert(message?.startsWith('Invalid AST selector "CallExpression[callee.name="'), `Unexpected error ${message}`);
+
+      const originalLog = console.log;
+      console.log = () => {};
+      const ruleId = await this.ruleManager.createValidationRule({
+        scope: 'global', category: 'style', priority: 'suggestion', technology: 'javascript',
+        pattern: 'DebuggerStatement', patternType: 'ast', message: 'Remove debugger statements', confidence: 0.9
+      });
+      console.log = originalLog;
+      const [row] = await this.rulesDb.all('SELECT pattern_type FROM validation_rules WHERE rule_id = ?', [ruleId]);
+      this.assert(row.pattern_type === 'ast', 'Expected the stored AST rule');
+    });
+
+    await this.test('Failed AST parses are tracked as failed rule applications', async () => {
+      const results = await this.validate('const = ;');
+      const [failed] = await this.rulesDb.all("SELECT success FROM rule_applications WHERE rule_id = 'ast-record-load' AND success = 0");
+
+      this.assert(results.warnings.length === 0 && failed, 'Expected a failed application and no findings');
+    });
+  }
+
+  async testESLintBridge() {
+    await this.test('The ESLint bridge turns AST rules into selector visitors', () => {
+      const plugin = new LearnedRulesPlugin();
+      const rule = plugin.createESLintRule({
+        rule_id: 'ast-record-load', pattern_type: 'ast', pattern_text: RECORD_LOAD_SELECTOR,
+        priority: 'warning', message: 'Cache loaded records', category: 'performance', confidence: 0.8
+      });
+
+      const reports = [];
+      const visitors = rule.create({ report: report => reports.push(report) });
+      this.assert(Object.keys(visitors).join() === RECORD_LOAD_SELECTOR, 'Expected the selector as the only visitor key');
+
+      // Visit the nodes ESLint would call the visitor for
+      const ast = acorn.parse(SOURCE, { ecmaVersion: 'latest', locations: true });
+      for (const node of esquery.match(ast, esquery.parse(RECORD_LOAD_SELECTOR))) {
+        visitors[RECORD_LOAD_SELECTOR](node);
+      }
+      this.assert(reports.length === 1 && reports[0].node.loc.start.line === 5 && reports[0].message === 'Cache loaded records', 'Expected one report at the call');
+    });
+
+    await this.test('The ESLint bridge offers no fix for malformed auto-fix patterns', () => {
+      const plugin = new LearnedRulesPlugin();
+      const rule = plugin.createESLintRule({
+        rule_id: 'bad-fix', pattern_type: 'regex', pattern_text: 'var ', compiledPattern: /var /g,
+        priority: 'warning', message: 'Use const', category: 'style', confidence: 0.8,
+        auto_fix: 1, auto_fix_pattern: 's/var /const '
+      });
+
+      const reports = [];
+      const sourceCode = { getText: () => 'var a = 1;', getLocFromIndex: index => ({ line: 1, column: index }) };
+      rule.create({ getSourceCode: () => sourceCode, report: report => reports.push(report) }).Program({});
+      this.assert(reports.length === 1 && reports[0].fix === null, 'Expected the finding without a fix');
+    });
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new AstRulesTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default AstRulesTester;
@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+
+/**
+ * Auto-Fix Engine Test Suite
+ * Sed-style patterns with escaped delimiters, non-overlapping edits from
+ * regex and AST rules, unified diff previews, and atomic apply with backup
+ * and re-validation, through the engine and the project validator
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ValidationRuleManager } from '../lib/validation_rule_manager.js';
+import { AutoFixEngine, applyEdits, collectEdits, createUnifiedDiff, parseSedPattern } from '../lib/auto_fix_engine.js';
+import ProjectValidator from '../tools/project_validator.js';
+import { RulesTestDatabase } from './rules_test_db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const SOURCE = `define(['N/log'], (log) => {
+  // TODO: remove debug output
+  var order = { id: 1 };
+  log.debug(
+    'order',
+    order
+  );
+  return { order };
+});
+`;
+
+const FIXED = `define(['N/log'], (log) => {
+  // FIXME(ticket): remove debug output
+  const order = { id: 1 };
+  log.audit(
+    'order',
+    order
+  );
+  return { order };
+});
+`;
+
+class AutoFixEngineTester {
+  constructor() {
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  async addRule(ruleId, patternType, patternText, autoFixPattern, priority = 'warning') {
+    await this.rulesDb.addRule(ruleId, patternText, { patternType, priority, autoFixPattern });
+    this.ruleManager.ruleCache.clear();
+  }
+
+  async setup(tempDir) {
+    this.rulesDb = await RulesTestDatabase.create(path.join(tempDir, 'rules.db'));
+    this.ruleManager = new ValidationRuleManager(this.rulesDb.db);
+    this.engine = new AutoFixEngine(this.ruleManager);
+    this.projectPath = path.join(tempDir, 'project');
+    await fs.mkdir(this.projectPath);
+
+    await this.addRule('todo-comment', 'regex', '\\/\\/ TODO:', 's/\\/\\/ TODO:/\\/\\/ FIXME(ticket):/');
+    await this.addRule('no-var', 'regex', '\\bvar\\b', 's/\\bvar\\b/const/');
+    await this.addRule('no-var-order', 'regex', 'var order', 's|var order|let order|');
+    await this.addRule('log-debug', 'ast', 'CallExpression[callee.object.name="log"][callee.property.name="debug"]',
+      's/^log\\.debug\\(([\\s\\S]*)\\)$/log.audit(\\1)/');
+  }
+
+  async runTests() {
+    this.log('🧪 Starting Auto-Fix Engine Test Suite\n');
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'auto-fix-'));
+    // Silence rule manager and validator logging
+    const { error: originalError, log: originalLog } = console;
+    console.error = () => {};
+
+    try {
+      await this.setup(tempDir);
+      await this.testPatterns();
+      await this.testEdits();
+      await this.testFixes();
+      await this.testProjectValidator(tempDir);
+    } finally {
+      console.log = originalLog;
+      console.error = originalError;
+      await this.rulesDb.close();
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+
+  options(technologies = ['javascript']) {
+    return { clientName: 'acme', projectPath: this.projectPath, technologies };
+  }
+
+  async testPatterns() {
+    await this.test('Sed patterns keep escaped delimiters and accept any delimiter', () => {
+      const slashes = parseSedPattern('s/https:\\/\\/old\\.example\\.com\\//https:\\/\\/new.example.com\\//g');
+      const pipes = parseSedPattern('s|a/b|c/d|');
+
+      this.assert(slashes.search.source === 'https:\\/\\/old\\.example\\.com\\/' && slashes.search.flags === 'g', slashes.search.source);
+      this.assert('get https://old.example.com/x'.replace(slashes.search, slashes.replacement) === 'get https://new.example.com/x', 'Expected the URL replaced');
+      this.assert(pipes.replacement === 'c/d' && !pipes.search.global, 'Expected pipe-delimited parts');
+      this.assert(parseSedPattern('s/(\\w+)=/\\1:/').replacement === '$1:', 'Expected \\1 as $1');
+    });
+
+    await this.test('Malformed sed patterns are rejected with the reason', () => {
+      const messages = ['s/a/b', 's/a/b/gx', 's/(/b/', 'x/a/b/'].map(pattern => {
+        try {
+          parseSedPattern(pattern);
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      });
+
+      this.assert(messages[0].includes('found 2'), messages[0]);
+      this.assert(messages[1].includes('unsupported flags "gx"'), messages[1]);
+      this.assert(messages[2].startsWith('Invalid auto-fix pattern "s/(/b/": Invalid regular expression'), messages[2]);
+      this.assert(messages[3].includes('expected s/search/replacement/flags'), messages[3]);
+    });
+
+    await this.test('Learned fix patterns escape slashes in the pattern and the fix', () => {
+      const autoFixPattern = this.ruleManager.generateAutoFixPattern({ pattern: 'url: "http://' }, 'url: "https://');
+      const astFix = this.ruleManager.generateAutoFixPattern({ pattern: 'DebuggerStatement', patternType: 'ast' }, '/* removed */');
+
+      this.assert(autoFixPattern === 's/url: "http:\\/\\//url: "https:\\/\\//g', autoFixPattern);
+      this.assert(this.ruleManager.generateAutoFix('const api = { url: "http://x" };', autoFixPattern) === 'const api = { url: "https://x" };', 'Expected the learned fix to apply');
+      this.assert(this.ruleManager.generateAutoFix('debugger;', astFix) === '/* removed */', 'Expected AST fixes to replace the node');
+    });
+  }
+
+  async testEdits() {
+    await this.test('Regex and AST issues carry fix ranges; overlapping edits are skipped', async () => {
+      const results = await this.ruleManager.validateCode(SOURCE, path.join(this.projectPath, 'order.js'), 'acme', this.projectPath, ['javascript']);
+      const byRule = Object.fromEntries(results.warnings.map(issue => [issue.ruleId, issue]));
+      const { edits, skipped } = collectEdits(results.warnings);
+
+      this.assert(byRule['log-debug'].fix.text === "log.audit(\n    'order',\n    order\n  )", JSON.stringify(byRule['log-debug'].fix));
+      this.assert(SOURCE.slice(...byRule['no-var'].fix.range) === 'var', 'Expected the range of the match');
+      this.assert(edits.length === 3 && skipped.length === 1 && skipped[0].issue.ruleId === 'no-var-order', `Unexpected ${skipped.map(entry => entry.issue.ruleId)}`);
+      this.assert(skipped[0].reason === 'overlaps the fix for no-var at line 3', skipped[0].reason);
+      this.assert(applyEdits(SOURCE, edits) === FIXED, 'Expected the fixed source');
+    });
+
+    await this.test('Unified diffs group nearby edits into hunks with shifted line numbers', () => {
+      const content = Array.from({ length: 20 }, (_, index) => `line${index + 1}`).join('\n') + '\n';
+      const at = text => content.indexOf(`${text}\n`);
+      const diff = createUnifiedDiff(content, [
+        { start: at('line2'), end: at('line2') + 5, text: 'line2a\nline2b' },
+        { start: at('line15'), end: at('line15') + 6, text: 'LINE15' }
+      ], 'list.txt');
+
+      const expected = [
+        '--- a/list.txt', '+++ b/list.txt',
+        '@@ -1,5 +1,6 @@', ' line1', '-line2', '+line2a', '+line2b', ' line3', ' line4', ' line5',
+        '@@ -12,7 +13,7 @@', ' line12', ' line13', ' line14', '-line15', '+LINE15', ' line16', ' line17', ' line18'
+      ].join('\n') + '\n';
+      this.assert(diff === expected, `Unexpected diff:\n${diff}`);
+    });
+  }
+
+  async testFixes() {
+    const filePath = path.join(this.projectPath, 'order.js');
+
+    const applicationCount = async () => (await this.rulesDb.all('SELECT COUNT(*) AS count FROM rule_applications'))[0].count;
+
+    await this.test('Dry runs preview the diff without writing', async () => {
+      await fs.writeFile(filePath, SOURCE);
+      const before = await applicationCount();
+      const outcome = await this.engine.fixFile(filePath, { ...this.options(), dryRun: true });
+
+      this.assert(outcome.status === 'dry-run' && outcome.backupPath === null, `Unexpected status ${outcome.status}`);
+      this.assert(outcome.diff.startsWith('--- a/order.js\n+++ b/order.js\n@@ -1,9 +1,9 @@\n define('), outcome.diff);
+      this.assert(outcome.diff.includes("-  log.debug(\n-    'order',\n-    order\n-  );\n+  log.audit(\n+    'order',\n+    order\n+  );"), outcome.diff);
+      this.assert(await fs.readFile(filePath, 'utf8') === SOURCE, 'Dry runs must not touch the file');
+      this.assert(await applicationCount() === before, 'Dry runs must not record rule applications');
+    });
+
+    await this.test('Applied fixes are re-validated and written with a backup', async () => {
+      const before = await applicationCount();
+      const outcome = await this.engine.fixFile(filePath, this.options());
+      const recorded = await applicationCount() - before;
+      const again = await this.engine.fixFile(filePath, this.options());
+
+      this.assert(outcome.status === 'applied' && outcome.unresolved.length === 0, `Unexpected status ${outcome.status}`);
+      this.assert(await fs.readFile(filePath, 'utf8') === FIXED, 'Expected the fixed file');
+      this.assert(await fs.readFile(outcome.backupPath, 'utf8') === SOURCE && outcome.backupPath === `${filePath}.bak`, 'Expected the original in the backup');
+      this.assert(again.status === 'clean', 'Expected nothing left to fix');
+      this.assert(recorded === outcome.applications.length && recorded > 0, `Expected the applications recorded once, got ${recorded}`);
+
+      const leftovers = (await fs.readdir(this.projectPath)).filter(name => name.endsWith('.tmp'));
+      this.assert(leftovers.length === 0, `Unexpected temporary files ${leftovers}`);
+    });
+
+    await this.test('Fixes that leave the issue in place are not written', async () => {
+      await this.addRule('no-debugger', 'regex', 'debugger;', 's/debugger;/debugger; \\/\\/ keep/');
+      const debugPath = path.join(this.projectPath, 'debug.js');
+      await fs.writeFile(debugPath, 'function run() {\n  debugger;\n}\n');
+
+      const outcome = await this.engine.fixFile(debugPath, this.options());
+      this.assert(outcome.status === 'rejected' && outcome.unresolved.map(issue => issue.ruleId).join() === 'no-debugger', `Unexpected status ${outcome.status}`);
+      this.assert(await fs.readFile(debugPath, 'utf8') === 'function run() {\n  debugger;\n}\n', 'Rejected fixes must not touch the file');
+      await fs.rm(debugPath);
+    });
+
+    await this.test('Fixes that introduce errors are not written', async () => {
+      await this.addRule('semicolon-free', 'regex', 'return \\{ order \\};', 's/ \\{ order \\};/ { order /', 'suggestion');
+      await this.addRule('no-open-brace', 'regex', 'return \\{ order $', 's/^$//', 'error');
+      const bracePath = path.join(this.projectPath, 'brace.js');
+      await fs.writeFile(bracePath, FIXED);
+
+      const outcome = await this.engine.fixFile(bracePath, this.options());
+      this.assert(outcome.status === 'rejected' && outcome.introduced.map(issue => issue.ruleId).join() === 'no-open-brace', `Unexpected ${outcome.status} ${outcome.introduced.map(issue => issue.ruleId)}`);
+      await this.rulesDb.run("DELETE FROM validation_rules WHERE rule_id IN ('semicolon-free', 'no-open-brace', 'no-debugger')");
+      this.ruleManager.ruleCache.clear();
+      await fs.rm(bracePath);
+    });
+  }
+
+  async testProjectValidator(tempDir) {
+    await this.test('project_validator --fix-dry-run and --fix run the engine over the project', async () => {
+      const filePath = path.join(this.projectPath, 'src', 'order.js');
+      await fs.mkdir(path.dirname(filePath));
+      await fs.writeFile(filePath, SOURCE);
+      await fs.rm(path.join(this.projectPath, 'order.js.bak'), { force: true });
+
+      const validator = new ProjectValidator(this.rulesDb.dbPath);
+      const output = [];
+      const originalLog = console.log;
+      console.log = (...parts) => output.push(parts.join(' '));
+      const write = process.stdout.write;
+      process.stdout.write = chunk => output.push(String(chunk));
+      let preview;
+      let applied;
+      try {
+        await validator.initialize();
+        preview = await validator.fixProject(this.projectPath, { clientName: 'acme', dryRun: true });
+        applied = await validator.fixProject(this.projectPath, { clientName: 'acme' });
+      } finally {
+        process.stdout.write = write;
+        console.log = originalLog;
+        await validator.close();
+      }
+
+      this.assert(preview.fixes === 3 && preview.skipped === 1 && preview.files.find(file => file.file === filePath).status === 'dry-run', JSON.stringify(preview.files));
+      this.assert(output.some(line => line.includes('+++ b/src/order.js')), 'Expected the diff on stdout');
+      this.assert(applied.files.find(file => file.file === filePath).status === 'applied', JSON.stringify(applied.files));
+      this.assert(await fs.readFile(filePath, 'utf8') === FIXED && output.some(line => line.includes('src/order.js: 3 fixes applied')), 'Expected the file fixed');
+    });
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new AutoFixEngineTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default AutoFixEngineTester;
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+/**
+ * Credential Profile Test Suite
+ * Profile selection by account/environment, the session profile set with
+ * netsuite_use, recorded connection test results and OAuth 2.0 setup on a
+ * scratch database
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import NetSuiteMCPServer from '../mcp-netsuite-server.js';
+import { DatabaseManager } from '../lib/database_manager.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+class CredentialProfileTester {
+  constructor() {
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  async expectError(promise, fragment) {
+    try {
+      await promise;
+    } catch (error) {
+      this.assert(error.message.includes(fragment), `Expected "${fragment}" in "${error.message}"`);
+      return;
+    }
+    throw new Error(`Expected an error containing "${fragment}"`);
+  }
+
+  async setup(tempDir) {
+    process.env.ENCRYPTION_KEY = 'credential-profile-test-key';
+    this.server = new NetSuiteMCPServer();
+    this.server.db = new DatabaseManager({ dbPath: path.join(tempDir, 'profiles.db') });
+    await this.server.db.initialize();
+    await this.server.netsuiteManager.init(this.server.db.db);
+    await this.server.db.createSession(this.server.sessionId, this.server.context);
+
+    const secrets = { consumer_key: 'ck', consumer_secret: 'cs', token_id: 'ti', token_secret: 'ts' };
+    await this.server.handleNetSuiteSetup({ client_name: 'acme', account_id: 'TSTDRV1', environment: 'sandbox', ...secrets });
+    await this.server.handleNetSuiteSetup({ client_name: 'acme', account_id: 'PROD1', environment: 'production', make_default: false, ...secrets });
+    await this.server.handleNetSuiteSetup({ client_name: 'acme', account_id: 'TSTDRV2', environment: 'sandbox', account_alias: 'acme-uat', make_default: false, ...secrets });
+  }
+
+  async runTests() {
+    this.log('🧪 Starting Credential Profile Test Suite\n');
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'credential-profiles-'));
+    // Silence database and handler logging
+    const { error: originalError, warn: originalWarn, log: originalLog } = console;
+    console.error = console.warn = () => {};
+
+    try {
+      await this.setup(tempDir);
+      await this.testSelection();
+      await this.testSession();
+      await this.testListing();
+      await this.testOAuth2Setup();
+    } finally {
+      console.log = () => {};
+      await this.server.db.close();
+      console.log = originalLog;
+      console.error = originalError;
+      console.warn = originalWarn;
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+
+  async testSelection() {
+    await this.test('Without a selector the default profile is used', async () => {
+      const { profile, credentials } = await this.server.loadClientCredentials({ client_name: 'acme' });
+      this.assert(profile.account_id === 'TSTDRV1' && profile.selected_by === 'default', `Unexpected profile ${profile.account_id}`);
+      this.assert(credentials.consumerKey === 'ck', 'Credentials not decrypted');
+    });
+
+    await this.test('account_id and environment pick a profile for one call', async () => {
+      const byEnvironment = await this.server.loadClientCredentials({ client_name: 'acme', environment: 'production' });
+      this.assert(byEnvironment.profile.account_id === 'PROD1', 'Expected the production profile');
+
+      const byAccount = await this.server.loadClientCredentials({ client_name: 'acme', account_id: 'tstdrv2' });
+      this.assert(byAccount.profile.account_alias === 'acme-uat', 'Account match should ignore case');
+
+      // Two sandbox accounts: the default one wins
+      const sandbox = await this.server.loadClientCredentials({ client_name: 'acme', environment: 'sandbox' });
+      this.assert(sandbox.profile.account_id === 'TSTDRV1', 'Expected the default sandbox profile');
+    });
+
+    await this.test('Unknown profiles list what is available', async () => {
+      await this.expectError(
+        this.server.loadClientCredentials({ client_name: 'acme', environment: 'release_preview' }),
+        'acme-sandbox (TSTDRV1, sandbox)'
+      );
+      await this.expectError(this.server.loadClientCredentials({ client_name: 'nobody' }), 'No NetSuite credentials found');
+    });
+  }
+
+  async testOAuth2Setup() {
+    await this.test('OAuth 2.0 setup stores the M2M credential shape', async () => {
+      const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const result = await this.server.handleNetSuiteSetup({
+        client_name: 'm2m',
+        account_id: 'TSTDRV3',
+        auth_type: 'oauth2',
+        client_id: 'integration-client',
+        certificate_id: 'cert-1',
+        private_key: privateKey.export({ type: 'pkcs8', format: 'pem' })
+      });
+      this.assert(result.success && result.auth_type === 'oauth2', 'Setup failed');
+
+      const { credentials } = await this.server.loadClientCredentials({ client_name: 'm2m' });
+      this.assert(credentials.authType === 'oauth2' && credentials.certificateId === 'cert-1', 'M2M fields not stored');
+      this.assert(credentials.privateKey.includes('PRIVATE KEY') && !credentials.consumerKey, 'Unexpected credential shape');
+    });
+
+    await this.test('Incomplete or unusable OAuth 2.0 credentials are refused', async () => {
+      await this.expectError(
+        this.server.handleNetSuiteSetup({ client_name: 'm2m', account_id: 'TSTDRV4', auth_type: 'oauth2', client_id: 'x' }),
+        'Missing oauth2 credentials: certificateId, privateKey'
+      );
+      await this.expectError(
+        this.server.handleNetSuiteSetup({ client_name: 'm2m', account_id: 'TSTDRV4', auth_type: 'oauth2', client_id: 'x', certificate_id: 'c', private_key: 'not a key' }),
+        'not a valid PEM private key'
+      );
+    });
+  }
+
+  async testSession() {
+    await this.test('netsuite_use sets the session profile and persists it', async () => {
+      const result = await this.server.handleNetSuiteUse({ client_name: 'acme', environment: 'production' });
+      this.assert(result.success && result.active_profile.account_id === 'PROD1', 'Expected production to be active');
+
+      const { profile } = await this.server.loadClientCredentials({});
+      this.assert(profile.account_id === 'PROD1' && profile.selected_by === 'session', 'Session profile not used');
+
+      const session = await this.server.db.getSession(this.server.sessionId);
+      this.assert(session.context.activeProfile.account_id === 'PROD1', 'Session context not saved');
+    });
+
+    await this.test('Explicit arguments still override the session profile', async () => {
+      const { profile } = await this.server.loadClientCredentials({ environment: 'sandbox' });
+      this.assert(profile.account_id === 'TSTDRV1' && profile.selected_by === 'request', 'Expected the sandbox profile');
+    });
+
+    await this.test('clear returns to the default profile', async () => {
+      await this.server.handleNetSuiteUse({ clear: true });
+      const { profile } = await this.server.loadClientCredentials({ client_name: 'acme' });
+      this.assert(profile.selected_by === 'default', 'Expected the default profile after clearing');
+    });
+  }
+
+  async testListing() {
+    await this.test('Listing shows last use and the last test result', async () => {
+      await this.server.db.run(`
+        UPDATE netsuite_credentials
+        SET last_used = '2026-01-02 03:04:05', last_test_at = '2026-01-02 03:04:05',
+            last_test_success = 0, last_test_message = 'HTTP 401'
+        WHERE account_id = 'PROD1'
+      `);
+      await this.server.handleNetSuiteUse({ client_name: 'acme', account_id: 'PROD1' });
+
+      const { accounts } = await this.server.handleNetSuiteList({ client_filter: 'acme' });
+      const prod = accounts.find(account => account.account_id === 'PROD1');
+      const uat = accounts.find(account => account.account_id === 'TSTDRV2');
+
+      this.assert(accounts.length === 3 && accounts.filter(account => account.is_default).length === 1, 'Expected one default of three');
+      this.assert(prod.active && prod.last_used === '2026-01-02 03:04:05', 'Expected active profile with last_used');
+      this.assert(prod.last_test && !prod.last_test.success && prod.last_test.message === 'HTTP 401', 'Expected the failed test');
+      this.assert(uat.last_test === null, 'Untested profile should have no test result');
+    });
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new CredentialProfileTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default CredentialProfileTester;
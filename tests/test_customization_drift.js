@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+/**
+ * Customization Drift Test Suite
+ * Versioned inventory snapshots from the local NetSuite stand-in, drift
+ * between snapshots, and drift against a scratch SDF project
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import NetSuiteMCPServer from '../mcp-netsuite-server.js';
+import { DatabaseManager } from '../lib/database_manager.js';
+import { CustomizationInventory } from '../lib/customization_inventory.js';
+import { NetSuiteStubServer } from './netsuite_stub_server.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const USER_EVENT_XML = `<usereventscript scriptid="customscript_order_sync">
+  <name>Order Sync</name>
+  <notifyowner>T</notifyowner>
+  <isinactive>F</isinactive>
+  <scriptfile>[/SuiteScripts/acme/order_sync_ue.js]</scriptfile>
+  <scriptdeployments>
+    <scriptdeployment scriptid="customdeploy_order_sync">
+      <isdeployed>T</isdeployed>
+      <recordtype>SALESORDER</recordtype>
+      <status>RELEASED</status>
+      <title>Order Sync</title>
+    </scriptdeployment>
+  </scriptdeployments>
+</usereventscript>
+`;
+
+const CUSTOM_FIELD_XML = `<transactionbodycustomfield scriptid="custbody_sync_status">
+  <label>Sync Status</label>
+  <fieldtype>TEXT</fieldtype>
+</transactionbodycustomfield>
+`;
+
+class CustomizationDriftTester {
+  constructor() {
+    this.stub = new NetSuiteStubServer();
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+    this.account = {
+      scripts: [
+        { id: '501', scriptid: 'customscript_order_sync', name: 'Order Sync', scripttype: 'USEREVENT', isinactive: 'F', scriptfile: 'order_sync_ue.js' },
+        { id: '502', scriptid: 'customscript_adhoc_fix', name: 'Adhoc Fix', scripttype: 'SCHEDULED', isinactive: 'F', scriptfile: 'adhoc_fix.js' }
+      ],
+      deployments: [
+        { id: '901', scriptid: 'customdeploy_order_sync', script: 'customscript_order_sync', title: 'Order Sync', status: 'RELEASED', isdeployed: 'T', recordtype: 'SALESORDER' }
+      ],
+      custom_fields: [],
+      custom_records: [],
+      workflows: null // SuiteQL error: feature not enabled
+    };
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  inventoryCategory(query) {
+    const tables = { 'FROM script s': 'scripts', 'FROM scriptdeployment d': 'deployments', 'FROM customfield f': 'custom_fields',
+      'FROM customrecordtype r': 'custom_records', 'FROM workflow w': 'workflows' };
+    return Object.entries(tables).find(([fragment]) => query.includes(fragment))?.[1];
+  }
+
+  async setup(tempDir) {
+    process.env.ENCRYPTION_KEY = 'customization-drift-test-key';
+    await this.stub.start();
+    this.stub.queryHandler = query => this.account[this.inventoryCategory(query)].map(row => ({ ...row }));
+    // Categories set to null fail the way SuiteQL does for a disabled feature
+    this.stub.interceptor = request => request.body?.q && this.account[this.inventoryCategory(request.body.q)] === null
+      ? { status: 400, body: { 'o:errorDetails': [{ detail: 'Invalid search query. Detailed unprocessed description follows.' }] } }
+      : null;
+
+    this.projectDir = path.join(tempDir, 'acme-sdf');
+    await fs.mkdir(path.join(this.projectDir, 'src', 'Objects'), { recursive: true });
+    await fs.writeFile(path.join(this.projectDir, 'src', 'manifest.xml'), '<manifest projecttype="ACCOUNTCUSTOMIZATION"><projectname>acme</projectname></manifest>');
+    await fs.writeFile(path.join(this.projectDir, 'src', 'Objects', 'customscript_order_sync.xml'), USER_EVENT_XML);
+    await fs.writeFile(path.join(this.projectDir, 'src', 'Objects', 'custbody_sync_status.xml'), CUSTOM_FIELD_XML);
+
+    this.server = new NetSuiteMCPServer();
+    this.server.db = new DatabaseManager({ dbPath: path.join(tempDir, 'drift.db') });
+    await this.server.db.initialize();
+    await this.server.netsuiteManager.init(this.server.db.db);
+    this.server.inventory = new CustomizationInventory(this.server.db);
+    await this.server.inventory.initialize();
+
+    const credentials = {
+      accountId: 'PROD1', consumerKey: 'ck', consumerSecret: 'cs', tokenId: 'ti', tokenSecret: 'ts', environment: 'production', baseUrl: this.stub.baseUrl
+    };
+    await this.server.db.run(`
+      INSERT INTO netsuite_credentials (client_name, project_path, account_id, environment, encrypted_credentials, is_default)
+      VALUES ('acme', ?, 'PROD1', 'production', ?, 1)
+    `, [this.projectDir, this.server.netsuiteManager.encrypt(JSON.stringify(credentials))]);
+  }
+
+  async runTests() {
+    this.log('🧪 Starting Customization Drift Test Suite\n');
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'customization-drift-'));
+    // Silence database and handler logging
+    const { error: originalError, warn: originalWarn, log: originalLog } = console;
+    console.error = console.warn = () => {};
+
+    try {
+      await this.setup(tempDir);
+      await this.testSnapshots();
+      await this.testProjectDrift();
+    } finally {
+      console.log = () => {};
+      await this.server?.db.close();
+      console.log = originalLog;
+      console.error = originalError;
+      console.warn = originalWarn;
+      await this.stub.stop();
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+
+  async testSnapshots() {
+    await this.test('Snapshots are versioned per account and keep failed categories as errors', async () => {
+      const first = await this.server.handleSnapshot({ client_name: 'acme', label: 'before release' });
+      const second = await this.server.handleSnapshot({ client_name: 'acme' });
+
+      this.assert(first.success && first.version === 1 && second.version === 2, `Unexpected versions ${first.version}, ${second.version}`);
+      this.assert(first.counts.scripts === 2 && first.counts.deployments === 1, `Unexpected counts ${JSON.stringify(first.counts)}`);
+      this.assert(first.errors.workflows.includes('Invalid search query') && !('workflows' in first.counts), 'Expected the workflow error');
+
+      const listed = await this.server.handleSnapshot({ client_name: 'acme', list: true });
+      this.assert(listed.count === 2 && listed.snapshots[0].version === 2 && listed.snapshots[1].label === 'before release', 'Expected newest first with labels');
+    });
+
+    await this.test('Live drift reports added, removed and changed objects since the baseline', async () => {
+      this.account.deployments[0].status = 'TESTING';
+      this.account.scripts.pop();
+      this.account.custom_fields.push({ id: '77', scriptid: 'custbody_hotfix', name: 'Hotfix', fieldtype: 'CHECKBOX' });
+
+      const drift = await this.server.handleDrift({ client_name: 'acme' });
+      this.assert(drift.drifted && drift.baseline.version === 2 && drift.compared_with.snapshot.id === null, 'Expected an unsaved live inventory');
+      this.assert(drift.summary.scripts.removed === 1 && drift.categories.scripts.removed[0].scriptid === 'customscript_adhoc_fix', 'Expected the removed script');
+      this.assert(drift.categories.deployments.changed[0].fields.status.right === 'TESTING', 'Expected the deployment status change');
+      this.assert(drift.summary.custom_fields.added === 1, 'Expected the added field');
+
+      const listed = await this.server.handleSnapshot({ client_name: 'acme', list: true });
+      this.assert(listed.count === 2, `A drift check should not store a snapshot, found ${listed.count}`);
+    });
+
+    await this.test('Live drift stores the live state only when asked', async () => {
+      const drift = await this.server.handleDrift({ client_name: 'acme', save_snapshot: true });
+      this.assert(drift.drifted && drift.compared_with.snapshot.version === 3 && drift.compared_with.snapshot.label === 'drift check', 'Expected a new stored snapshot');
+
+      const again = await this.server.handleDrift({ client_name: 'acme' });
+      this.assert(!again.drifted && again.baseline.version === 3, 'Expected the stored snapshot as the next baseline');
+    });
+
+    await this.test('Two stored snapshots can be compared; identical ones show no drift', async () => {
+      const drift = await this.server.handleDrift({ client_name: 'acme', snapshot_id: 1, against: 'snapshot', compare_snapshot_id: 2 });
+      this.assert(!drift.drifted && drift.summary.scripts.changed === 0, `Unexpected drift ${JSON.stringify(drift.summary)}`);
+    });
+  }
+
+  async testProjectDrift() {
+    await this.test('SDF objects are read from the project manifest root', () => {
+      const sdfProject = this.server.projectDetector.loadSdfProject(this.projectDir);
+      const deployment = sdfProject.getObject('customdeploy_order_sync');
+
+      this.assert(sdfProject.root === path.join(this.projectDir, 'src'), `Unexpected root ${sdfProject.root}`);
+      this.assert(sdfProject.objects.length === 3 && deployment.parent === 'customscript_order_sync', 'Expected script, deployment and field');
+      this.assert(deployment.properties.status === 'RELEASED' && sdfProject.objects[1].properties.name === 'Order Sync', 'Expected object properties');
+    });
+
+    await this.test('Project drift finds account changes a deploy would overwrite', async () => {
+      const drift = await this.server.handleDrift({ client_name: 'acme', against: 'project' });
+
+      this.assert(drift.drifted, 'Expected drift');
+      this.assert(drift.categories.deployments.changed[0].fields.status.project === 'RELEASED', 'Expected the status change');
+      this.assert(drift.categories.custom_fields.not_deployed[0].scriptid === 'custbody_sync_status', 'Expected the undeployed field');
+      this.assert(drift.categories.custom_fields.not_in_project[0].scriptid === 'custbody_hotfix', 'Expected the unmanaged field');
+      this.assert(drift.summary.scripts.changed === 0, 'Script file names should match by base name');
+    });
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new CustomizationDriftTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default CustomizationDriftTester;
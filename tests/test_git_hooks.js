@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+
+/**
+ * Git Hooks Test Suite
+ * Hook installation in detected client projects, validation of staged and
+ * pushed content, and bypasses recorded as rule feedback
+ */
+
+import fs from 'fs/promises';
+import { existsSync, statSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync, spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { parsePushRefs, stagedFiles, HOOK_MARKER } from '../lib/git_hooks.js';
+import { createBaseline, writeBaseline } from '../lib/validation_suppressions.js';
+import GitHookInstaller from '../tools/git_hook_installer.js';
+import { RulesTestDatabase } from './rules_test_db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const SCRIPT = 'src/FileCabinet/SuiteScripts/acme/orders_ue.js';
+const BAD = "var total = 0;\n";
+const GOOD = "const total = 0;\n";
+
+const GIT_ENV = {
+  GIT_AUTHOR_NAME: 'Test',
+  GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'Test',
+  GIT_COMMITTER_EMAIL: 'test@example.com'
+};
+
+class GitHooksTester {
+  constructor() {
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  git(args, cwd = this.projectPath) {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', env: { ...process.env, ...GIT_ENV }, stdio: ['ignore', 'pipe', 'pipe'] });
+  }
+
+  async write(file, content) {
+    await fs.mkdir(path.dirname(path.join(this.projectPath, file)), { recursive: true });
+    await fs.writeFile(path.join(this.projectPath, file), content);
+  }
+
+  // Keep the user's git configuration (core.hooksPath in particular) out of the test repositories
+  isolateGitConfig() {
+    for (const key of Object.keys(process.env)) {
+      if (/^GIT_CONFIG_(COUNT|KEY_\d+|VALUE_\d+|PARAMETERS)$/.test(key)) delete process.env[key];
+    }
+    process.env.GIT_CONFIG_GLOBAL = '/dev/null';
+    process.env.GIT_CONFIG_NOSYSTEM = '1';
+  }
+
+  async setup(tempDir) {
+    this.isolateGitConfig();
+
+    // Hooks open the database under $HOME, so the suite builds it there
+    this.home = path.join(tempDir, 'home');
+    const dbPath = path.join(this.home, 'saralegui-solutions-mcp', 'database', 'saralegui_assistant.db');
+    await fs.mkdir(path.dirname(dbPath), { recursive: true });
+    this.rulesDb = await RulesTestDatabase.create(dbPath);
+    await this.rulesDb.addRule('no-var', '\\bvar\\b', { priority: 'error', message: 'Use const or let' });
+
+    this.projectPath = path.join(tempDir, 'project');
+    await fs.mkdir(this.projectPath, { recursive: true });
+    this.git(['init', '-q', '-b', 'main']);
+    await this.write(SCRIPT, GOOD);
+    await this.write('README.md', '# acme\n');
+    this.git(['add', '-A']);
+    this.git(['commit', '-q', '-m', 'initial']);
+
+    this.remotePath = path.join(tempDir, 'remote.git');
+    this.git(['init', '-q', '--bare', this.remotePath], tempDir);
+    this.git(['remote', 'add', 'origin', this.remotePath]);
+    this.git(['push', '-q', 'origin', 'main']);
+
+    this.installer = new GitHookInstaller(this.rulesDb.dbPath);
+    await this.installer.initialize();
+  }
+
+  async runTests() {
+    this.log('🧪 Starting Git Hooks Test Suite\n');
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'git-hooks-'));
+    const { error: originalError } = console;
+    console.error = () => {};
+
+    try {
+      await this.setup(tempDir);
+      await this.testPushRefs();
+      await this.testInstall(tempDir);
+      await this.testPreCommit();
+      await this.testBypass();
+      await this.testPrePush();
+      await this.testInstalledHooks();
+      await this.testBaseline();
+    } finally {
+      console.error = originalError;
+      if (this.installer) await this.installer.close();
+      await this.rulesDb.close();
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+
+  // Run a hook quietly
+  async runHook(hook, options = {}) {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      return await this.installer.runHook(hook, { projectPath: this.projectPath, clientName: 'acme', bypassReason: null, ...options });
+    } finally {
+      console.log = originalLog;
+    }
+  }
+
+  quietly(fn) {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      return fn();
+    } finally {
+      console.log = originalLog;
+    }
+  }
+
+  async testPushRefs() {
+    await this.test('Pre-push refs skip deleted branches and mark new ones', () => {
+      const zero = '0'.repeat(40);
+      const refs = parsePushRefs([
+        `refs/heads/main ${'a'.repeat(40)} refs/heads/main ${'b'.repeat(40)}`,
+        `refs/heads/topic ${'c'.repeat(40)} refs/heads/topic ${zero}`,
+        `(delete) ${zero} refs/heads/old ${'d'.repeat(40)}`,
+        ''
+      ].join('\n'));
+
+      this.assert(refs.length === 2, `Expected 2 refs, got ${refs.length}`);
+      this.assert(refs[0].remoteSha === 'b'.repeat(40) && refs[1].remoteSha === null && refs[1].localRef === 'refs/heads/topic', JSON.stringify(refs));
+    });
+  }
+
+  async testInstall(tempDir) {
+    await this.test('Hooks install only in detected client projects', async () => {
+      const installed = this.quietly(() => this.installer.installHooks(this.projectPath, { clientName: 'acme' }));
+      const preCommit = path.join(this.projectPath, '.git', 'hooks', 'pre-commit');
+      const script = await fs.readFile(preCommit, 'utf8');
+
+      this.assert(installed.map(entry => `${entry.hook}:${entry.status}`).join() === 'pre-commit:installed,pre-push:installed', JSON.stringify(installed));
+      this.assert(script.includes(`${HOOK_MARKER}: pre-commit`) && script.includes(`run pre-commit '${this.projectPath}' 'acme'`), script);
+      this.assert((statSync(preCommit).mode & 0o111) !== 0, 'Expected an executable hook');
+
+      const plain = path.join(tempDir, 'plain');
+      await fs.mkdir(plain);
+      this.git(['init', '-q'], plain);
+      let thrown = null;
+      try {
+        this.quietly(() => this.installer.installHooks(plain));
+      } catch (error) {
+        thrown = error;
+      }
+      this.assert(thrown?.message.startsWith('Not a NetSuite client project'), `Expected a detection error, got ${thrown?.message}`);
+    });
+
+    await this.test('Existing hooks are kept unless forced, and restored on uninstall', async () => {
+      const hooksDir = path.join(this.projectPath, '.git', 'hooks');
+      this.quietly(() => this.installer.uninstallHooks(this.projectPath));
+      await fs.writeFile(path.join(hooksDir, 'pre-push'), '#!/bin/sh\necho mine\n');
+
+      const kept = this.quietly(() => this.installer.installHooks(this.projectPath));
+      this.assert(kept.find(entry => entry.hook === 'pre-push').status === 'skipped', 'Expected the foreign hook kept');
+
+      const forced = this.quietly(() => this.installer.installHooks(this.projectPath, { force: true }));
+      this.assert(forced.map(entry => entry.status).join() === 'updated,installed', JSON.stringify(forced));
+      this.assert((await fs.readFile(path.join(hooksDir, 'pre-push.bak'), 'utf8')).includes('echo mine'), 'Expected the replaced hook in .bak');
+
+      this.quietly(() => this.installer.uninstallHooks(this.projectPath));
+      this.assert(!existsSync(path.join(hooksDir, 'pre-commit')), 'Expected the pre-commit hook removed');
+      this.assert((await fs.readFile(path.join(hooksDir, 'pre-push'), 'utf8')).includes('echo mine'), 'Expected the original pre-push hook restored');
+      await fs.rm(path.join(hooksDir, 'pre-push'));
+    });
+  }
+
+  async testPreCommit() {
+    await this.test('Pre-commit validates staged content, not the working tree', async () => {
+      await this.write(SCRIPT, BAD);
+      this.git(['add', SCRIPT]);
+      await this.write(SCRIPT, GOOD);
+
+      const blocked = await this.runHook('pre-commit');
+      this.assert(stagedFiles(this.projectPath).join() === SCRIPT, 'Expected the staged script');
+      this.assert(blocked.blocked && blocked.errors.length === 1 && blocked.errors[0].file === SCRIPT, JSON.stringify(blocked));
+
+      this.git(['add', SCRIPT]);
+      await this.write(SCRIPT, BAD);
+      const clean = await this.runHook('pre-commit');
+      this.assert(!clean.blocked && clean.errors.length === 0, 'Expected the clean staged content to pass');
+
+      await this.write(SCRIPT, GOOD);
+    });
+  }
+
+  async testBypass() {
+    await this.test('A bypass lets one commit through and counts as negative rule feedback', async () => {
+      await this.write(SCRIPT, BAD);
+      this.git(['add', SCRIPT]);
+
+      const outcome = await this.runHook('pre-commit', { bypassReason: 'hotfix for month end' });
+      const [bypass] = await this.rulesDb.all('SELECT * FROM hook_bypasses');
+      const [effectiveness] = await this.rulesDb.all("SELECT * FROM rule_effectiveness WHERE rule_id = 'no-var'");
+      const [rule] = await this.rulesDb.all("SELECT effectiveness_score FROM validation_rules WHERE rule_id = 'no-var'");
+
+      this.assert(outcome.bypassed && !outcome.blocked, JSON.stringify(outcome));
+      this.assert(bypass.hook === 'pre-commit' && bypass.reason === 'hotfix for month end' && bypass.rule_ids === '["no-var"]', JSON.stringify(bypass));
+      this.assert(JSON.parse(bypass.findings)[0].file === SCRIPT, bypass.findings);
+      this.assert(effectiveness.user_feedback_negative === 1 && effectiveness.applications_count > 0, JSON.stringify(effectiveness));
+      this.assert(rule.effectiveness_score < 0.8, `Expected the bypass to lower effectiveness, got ${rule.effectiveness_score}`);
+
+      this.git(['commit', '-q', '-m', 'bypassed']);
+    });
+  }
+
+  async testPrePush() {
+    await this.test('Pre-push validates the pushed commits', async () => {
+      const localSha = this.git(['rev-parse', 'HEAD']).trim();
+      const remoteSha = this.git(['rev-parse', 'origin/main']).trim();
+
+      const existing = await this.runHook('pre-push', { pushInput: `refs/heads/main ${localSha} refs/heads/main ${remoteSha}\n` });
+      this.assert(existing.blocked && existing.files.join() === SCRIPT, JSON.stringify(existing.files));
+
+      const newBranch = await this.runHook('pre-push', { pushInput: `refs/heads/topic ${localSha} refs/heads/topic ${'0'.repeat(40)}\n` });
+      this.assert(newBranch.blocked && newBranch.files.join() === SCRIPT, 'Expected commits no remote has to be validated');
+
+      const upToDate = await this.runHook('pre-push', { pushInput: `refs/heads/main ${remoteSha} refs/heads/main ${remoteSha}\n` });
+      this.assert(!upToDate.blocked && upToDate.files.length === 0, 'Expected nothing to validate');
+    });
+  }
+
+  async testInstalledHooks() {
+    await this.test('Installed hooks block git commit until bypassed', async () => {
+      this.quietly(() => this.installer.installHooks(this.projectPath, { hooks: ['pre-commit'] }));
+      await this.write(SCRIPT, `${BAD}var other = 1;\n`);
+      this.git(['add', SCRIPT]);
+
+      const env = { ...process.env, ...GIT_ENV, HOME: this.home };
+      const commit = extra => spawnSync('git', ['commit', '-q', '-m', 'change'], {
+        cwd: this.projectPath, encoding: 'utf8', env: { ...env, ...extra }, timeout: 60000
+      });
+
+      const blocked = commit({});
+      this.assert(blocked.status !== 0 && blocked.stderr.includes('error-priority findings'), `Expected a blocked commit, got ${blocked.status}: ${blocked.stderr}`);
+
+      const bypassed = commit({ SARALEGUI_HOOK_BYPASS: 'demo tomorrow' });
+      const rows = await this.rulesDb.all("SELECT reason FROM hook_bypasses WHERE reason = 'demo tomorrow'");
+      this.assert(bypassed.status === 0 && rows.length === 1, `Expected the bypassed commit, got ${bypassed.status}: ${bypassed.stderr}`);
+    });
+  }
+
+  async testBaseline() {
+    await this.test('Findings in the project baseline do not block', async () => {
+      await this.write(SCRIPT, BAD);
+      this.git(['add', SCRIPT]);
+      const before = await this.runHook('pre-commit');
+      writeBaseline(this.projectPath, createBaseline({ errors: before.errors }, this.projectPath));
+
+      const after = await this.runHook('pre-commit');
+      this.assert(before.blocked && !after.blocked && after.baselined.length === 1, `Expected the baselined finding to pass, got ${JSON.stringify(after.errors)}`);
+
+      await this.write(SCRIPT, `${BAD}var another = 3;\n`);
+      this.git(['add', SCRIPT]);
+      const added = await this.runHook('pre-commit');
+      this.assert(added.blocked && added.errors.length === 1 && added.errors[0].line === 2, JSON.stringify(added.errors));
+    });
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new GitHooksTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default GitHooksTester;
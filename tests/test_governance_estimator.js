@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+
+/**
+ * Governance Estimator Test Suite
+ * Unit costs per module and record type, loop and search result multipliers,
+ * helper functions, script type limits and the findings validateCode reports
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ValidationRuleManager } from '../lib/validation_rule_manager.js';
+import { estimateGovernance } from '../lib/governance_estimator.js';
+import { RulesTestDatabase } from './rules_test_db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const script = (scriptType, modules, body) => `/**
+ * @NApiVersion 2.1
+ * @NScriptType ${scriptType}
+ */
+define([${modules.map(name => `'N/${name}'`).join(', ')}], (${modules.join(', ')}) => {
+${body}
+});
+`;
+
+const ORDER_SYNC = script('UserEventScript', ['record', 'search'], `  function updateOrder(id) {
+    const order = record.load({ type: record.Type.SALES_ORDER, id });
+    order.setValue({ fieldId: 'memo', value: 'synced' });
+    order.save();
+  }
+
+  const afterSubmit = (context) => {
+    search.create({ type: 'salesorder' }).run().each((result) => {
+      updateOrder(result.id);
+      return true;
+    });
+  };
+
+  return { afterSubmit };`);
+
+class GovernanceEstimatorTester {
+  constructor() {
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  ruleIds(findings) {
+    return findings.map(finding => `${finding.ruleId}:${finding.severity}`).join(',');
+  }
+
+  units(content, scriptType = 'ScheduledScript', options = {}) {
+    const estimate = estimateGovernance(content, { scriptType, ...options });
+    return Object.fromEntries(estimate.entryPoints.map(entry => [entry.name, entry.units]));
+  }
+
+  async runTests() {
+    this.log('🧪 Starting Governance Estimator Test Suite\n');
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'governance-estimator-'));
+    // Silence rule manager logging
+    const { error: originalError, log: originalLog } = console;
+    console.error = () => {};
+
+    try {
+      await this.testCosts();
+      await this.testLoops();
+      await this.testLimits();
+      await this.testIntegration(tempDir);
+    } finally {
+      console.log = originalLog;
+      console.error = originalError;
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+
+  async testCosts() {
+    await this.test('Record calls cost by record type, unknown types as transactions', () => {
+      const content = script('ScheduledScript', ['record', 'search', 'https'], `  const execute = (context) => {
+    record.load({ type: record.Type.SALES_ORDER, id: 1 });
+    record.load({ type: 'customrecord_sync_log', id: 2 });
+    record.load({ type: record.Type.CUSTOMER, id: 3 });
+    record.delete({ type: context.recordType, id: 4 });
+    search.lookupFields({ type: 'customer', id: 3, columns: ['email'] });
+    https.post({ url: 'https://example.com', body: '{}' });
+  };
+  return { execute };`);
+
+      const units = this.units(content);
+      this.assert(units.execute === 10 + 2 + 5 + 20 + 1 + 10, `Unexpected units ${units.execute}`);
+    });
+
+    await this.test('Methods on returned objects are costed through variables and chains', () => {
+      const content = script('ScheduledScript', ['record', 'search', 'file'], `  const execute = () => {
+    const vendor = record.create({ type: record.Type.VENDOR });
+    vendor.save();
+    const pending = search.load({ id: 'customsearch_pending' });
+    const page = pending.runPaged({ pageSize: 1000 }).fetch({ index: 0 });
+    const rows = search.create({ type: 'item' }).run().getRange({ start: 0, end: 10 });
+    file.create({ name: 'out.csv', fileType: file.Type.CSV, contents: '' }).save();
+  };
+  return { execute };`);
+
+      const units = this.units(content);
+      this.assert(units.execute === 5 + 10 + 5 + 5 + 5 + 10 + 20, `Unexpected units ${units.execute}`);
+    });
+
+    await this.test('Only the costlier branch of a condition counts', () => {
+      const content = script('Suitelet', ['record', 'email'], `  const onRequest = (context) => {
+    if (context.request.method === 'GET') {
+      record.load({ type: 'salesorder', id: 1 });
+    } else {
+      email.send({ author: 1, recipients: [2], subject: 'Done', body: '' });
+    }
+    return context.request.parameters.id ? record.load({ type: 'customer', id: 2 }) : null;
+  };
+  return { onRequest };`);
+
+      this.assert(this.units(content, 'Suitelet').onRequest === 20 + 5, 'Expected the email branch and one conditional load');
+    });
+  }
+
+  async testLoops() {
+    await this.test('Search result callbacks run 4000 times through helper functions', () => {
+      const estimate = estimateGovernance(ORDER_SYNC, { scriptType: 'UserEventScript' });
+      const [entry] = estimate.entryPoints;
+
+      this.assert(entry.units === 10 + 4000 * (10 + 20), `Unexpected units ${entry.units}`);
+      this.assert(entry.costliestCall === 'afterSubmit → ResultSet.each callback (line 13, ×4000) → updateOrder() (line 14) → Record.save (line 9)', entry.costliestCall);
+      this.assert(this.ruleIds(estimate.findings) === 'governance-loop-call:warning,governance-loop-call:warning,governance-units:error', this.ruleIds(estimate.findings));
+    });
+
+    await this.test('Literal loop bounds are used, other loops assume the configured iterations', () => {
+      const content = script('ScheduledScript', ['record'], `  const execute = (context) => {
+    for (let i = 1; i <= 3; i++) {
+      record.submitFields({ type: 'customer', id: i, values: { comments: '' } });
+    }
+    context.ids.forEach((id) => record.delete({ type: 'customrecord_queue', id }));
+    let next = context.first;
+    while (next) {
+      next = record.load({ type: 'employee', id: next }).getValue('supervisor');
+    }
+  };
+  return { execute };`);
+
+      this.assert(this.units(content).execute === 3 * 5 + 100 * 4 + 100 * 5, `Unexpected units ${this.units(content).execute}`);
+      this.assert(this.units(content, 'ScheduledScript', { iterations: { loop: 10 } }).execute === 3 * 5 + 10 * 4 + 10 * 5, 'Expected the configured iterations');
+    });
+
+    await this.test('Recursive helpers and functions passed by name are followed once', () => {
+      const content = script('ScheduledScript', ['record', 'search'], `  function visit(id) {
+    const parent = record.load({ type: 'customrecord_node', id }).getValue('parent');
+    if (parent) visit(parent);
+  }
+  function processResult(result) {
+    visit(result.id);
+    return true;
+  }
+  function execute() {
+    search.load({ id: 'customsearch_nodes' }).run().each(processResult);
+  }
+  return { execute: execute };`);
+
+      const estimate = estimateGovernance(content, { scriptType: 'ScheduledScript' });
+      this.assert(estimate.entryPoints[0].units === 5 + 10 + 4000 * 2, `Unexpected units ${estimate.entryPoints[0].units}`);
+      this.assert(estimate.findings.at(-1).message.includes('ResultSet.each callback (line 15, ×4000) → visit() (line 11) → record.load (line 7)'), estimate.findings.at(-1).message);
+    });
+  }
+
+  async testLimits() {
+    await this.test('Map/reduce limits apply per entry point, with a warning from 75%', () => {
+      const content = script('MapReduceScript', ['record'], `  const getInputData = () => [];
+  const map = (context) => {
+    for (let i = 0; i < 40; i++) {
+      record.load({ type: 'salesorder', id: i }).save();
+    }
+  };
+  const summarize = () => {};
+  return { getInputData, map, summarize };`);
+
+      const estimate = estimateGovernance(content, { scriptType: 'MapReduceScript' });
+      const map = estimate.entryPoints.find(entry => entry.name === 'map');
+      const units = estimate.findings.filter(finding => finding.ruleId === 'governance-units');
+
+      this.assert(map.units === 1200 && map.limit === 1000, `Unexpected map estimate ${map.units}/${map.limit}`);
+      this.assert(units.length === 1 && units[0].severity === 'error' && units[0].line === 13, this.ruleIds(units));
+
+      const reduceOnly = estimateGovernance(content.replace('const map =', 'const reduce =').replace('{ getInputData, map,', '{ getInputData, reduce,'), { scriptType: 'MapReduceScript' });
+      this.assert(reduceOnly.findings.every(finding => finding.ruleId !== 'governance-units'), 'reduce has a 5000 unit limit');
+
+      const warning = estimateGovernance(content.replace('i < 40', 'i < 26'), { scriptType: 'MapReduceScript' });
+      this.assert(warning.findings.some(finding => finding.ruleId === 'governance-units' && finding.severity === 'warning'), 'Expected a warning at 780 of 1000 units');
+    });
+
+    await this.test('Files without a define() callback are not estimated', () => {
+      this.assert(estimateGovernance('module.exports = { run() {} };') === null, 'Expected null for CommonJS');
+      this.assert(estimateGovernance('define([], () => {') === null, 'Expected null for unparsable source');
+    });
+  }
+
+  async testIntegration(tempDir) {
+    const rulesDb = await RulesTestDatabase.create(path.join(tempDir, 'rules.db'));
+    const ruleManager = new ValidationRuleManager(rulesDb.db);
+
+    try {
+      await this.test('validateCode reports governance findings and estimates', async () => {
+        const results = await ruleManager.validateCode(ORDER_SYNC, path.join(tempDir, 'order_sync_ue.js'), 'acme', tempDir, ['javascript', 'suitescript']);
+
+        this.assert(this.ruleIds(results.errors) === 'governance-units:error', this.ruleIds(results.errors));
+        this.assert(results.warnings.filter(issue => issue.ruleId === 'governance-loop-call').length === 2, this.ruleIds(results.warnings));
+        this.assert(results.governance.scriptType === 'UserEventScript' && results.governance.entryPoints[0].limit === 1000, 'Expected the estimate summary');
+      });
+
+      await this.test('Learned governance rules match NetSuite calls in loops only', async () => {
+        const pattern = await ruleManager.extractPatternFromError({
+          errorMessage: 'SSS_USAGE_LIMIT_EXCEEDED: Script Execution Usage Limit Exceeded',
+          codeSnippet: 'record.load({ type: "salesorder", id })'
+        });
+        const rule = { pattern_type: pattern.patternType, compiledPattern: ruleManager.compilePattern(pattern.pattern, pattern.patternType) };
+        const matches = await ruleManager.applyRule(rule, ORDER_SYNC.replace('updateOrder(result.id);', 'record.submitFields({ type: "salesorder", id: result.id, values: {} });'), 'order_sync_ue.js');
+
+        this.assert(pattern.patternType === 'ast' && pattern.category === 'performance', 'Expected an AST performance pattern');
+        this.assert(matches.length === 1 && matches[0].text.startsWith('record.submitFields'), `Unexpected matches ${matches.map(match => match.text)}`);
+      });
+    } finally {
+      await rulesDb.close();
+    }
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new GovernanceEstimatorTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default GovernanceEstimatorTester;
@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+
+/**
+ * Incremental Validation Test Suite
+ * Content-hash cache keyed by rule-set version, batched rule-application
+ * tracking, and the worker-thread pool behind ProjectValidator
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ValidationRuleManager } from '../lib/validation_rule_manager.js';
+import { hashContent, rulesetVersion } from '../lib/validation_cache.js';
+import { ValidationWorkerPool } from '../lib/validation_worker_pool.js';
+import ProjectValidator from '../tools/project_validator.js';
+import { RulesTestDatabase } from './rules_test_db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const FILES = {
+  'src/orders.js': "const orders = [];\nconsole.log('orders', orders);\n",
+  'src/customers.js': "var customers = [];\nconsole.log(customers);\n",
+  'src/util/format.js': 'export const format = (value) => `${value}`;\n'
+};
+
+class IncrementalValidationTester {
+  constructor() {
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  async applicationCount() {
+    const [row] = await this.rulesDb.all('SELECT COUNT(*) AS count FROM rule_applications');
+    return row.count;
+  }
+
+  async setup(tempDir) {
+    this.rulesDb = await RulesTestDatabase.create(path.join(tempDir, 'rules.db'));
+    await this.rulesDb.addRule('no-console', 'console\\.log');
+    await this.rulesDb.addRule('no-var', '\\bvar\\b', { priority: 'error' });
+
+    this.projectPath = path.join(tempDir, 'project');
+    for (const [file, content] of Object.entries(FILES)) {
+      await fs.mkdir(path.dirname(path.join(this.projectPath, file)), { recursive: true });
+      await fs.writeFile(path.join(this.projectPath, file), content);
+    }
+  }
+
+  async runTests() {
+    this.log('🧪 Starting Incremental Validation Test Suite\n');
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'incremental-validation-'));
+    // Silence rule manager and validator logging
+    const { error: originalError, log: originalLog } = console;
+    console.error = () => {};
+
+    try {
+      await this.setup(tempDir);
+      await this.testVersions();
+      await this.testBatching();
+      await this.testCache();
+      await this.testWorkers();
+    } finally {
+      console.log = originalLog;
+      console.error = originalError;
+      await this.rulesDb.close();
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+
+  // Run the project validator with its own connection, quietly
+  async validateProject(options = {}) {
+    const validator = new ProjectValidator(this.rulesDb.dbPath);
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      await validator.initialize();
+      return await validator.validateProject(this.projectPath, { clientName: 'acme', technologies: ['javascript'], concurrency: 1, ...options });
+    } finally {
+      await new Promise(resolve => validator.db.close(resolve));
+      console.log = originalLog;
+    }
+  }
+
+  async testVersions() {
+    await this.test('Rule-set versions follow rule content, not rule order', () => {
+      const rules = [
+        { rule_id: 'a', pattern_text: 'foo', priority: 'warning' },
+        { rule_id: 'b', pattern_text: 'bar', priority: 'error' }
+      ];
+      const version = rulesetVersion(rules, { technologies: ['javascript'] });
+
+      this.assert(version === rulesetVersion([...rules].reverse(), { technologies: ['javascript'] }), 'Order must not change the version');
+      this.assert(version !== rulesetVersion([rules[0], { ...rules[1], priority: 'warning' }], { technologies: ['javascript'] }), 'A priority change must change the version');
+      this.assert(version !== rulesetVersion(rules, { technologies: ['javascript', 'suitescript'] }), 'Context must change the version');
+      this.assert(hashContent('a') !== hashContent('b') && hashContent('a').length === 64, 'Expected sha256 content hashes');
+    });
+  }
+
+  async testBatching() {
+    await this.test('Batched rule applications are written in one transaction on flush', async () => {
+      const ruleManager = new ValidationRuleManager(this.rulesDb.db);
+      const before = await this.applicationCount();
+      const statements = [];
+      const dbRun = ruleManager.dbRun.bind(ruleManager);
+      ruleManager.dbRun = (query, params) => {
+        statements.push(query.trim().split(/\s+/).slice(0, 2).join(' '));
+        return dbRun(query, params);
+      };
+
+      ruleManager.beginApplicationBatch();
+      await ruleManager.validateCode(FILES['src/orders.js'], 'orders.js', 'acme', this.projectPath);
+      await ruleManager.validateCode(FILES['src/customers.js'], 'customers.js', 'acme', this.projectPath);
+      this.assert(await this.applicationCount() === before && statements.length === 0, 'Nothing is written before the flush');
+
+      const written = await ruleManager.flushApplicationBatch();
+      this.assert(written === 3 && await this.applicationCount() === before + 3, `Expected 3 rows, wrote ${written}`);
+      this.assert(statements.join() === 'BEGIN TRANSACTION,INSERT INTO,INSERT INTO,INSERT INTO,COMMIT', statements.join());
+
+      await ruleManager.validateCode(FILES['src/orders.js'], 'orders.js', 'acme', this.projectPath);
+      this.assert(await this.applicationCount() === before + 4, 'Without a batch applications are written immediately');
+    });
+  }
+
+  async testCache() {
+    await this.test('Unchanged files are served from the cache on the next run', async () => {
+      await this.rulesDb.run('DELETE FROM rule_applications');
+      const first = await this.validateProject();
+      const applications = await this.applicationCount();
+      const second = await this.validateProject();
+
+      this.assert(first.validatedFiles === 3 && first.cachedFiles === 0 && first.errors.length === 1 && first.warnings.length === 2, `Unexpected first run ${JSON.stringify({ ...first, performance: null })}`);
+      this.assert(second.cachedFiles === 3 && second.errors.length === 1 && second.warnings.length === 2, `Expected cached results, got ${second.cachedFiles}`);
+      this.assert(applications === 3 && await this.applicationCount() === 3, 'Cached files are not tracked again');
+    });
+
+    await this.test('Changed files, rule changes and --no-cache re-validate', async () => {
+      await fs.writeFile(path.join(this.projectPath, 'src/customers.js'), 'const customers = [];\n');
+      const edited = await this.validateProject();
+      this.assert(edited.cachedFiles === 2 && edited.errors.length === 0 && edited.warnings.length === 1, `Expected one re-validated file, got ${edited.cachedFiles}`);
+
+      await this.rulesDb.addRule('no-export', '^export ', { priority: 'suggestion' });
+      const newRule = await this.validateProject();
+      this.assert(newRule.cachedFiles === 0 && newRule.suggestions.length === 1, `Expected a new rule to invalidate the cache, got ${newRule.cachedFiles}`);
+
+      const uncached = await this.validateProject({ cache: false });
+      const [row] = await this.rulesDb.all('SELECT COUNT(*) AS count FROM validation_cache');
+      this.assert(uncached.cachedFiles === 0 && row.count === 3, `Expected no cache use, got ${uncached.cachedFiles}`);
+    });
+
+    await this.test('Failed files are reported and never cached', async () => {
+      const broken = path.join(this.projectPath, 'src/broken.js');
+      await fs.mkdir(broken);
+      try {
+        const results = await this.validateProject();
+        const failure = results.errors.find(issue => issue.category === 'validation');
+        const rows = await this.rulesDb.all('SELECT file_path FROM validation_cache WHERE file_path = ?', [broken]);
+
+        this.assert(failure?.file === broken && failure.message.startsWith('Validation failed: EISDIR'), JSON.stringify(failure));
+        this.assert(rows.length === 0 && results.cachedFiles === 3, 'Expected the failure outside the cache');
+      } finally {
+        await fs.rm(broken, { recursive: true });
+      }
+    });
+  }
+
+  async testWorkers() {
+    await this.test('The worker pool validates files in worker threads', async () => {
+      const ruleManager = new ValidationRuleManager(this.rulesDb.db);
+      const rules = await ruleManager.getRulesForScope(['global'], ['javascript']);
+      const pool = new ValidationWorkerPool(rules, { size: 2 });
+
+      try {
+        const outcomes = await Promise.all(Object.entries(FILES).map(([file, content]) => pool.validate({
+          filePath: file, content, clientName: 'acme', projectPath: this.projectPath, technologies: ['javascript']
+        })));
+        const expected = await ruleManager.evaluateCode(FILES['src/orders.js'], 'src/orders.js', rules, { clientName: 'acme', projectPath: this.projectPath });
+
+        this.assert(pool.workers.length === 2, `Expected 2 workers, got ${pool.workers.length}`);
+        this.assert(JSON.stringify(outcomes[0].results.warnings) === JSON.stringify(expected.results.warnings), 'Workers must report what the main thread reports');
+        this.assert(outcomes[0].applications[0].ruleId === 'no-console' && outcomes[0].applications[0].filePath === 'src/orders.js', 'Expected the applications to record');
+      } finally {
+        await pool.close();
+      }
+    });
+
+    await this.test('A worker that exits mid-task fails the task and is replaced', async () => {
+      const ruleManager = new ValidationRuleManager(this.rulesDb.db);
+      const pool = new ValidationWorkerPool(await ruleManager.getRulesForScope(['global'], ['javascript']), { size: 1 });
+      const payload = { filePath: 'src/orders.js', content: FILES['src/orders.js'], clientName: 'acme', projectPath: this.projectPath, technologies: ['javascript'] };
+
+      try {
+        const task = pool.validate(payload);
+        await pool.workers[0].terminate();
+        const failure = await task.then(() => null, error => error);
+        const retried = await pool.validate(payload);
+
+        this.assert(failure?.message.startsWith('Validation worker exited with code'), `Expected the task to fail, got ${failure?.message}`);
+        this.assert(pool.workers.length === 1 && retried.results.warnings.length === 1, 'Expected a replacement worker to validate the file');
+      } finally {
+        await pool.close();
+      }
+    });
+
+    await this.test('The worker pool starts at least one worker for any size', () => {
+      for (const size of [NaN, 0, -2, 1.5, '3']) {
+        const pool = new ValidationWorkerPool([], { size });
+        this.assert(pool.size === 1, `Expected size 1 for ${size}, got ${pool.size}`);
+      }
+    });
+
+    await this.test('Parallel project runs match serial runs', async () => {
+      await this.rulesDb.run('DELETE FROM rule_applications');
+      const parallel = await this.validateProject({ cache: false, concurrency: 2 });
+      const serial = await this.validateProject({ cache: false, concurrency: 1 });
+      const [row] = await this.rulesDb.all('SELECT COUNT(*) AS count FROM rule_applications');
+
+      const summary = results => JSON.stringify([results.errors, results.warnings, results.suggestions]);
+      this.assert(summary(parallel) === summary(serial) && parallel.validatedFiles === 3, 'Expected identical results in file order');
+      this.assert(row.count === 4, `Expected both runs tracked, got ${row.count}`);
+    });
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new IncrementalValidationTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default IncrementalValidationTester;
@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+/**
+ * Credential Key Rotation Test Suite
+ * Key-versioned envelopes, the development key guard, grace periods for
+ * previous keys and all-or-nothing re-encryption on a scratch database
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { fileURLToPath } from 'url';
+import { NetSuiteSandboxManager } from '../config/netsuite_sandbox.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const KEY_ENV = ['ENCRYPTION_KEY', 'ENCRYPTION_KEY_VERSION', 'ENCRYPTION_PREVIOUS_KEYS', 'ENCRYPTION_KEY_GRACE_DAYS', 'NETSUITE_ALLOW_DEV_KEY'];
+
+class KeyRotationTester {
+  constructor() {
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  async expectError(fn, fragment) {
+    try {
+      await fn();
+    } catch (error) {
+      this.assert(error.message.includes(fragment), `Expected "${fragment}" in "${error.message}"`);
+      return;
+    }
+    throw new Error(`Expected an error containing "${fragment}"`);
+  }
+
+  /**
+   * Start a manager on the shared scratch database with the given key settings
+   */
+  async manager(env) {
+    KEY_ENV.forEach(name => delete process.env[name]);
+    Object.assign(process.env, env);
+    const manager = new NetSuiteSandboxManager();
+    await manager.init(this.db);
+    return manager;
+  }
+
+  async store(manager, accountId, secret) {
+    await this.db.run(`
+      INSERT INTO netsuite_credentials (client_name, project_path, account_id, environment, encrypted_credentials, is_default)
+      VALUES ('acme', '/tmp/acme', ?, 'sandbox', ?, 0)
+    `, [accountId, manager.encrypt(JSON.stringify({ accountId, tokenSecret: secret }))]);
+  }
+
+  async secrets(manager) {
+    const rows = await this.db.all('SELECT account_id, encrypted_credentials FROM netsuite_credentials ORDER BY account_id');
+    return rows.map(row => JSON.parse(manager.decrypt(row.encrypted_credentials)).tokenSecret);
+  }
+
+  async runTests() {
+    this.log('🧪 Starting Credential Key Rotation Test Suite\n');
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'key-rotation-'));
+    const savedEnv = Object.fromEntries(KEY_ENV.map(name => [name, process.env[name]]));
+    this.db = await open({ filename: path.join(tempDir, 'keys.db'), driver: sqlite3.Database });
+
+    try {
+      await this.testKeyGuard();
+      await this.testEnvelopes();
+      await this.testRotation();
+    } finally {
+      await this.db.close();
+      KEY_ENV.forEach(name => savedEnv[name] === undefined ? delete process.env[name] : process.env[name] = savedEnv[name]);
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+
+  async testKeyGuard() {
+    await this.test('Refuses to start with the development key unless allowed', async () => {
+      await this.expectError(() => this.manager({}), 'ENCRYPTION_KEY is not set');
+
+      const dev = await this.manager({ NETSUITE_ALLOW_DEV_KEY: 'true' });
+      this.assert((await dev.getKeyStatus()).usingDevKey, 'Expected the development key to be reported');
+      await this.db.exec('DELETE FROM netsuite_encryption_keys');
+    });
+
+    await this.test('A changed key under the same version is rejected', async () => {
+      await this.manager({ ENCRYPTION_KEY: 'first-key' });
+      await this.expectError(() => this.manager({ ENCRYPTION_KEY: 'other-key' }), 'bump ENCRYPTION_KEY_VERSION');
+    });
+  }
+
+  async testEnvelopes() {
+    await this.test('Envelopes carry the key version and round-trip', async () => {
+      const manager = await this.manager({ ENCRYPTION_KEY: 'first-key' });
+      const encrypted = manager.encrypt('secret');
+      this.assert(encrypted.startsWith('enc1:1:'), `Unexpected envelope ${encrypted.slice(0, 10)}`);
+      this.assert(manager.decrypt(encrypted) === 'secret', 'Round trip failed');
+    });
+
+    await this.test('The key version cannot be relabelled', async () => {
+      const manager = await this.manager({ ENCRYPTION_KEY: 'first-key' });
+      const relabelled = manager.encrypt('secret').replace('enc1:1:', 'enc1:2:');
+      manager.previousKeys.set(2, 'first-key');
+      await this.expectError(() => manager.decrypt(relabelled), 'authenticate');
+    });
+
+    await this.test('Payloads from before key versioning still decrypt', async () => {
+      const manager = await this.manager({ ENCRYPTION_KEY: 'first-key' });
+      // Same layout as the old encrypt(): base64 salt|iv|authTag|ciphertext, no envelope
+      const salt = crypto.randomBytes(32);
+      const iv = crypto.randomBytes(16);
+      const cipher = crypto.createCipheriv('aes-256-gcm', crypto.scryptSync('first-key', salt, 32), iv);
+      const ciphertext = Buffer.concat([cipher.update('legacy', 'utf8'), cipher.final()]);
+      const legacy = Buffer.concat([salt, iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+
+      this.assert(manager.decrypt(legacy) === 'legacy', 'Legacy payload not decrypted');
+    });
+  }
+
+  async testRotation() {
+    await this.test('Old key versions decrypt during the grace period only', async () => {
+      const v1 = await this.manager({ ENCRYPTION_KEY: 'first-key' });
+      await this.store(v1, 'TSTDRV1', 'one');
+      await this.store(v1, 'TSTDRV2', 'two');
+
+      const v2 = await this.manager({ ENCRYPTION_KEY: 'second-key', ENCRYPTION_KEY_VERSION: '2', ENCRYPTION_PREVIOUS_KEYS: '1:first-key' });
+      this.assert((await this.secrets(v2)).join(',') === 'one,two', 'Old rows should decrypt in the grace period');
+
+      await this.db.run('UPDATE netsuite_encryption_keys SET retired_at = ? WHERE version = 1', [new Date(Date.now() - 31 * 86400000).toISOString()]);
+      const late = await this.manager({ ENCRYPTION_KEY: 'second-key', ENCRYPTION_KEY_VERSION: '2', ENCRYPTION_PREVIOUS_KEYS: '1:first-key' });
+      await this.expectError(() => this.secrets(late), 'retired more than 30 days ago');
+    });
+
+    await this.test('A failing row rolls the whole rotation back', async () => {
+      const v2 = await this.manager({ ENCRYPTION_KEY: 'second-key', ENCRYPTION_KEY_VERSION: '2', ENCRYPTION_PREVIOUS_KEYS: '1:first-key' });
+      await this.db.run(`
+        INSERT INTO netsuite_credentials (client_name, project_path, account_id, environment, encrypted_credentials)
+        VALUES ('acme', '/tmp/acme', 'TSTDRV9', 'sandbox', 'enc1:7:AAAA')
+      `);
+      const before = await this.db.all('SELECT encrypted_credentials FROM netsuite_credentials ORDER BY account_id');
+
+      await this.expectError(() => v2.rotateEncryptionKey(), 'acme/TSTDRV9');
+      const after = await this.db.all('SELECT encrypted_credentials FROM netsuite_credentials ORDER BY account_id');
+      this.assert(JSON.stringify(before) === JSON.stringify(after), 'Rows changed despite the failure');
+
+      await this.db.run("DELETE FROM netsuite_credentials WHERE account_id = 'TSTDRV9'");
+    });
+
+    await this.test('Rotation re-encrypts every row, including ones on retired keys', async () => {
+      const v2 = await this.manager({ ENCRYPTION_KEY: 'second-key', ENCRYPTION_KEY_VERSION: '2', ENCRYPTION_PREVIOUS_KEYS: '1:first-key' });
+      const result = await v2.rotateEncryptionKey();
+      this.assert(result.rotated === 2 && result.fromVersions.v1 === 2, `Unexpected result ${JSON.stringify(result)}`);
+
+      const status = await v2.getKeyStatus();
+      this.assert(status.pendingRotation === 0 && status.credentialsByVersion.v2 === 2, 'Rows should all be on v2');
+
+      // The old key is no longer needed
+      const current = await this.manager({ ENCRYPTION_KEY: 'second-key', ENCRYPTION_KEY_VERSION: '2' });
+      this.assert((await this.secrets(current)).join(',') === 'one,two', 'Rotated rows should decrypt with the new key alone');
+    });
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new KeyRotationTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default KeyRotationTester;
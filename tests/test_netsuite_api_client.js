@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+
+/**
+ * NetSuite API Client Test Suite
+ * Exercises SuiteQL paging, request handling and OAuth 2.0 M2M tokens against
+ * the local NetSuite stand-in
+ */
+
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import NetSuiteMCPServer from '../mcp-netsuite-server.js';
+import { NetSuiteAPIClient, missingCredentialFields } from '../lib/netsuite-api-client.js';
+import { NetSuiteStubServer } from './netsuite_stub_server.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+class NetSuiteAPIClientTester {
+  constructor() {
+    this.stub = new NetSuiteStubServer();
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    } finally {
+      this.stub.queryHandler = null;
+      this.stub.queuedResponses = [];
+      this.stub.responseDelay = 0;
+      this.stub.intercept(null);
+      this.stub.tokenLifetime = 3600;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  createClient(options = {}, accountId = 'TSTDRV123456') {
+    return new NetSuiteAPIClient({
+      accountId,
+      consumerKey: 'ck',
+      consumerSecret: 'cs',
+      tokenId: 'ti',
+      tokenSecret: 'ts',
+      environment: 'sandbox'
+    }, { baseUrl: this.stub.baseUrl, minRequestInterval: 0, retryBaseDelay: 10, ...options });
+  }
+
+  /**
+   * Client using OAuth 2.0 client credentials for an integration registered with the stub
+   */
+  createM2MClient(clientId, keyType = 'rsa') {
+    const { privateKey, publicKey } = keyType === 'ec'
+      ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+      : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    this.stub.registerIntegration(clientId, 'cert-1', publicKey.export({ type: 'spki', format: 'pem' }));
+
+    const credentials = {
+      authType: 'oauth2',
+      accountId: 'TSTDRV123456',
+      clientId,
+      certificateId: 'cert-1',
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      environment: 'sandbox'
+    };
+    return {
+      credentials,
+      client: () => new NetSuiteAPIClient(credentials, { baseUrl: this.stub.baseUrl, minRequestInterval: 0, retryBaseDelay: 10 })
+    };
+  }
+
+  tokenRequests() {
+    return this.stub.requests.filter(request => request.path === '/services/rest/auth/oauth2/v1/token').length;
+  }
+
+  rows(count) {
+    return Array.from({ length: count }, (_, i) => ({ id: String(i + 1), companyname: `Customer ${i + 1}` }));
+  }
+
+  async runTests() {
+    this.log('🧪 Starting NetSuite API Client Test Suite\n');
+    await this.stub.start();
+
+    // Silence per-request logging from the client
+    const originalError = console.error;
+    console.error = () => {};
+
+    try {
+      await this.testPaging();
+      await this.testRetries();
+      await this.testOAuth2();
+    } finally {
+      console.error = originalError;
+      await this.stub.stop();
+    }
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+
+  async testPaging() {
+    await this.test('iterateSuiteQL follows next links page by page', async () => {
+      this.stub.queryHandler = () => this.rows(25);
+      const pages = [];
+      for await (const page of this.createClient().iterateSuiteQL('SELECT id FROM customer', { pageSize: 10 })) {
+        pages.push(page);
+      }
+
+      this.assert(pages.length === 3, `Expected 3 pages, got ${pages.length}`);
+      this.assert(pages.map(p => p.items.length).join(',') === '10,10,5', 'Unexpected page sizes');
+      this.assert(pages[2].items[4].id === '25', 'Last row missing');
+      this.assert(!pages[2].hasMore, 'Last page should not report more rows');
+
+      const suiteqlRequests = this.stub.requests.filter(r => r.path.endsWith('/suiteql')).slice(-3);
+      this.assert(suiteqlRequests[1].query === '?limit=10&offset=10', `Second page did not follow next link: ${suiteqlRequests[1].query}`);
+    });
+
+    await this.test('fetchAllSuiteQL stops cleanly at the row budget', async () => {
+      this.stub.queryHandler = () => this.rows(2500);
+      const result = await this.createClient().fetchAllSuiteQL('SELECT id FROM customer', { maxRows: 1500 });
+
+      this.assert(result.success, `Fetch failed: ${result.error}`);
+      this.assert(result.totalRows === 1500, `Expected 1500 rows, got ${result.totalRows}`);
+      this.assert(result.pagesFetched === 2, `Expected 2 pages, got ${result.pagesFetched}`);
+      this.assert(result.truncated && result.hasMore, 'Result should be marked truncated');
+      this.assert(result.totalResults === 2500, 'NetSuite total should be reported');
+    });
+
+    await this.test('fetchAllSuiteQL returns the full set when under budget', async () => {
+      this.stub.queryHandler = () => this.rows(1200);
+      const result = await this.createClient().fetchAllSuiteQL('SELECT id FROM customer', { maxRows: 5000 });
+
+      this.assert(result.totalRows === 1200 && result.pagesFetched === 2, 'Expected 1200 rows in 2 pages');
+      this.assert(!result.truncated && !result.hasMore, 'Result should not be truncated');
+    });
+
+    await this.test('fetchAllSuiteQL keeps fetched rows when a later page fails', async () => {
+      this.stub.queryHandler = () => this.rows(30);
+      this.stub.intercept(request => request.query === '?limit=10&offset=20'
+        ? { status: 400, body: { title: 'Invalid search query' } }
+        : null);
+      const result = await this.createClient().fetchAllSuiteQL('SELECT id FROM customer', { pageSize: 10 });
+
+      this.assert(!result.success, 'Expected failure');
+      this.assert(result.totalRows === 20 && result.pagesFetched === 2, 'Rows from earlier pages should be kept');
+    });
+
+    await this.test('netsuite_query rejects max_rows that are not positive integers', async () => {
+      const server = new NetSuiteMCPServer();
+      const { error: originalError } = console;
+      console.error = () => {};
+      try {
+        for (const maxRows of [0, -5, 2.5]) {
+          const error = await server.handleNetSuiteQuery({ query: 'SELECT id FROM customer', max_rows: maxRows }).then(() => null, error => error);
+          this.assert(error?.message === `max_rows must be a positive integer, got ${maxRows}`, `Expected max_rows=${maxRows} to be rejected, got ${error?.message}`);
+        }
+      } finally {
+        console.error = originalError;
+      }
+    });
+  }
+
+  async testRetries() {
+    await this.test('429 responses are retried with backoff', async () => {
+      this.stub.enqueue({ status: 429, body: { title: 'Too Many Requests' } });
+      this.stub.enqueue({ status: 429, body: { title: 'Too Many Requests' } });
+      const client = this.createClient();
+      const result = await client.executeSuiteQL('SELECT id FROM customer');
+
+      this.assert(result.success, `Query failed: ${result.error}`);
+      this.assert(client.requestStats.retries === 2, `Expected 2 retries, got ${client.requestStats.retries}`);
+      this.assert(client.requestStats.throttled === 2, 'Throttled responses not counted');
+    });
+
+    await this.test('SSS_REQUEST_LIMIT_EXCEEDED errors are retried', async () => {
+      this.stub.enqueue({
+        status: 400,
+        body: { 'o:errorDetails': [{ 'o:errorCode': 'SSS_REQUEST_LIMIT_EXCEEDED', detail: 'Concurrent request limit exceeded' }] }
+      });
+      const client = this.createClient();
+      const result = await client.executeSuiteQL('SELECT id FROM customer');
+
+      this.assert(result.success && client.requestStats.retries === 1, 'Concurrency error should be retried once');
+    });
+
+    await this.test('Retry-After header sets the minimum wait', async () => {
+      this.stub.enqueue({ status: 429, headers: { 'Retry-After': '1' }, body: {} });
+      const startTime = Date.now();
+      const result = await this.createClient().executeSuiteQL('SELECT id FROM customer');
+      const elapsed = Date.now() - startTime;
+
+      this.assert(result.success, `Query failed: ${result.error}`);
+      this.assert(elapsed >= 950, `Retry happened after ${elapsed}ms, before Retry-After elapsed`);
+    });
+
+    await this.test('Retry-After is honored beyond the backoff cap', async () => {
+      this.stub.enqueue({ status: 429, headers: { 'Retry-After': '1' }, body: {} });
+      const client = this.createClient({ retryMaxDelay: 50 });
+      const startTime = Date.now();
+      const result = await client.executeSuiteQL('SELECT id FROM customer');
+      const elapsed = Date.now() - startTime;
+
+      this.assert(result.success, `Query failed: ${result.error}`);
+      this.assert(elapsed >= 950, `Retry-After was cut to the ${client.retryOptions.maxDelay}ms cap (${elapsed}ms)`);
+      this.assert(client.retryDelay(10) <= 50, 'Backoff without Retry-After should stay under the cap');
+    });
+
+    await this.test('Transient 5xx is retried for reads but not for record creates', async () => {
+      const recordId = this.stub.seed('customer', { companyName: 'Acme' });
+      this.stub.enqueue({ status: 503, body: { title: 'Service Unavailable' } });
+      const readClient = this.createClient();
+      const read = await readClient.getRecord('customer', recordId);
+      this.assert(read.success && readClient.requestStats.retries === 1, 'GET should be retried after 503');
+
+      this.stub.enqueue({ status: 503, body: { title: 'Service Unavailable' } });
+      const writeClient = this.createClient();
+      const write = await writeClient.createRecord('customer', { companyName: 'Dup Co' });
+      this.assert(!write.success && writeClient.requestStats.retries === 0, 'POST create must not be replayed after 503');
+    });
+
+    await this.test('Gives up after maxRetries and surfaces the status', async () => {
+      this.stub.intercept(() => ({ status: 502, body: { title: 'Bad Gateway' } }));
+      const client = this.createClient({ maxRetries: 2 });
+      const result = await client.executeSuiteQL('SELECT id FROM customer');
+
+      this.assert(!result.success, 'Expected failure');
+      this.assert(result.error.includes('502'), 'Error should include the status');
+      this.assert(client.requestStats.requests === 3 && client.requestStats.retries === 2, 'Expected 1 attempt + 2 retries');
+    });
+
+    await this.test('testConnection reports a rejected login as a failure', async () => {
+      this.stub.intercept(() => ({ status: 401, body: { title: 'Invalid login attempt.' } }));
+      const result = await this.createClient().testConnection();
+
+      this.assert(!result.success, 'Expected the connection test to fail');
+      this.assert(result.error.includes('401'), `Error should include the status: ${result.error}`);
+    });
+
+    await this.test('Concurrency governor is shared across clients for the same account', async () => {
+      this.stub.queryHandler = () => this.rows(1);
+      this.stub.responseDelay = 40;
+      this.stub.maxInFlight = 0;
+      const first = this.createClient({ maxConcurrency: 2 }, 'GOVTEST1');
+      const second = this.createClient({}, 'govtest1');
+      const other = this.createClient({ maxConcurrency: 2 }, 'GOVTEST2');
+
+      this.assert(first.governor === second.governor, 'Clients for one account should share a governor');
+      this.assert(first.governor !== other.governor, 'Different accounts should not share a governor');
+
+      await Promise.all([first, second, first, second, first, second]
+        .map(client => client.executeSuiteQL('SELECT id FROM customer')));
+      this.assert(this.stub.maxInFlight <= 2, `Governor allowed ${this.stub.maxInFlight} concurrent requests`);
+    });
+  }
+
+  async testOAuth2() {
+    await this.test('Required credential fields depend on the auth type', () => {
+      this.assert(missingCredentialFields({ accountId: 'A', consumerKey: 'ck' }).join(',') === 'consumerSecret,tokenId,tokenSecret', 'Unexpected TBA fields');
+      this.assert(missingCredentialFields({ authType: 'oauth2', accountId: 'A', clientId: 'c' }).join(',') === 'certificateId,privateKey', 'Unexpected OAuth 2.0 fields');
+    });
+
+    await this.test('M2M clients sign an assertion and share the cached token', async () => {
+      this.stub.queryHandler = () => this.rows(1);
+      const integration = this.createM2MClient('client-shared');
+      const before = this.tokenRequests();
+
+      const first = await integration.client().executeSuiteQL('SELECT id FROM customer');
+      const second = await integration.client().executeSuiteQL('SELECT id FROM customer');
+
+      this.assert(first.success && second.success, `Query failed: ${first.error || second.error}`);
+      this.assert(this.tokenRequests() - before === 1, 'Expected one token request for both clients');
+      const request = this.stub.requests[this.stub.requests.length - 1];
+      this.assert(request.headers.authorization.startsWith('Bearer stub-token-'), 'Expected a bearer token');
+    });
+
+    await this.test('Tokens are renewed shortly before they expire', async () => {
+      this.stub.queryHandler = () => this.rows(1);
+      this.stub.tokenLifetime = 30; // inside the one minute refresh margin
+      const integration = this.createM2MClient('client-expiring', 'ec');
+      const before = this.tokenRequests();
+
+      await integration.client().executeSuiteQL('SELECT id FROM customer');
+      await integration.client().executeSuiteQL('SELECT id FROM customer');
+      this.assert(this.tokenRequests() - before === 2, 'Expected a new token for each request');
+    });
+
+    await this.test('A rejected token is replaced and the request retried once', async () => {
+      this.stub.queryHandler = () => this.rows(1);
+      const integration = this.createM2MClient('client-revoked');
+      await integration.client().executeSuiteQL('SELECT id FROM customer');
+      this.stub.accessTokens.clear();
+
+      const client = integration.client();
+      const result = await client.executeSuiteQL('SELECT id FROM customer');
+      this.assert(result.success, `Expected the retry to succeed: ${result.error}`);
+      this.assert(client.requestStats.tokenRefreshes === 1, 'Expected one token refresh');
+    });
+
+    await this.test('Assertions signed with the wrong key are refused', async () => {
+      const integration = this.createM2MClient('client-wrong-key');
+      const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const client = new NetSuiteAPIClient({
+        ...integration.credentials,
+        privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+      }, { baseUrl: this.stub.baseUrl, minRequestInterval: 0 });
+
+      const result = await client.executeSuiteQL('SELECT id FROM customer');
+      this.assert(!result.success && result.error.includes('invalid_grant'), `Expected invalid_grant: ${result.error}`);
+    });
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new NetSuiteAPIClientTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default NetSuiteAPIClientTester;
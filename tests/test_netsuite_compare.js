@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+/**
+ * NetSuite Compare Test Suite
+ * Row diffs on a key column, and netsuite_compare across sandbox and
+ * production profiles backed by two local NetSuite stand-ins
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import NetSuiteMCPServer from '../mcp-netsuite-server.js';
+import { DatabaseManager } from '../lib/database_manager.js';
+import { QueryCostEstimator } from '../lib/query_cost_estimator.js';
+import { diffRows, summarizeChanges } from '../lib/result_differ.js';
+import { NetSuiteStubServer } from './netsuite_stub_server.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const SANDBOX_ROWS = [
+  { id: '1', scriptid: 'customscript_a', name: 'Order Sync', isinactive: 'F' },
+  { id: '2', scriptid: 'customscript_b', name: 'Invoice Mailer', isinactive: 'F' },
+  { id: '3', scriptid: 'customscript_c', name: 'Old Cleanup', isinactive: 'F' }
+];
+
+const PRODUCTION_ROWS = [
+  { id: '11', scriptid: 'customscript_a', name: 'Order Sync', isinactive: 'F' },
+  { id: '12', scriptid: 'customscript_b', name: 'Invoice Mailer v2', isinactive: 'T' },
+  { id: '14', scriptid: 'customscript_d', name: 'Credit Check', isinactive: 'F' }
+];
+
+class NetSuiteCompareTester {
+  constructor() {
+    this.sandbox = new NetSuiteStubServer();
+    this.production = new NetSuiteStubServer();
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  async expectError(promise, fragment) {
+    try {
+      await promise;
+    } catch (error) {
+      this.assert(error.message.includes(fragment), `Expected "${fragment}" in "${error.message}"`);
+      return;
+    }
+    throw new Error(`Expected an error containing "${fragment}"`);
+  }
+
+  async addProfile(accountId, environment, stub, isDefault) {
+    const credentials = {
+      accountId, consumerKey: 'ck', consumerSecret: 'cs', tokenId: 'ti', tokenSecret: 'ts', environment, baseUrl: stub.baseUrl
+    };
+    await this.server.db.run(`
+      INSERT INTO netsuite_credentials (client_name, project_path, account_id, environment, encrypted_credentials, is_default)
+      VALUES ('acme', ?, ?, ?, ?, ?)
+    `, [os.tmpdir(), accountId, environment, this.server.netsuiteManager.encrypt(JSON.stringify(credentials)), isDefault ? 1 : 0]);
+  }
+
+  async setup(tempDir) {
+    process.env.ENCRYPTION_KEY = 'netsuite-compare-test-key';
+    await this.sandbox.start();
+    await this.production.start();
+    // Record counts for the cost estimator, then the compared rows
+    const rows = stubRows => query => /COUNT\(\*\)/.test(query) ? [{ row_count: '3' }] : stubRows;
+    this.sandbox.queryHandler = rows(SANDBOX_ROWS);
+    this.production.queryHandler = rows(PRODUCTION_ROWS);
+
+    this.server = new NetSuiteMCPServer();
+    this.server.db = new DatabaseManager({ dbPath: path.join(tempDir, 'compare.db') });
+    await this.server.db.initialize();
+    await this.server.netsuiteManager.init(this.server.db.db);
+    this.server.costEstimator = new QueryCostEstimator(this.server.db);
+    await this.server.costEstimator.initialize();
+
+    await this.addProfile('TSTDRV1', 'sandbox', this.sandbox, true);
+    await this.addProfile('PROD1', 'production', this.production, false);
+  }
+
+  async runTests() {
+    this.log('🧪 Starting NetSuite Compare Test Suite\n');
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'netsuite-compare-'));
+    // Silence database and handler logging
+    const { error: originalError, warn: originalWarn, log: originalLog } = console;
+    console.error = console.warn = () => {};
+
+    try {
+      await this.testDiff();
+      await this.setup(tempDir);
+      await this.testCompare();
+    } finally {
+      console.log = () => {};
+      await this.server?.db.close();
+      console.log = originalLog;
+      console.error = originalError;
+      console.warn = originalWarn;
+      await this.sandbox.stop();
+      await this.production.stop();
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+
+  async testDiff() {
+    await this.test('Rows are joined on the key column into added, removed and changed', () => {
+      const diff = diffRows(SANDBOX_ROWS, PRODUCTION_ROWS, { key: 'scriptid', ignoreColumns: ['id'] });
+
+      this.assert(diff.added.map(r => r.key).join() === 'customscript_d', `Unexpected added ${diff.added.map(r => r.key)}`);
+      this.assert(diff.removed.map(r => r.key).join() === 'customscript_c', `Unexpected removed ${diff.removed.map(r => r.key)}`);
+      this.assert(diff.changed.length === 1 && diff.unchanged === 1, 'Expected one changed and one unchanged row');
+      this.assert(diff.changed[0].fields.name.left === 'Invoice Mailer' && diff.changed[0].fields.name.right === 'Invoice Mailer v2', 'Expected a field-level diff');
+      this.assert(diff.columns.join() === 'name,isinactive', `Unexpected compared columns ${diff.columns}`);
+    });
+
+    await this.test('Missing fields equal null and duplicate keys are reported', () => {
+      const diff = diffRows(
+        [{ id: '1', memo: null, links: [] }, { id: '2', memo: 'a' }, { id: '2', memo: 'b' }, { memo: 'no key' }],
+        [{ id: '1', links: [] }, { id: '2', memo: 'b' }],
+        { key: 'ID' }
+      );
+      this.assert(diff.changed.length === 0 && diff.unchanged === 2, 'Null and missing should match; last duplicate wins');
+      this.assert(diff.duplicates.left.join() === '2' && diff.missing_key.left === 1, 'Expected duplicate and missing key counts');
+    });
+
+    await this.test('Changes are counted per column', () => {
+      const summary = summarizeChanges([
+        { key: '1', fields: { name: {}, email: {} } },
+        { key: '2', fields: { email: {} } }
+      ]);
+      this.assert(summary[0].column === 'email' && summary[0].rows === 2 && summary[1].column === 'name', `Unexpected summary ${JSON.stringify(summary)}`);
+    });
+  }
+
+  async testCompare() {
+    const query = 'SELECT id, scriptid, name, isinactive FROM script WHERE isinactive IN (\'T\', \'F\')';
+
+    await this.test('Sandbox and production results are diffed on the key column', async () => {
+      const result = await this.server.handleCompare({ client_name: 'acme', query, key_column: 'scriptid', ignore_columns: ['id'] });
+
+      this.assert(result.success, `Compare failed: ${result.error}`);
+      this.assert(result.left.environment === 'sandbox' && result.right.account_id === 'PROD1', 'Unexpected sides');
+      this.assert(result.summary.added === 1 && result.summary.removed === 1 && result.summary.changed === 1, `Unexpected summary ${JSON.stringify(result.summary)}`);
+      this.assert(result.summary.changed_columns.map(c => c.column).join() === 'name,isinactive', 'Expected changed column counts');
+      this.assert(!result.warnings, `Unexpected warnings ${result.warnings}`);
+    });
+
+    await this.test('Diff listings are capped by max_differences', async () => {
+      const result = await this.server.handleCompare({ client_name: 'acme', query, max_differences: 1 });
+      // Keyed on id every row differs: 3 added, 3 removed
+      this.assert(result.summary.added === 3 && result.added.length === 1 && result.removed.length === 1, 'Expected capped listings');
+    });
+
+    await this.test('A key column missing from the results is an error', async () => {
+      await this.expectError(this.server.handleCompare({ client_name: 'acme', query, key_column: 'externalid' }), 'Key column externalid is not in the results');
+    });
+
+    await this.test('Both sides must be different profiles', async () => {
+      await this.expectError(this.server.handleCompare({ client_name: 'acme', query, right_environment: 'sandbox' }), 'same profile');
+    });
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new NetSuiteCompareTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default NetSuiteCompareTester;
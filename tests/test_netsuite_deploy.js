@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+/**
+ * NetSuite Deployment Test Suite
+ * Runs NetSuiteAPIClient.deployScript against the local NetSuite stand-in
+ */
+
+import { fileURLToPath } from 'url';
+import { NetSuiteAPIClient } from '../lib/netsuite-api-client.js';
+import { NetSuiteStubServer } from './netsuite_stub_server.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const SCRIPT_CONTENT = `/**
+ * @NApiVersion 2.1
+ * @NScriptType UserEventScript
+ */
+define(['N/log'], (log) => ({ beforeSubmit: () => log.audit('ok', 'ok') }));`;
+
+class NetSuiteDeployTester {
+  constructor() {
+    this.stub = new NetSuiteStubServer();
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  createClient() {
+    return new NetSuiteAPIClient({
+      accountId: 'TSTDRV123456',
+      consumerKey: 'ck',
+      consumerSecret: 'cs',
+      tokenId: 'ti',
+      tokenSecret: 'ts',
+      environment: 'sandbox'
+    }, { baseUrl: this.stub.baseUrl, minRequestInterval: 0 });
+  }
+
+  async runTests() {
+    this.log('🧪 Starting NetSuite Deployment Test Suite\n');
+    await this.stub.start();
+
+    // Silence per-request logging from the client
+    const originalError = console.error;
+    console.error = () => {};
+
+    try {
+      let firstDeploy;
+
+      await this.test('First deploy creates file, script and deployment records', async () => {
+        firstDeploy = await this.createClient().deployScript({
+          scriptType: 'userevent',
+          scriptName: 'Customer Validation',
+          scriptContent: SCRIPT_CONTENT,
+          status: 'released',
+          logLevel: 'audit',
+          audience: { roles: [3, 1001] },
+          recordType: 'customer'
+        });
+
+        this.assert(firstDeploy.success, `Deploy failed: ${firstDeploy.error}`);
+        this.assert(firstDeploy.script_id === 'customscript_customer_validation', `Unexpected script id ${firstDeploy.script_id}`);
+        this.assert(firstDeploy.deployment_id === 'customdeploy_customer_validation', `Unexpected deployment id ${firstDeploy.deployment_id}`);
+
+        const file = this.stub.table('file').get(firstDeploy.file_id);
+        this.assert(file && file.content === SCRIPT_CONTENT, 'File content was not uploaded');
+        this.assert(file.folder.id === '-15', 'File not placed in SuiteScripts folder');
+
+        const script = this.stub.table('usereventscript').get(firstDeploy.script_internal_id);
+        this.assert(script && script.scriptFile.id === firstDeploy.file_id, 'Script record does not reference uploaded file');
+
+        const deployment = this.stub.table('scriptdeployment').get(firstDeploy.deployment_internal_id);
+        this.assert(deployment, 'Deployment record not created');
+        this.assert(deployment.script.id === firstDeploy.script_internal_id, 'Deployment not linked to script');
+        this.assert(deployment.status.id === 'RELEASED', 'Deployment status not set');
+        this.assert(deployment.logLevel.id === 'AUDIT', 'Deployment log level not set');
+        this.assert(deployment.allRoles === false, 'Explicit roles should disable allRoles');
+        this.assert(deployment.audSlctRole.items.length === 2, 'Audience roles not set');
+        this.assert(deployment.recordType.id === 'customer', 'Deployment record type not set');
+      });
+
+      await this.test('Redeploy updates existing records in place', async () => {
+        const requestCount = this.stub.requests.length;
+        const redeploy = await this.createClient().deployScript({
+          scriptType: 'userevent',
+          scriptName: 'Customer Validation',
+          scriptContent: `${SCRIPT_CONTENT}\n// v2`,
+          status: 'testing'
+        });
+
+        this.assert(redeploy.success, `Redeploy failed: ${redeploy.error}`);
+        this.assert(redeploy.file_id === firstDeploy.file_id, 'File was recreated instead of updated');
+        this.assert(redeploy.script_internal_id === firstDeploy.script_internal_id, 'Script was recreated');
+        this.assert(redeploy.deployment_internal_id === firstDeploy.deployment_internal_id, 'Deployment was recreated');
+        this.assert(redeploy.steps.every(step => step.action === 'updated'), 'Expected every step to update');
+
+        const writes = this.stub.requests.slice(requestCount).filter(r => r.method !== 'POST' || !r.path.endsWith('suiteql'));
+        this.assert(writes.every(r => r.method === 'PATCH'), 'Redeploy should only PATCH records');
+        this.assert(this.stub.table('file').get(redeploy.file_id).content.endsWith('// v2'), 'File content not updated');
+        this.assert(this.stub.table('scriptdeployment').get(redeploy.deployment_internal_id).status.id === 'TESTING', 'Status not updated');
+      });
+
+      await this.test('Failed record write reports the failing step', async () => {
+        this.stub.intercept(request => request.method === 'POST' && request.path.endsWith('/scheduledscript')
+          ? { status: 400, body: { title: 'Invalid field value', detail: 'scriptFile' } }
+          : null);
+
+        const result = await this.createClient().deployScript({
+          scriptType: 'scheduled',
+          scriptName: 'Nightly Export',
+          scriptContent: SCRIPT_CONTENT
+        });
+        this.stub.intercept(null);
+
+        this.assert(!result.success, 'Expected deploy to fail');
+        this.assert(result.failed_step === 'script', `Expected failure at script step, got ${result.failed_step}`);
+        this.assert(result.error.includes('400'), 'Error should carry the NetSuite status');
+        this.assert(result.steps.length === 1 && result.steps[0].step === 'file', 'File step should be reported as done');
+      });
+
+      await this.test('Prefixed script ids are sanitized and truncated', async () => {
+        const result = await this.createClient().deployScript({
+          scriptType: 'scheduled',
+          scriptId: 'customscript_My Script!',
+          deploymentId: 'CUSTOMDEPLOY_nightly export for the whole subsidiary tree',
+          scriptContent: SCRIPT_CONTENT
+        });
+
+        this.assert(result.success, `Deploy failed: ${result.error}`);
+        this.assert(result.script_id === 'customscript_my_script', `Unexpected script id ${result.script_id}`);
+        this.assert(result.deployment_id === 'customdeploy_nightly_export_for_the_whol', `Unexpected deployment id ${result.deployment_id}`);
+      });
+
+      await this.test('Unsupported script type is rejected', async () => {
+        let error = null;
+        try {
+          await this.createClient().deployScript({ scriptType: 'portlet', scriptName: 'x', scriptContent: '' });
+        } catch (e) {
+          error = e;
+        }
+        this.assert(error && error.message.includes('Unsupported script type'), 'Expected unsupported script type error');
+      });
+    } finally {
+      console.error = originalError;
+      await this.stub.stop();
+    }
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new NetSuiteDeployTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default NetSuiteDeployTester;
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * Query Cache Test Suite
+ * Cache keys, TTL expiry, size-based eviction and invalidation on a scratch database
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DatabaseManager } from '../lib/database_manager.js';
+import { QueryCache } from '../lib/query_cache.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+class QueryCacheTester {
+  constructor() {
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  result(rows) {
+    return { success: true, results: rows, hasMore: false, totalResults: rows.length };
+  }
+
+  entry(query, overrides = {}) {
+    return this.cache.entryFor({ clientName: 'acme', accountId: 'TSTDRV1', query, limit: 100, offset: 0, ...overrides });
+  }
+
+  async runTests() {
+    this.log('🧪 Starting Query Cache Test Suite\n');
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'query-cache-'));
+    // Silence database setup logging
+    const { error: originalError, warn: originalWarn, log: originalLog } = console;
+    console.error = console.warn = () => {};
+    this.db = new DatabaseManager({ dbPath: path.join(tempDir, 'cache.db') });
+    await this.db.initialize();
+    console.error = originalError;
+    console.warn = originalWarn;
+
+    this.cache = new QueryCache(this.db, { defaultTtl: 300, maxBytes: 2800 });
+    await this.cache.initialize();
+
+    try {
+      await this.testKeys();
+      await this.testStorage();
+      await this.testEviction();
+    } finally {
+      console.log = console.error = () => {};
+      await this.db.close();
+      console.log = originalLog;
+      console.error = originalError;
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+
+  async testKeys() {
+    await this.test('Formatting differences share a cache key', () => {
+      const a = this.entry("SELECT id, companyname FROM customer WHERE companyname = 'Acme'");
+      const b = this.entry("select id,\n  CompanyName -- name\nfrom CUSTOMER\nwhere companyname = 'Acme';", { accountId: 'tstdrv1' });
+      this.assert(a.cacheKey === b.cacheKey, `Keys differ: ${a.normalizedQuery} / ${b.normalizedQuery}`);
+    });
+
+    await this.test('Literals, paging, account and client are part of the key', () => {
+      const base = this.entry("SELECT id FROM customer WHERE companyname = 'Acme'");
+      const variants = [
+        this.entry("SELECT id FROM customer WHERE companyname = 'ACME'"),
+        this.entry("SELECT id FROM customer WHERE companyname = 'Acme'", { offset: 100 }),
+        this.entry("SELECT id FROM customer WHERE companyname = 'Acme'", { maxRows: 100, limit: null }),
+        this.entry("SELECT id FROM customer WHERE companyname = 'Acme'", { accountId: 'TSTDRV2' }),
+        this.entry("SELECT id FROM customer WHERE companyname = 'Acme'", { clientName: 'other' })
+      ];
+      this.assert(variants.every(variant => variant.cacheKey !== base.cacheKey), 'Expected every variant to have its own key');
+    });
+  }
+
+  async testStorage() {
+    await this.test('Stored results come back with their age', async () => {
+      const entry = this.entry('SELECT id FROM customer WHERE id = 1');
+      this.assert(await this.cache.get(entry) === null, 'Expected a miss before storing');
+
+      await this.cache.set(entry, this.result([{ id: '1' }]));
+      const hit = await this.cache.get(entry);
+      this.assert(hit && hit.result.results[0].id === '1', 'Expected a hit');
+      this.assert(hit.ageSeconds >= 0 && hit.ttlSeconds === 300, 'Expected age and TTL');
+    });
+
+    await this.test('Expired entries are misses and are removed', async () => {
+      const entry = this.entry('SELECT id FROM customer WHERE id = 2');
+      await this.cache.set(entry, this.result([{ id: '2' }]), 60);
+      await this.db.run('UPDATE netsuite_query_cache SET expires_at = ? WHERE cache_key = ?',
+        [new Date(Date.now() - 1000).toISOString(), entry.cacheKey]);
+
+      this.assert(await this.cache.get(entry) === null, 'Expired entry should miss');
+      const row = await this.db.get('SELECT cache_key FROM netsuite_query_cache WHERE cache_key = ?', [entry.cacheKey]);
+      this.assert(!row, 'Expired entry should be deleted');
+    });
+
+    await this.test('A TTL of zero is not stored', async () => {
+      const entry = this.entry('SELECT id FROM customer WHERE id = 3');
+      const stored = await this.cache.set(entry, this.result([{ id: '3' }]), 0);
+      this.assert(!stored && await this.cache.get(entry) === null, 'Zero TTL should skip the cache');
+    });
+
+    await this.test('Invalidation is scoped to client and account', async () => {
+      await this.cache.set(this.entry('SELECT id FROM item WHERE id = 1', { accountId: 'TSTDRV2' }), this.result([]));
+      await this.cache.set(this.entry('SELECT id FROM item WHERE id = 1'), this.result([]));
+
+      const removed = await this.cache.invalidate({ clientName: 'acme', accountId: 'tstdrv2' });
+      this.assert(removed === 1, `Expected 1 entry removed, got ${removed}`);
+      this.assert(await this.cache.get(this.entry('SELECT id FROM item WHERE id = 1')), 'Other account should keep its entry');
+    });
+  }
+
+  async testEviction() {
+    await this.test('Least recently used entries are evicted over the size budget', async () => {
+      await this.cache.invalidate();
+      const rows = Array.from({ length: 12 }, (_, i) => ({ id: String(i), companyname: `Customer number ${i}` }));
+      const entries = [1, 2, 3, 4, 5].map(n => this.entry(`SELECT id, companyname FROM customer WHERE subsidiary = ${n}`));
+
+      for (const entry of entries.slice(0, 4)) {
+        await this.cache.set(entry, this.result(rows));
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      // Touch the first entry so the second becomes least recently used
+      await this.cache.get(entries[0]);
+      await this.cache.set(entries[4], this.result(rows));
+
+      const stats = await this.cache.getStats();
+      this.assert(stats.size_bytes <= 2800, `Cache over budget: ${stats.size_bytes}`);
+      this.assert(await this.cache.get(entries[0]), 'Recently used entry should survive');
+      this.assert(await this.cache.get(entries[4]), 'Newest entry should survive');
+      this.assert(!(await this.cache.get(entries[1])), 'Least recently used entry should be evicted');
+      this.assert(stats.session.evictions >= 1, 'Evictions should be counted');
+    });
+
+    await this.test('Results larger than a quarter of the budget are not cached', async () => {
+      const rows = Array.from({ length: 40 }, (_, i) => ({ id: String(i), companyname: `Customer number ${i}` }));
+      const stored = await this.cache.set(this.entry('SELECT id, companyname FROM customer WHERE id > 0'), this.result(rows));
+      this.assert(!stored, 'Oversized result should be skipped');
+    });
+
+    await this.test('Stats report entries, size and hit rate', async () => {
+      const stats = await this.cache.getStats('acme');
+      this.assert(stats.entries > 0 && stats.size_bytes > 0, 'Expected cached entries');
+      this.assert(stats.by_account.length > 0 && stats.top_queries.length > 0, 'Expected breakdowns');
+      this.assert(stats.session.hits > 0 && stats.session.hit_rate > 0, 'Expected session hit rate');
+    });
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new QueryCacheTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default QueryCacheTester;
@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+
+/**
+ * Query Cost Estimator Test Suite
+ * Record counts from the local NetSuite stand-in, row and time estimates,
+ * risk flags with suggested filters, and calibration from recorded runs
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import NetSuiteMCPServer from '../mcp-netsuite-server.js';
+import { DatabaseManager } from '../lib/database_manager.js';
+import { NetSuiteAPIClient } from '../lib/netsuite-api-client.js';
+import { QueryCostEstimator } from '../lib/query_cost_estimator.js';
+import { QueryCache } from '../lib/query_cache.js';
+import { QueryLibrary } from '../lib/query_library.js';
+import { SchemaExplorer } from '../lib/schema_explorer.js';
+import { analyzeSuiteQL } from '../lib/suiteql_parser.js';
+import { NetSuiteStubServer } from './netsuite_stub_server.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const ROW_COUNTS = { transaction: 2500000, transactionline: 9000000, customer: 40000 };
+
+class QueryCostEstimatorTester {
+  constructor() {
+    this.stub = new NetSuiteStubServer();
+    this.scope = { clientName: 'acme', accountId: 'tstdrv123456' };
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  createClient() {
+    return new NetSuiteAPIClient({
+      accountId: 'TSTDRV123456',
+      consumerKey: 'ck',
+      consumerSecret: 'cs',
+      tokenId: 'ti',
+      tokenSecret: 'ts',
+      environment: 'sandbox'
+    }, { baseUrl: this.stub.baseUrl, minRequestInterval: 0, retryBaseDelay: 10 });
+  }
+
+  async estimate(query) {
+    const analysis = analyzeSuiteQL(query);
+    await this.estimator.refreshCounts(this.createClient(), this.scope, analysis.tables);
+    return this.estimator.estimate(this.scope, analysis);
+  }
+
+  async runTests() {
+    this.log('🧪 Starting Query Cost Estimator Test Suite\n');
+    await this.stub.start();
+    this.stub.queryHandler = (query) => {
+      const match = query.match(/^SELECT COUNT\(\*\) AS row_count FROM (\w+)$/);
+      if (!match || !(match[1] in ROW_COUNTS)) {
+        return { 'o:errorDetails': [{ detail: `Unknown table ${match?.[1]}` }] };
+      }
+      return [{ row_count: String(ROW_COUNTS[match[1]]) }];
+    };
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'query-cost-'));
+    // Silence database setup and per-request logging
+    const { error: originalError, warn: originalWarn, log: originalLog } = console;
+    console.error = console.warn = () => {};
+    this.db = new DatabaseManager({ dbPath: path.join(tempDir, 'cost.db') });
+    await this.db.initialize();
+    this.estimator = new QueryCostEstimator(this.db, { maxRows: 1000000, maxMs: 60000 });
+    await this.estimator.initialize();
+
+    try {
+      await this.testCounts();
+      await this.testEstimates();
+      await this.testCalibration();
+      await this.testSavedQueries(tempDir);
+    } finally {
+      console.log = () => {};
+      await this.db.close();
+      console.log = originalLog;
+      console.error = originalError;
+      console.warn = originalWarn;
+      await this.stub.stop();
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+
+  async testCounts() {
+    await this.test('Record counts are fetched once per account and reused', async () => {
+      const client = this.createClient();
+      const first = await this.estimator.refreshCounts(client, this.scope, ['transaction', 'customer']);
+      const second = await this.estimator.refreshCounts(client, this.scope, ['transaction', 'customer']);
+      const counts = this.stub.requests.filter(request => /COUNT/.test(request.body?.q || '')).length;
+
+      this.assert(first.join(',') === 'transaction,customer' && second.length === 0, `Unexpected counted tables ${first} / ${second}`);
+      this.assert(counts === 2, `Expected 2 count queries, got ${counts}`);
+    });
+
+    await this.test('Tables that cannot be counted fall back to a default', async () => {
+      const estimate = await this.estimate('SELECT id FROM customrecord_unknown WHERE id = 1');
+      this.assert(!estimate.tables[0].counted && estimate.tables[0].row_count === 10000, 'Expected the default row count');
+    });
+  }
+
+  async testEstimates() {
+    await this.test('Unbounded transaction queries are high risk with a date bound suggestion', async () => {
+      const estimate = await this.estimate('SELECT t.id, t.tranid FROM transaction t');
+      this.assert(estimate.risk === 'high' && estimate.estimated_rows === 2500000, `Unexpected estimate ${estimate.risk} ${estimate.estimated_rows}`);
+      this.assert(estimate.reasons[0].includes('2,500,000 transaction rows'), estimate.reasons[0]);
+      this.assert(estimate.suggestion === 'Bound transaction by date, e.g. trandate >= ADD_MONTHS(SYSDATE, -3)', estimate.suggestion);
+    });
+
+    await this.test('Date bounds and key lookups lower the estimate', async () => {
+      const bounded = await this.estimate("SELECT t.id FROM transaction t WHERE t.trandate >= TO_DATE('2024-01-01', 'YYYY-MM-DD')");
+      const lookup = await this.estimate('SELECT t.id FROM transaction t WHERE t.id = 42');
+      this.assert(bounded.estimated_rows === 250000 && bounded.risk === 'medium', `Unexpected bounded estimate ${bounded.estimated_rows} ${bounded.risk}`);
+      this.assert(lookup.risk === 'low' && lookup.suggestion === null, 'Key lookup should be low risk');
+    });
+
+    await this.test('The largest filtered table drives a join', async () => {
+      const estimate = await this.estimate(
+        'SELECT t.id, tl.item FROM transaction t JOIN transactionline tl ON tl.transaction = t.id WHERE t.trandate >= SYSDATE - 30');
+      this.assert(estimate.driving_table === 'transactionline' && estimate.risk === 'high', `Unexpected driving table ${estimate.driving_table}`);
+      this.assert(estimate.suggestion.includes('Bound transactionline by date, e.g. linelastmodifieddate'), estimate.suggestion);
+    });
+  }
+
+  async testCalibration() {
+    await this.test('Recorded runs calibrate row and time estimates', async () => {
+      const query = 'SELECT c.id FROM customer c WHERE c.email LIKE \'%@acme.test\'';
+      const before = await this.estimate(query);
+      for (const actualMs of [2000, 2200, 2400]) {
+        await this.estimator.recordRun({ ...this.scope, normalizedQuery: query }, before,
+          { actualRows: before.estimated_rows / 10, complete: true, actualMs });
+      }
+
+      const after = await this.estimate(query);
+      this.assert(after.calibration.samples === 3 && after.calibration.row_factor === 0.1, `Unexpected calibration ${JSON.stringify(after.calibration)}`);
+      this.assert(after.estimated_rows === before.estimated_rows / 10, `Expected a tenth of the rows, got ${after.estimated_rows}`);
+      this.assert(after.calibration.ms_per_row > this.estimator.config.msPerRow, 'Expected a learned time per row');
+    });
+
+    await this.test('Runs keep the estimate next to the outcome', async () => {
+      const estimate = await this.estimate('SELECT t.id FROM transaction t');
+      await this.estimator.recordRun({ ...this.scope, normalizedQuery: 'select t.id from transaction t' }, estimate,
+        { forced: true, actualMs: 61000, success: false, error: 'Request timed out' });
+
+      const run = await this.db.get('SELECT * FROM netsuite_query_runs ORDER BY id DESC LIMIT 1');
+      this.assert(run.account_id === 'TSTDRV123456' && run.driving_table === 'transaction', 'Unexpected run scope');
+      this.assert(run.estimated_rows === 2500000 && run.risk === 'high' && run.forced === 1, 'Estimate not stored');
+      this.assert(run.success === 0 && run.actual_ms === 61000 && run.error === 'Request timed out', 'Outcome not stored');
+    });
+  }
+
+  async testSavedQueries(tempDir) {
+    process.env.ENCRYPTION_KEY = 'query-cost-test-key';
+    const server = new NetSuiteMCPServer();
+    server.db = this.db;
+    server.costEstimator = this.estimator;
+    server.queryLibrary = new QueryLibrary({ resourcesDir: tempDir });
+    server.queryCache = new QueryCache(this.db);
+    server.schemaExplorer = new SchemaExplorer(this.db);
+    await server.queryCache.initialize();
+    await server.schemaExplorer.initialize();
+    await server.netsuiteManager.init(this.db.db);
+
+    const credentials = {
+      accountId: 'TSTDRV123456', consumerKey: 'ck', consumerSecret: 'cs', tokenId: 'ti', tokenSecret: 'ts', environment: 'sandbox', baseUrl: this.stub.baseUrl
+    };
+    await this.db.run(`
+      INSERT INTO netsuite_credentials (client_name, project_path, account_id, environment, encrypted_credentials, is_default)
+      VALUES ('acme', ?, 'TSTDRV123456', 'sandbox', ?, 1)
+    `, [tempDir, server.netsuiteManager.encrypt(JSON.stringify(credentials))]);
+    await fs.writeFile(server.queryLibrary.libraryPath('acme'), JSON.stringify({
+      categories: { transactions: { queries: { all_ids: { name: 'All transaction ids', query: 'SELECT t.id FROM transaction t' } } } }
+    }));
+
+    const countHandler = this.stub.queryHandler;
+    this.stub.queryHandler = query => /COUNT/.test(query) ? countHandler(query) : [{ id: '1' }];
+
+    await this.test('High-risk saved queries run through netsuite_saved_query_run with force', async () => {
+      const blocked = await server.handleSavedQueryRun({ client_name: 'acme', query_id: 'all_ids', cache: 'bypass' });
+      const forced = await server.handleSavedQueryRun({ client_name: 'acme', query_id: 'all_ids', cache: 'bypass', force: true });
+
+      this.assert(blocked.blocked && blocked.cost_estimate.risk === 'high', `Expected a blocked run, got ${JSON.stringify(blocked)}`);
+      this.assert(forced.success && forced.results.length === 1 && forced.saved_query.id === 'transactions.all_ids', `Expected the forced run, got ${forced.error}`);
+    });
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new QueryCostEstimatorTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default QueryCostEstimatorTester;
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+/**
+ * Query Library Test Suite
+ * Parameter binding, escaping and saving for client query libraries
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { QueryLibrary } from '../lib/query_library.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+class QueryLibraryTester {
+  constructor() {
+    this.library = new QueryLibrary();
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  expectError(fn, fragment) {
+    try {
+      fn();
+    } catch (error) {
+      this.assert(error.message.includes(fragment), `Expected "${fragment}" in "${error.message}"`);
+      return;
+    }
+    throw new Error(`Expected an error containing "${fragment}"`);
+  }
+
+  async runTests() {
+    this.log('🧪 Starting Query Library Test Suite\n');
+
+    await this.test('Rockwest library loads with typed parameters', async () => {
+      const queries = await this.library.listQueries('rockwest');
+      this.assert(queries.length > 0, 'No queries loaded');
+
+      const search = await this.library.getQuery('rockwest', 'customer_search');
+      this.assert(search.id === 'customers.customer_search', `Unexpected id ${search.id}`);
+      this.assert(search.parameters.length === 1 && search.parameters[0].type === 'string', 'search_term should be a string parameter');
+      this.assert(queries.some(q => q.category === 'quick_start'), 'Quick start queries should be listed');
+    });
+
+    await this.test('Unknown query ids are reported', async () => {
+      let error = null;
+      try {
+        await this.library.getQuery('rockwest', 'no_such_query');
+      } catch (e) {
+        error = e;
+      }
+      this.assert(error && error.message.includes('not found'), 'Expected not found error');
+    });
+
+    await this.test('Placeholders inside string literals are escaped in place', async () => {
+      const search = await this.library.getQuery('rockwest', 'customers.customer_search');
+      const bound = this.library.bind(search.query, search.parameters, { search_term: "O'Brien'); DELETE FROM customer --" });
+
+      this.assert(bound.includes("LIKE UPPER('%O''Brien''); DELETE FROM customer --%')"), `Value not escaped: ${bound}`);
+      this.assert(!bound.includes('{search_term}'), 'Placeholder left unbound');
+    });
+
+    await this.test('Typed placeholders become SuiteQL literals', () => {
+      const specs = this.library.normalizeParameters({
+        query: 'SELECT id FROM transaction WHERE entity = {customer} AND trandate >= {since} AND id IN ({ids}) AND memo = {memo}',
+        parameters: [
+          { name: 'customer', type: 'integer' },
+          { name: 'since', type: 'date' },
+          { name: 'ids', type: 'id_list' },
+          'memo'
+        ]
+      });
+      const bound = this.library.bind(
+        'SELECT id FROM transaction WHERE entity = {customer} AND trandate >= {since} AND id IN ({ids}) AND memo = {memo}',
+        specs,
+        { customer: '42', since: '2024-01-31', ids: [1, '2'], memo: "it's" }
+      );
+
+      this.assert(bound === "SELECT id FROM transaction WHERE entity = 42 AND trandate >= TO_DATE('2024-01-31', 'YYYY-MM-DD') AND id IN (1, 2) AND memo = 'it''s'",
+        `Unexpected binding: ${bound}`);
+    });
+
+    await this.test('Invalid, missing and unknown parameters are rejected', () => {
+      const specs = this.library.normalizeParameters({
+        query: 'SELECT id FROM customer WHERE id = {id}',
+        parameters: [{ name: 'id', type: 'integer' }]
+      });
+      const query = 'SELECT id FROM customer WHERE id = {id}';
+
+      this.expectError(() => this.library.bind(query, specs, { id: '1 OR 1=1' }), 'must be an integer');
+      this.expectError(() => this.library.bind(query, specs, {}), 'Missing required parameter');
+      this.expectError(() => this.library.bind(query, specs, { id: 1, other: 2 }), 'Unknown parameter');
+    });
+
+    await this.test('Optional parameters fall back to their defaults', () => {
+      const specs = this.library.normalizeParameters({
+        query: 'SELECT id FROM customer WHERE isinactive = {inactive}',
+        parameters: [{ name: 'inactive', type: 'boolean', default: false }]
+      });
+      this.assert(specs[0].required === false, 'Parameter with default should be optional');
+
+      const bound = this.library.bind('SELECT id FROM customer WHERE isinactive = {inactive}', specs, {});
+      this.assert(bound.endsWith("isinactive = 'F'"), `Default not applied: ${bound}`);
+    });
+
+    await this.test('Returned columns are checked against expected_columns', () => {
+      const check = this.library.checkColumns(
+        [{ id: '1', companyname: 'Acme', links: [] }, { id: '2', email: 'a@b.c', links: [] }],
+        ['id', 'companyname', 'email', 'phone']
+      );
+      this.assert(check.checked && !check.matches, 'Expected a mismatch');
+      this.assert(check.missing_columns.join(',') === 'phone', `Unexpected missing columns ${check.missing_columns}`);
+      this.assert(check.unexpected_columns.length === 0, 'links should be ignored');
+
+      const empty = this.library.checkColumns([], ['id']);
+      this.assert(!empty.checked && empty.note, 'Empty result should not be checked');
+    });
+
+    await this.test('Saved queries round-trip through the library file', async () => {
+      const resourcesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'query-library-'));
+      try {
+        const library = new QueryLibrary({ resourcesDir });
+        const saved = await library.saveQuery('acme', {
+          name: 'Open Orders by Customer',
+          query: "SELECT t.id, t.tranid AS order_number FROM transaction t WHERE t.type = 'SalesOrd' AND t.entity = {customer_id}",
+          parameters: [{ name: 'customer_id', type: 'integer' }]
+        });
+
+        this.assert(saved.id === 'custom.open_orders_by_customer', `Unexpected id ${saved.id}`);
+        this.assert(saved.expected_columns.join(',') === 'id,order_number', `Unexpected columns ${saved.expected_columns}`);
+
+        const reloaded = await library.getQuery('acme', 'open_orders_by_customer');
+        this.assert(reloaded.parameters[0].type === 'integer', 'Parameter type not persisted');
+
+        let duplicate = null;
+        try {
+          await library.saveQuery('acme', { name: 'Open Orders by Customer', query: 'SELECT id FROM customer WHERE id = 1' });
+        } catch (e) {
+          duplicate = e;
+        }
+        this.assert(duplicate && duplicate.message.includes('already exists'), 'Duplicate key should require overwrite');
+
+        const files = await fs.readdir(resourcesDir);
+        this.assert(files.length === 1 && files[0] === 'acme-queries.json', `Unexpected files ${files}`);
+      } finally {
+        await fs.rm(resourcesDir, { recursive: true, force: true });
+      }
+    });
+
+    await this.test('Invalid queries are not saved', async () => {
+      const resourcesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'query-library-'));
+      try {
+        const library = new QueryLibrary({ resourcesDir });
+        let error = null;
+        try {
+          await library.saveQuery('acme', { key: 'purge', query: 'DELETE FROM customer WHERE id = {id}' });
+        } catch (e) {
+          error = e;
+        }
+        this.assert(error && error.diagnostics, 'Expected validation failure with diagnostics');
+        this.assert((await fs.readdir(resourcesDir)).length === 0, 'Library file should not be written');
+      } finally {
+        await fs.rm(resourcesDir, { recursive: true, force: true });
+      }
+    });
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new QueryLibraryTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default QueryLibraryTester;
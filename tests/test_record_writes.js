@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+/**
+ * Record Write Test Suite
+ * Describe-schema field validation, record CRUD against the local NetSuite
+ * stand-in and the confirmation tokens that gate production writes
+ */
+
+import { fileURLToPath } from 'url';
+import { NetSuiteAPIClient, checkRecordFields } from '../lib/netsuite-api-client.js';
+import { SecurityManager } from '../lib/security_manager.js';
+import { NetSuiteStubServer } from './netsuite_stub_server.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const CUSTOMER_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', readOnly: true },
+    companyName: { type: 'string', maxLength: 83 },
+    email: { type: 'string' },
+    isInactive: { type: 'boolean' },
+    creditLimit: { type: 'number' },
+    startDate: { type: 'string', format: 'date' },
+    subsidiary: {
+      type: 'object',
+      properties: { id: { type: 'string' }, refName: { type: 'string' } }
+    }
+  },
+  required: ['companyName', 'subsidiary']
+};
+
+class RecordWriteTester {
+  constructor() {
+    this.stub = new NetSuiteStubServer();
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  createClient() {
+    return new NetSuiteAPIClient({
+      accountId: 'TSTDRV123456',
+      consumerKey: 'ck',
+      consumerSecret: 'cs',
+      tokenId: 'ti',
+      tokenSecret: 'ts',
+      environment: 'sandbox'
+    }, { baseUrl: this.stub.baseUrl, minRequestInterval: 0, retryBaseDelay: 10 });
+  }
+
+  async runTests() {
+    this.log('🧪 Starting Record Write Test Suite\n');
+    await this.stub.start();
+    this.stub.describe('customer', CUSTOMER_SCHEMA);
+
+    // Silence per-request logging from the client
+    const originalError = console.error;
+    console.error = () => {};
+
+    try {
+      await this.testFieldValidation();
+      await this.testRecordRequests();
+      await this.testConfirmationTokens();
+    } finally {
+      console.error = originalError;
+      await this.stub.stop();
+    }
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+
+  async testFieldValidation() {
+    await this.test('Valid fields pass the schema check', () => {
+      const errors = checkRecordFields(CUSTOMER_SCHEMA, {
+        companyName: 'Acme',
+        subsidiary: { id: '1' },
+        isInactive: false,
+        creditLimit: 2500,
+        startDate: '2024-03-01'
+      }, { isCreate: true });
+      this.assert(errors.length === 0, `Unexpected errors: ${errors.map(e => e.message).join('; ')}`);
+    });
+
+    await this.test('Unknown, read-only and mistyped fields are reported', () => {
+      const errors = checkRecordFields(CUSTOMER_SCHEMA, {
+        companyname: 'Acme',
+        id: '5',
+        isInactive: 'F',
+        startDate: '03/01/2024',
+        subsidiary: { refName: 'Parent Company' }
+      });
+      const messages = errors.map(e => e.message);
+
+      this.assert(messages.some(m => m.includes('did you mean companyName')), 'Expected a case suggestion');
+      this.assert(messages.some(m => m === 'id is read-only'), 'Expected read-only error');
+      this.assert(messages.some(m => m === 'isInactive must be true or false'), 'Expected boolean error');
+      this.assert(messages.some(m => m.startsWith('startDate must be a date')), 'Expected date error');
+      this.assert(messages.some(m => m.startsWith('subsidiary is a reference field')), 'Expected reference error');
+    });
+
+    await this.test('Required fields are only enforced on create', () => {
+      const createErrors = checkRecordFields(CUSTOMER_SCHEMA, { email: 'a@example.com' }, { isCreate: true });
+      this.assert(createErrors.map(e => e.field).join(',') === 'companyName,subsidiary', 'Expected missing required fields');
+
+      const updateErrors = checkRecordFields(CUSTOMER_SCHEMA, { email: 'a@example.com' });
+      this.assert(updateErrors.length === 0, 'Update should not require untouched fields');
+    });
+
+    await this.test('validateRecordFields loads the describe schema', async () => {
+      const client = this.createClient();
+      const result = await client.validateRecordFields('customer', { companyName: 42 }, { isCreate: false });
+      this.assert(result.success && !result.valid, 'Expected schema to load and validation to fail');
+      this.assert(result.errors[0].message === 'companyName must be a string', `Unexpected error ${result.errors[0]?.message}`);
+
+      const missing = await client.validateRecordFields('nosuchtype', { name: 'x' });
+      this.assert(!missing.success && missing.error.includes('Could not load nosuchtype schema'), 'Missing schema should be reported');
+    });
+  }
+
+  async testRecordRequests() {
+    await this.test('getRecord passes field selection and sub-resource expansion', async () => {
+      const id = this.stub.seed('customer', { companyName: 'Acme', email: 'ops@acme.test' });
+      const result = await this.createClient().getRecord('customer', id, { fields: ['companyName'], expandSubResources: true });
+
+      this.assert(result.success, `Get failed: ${result.error}`);
+      this.assert(result.data.companyName === 'Acme' && result.data.email === undefined, 'Field selection not applied');
+      const request = this.stub.requests[this.stub.requests.length - 1];
+      this.assert(request.query === '?fields=companyName&expandSubResources=true', `Unexpected query ${request.query}`);
+    });
+
+    await this.test('deleteRecord removes the record', async () => {
+      const id = this.stub.seed('customer', { companyName: 'Gone Co' });
+      const result = await this.createClient().deleteRecord('customer', id);
+
+      this.assert(result.success && result.id === id, `Delete failed: ${result.error}`);
+      this.assert(!this.stub.table('customer').has(id), 'Record still present');
+
+      const again = await this.createClient().deleteRecord('customer', id);
+      this.assert(!again.success && again.error.includes('404'), 'Deleting a missing record should fail');
+    });
+  }
+
+  async testConfirmationTokens() {
+    const security = new SecurityManager({ run: async () => {} });
+    const operation = { tool: 'netsuite_record_update', record_type: 'customer', id: '7', fields: { email: 'a@b.c', isInactive: true } };
+
+    await this.test('Confirmation token confirms the identical operation once', async () => {
+      const { token } = await security.issueConfirmationToken('session-1', operation);
+      const reordered = { fields: { isInactive: true, email: 'a@b.c' }, id: '7', record_type: 'customer', tool: 'netsuite_record_update' };
+
+      const first = await security.consumeConfirmationToken('session-1', token, reordered);
+      this.assert(first.valid, `Expected token to be accepted: ${first.reason}`);
+
+      const replay = await security.consumeConfirmationToken('session-1', token, operation);
+      this.assert(!replay.valid, 'Token must be single-use');
+    });
+
+    await this.test('Confirmation token is bound to session, operation and lifetime', async () => {
+      const otherSession = await security.issueConfirmationToken('session-1', operation);
+      const wrongSession = await security.consumeConfirmationToken('session-2', otherSession.token, operation);
+      this.assert(!wrongSession.valid, 'Token should not work from another session');
+
+      const changed = await security.issueConfirmationToken('session-1', operation);
+      const wrongOperation = await security.consumeConfirmationToken('session-1', changed.token,
+        { ...operation, fields: { email: 'attacker@example.com' } });
+      this.assert(!wrongOperation.valid && wrongOperation.reason.includes('different operation'), 'Changed fields must be rejected');
+      const retry = await security.consumeConfirmationToken('session-1', changed.token, operation);
+      this.assert(!retry.valid, 'A rejected token should be spent');
+
+      security.config.confirmationTokenTtl = -1;
+      const expired = await security.issueConfirmationToken('session-1', operation);
+      const late = await security.consumeConfirmationToken('session-1', expired.token, operation);
+      this.assert(!late.valid && late.reason.includes('expired'), 'Expired token should be rejected');
+    });
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new RecordWriteTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default RecordWriteTester;
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Result Exporter Test Suite
+ * Column ordering, CSV/TSV/JSONL/Markdown formatting and export path handling
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ResultExporter } from '../lib/result_exporter.js';
+import { analyzeSuiteQL } from '../lib/suiteql_parser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+class ResultExporterTester {
+  constructor() {
+    this.exporter = new ResultExporter();
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  expectError(fn, fragment) {
+    try {
+      fn();
+    } catch (error) {
+      this.assert(error.message.includes(fragment), `Expected "${fragment}" in "${error.message}"`);
+      return;
+    }
+    throw new Error(`Expected an error containing "${fragment}"`);
+  }
+
+  async runTests() {
+    this.log('🧪 Starting Result Exporter Test Suite\n');
+
+    await this.test('Columns follow the SELECT list, not the row key order', () => {
+      const { outputColumns } = analyzeSuiteQL('SELECT c.email, c.companyname AS name, c.id FROM customer c WHERE c.id > 1');
+      // SuiteQL drops null fields, so the first row may be missing columns
+      const rows = [{ id: '1', name: 'Acme', links: [] }, { name: 'Beta', email: 'b@beta.test', id: '2', links: [] }];
+      const columns = this.exporter.orderColumns(outputColumns, rows);
+      this.assert(columns.join(',') === 'email,name,id', `Unexpected order ${columns}`);
+    });
+
+    await this.test('Columns not named in the SELECT list fill in where they appear', () => {
+      const { outputColumns } = analyzeSuiteQL('SELECT c.id, c.*, BUILTIN.DF(c.entitystatus) AS status FROM customer c WHERE c.id = 1');
+      const columns = this.exporter.orderColumns(outputColumns, [{ status: 'Won', companyname: 'Acme', id: '1', email: 'a@acme.test' }]);
+      this.assert(columns.join(',') === 'id,companyname,email,status', `Unexpected order ${columns}`);
+    });
+
+    await this.test('CSV quotes, escapes and guards against formulas', () => {
+      const csv = this.exporter.format(
+        [{ name: 'Acme, Inc', memo: 'Says "hi"\nbye', formula: '=HYPERLINK("x")', amount: -12.5, empty: null }],
+        ['name', 'memo', 'formula', 'amount', 'empty'],
+        'csv'
+      );
+      this.assert(csv.startsWith('\ufeffname,memo,formula,amount,empty\r\n'), 'Expected BOM and header row');
+      this.assert(csv.includes('"Acme, Inc","Says ""hi""\nbye","\'=HYPERLINK(""x"")",-12.5,\r\n'), `Unexpected row: ${JSON.stringify(csv)}`);
+    });
+
+    await this.test('TSV, JSONL and Markdown render one line per row', () => {
+      const rows = [{ id: '1', memo: 'a\tb|c' }, { id: '2' }];
+      const columns = ['id', 'memo'];
+
+      this.assert(this.exporter.format(rows, columns, 'tsv') === 'id\tmemo\n1\ta b|c\n2\t\n', 'Unexpected TSV');
+      this.assert(this.exporter.format(rows, columns, 'jsonl') === '{"id":"1","memo":"a\\tb|c"}\n{"id":"2","memo":null}\n', 'Unexpected JSONL');
+      this.assert(this.exporter.format(rows, columns, 'markdown') === '| id | memo |\n| --- | --- |\n| 1 | a\tb\\|c |\n| 2 |  |\n', 'Unexpected Markdown');
+    });
+
+    await this.test('Format is taken from the option or the file extension', () => {
+      this.assert(this.exporter.resolveFormat(undefined, 'exports/out.md') === 'markdown', 'Expected markdown from .md');
+      this.assert(this.exporter.resolveFormat('tsv', 'exports/out.csv') === 'tsv', 'Explicit format should win');
+      this.assert(this.exporter.resolveFormat() === 'json', 'Default should be json');
+      this.expectError(() => this.exporter.resolveFormat('xlsx'), 'Unsupported output_format');
+      this.expectError(() => this.exporter.resolveFormat(undefined, 'exports/out.txt'), 'Cannot infer format');
+    });
+
+    await this.test('Export paths must stay inside the project with an export extension', () => {
+      const root = path.join(os.tmpdir(), 'client-project');
+      this.assert(this.exporter.resolveOutputPath(root, 'exports/a.csv') === path.join(root, 'exports', 'a.csv'), 'Relative path not resolved');
+      this.expectError(() => this.exporter.resolveOutputPath(root, '../elsewhere/a.csv'), 'inside the client project');
+      this.expectError(() => this.exporter.resolveOutputPath(root, '/etc/a.csv'), 'inside the client project');
+      this.expectError(() => this.exporter.resolveOutputPath(root, 'src/script.js'), 'must end in one of');
+    });
+
+    await this.test('Exports are written with intermediate directories', async () => {
+      const root = await fs.mkdtemp(path.join(os.tmpdir(), 'result-exporter-'));
+      try {
+        const filePath = this.exporter.resolveOutputPath(root, 'exports/2024/customers.jsonl');
+        const written = await this.exporter.write(filePath, '{"id":"1"}\n');
+        const content = await fs.readFile(filePath, 'utf8');
+
+        this.assert(written.bytes === 11 && content === '{"id":"1"}\n', 'Export not written');
+        this.assert((await fs.readdir(path.dirname(filePath))).length === 1, 'Temp file left behind');
+      } finally {
+        await fs.rm(root, { recursive: true, force: true });
+      }
+    });
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new ResultExporterTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default ResultExporterTester;
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * Saved Search Test Suite
+ * The bundled companion RESTlet (run against a minimal N/search stand-in) and
+ * the API client's saved search calls against the local NetSuite stand-in
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+import { NetSuiteAPIClient, COMPANION_RESTLET } from '../lib/netsuite-api-client.js';
+import { NetSuiteStubServer } from './netsuite_stub_server.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const COLUMNS = [
+  { key: 'entityid', label: 'Customer ID', name: 'entityid', join: null, summary: null, formula: null },
+  { key: 'salesrep', label: 'Sales Rep', name: 'salesrep', join: null, summary: null, formula: null }
+];
+
+class SavedSearchTester {
+  constructor() {
+    this.stub = new NetSuiteStubServer();
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    } finally {
+      this.stub.companionInstalled = true;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  createClient() {
+    return new NetSuiteAPIClient({
+      accountId: 'TSTDRV123456',
+      consumerKey: 'ck',
+      consumerSecret: 'cs',
+      tokenId: 'ti',
+      tokenSecret: 'ts',
+      environment: 'sandbox'
+    }, { baseUrl: this.stub.baseUrl, restletBaseUrl: this.stub.baseUrl, minRequestInterval: 0, retryBaseDelay: 10 });
+  }
+
+  /**
+   * Load the bundled RESTlet with N/search and N/error stand-ins
+   * @param {Array} results - Rows as { id, values: { name: value }, texts: { name: text } }
+   */
+  async loadRestlet(columns, results) {
+    const source = await fs.readFile(path.join(__dirname, '..', 'suitescripts', COMPANION_RESTLET.fileName), 'utf8');
+    const column = spec => typeof spec === 'string' ? { name: spec } : spec;
+    const pagedSearch = (pageSize) => ({
+      count: results.length,
+      pageRanges: Array.from({ length: Math.ceil(results.length / pageSize) }),
+      fetch: ({ index }) => ({
+        data: results.slice(index * pageSize, (index + 1) * pageSize).map(result => ({
+          id: result.id,
+          getValue: spec => result.values[column(spec).name] ?? null,
+          getText: spec => result.texts?.[column(spec).name] ?? null
+        }))
+      })
+    });
+
+    const search = {
+      Type: { SAVED_SEARCH: 'savedsearch' },
+      Sort: { ASC: 'ASC' },
+      createColumn: spec => spec,
+      load: ({ id }) => ({ title: `Search ${id}`, searchType: 'customer', columns, runPaged: ({ pageSize }) => pagedSearch(pageSize) }),
+      create: (options) => ({ ...options, runPaged: ({ pageSize }) => pagedSearch(pageSize) })
+    };
+    const error = { create: ({ name, message }) => Object.assign(new Error(message), { name }) };
+
+    let restlet;
+    vm.runInNewContext(source, { define: (deps, factory) => { restlet = factory(search, error); } });
+    return restlet;
+  }
+
+  async runTests() {
+    this.log('🧪 Starting Saved Search Test Suite\n');
+    await this.stub.start();
+
+    // Silence per-request logging from the client
+    const originalError = console.error;
+    console.error = () => {};
+
+    try {
+      await this.testCompanionRestlet();
+      await this.testClient();
+    } finally {
+      console.error = originalError;
+      await this.stub.stop();
+    }
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+
+  async testCompanionRestlet() {
+    await this.test('RESTlet returns labelled columns and select field text', async () => {
+      const restlet = await this.loadRestlet(
+        [{ name: 'entityid', label: 'Customer ID' }, { name: 'salesrep', label: 'Sales Rep' }, { name: 'amount', summary: 'SUM' }, { name: 'amount', summary: 'SUM', label: 'Total' }],
+        [{ id: '7', values: { entityid: 'C-7', salesrep: '12', amount: '40.00' }, texts: { salesrep: 'Pat Lee' } }]
+      );
+      const result = restlet.get({ action: 'run', searchId: 'customsearch_customers' });
+
+      this.assert(result.success, `Run failed: ${JSON.stringify(result.error)}`);
+      this.assert(result.columns.map(c => c.key).join(',') === 'entityid,salesrep,sum.amount,sum.amount_2', `Unexpected keys ${result.columns.map(c => c.key)}`);
+      this.assert(result.columns[0].label === 'Customer ID' && result.columns[2].label === 'amount', 'Unexpected labels');
+      this.assert(result.rows[0].salesrep.text === 'Pat Lee' && result.rows[0].entityid === 'C-7', 'Unexpected row values');
+    });
+
+    await this.test('RESTlet pages results and reports errors in the body', async () => {
+      const rows = Array.from({ length: 12 }, (_, i) => ({ id: String(i), values: { entityid: `C-${i}` } }));
+      const restlet = await this.loadRestlet([{ name: 'entityid', label: 'ID' }], rows);
+
+      const second = restlet.get({ action: 'run', searchId: 'customsearch_x', page: '3', pageSize: '5' });
+      this.assert(second.rows.length === 2 && second.pageCount === 3 && !second.hasMore, `Unexpected last page ${JSON.stringify(second)}`);
+
+      const missing = restlet.get({ action: 'run' });
+      this.assert(!missing.success && missing.error.name === 'MISSING_SEARCH_ID', 'Expected a missing searchId error');
+    });
+  }
+
+  async testClient() {
+    this.stub.savedSearch('customsearch_customers', {
+      title: 'Customers by Rep',
+      columns: COLUMNS,
+      rows: Array.from({ length: 7 }, (_, i) => ({ id: String(i + 1), entityid: `C-${i + 1}`, salesrep: { value: '12', text: 'Pat Lee' } }))
+    });
+    this.stub.savedSearch('customsearch_open_orders', { title: 'Open Orders', recordType: 'Transaction', columns: [], rows: [] });
+
+    await this.test('executeSavedSearch calls the companion RESTlet and pages', async () => {
+      const result = await this.createClient().executeSavedSearch('customsearch_customers', { page: 2, pageSize: 5 });
+
+      this.assert(result.success, `Search failed: ${result.error}`);
+      this.assert(result.columns[1].label === 'Sales Rep', 'Column labels missing');
+      this.assert(result.results.length === 2 && result.totalResults === 7 && result.pageCount === 2 && !result.hasMore, 'Unexpected paging');
+
+      const request = this.stub.requests[this.stub.requests.length - 1];
+      this.assert(request.path === '/app/site/hosting/restlet.nl', `Unexpected path ${request.path}`);
+      this.assert(request.query.includes(`script=${COMPANION_RESTLET.scriptId}`) && request.query.includes('page=2'), `Unexpected query ${request.query}`);
+      this.assert(request.headers.authorization.includes('realm="TSTDRV123456"'), 'TBA header should carry the account realm');
+    });
+
+    await this.test('listSavedSearches filters by keyword and record type', async () => {
+      const byKeyword = await this.createClient().listSavedSearches({ keyword: 'open' });
+      this.assert(byKeyword.success && byKeyword.searches.length === 1 && byKeyword.searches[0].scriptId === 'customsearch_open_orders', 'Keyword filter failed');
+
+      const byType = await this.createClient().listSavedSearches({ recordType: 'Customer' });
+      this.assert(byType.searches.map(s => s.title).join(',') === 'Customers by Rep', 'Record type filter failed');
+    });
+
+    await this.test('Unknown searches and a missing companion are reported', async () => {
+      const unknown = await this.createClient().executeSavedSearch('customsearch_nope');
+      this.assert(!unknown.success && unknown.error.includes('does not exist') && !unknown.companionMissing, `Unexpected result ${unknown.error}`);
+
+      this.stub.companionInstalled = false;
+      const missing = await this.createClient().executeSavedSearch('customsearch_customers');
+      this.assert(!missing.success && missing.companionMissing, 'Expected the missing companion to be flagged');
+      this.assert(missing.error.includes(COMPANION_RESTLET.scriptId), 'Error should name the RESTlet');
+    });
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new SavedSearchTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default SavedSearchTester;
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * Schema Explorer Test Suite
+ * Describe schema summaries, per-account metadata caching against the local
+ * NetSuite stand-in and unknown column warnings for SuiteQL queries
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DatabaseManager } from '../lib/database_manager.js';
+import { NetSuiteAPIClient } from '../lib/netsuite-api-client.js';
+import { SchemaExplorer, summarizeRecordSchema, suggestColumn } from '../lib/schema_explorer.js';
+import { analyzeSuiteQL } from '../lib/suiteql_parser.js';
+import { NetSuiteStubServer } from './netsuite_stub_server.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const REFERENCE = { id: { type: 'string' }, refName: { type: 'string' }, links: { type: 'array' } };
+
+const CUSTOMER_SCHEMA = {
+  title: 'Customer',
+  type: 'object',
+  required: ['companyName', 'subsidiary'],
+  properties: {
+    id: { type: 'string', title: 'Internal ID', readOnly: true },
+    entityId: { type: 'string', title: 'Customer ID' },
+    companyName: { type: 'string', title: 'Company Name', maxLength: 83 },
+    email: { type: 'string', format: 'email', title: 'Email' },
+    dateCreated: { type: 'string', format: 'date-time', title: 'Date Created', readOnly: true },
+    subsidiary: { type: 'object', title: 'Subsidiary', properties: REFERENCE },
+    salesRep: { $ref: '/services/rest/record/v1/metadata-catalog/employee', title: 'Sales Rep' },
+    custentity_tier: { type: 'string', title: 'Tier', enum: ['gold', 'silver'], 'x-ns-custom-field': true },
+    custentity_region: { type: 'object', title: 'Region', properties: REFERENCE, 'x-ns-custom-field': true },
+    addressBook: {
+      type: 'object',
+      title: 'Address Book',
+      properties: { items: { type: 'array', items: { $ref: '/services/rest/record/v1/metadata-catalog/customer-addressBookElement' } } }
+    },
+    links: { type: 'array' }
+  }
+};
+
+class SchemaExplorerTester {
+  constructor() {
+    this.stub = new NetSuiteStubServer();
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  createClient(accountId = 'TSTDRV123456') {
+    return new NetSuiteAPIClient({
+      accountId,
+      consumerKey: 'ck',
+      consumerSecret: 'cs',
+      tokenId: 'ti',
+      tokenSecret: 'ts',
+      environment: 'sandbox'
+    }, { baseUrl: this.stub.baseUrl, minRequestInterval: 0, retryBaseDelay: 10 });
+  }
+
+  requestsTo(fragment) {
+    return this.stub.requests.filter(request => request.path.includes(fragment)).length;
+  }
+
+  async runTests() {
+    this.log('🧪 Starting Schema Explorer Test Suite\n');
+    await this.stub.start();
+    this.stub.describe('customer', CUSTOMER_SCHEMA);
+    this.stub.describe('customrecord_contract', { title: 'Contract', properties: { custrecord_contract_end: { type: 'string', format: 'date' } } });
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'schema-explorer-'));
+    // Silence database setup and per-request logging
+    const { error: originalError, warn: originalWarn, log: originalLog } = console;
+    console.error = console.warn = () => {};
+    this.db = new DatabaseManager({ dbPath: path.join(tempDir, 'schema.db') });
+    await this.db.initialize();
+    this.explorer = new SchemaExplorer(this.db, { ttl: 3600 });
+    await this.explorer.initialize();
+
+    try {
+      await this.testSummaries();
+      await this.testCaching();
+      await this.testColumnChecks();
+    } finally {
+      console.log = () => {};
+      await this.db.close();
+      console.log = originalLog;
+      console.error = originalError;
+      console.warn = originalWarn;
+      await this.stub.stop();
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+
+  async testSummaries() {
+    await this.test('Fields, joins, sublists and custom fields are classified', () => {
+      const summary = summarizeRecordSchema('customer', CUSTOMER_SCHEMA);
+      const field = id => summary.fields.find(f => f.id === id);
+
+      this.assert(summary.field_count === 9, `Expected 9 fields, got ${summary.field_count}`);
+      this.assert(field('email').type === 'string:email' && field('subsidiary').type === 'reference', 'Unexpected field types');
+      this.assert(field('companyName').required && field('dateCreated').read_only, 'Expected required and read-only flags');
+      this.assert(summary.joins.map(j => j.field).join(',') === 'subsidiary,salesRep,custentity_region', `Unexpected joins ${summary.joins.map(j => j.field)}`);
+      this.assert(summary.joins[1].join === 'JOIN employee ON employee.id = customer.salesrep', `Unexpected join hint ${summary.joins[1].join}`);
+      this.assert(summary.sublists.length === 1 && summary.sublists[0].id === 'addressBook', 'Expected the address book sublist');
+      this.assert(summary.custom_fields.every(f => f.custom_kind === 'custentity' && f.applies_to === 'entity'), 'Expected custentity fields');
+      this.assert(field('custentity_tier').values.join(',') === 'gold,silver', 'Expected enum values');
+    });
+
+    await this.test('SuiteQL columns are lowercased and references carry a display expression', () => {
+      const { suiteql_columns: columns } = summarizeRecordSchema('customer', CUSTOMER_SCHEMA);
+      const names = columns.map(c => c.column);
+
+      this.assert(names.includes('companyname') && names.includes('entityid'), `Unexpected columns ${names}`);
+      this.assert(!names.includes('addressbook') && !names.includes('links'), 'Sublists and links are not columns');
+      this.assert(columns.find(c => c.column === 'subsidiary').display === 'BUILTIN.DF(customer.subsidiary)', 'Expected BUILTIN.DF hint');
+    });
+
+    await this.test('Unknown columns get the closest known name', () => {
+      const known = ['companyname', 'entityid', 'email', 'subsidiary'];
+      this.assert(suggestColumn('company_name', known) === 'companyname', 'Underscore variant');
+      this.assert(suggestColumn('emial', known) === 'email', 'Typo within two edits');
+      this.assert(suggestColumn('company', known) === 'companyname', 'Substring match');
+      this.assert(suggestColumn('terms', known) === null, 'Expected no suggestion');
+    });
+  }
+
+  async testCaching() {
+    const scope = { clientName: 'acme', accountId: 'tstdrv123456' };
+
+    await this.test('Record types come from the metadata catalog and are cached', async () => {
+      const client = this.createClient();
+      const first = await this.explorer.listRecordTypes(client, scope);
+      const second = await this.explorer.listRecordTypes(client, scope);
+
+      this.assert(first.success && !first.cached && second.cached, 'Expected a fetch then a cache hit');
+      this.assert(second.record_types.find(t => t.name === 'customrecord_contract').custom, 'Expected custom record type flag');
+      this.assert(this.requestsTo('metadata-catalog') === 1, 'Catalog should be fetched once');
+    });
+
+    await this.test('Describe metadata is cached per account and refreshed on request', async () => {
+      const client = this.createClient();
+      await this.explorer.describeRecord(client, { ...scope, recordType: 'Customer' });
+      const hit = await this.explorer.describeRecord(client, { ...scope, recordType: 'customer' });
+      const otherAccount = await this.explorer.describeRecord(this.createClient('TSTDRV999'), { ...scope, accountId: 'TSTDRV999', recordType: 'customer' });
+      const refreshed = await this.explorer.describeRecord(client, { ...scope, recordType: 'customer', refresh: true });
+
+      this.assert(hit.cached && hit.field_count === 9, 'Expected a cache hit with the summary');
+      this.assert(!otherAccount.cached && !refreshed.cached, 'Other accounts and refreshes should fetch');
+      this.assert(this.requestsTo('/customer/describe') === 3, `Expected 3 describe requests, got ${this.requestsTo('/customer/describe')}`);
+    });
+
+    await this.test('Failed describes are returned and not cached', async () => {
+      const result = await this.explorer.describeRecord(this.createClient(), { ...scope, recordType: 'nosuchrecord' });
+      const row = await this.db.get('SELECT 1 FROM netsuite_schema_cache WHERE record_type = ?', ['nosuchrecord']);
+      this.assert(!result.success && result.error, 'Expected a failure');
+      this.assert(!row, 'Failure should not be cached');
+    });
+  }
+
+  async testColumnChecks() {
+    const scope = { clientName: 'acme', accountId: 'TSTDRV123456' };
+
+    await this.test('Queries are checked against cached metadata only', async () => {
+      const analysis = analyzeSuiteQL('SELECT c.id, c.company_name, c.entityid, s.name FROM customer c JOIN subsidiary s ON s.id = c.subsidiary WHERE c.id > 1');
+      const warnings = await this.explorer.checkColumns(scope, analysis);
+
+      this.assert(warnings.length === 1, `Expected 1 warning, got ${JSON.stringify(warnings)}`);
+      this.assert(warnings[0].code === 'unknown_column' && warnings[0].message.includes('did you mean companyname?'), warnings[0].message);
+      this.assert(warnings[0].line === 1 && warnings[0].column > 0, 'Expected a position');
+    });
+
+    await this.test('Invalidation is scoped to client and account', async () => {
+      const removed = await this.explorer.invalidate({ clientName: 'acme', accountId: 'tstdrv999' });
+      const remaining = await this.db.get('SELECT COUNT(*) AS n FROM netsuite_schema_cache WHERE account_id = ?', ['TSTDRV123456']);
+      this.assert(removed === 1 && remaining.n === 2, `Unexpected counts: removed ${removed}, remaining ${remaining.n}`);
+    });
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new SchemaExplorerTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default SchemaExplorerTester;
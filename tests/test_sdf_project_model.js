@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+
+/**
+ * SDF Project Model Test Suite
+ * XML parsing, manifest dependencies, deploy.xml coverage, the file to
+ * script and deployment mapping, and the validator and MCP tool queries
+ * against a scratch SDF project
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import NetSuiteMCPServer from '../mcp-netsuite-server.js';
+import { ProjectDetectionSystem } from '../lib/project_detection_system.js';
+import { ValidationRuleManager } from '../lib/validation_rule_manager.js';
+import { loadSdfProject, parseXml } from '../lib/sdf_project_model.js';
+import { RulesTestDatabase } from './rules_test_db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const PROJECT_FILES = {
+  'manifest.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<manifest projecttype="ACCOUNTCUSTOMIZATION">
+  <projectname>acme-customizations</projectname>
+  <frameworkversion>1.0</frameworkversion>
+  <dependencies>
+    <features>
+      <feature required="true">SERVERSIDESCRIPTING</feature>
+      <feature required="false">MULTISUBSIDIARYCUSTOMER</feature>
+    </features>
+    <objects>
+      <object>customlist_region</object>
+    </objects>
+  </dependencies>
+</manifest>`,
+  'deploy.xml': `<deploy>
+  <files>
+    <path>~/FileCabinet/SuiteScripts/acme/*</path>
+  </files>
+  <objects>
+    <path>~/Objects/*</path>
+  </objects>
+</deploy>`,
+  'Objects/customscript_order_sync.xml': `<usereventscript scriptid="customscript_order_sync">
+  <name>Order Sync &amp; Audit</name>
+  <scriptfile>[/SuiteScripts/acme/order_sync_ue.js]</scriptfile>
+  <!-- <scriptfile>[/SuiteScripts/acme/old_sync_ue.js]</scriptfile> -->
+  <description><![CDATA[Syncs <orders> to the warehouse]]></description>
+  <scriptcustomfields>
+    <scriptcustomfield scriptid="custscript_os_batch_size">
+      <fieldtype>INTEGER</fieldtype>
+    </scriptcustomfield>
+  </scriptcustomfields>
+  <scriptdeployments>
+    <scriptdeployment scriptid="customdeploy_order_sync_so">
+      <recordtype>SALESORDER</recordtype>
+      <status>RELEASED</status>
+    </scriptdeployment>
+    <scriptdeployment scriptid="customdeploy_order_sync_ra">
+      <recordtype>RETURNAUTHORIZATION</recordtype>
+      <status>TESTING</status>
+    </scriptdeployment>
+  </scriptdeployments>
+</usereventscript>`,
+  'Objects/customscript_region_mr.xml': `<mapreducescript scriptid="customscript_region_mr">
+  <name>Region Rollup</name>
+  <scriptfile>[/SuiteScripts/shared/region_mr.js]</scriptfile>
+  <defaultfield>[scriptid=custentity_region]</defaultfield>
+  <scriptdeployments>
+    <scriptdeployment scriptid="customdeploy_region_mr">
+      <status>SCHEDULED</status>
+    </scriptdeployment>
+  </scriptdeployments>
+</mapreducescript>`,
+  'Objects/customscript_portal_sl.xml': `<suitelet scriptid="customscript_portal_sl">
+  <name>Portal</name>
+  <scriptfile>[/SuiteScripts/acme/portal_sl.js]</scriptfile>
+</suitelet>`,
+  'Objects/Fields/custbody_sync_status.xml': `<transactionbodycustomfield scriptid="custbody_sync_status">
+  <label>Sync Status</label>
+</transactionbodycustomfield>`,
+  'FileCabinet/SuiteScripts/acme/order_sync_ue.js': `/**
+ * @NApiVersion 2.1
+ * @NScriptType UserEventScript
+ */
+define(['N/record', 'N/runtime'], (record, runtime) => {
+  const afterSubmit = (context) => {
+    const batch = runtime.getCurrentScript().getParameter({ name: 'custscript_os_batch_size' });
+    context.newRecord.getValue({ fieldId: 'custbody_sync_status' });
+    context.newRecord.getSublistValue({ sublistId: 'item', fieldId: "custcol_wms_location", line: 0 });
+  };
+  return { afterSubmit };
+});`,
+  'FileCabinet/SuiteScripts/shared/region_mr.js': `define([], () => ({ getInputData: () => [], map: () => {} }));`
+};
+
+class SdfProjectModelTester {
+  constructor() {
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  async setup(tempDir) {
+    this.projectDir = path.join(tempDir, 'acme-sdf');
+    this.sdfRoot = path.join(this.projectDir, 'src');
+    for (const [relative, content] of Object.entries(PROJECT_FILES)) {
+      const file = path.join(this.sdfRoot, relative);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, content);
+    }
+    this.userEventFile = path.join(this.sdfRoot, 'FileCabinet', 'SuiteScripts', 'acme', 'order_sync_ue.js');
+  }
+
+  async runTests() {
+    this.log('🧪 Starting SDF Project Model Test Suite\n');
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sdf-project-'));
+    // Silence detection and handler logging
+    const { error: originalError, warn: originalWarn, log: originalLog } = console;
+    console.error = console.warn = () => {};
+
+    try {
+      await this.setup(tempDir);
+      await this.testParsing();
+      await this.testModel();
+      await this.testQueries(tempDir);
+    } finally {
+      console.log = originalLog;
+      console.error = originalError;
+      console.warn = originalWarn;
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+
+  async testParsing() {
+    await this.test('XML parsing handles entities, CDATA and comments, and rejects unbalanced tags', () => {
+      const element = parseXml(PROJECT_FILES['Objects/customscript_order_sync.xml']);
+      const text = name => element.children.find(child => child.name === name).text;
+
+      this.assert(element.name === 'usereventscript' && element.attributes.scriptid === 'customscript_order_sync', 'Unexpected root element');
+      this.assert(text('name') === 'Order Sync & Audit' && text('description') === 'Syncs <orders> to the warehouse', 'Expected decoded text');
+      this.assert(element.children.filter(child => child.name === 'scriptfile').length === 1, 'Commented-out elements should be skipped');
+
+      let message = null;
+      try {
+        parseXml('<deploy><files></deploy>');
+      } catch (error) {
+        message = error.message;
+      }
+      this.assert(message === 'Unexpected </deploy>, expected </files>', `Unexpected error ${message}`);
+    });
+
+    await this.test('Manifest dependencies and deploy.xml paths are read', () => {
+      const model = loadSdfProject(this.projectDir);
+      const { features, objects } = model.manifest.dependencies;
+
+      this.assert(model.root === this.sdfRoot && model.manifest.projectType === 'ACCOUNTCUSTOMIZATION', 'Unexpected project');
+      this.assert(features.length === 2 && features[0].required && !features[1].required, `Unexpected features ${JSON.stringify(features)}`);
+      this.assert(objects.join() === 'customlist_region', 'Expected the object dependency');
+      this.assert(model.deploy.files.join() === '~/FileCabinet/SuiteScripts/acme/*' && model.deploy.objects.length === 1, 'Expected deploy paths');
+    });
+  }
+
+  async testModel() {
+    await this.test('Script files map to their scriptid, type, deployments and custom fields', () => {
+      const [script] = loadSdfProject(this.projectDir).scriptsForFile(this.userEventFile);
+
+      this.assert(script.scriptid === 'customscript_order_sync' && script.scriptType === 'UserEventScript', 'Unexpected script');
+      this.assert(script.deployments.map(d => d.scriptid).join() === 'customdeploy_order_sync_so,customdeploy_order_sync_ra', 'Expected both deployments');
+      this.assert(script.deployments[1].status === 'TESTING' && script.deployments[1].recordtype === 'RETURNAUTHORIZATION', 'Expected deployment properties');
+
+      const fields = Object.fromEntries(script.customFields.map(field => [field.scriptid, field]));
+      this.assert(Object.keys(fields).join() === 'custbody_sync_status,custcol_wms_location,custscript_os_batch_size', `Unexpected fields ${Object.keys(fields)}`);
+      this.assert(fields.custbody_sync_status.defined && !fields.custcol_wms_location.defined, 'Expected defined flags');
+      this.assert(fields.custscript_os_batch_size.parameter, 'Expected the script parameter');
+    });
+
+    await this.test('Deployments are found from local, relative and File Cabinet paths', () => {
+      const model = loadSdfProject(this.projectDir);
+      const paths = [this.userEventFile, 'src/FileCabinet/SuiteScripts/acme/order_sync_ue.js', '/SuiteScripts/acme/order_sync_ue.js'];
+      for (const filePath of paths) {
+        this.assert(model.deploymentsForFile(filePath).length === 2, `No deployments for ${filePath}`);
+      }
+      this.assert(model.scriptsUsingField('CUSTENTITY_REGION')[0].scriptid === 'customscript_region_mr', 'Expected the XML field reference');
+    });
+
+    await this.test('deploy.xml coverage and missing script files are reported', () => {
+      const model = loadSdfProject(this.projectDir);
+
+      this.assert(model.isDeployed(this.userEventFile) === true, 'The acme folder is deployed');
+      this.assert(model.isDeployed('/SuiteScripts/shared/region_mr.js') === false, 'The shared folder is not deployed');
+      this.assert(model.isDeployed(path.join(this.sdfRoot, 'Objects', 'Fields', 'custbody_sync_status.xml')) === true, 'Objects are deployed');
+      this.assert(model.errors.length === 1 && model.errors[0].message.includes('/SuiteScripts/acme/portal_sl.js'), `Unexpected errors ${JSON.stringify(model.errors)}`);
+    });
+
+    await this.test('The model is reused until a project file changes', async () => {
+      const first = loadSdfProject(this.projectDir);
+      this.assert(loadSdfProject(this.projectDir) === first, 'Expected the cached model');
+
+      const objectFile = path.join(this.sdfRoot, 'Objects', 'customscript_portal_sl.xml');
+      await fs.writeFile(objectFile, PROJECT_FILES['Objects/customscript_portal_sl.xml'].replace('Portal', 'Customer Portal'));
+      const later = new Date(Date.now() + 5000);
+      await fs.utimes(objectFile, later, later);
+
+      const reloaded = loadSdfProject(this.projectDir);
+      this.assert(reloaded !== first && reloaded.getObject('customscript_portal_sl').properties.name === 'Customer Portal', 'Expected a reload');
+    });
+  }
+
+  async testQueries(tempDir) {
+    await this.test('Project detection reports SDF script types', () => {
+      const originalLog = console.log;
+      console.log = () => {};
+      const detection = new ProjectDetectionSystem().detectNetSuiteProject(this.projectDir);
+      console.log = originalLog;
+
+      this.assert(detection.indicators.hasManifest && detection.indicators.sdf.scripts === 3, `Unexpected indicators ${JSON.stringify(detection.indicators.sdf)}`);
+      this.assert(detection.indicators.projectType === 'User Event, Suitelet, Map/Reduce', detection.indicators.projectType);
+    });
+
+    await this.test('The validator attaches SDF context and flags script files outside deploy.xml', async () => {
+      const rulesDb = await RulesTestDatabase.create(path.join(tempDir, 'rules.db'));
+      const ruleManager = new ValidationRuleManager(rulesDb.db);
+
+      try {
+        const deployed = await ruleManager.validateCode('', this.userEventFile, 'acme', this.projectDir, ['suitescript']);
+        const stray = await ruleManager.validateCode('', path.join(this.sdfRoot, 'FileCabinet', 'SuiteScripts', 'shared', 'region_mr.js'), 'acme', this.projectDir, ['suitescript']);
+
+        this.assert(deployed.sdf.scripts[0].deployments.length === 2 && deployed.warnings.length === 0, 'Expected context without warnings');
+        this.assert(stray.warnings[0]?.ruleId === 'sdf-file-not-deployed' && stray.warnings[0].message.includes('customscript_region_mr'), 'Expected the deploy.xml warning');
+      } finally {
+        await rulesDb.close();
+      }
+    });
+
+    await this.test('netsuite_sdf_project answers which deployments run a file and which scripts use a field', async () => {
+      const server = new NetSuiteMCPServer();
+      const byFile = await server.handleSdfProject({ project_path: this.projectDir, file: '/SuiteScripts/acme/order_sync_ue.js' });
+      const byField = await server.handleSdfProject({ project_path: this.projectDir, field: 'custbody_sync_status' });
+      const library = await server.handleSdfProject({ project_path: this.projectDir, file: 'src/FileCabinet/SuiteScripts/acme/util.js' });
+
+      this.assert(byFile.in_deploy && byFile.deployments.map(d => d.scriptid).join() === 'customdeploy_order_sync_so,customdeploy_order_sync_ra', 'Expected the deployments');
+      this.assert(byFile.deployments[0].scriptType === 'UserEventScript', 'Expected the script type on each deployment');
+      this.assert(byField.defined_in_project && byField.scripts[0].scriptid === 'customscript_order_sync', 'Expected the field usage');
+      this.assert(library.scripts.length === 0 && library.note, 'Expected a note for files without a script record');
+    });
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new SdfProjectModelTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default SdfProjectModelTester;
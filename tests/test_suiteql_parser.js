@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * SuiteQL Parser Test Suite
+ * Statement classification, table/column extraction and structural diagnostics
+ */
+
+import { fileURLToPath } from 'url';
+import { SuiteQLParser } from '../lib/suiteql_parser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+class SuiteQLParserTester {
+  constructor() {
+    this.parser = new SuiteQLParser();
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  test(name, testFn) {
+    try {
+      testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  codes(analysis) {
+    return analysis.diagnostics.map(d => d.code);
+  }
+
+  runTests() {
+    this.log('🧪 Starting SuiteQL Parser Test Suite\n');
+
+    this.test('Columns named like write keywords are accepted', () => {
+      const analysis = this.parser.analyze('SELECT id, update_date, created_by, lastmodifieddate FROM customer WHERE id = 1');
+      this.assert(analysis.valid, `Expected valid query: ${analysis.reason}`);
+      this.assert(analysis.columns.some(c => c.name === 'update_date' && c.table === 'customer'), 'update_date not resolved to customer');
+    });
+
+    this.test('Non-SELECT statements are rejected', () => {
+      const analysis = this.parser.analyze('DELETE FROM customer WHERE id = 1');
+      this.assert(!analysis.valid && analysis.statementType === 'delete', 'DELETE should be rejected');
+      this.assert(analysis.reason.includes('dangerous'), 'Reason should flag a dangerous operation');
+    });
+
+    this.test('Statements hidden behind comments are still found', () => {
+      const analysis = this.parser.analyze('SELECT * FROM customer;/**/DELETE/**/FROM customer');
+      this.assert(!analysis.valid, 'Hidden DELETE should be rejected');
+      this.assert(this.codes(analysis).includes('MULTIPLE_STATEMENTS'), 'Expected MULTIPLE_STATEMENTS');
+    });
+
+    this.test('Keywords inside strings and comments are not statements', () => {
+      const analysis = this.parser.analyze("SELECT 'x; DROP TABLE customer' AS msg FROM dual -- DELETE FROM customer");
+      this.assert(analysis.valid, `Expected valid query: ${analysis.reason}`);
+      this.assert(this.codes(analysis).includes('STATEMENT_IN_COMMENT'), 'Comment keyword should be a warning');
+    });
+
+    this.test('The word comment is only a statement as COMMENT ON', () => {
+      const plain = this.parser.analyze('SELECT id FROM customer -- comment: active customers only');
+      this.assert(plain.valid && !this.codes(plain).includes('STATEMENT_IN_COMMENT'), 'A plain comment should not warn');
+
+      const hidden = this.parser.analyze("SELECT id FROM customer -- COMMENT ON TABLE customer IS 'x'");
+      this.assert(this.codes(hidden).includes('STATEMENT_IN_COMMENT'), 'COMMENT ON should still warn');
+
+      const statement = this.parser.analyze("COMMENT ON TABLE customer IS 'x'");
+      this.assert(!statement.valid && statement.statementType === 'comment', `Expected COMMENT ON rejected, got ${statement.statementType}`);
+    });
+
+    this.test('Tables, aliases and output columns are extracted', () => {
+      const analysis = this.parser.analyze(`
+        SELECT c.companyname AS name, COUNT(t.id) orders
+        FROM customer c
+        LEFT JOIN transaction t ON t.entity = c.id
+        WHERE c.isinactive = 'F' AND t.trandate >= ADD_MONTHS(SYSDATE, -1)
+        GROUP BY c.companyname`);
+      this.assert(analysis.valid, `Expected valid query: ${analysis.reason}`);
+      this.assert(analysis.tables.join(',') === 'customer,transaction', `Unexpected tables ${analysis.tables}`);
+      this.assert(analysis.outputColumns.join(',') === 'name,orders', `Unexpected output columns ${analysis.outputColumns}`);
+      this.assert(analysis.columns.some(c => c.table === 'transaction' && c.name === 'entity'), 'Join column not resolved');
+    });
+
+    this.test('Comma joins without a linking predicate are Cartesian', () => {
+      const analysis = this.parser.analyze("SELECT t.tranid, e.email FROM transaction t, employee e WHERE t.type = 'SalesOrd'");
+      this.assert(this.codes(analysis).includes('CARTESIAN_JOIN'), 'Expected CARTESIAN_JOIN warning');
+
+      const linked = this.parser.analyze("SELECT t.tranid, e.email FROM transaction t, employee e WHERE t.employee = e.id AND t.type = 'SalesOrd'");
+      this.assert(!this.codes(linked).includes('CARTESIAN_JOIN'), 'Linked comma join should not warn');
+    });
+
+    this.test('JOIN without ON is an error, CROSS JOIN a warning', () => {
+      const missingOn = this.parser.analyze('SELECT c.id FROM customer c JOIN contact k WHERE c.id = 1');
+      this.assert(!missingOn.valid && this.codes(missingOn).includes('JOIN_WITHOUT_CONDITION'), 'Expected JOIN_WITHOUT_CONDITION');
+
+      const cross = this.parser.analyze('SELECT c.id FROM customer c CROSS JOIN subsidiary s WHERE c.id = 1');
+      this.assert(cross.valid && this.codes(cross).includes('CARTESIAN_JOIN'), 'Expected CARTESIAN_JOIN warning for CROSS JOIN');
+    });
+
+    this.test('Large tables without WHERE are flagged', () => {
+      const analysis = this.parser.analyze('SELECT id, tranid FROM transaction');
+      const diagnostic = analysis.diagnostics.find(d => d.code === 'MISSING_WHERE');
+      this.assert(diagnostic && diagnostic.severity === 'warning', 'Expected MISSING_WHERE warning');
+      this.assert(diagnostic.line === 1 && diagnostic.column === 24, `Unexpected position ${diagnostic.line}:${diagnostic.column}`);
+
+      const small = this.parser.analyze('SELECT id FROM currency');
+      this.assert(!this.codes(small).includes('MISSING_WHERE'), 'Small tables should not be flagged');
+    });
+
+    this.test('Subqueries and CTEs are analyzed', () => {
+      const analysis = this.parser.analyze(`
+        WITH recent AS (SELECT id, entity FROM transaction WHERE trandate > SYSDATE - 7)
+        SELECT r.id FROM recent r WHERE r.entity IN (SELECT id FROM customer WHERE isinactive = 'F')`);
+      this.assert(analysis.valid, `Expected valid query: ${analysis.reason}`);
+      this.assert(analysis.tables.join(',') === 'transaction,customer', `Unexpected tables ${analysis.tables}`);
+      this.assert(!this.codes(analysis).includes('MISSING_WHERE'), 'CTE should not count as a large table');
+    });
+
+    this.test('Syntax errors carry line and column', () => {
+      const unbalanced = this.parser.analyze('SELECT id\nFROM customer\nWHERE (id = 1');
+      this.assert(!unbalanced.valid && this.codes(unbalanced).includes('UNBALANCED_PARENS'), 'Expected UNBALANCED_PARENS');
+
+      const unterminated = this.parser.analyze("SELECT id FROM customer WHERE name = 'Acme");
+      const diagnostic = unterminated.diagnostics.find(d => d.code === 'UNTERMINATED_STRING');
+      this.assert(diagnostic && diagnostic.column === 38, 'Expected UNTERMINATED_STRING at column 38');
+    });
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new SuiteQLParserTester();
+  process.exit(tester.runTests() ? 0 : 1);
+}
+
+export default SuiteQLParserTester;
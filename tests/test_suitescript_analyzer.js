@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+
+/**
+ * SuiteScript Analyzer Test Suite
+ * JSDoc header tags, define() module lists against callback parameters,
+ * entry points per script type, and the findings validateCode reports
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ProjectDetectionSystem } from '../lib/project_detection_system.js';
+import { ValidationRuleManager } from '../lib/validation_rule_manager.js';
+import { analyzeSuiteScript, readSuiteScriptHeader } from '../lib/suitescript_analyzer.js';
+import { RulesTestDatabase } from './rules_test_db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const USER_EVENT = `/**
+ * @NApiVersion 2.1
+ * @NScriptType UserEventScript
+ * @NModuleScope SameAccount
+ */
+define(['N/record', 'N/log'], (record, log) => {
+  const beforeSubmit = (context) => log.debug('beforeSubmit', context.type);
+  return { beforeSubmit, afterSubmit: () => {} };
+});
+`;
+
+class SuiteScriptAnalyzerTester {
+  constructor() {
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  ruleIds(findings) {
+    return findings.map(finding => `${finding.ruleId}:${finding.severity}`).join(',');
+  }
+
+  async runTests() {
+    this.log('🧪 Starting SuiteScript Analyzer Test Suite\n');
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'suitescript-analyzer-'));
+    // Silence detection logging
+    const { error: originalError, log: originalLog } = console;
+    console.error = () => {};
+
+    try {
+      await this.testHeaders();
+      await this.testDefine();
+      await this.testEntryPoints();
+      await this.testIntegration(tempDir);
+    } finally {
+      console.log = originalLog;
+      console.error = originalError;
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+
+  async testHeaders() {
+    await this.test('A well-formed user event script has no findings', () => {
+      const analysis = analyzeSuiteScript(USER_EVENT);
+
+      this.assert(analysis.findings.length === 0, `Unexpected findings ${this.ruleIds(analysis.findings)}`);
+      this.assert(analysis.header.NApiVersion === '2.1' && analysis.header.NModuleScope === 'SameAccount', 'Expected the header tags');
+      this.assert(analysis.modules.join() === 'N/record,N/log' && analysis.entryPoints.join() === 'beforeSubmit,afterSubmit', 'Expected modules and entry points');
+    });
+
+    await this.test('Unsupported header values are errors on the header line', () => {
+      const content = `// Order sync\n${USER_EVENT.replace('2.1', '1.0').replace('UserEventScript', 'UserEvent').replace('SameAccount', 'Private')}`;
+      const { findings } = analyzeSuiteScript(content);
+
+      this.assert(this.ruleIds(findings) === 'suitescript-api-version:error,suitescript-script-type:error,suitescript-module-scope:error', this.ruleIds(findings));
+      this.assert(findings.every(finding => finding.line === 2), 'Expected the header line');
+      this.assert(readSuiteScriptHeader(content).tags.NScriptType === 'UserEvent', 'Expected the raw tag value');
+    });
+
+    await this.test('Headers are required for scripts and expected for modules loading N/ modules', () => {
+      const library = analyzeSuiteScript("define(['N/search'], (search) => ({ find: () => search.create({ type: 'customer' }) }));");
+      const amd = analyzeSuiteScript("define(['./util'], (util) => ({ run: util.run }));");
+      const plain = analyzeSuiteScript('module.exports = { run() {} };');
+
+      this.assert(this.ruleIds(library.findings) === 'suitescript-api-version:warning', this.ruleIds(library.findings));
+      this.assert(amd.findings.length === 0 && plain.findings.length === 0 && plain.header === null, 'Modules without N/ dependencies are not flagged');
+    });
+  }
+
+  async testDefine() {
+    await this.test('Callback parameters without a module are errors at the parameter', () => {
+      const content = USER_EVENT.replace("['N/record', 'N/log']", "['N/record']");
+      const { findings } = analyzeSuiteScript(content);
+
+      this.assert(this.ruleIds(findings) === 'suitescript-define-arguments:error', this.ruleIds(findings));
+      this.assert(findings[0].line === 6 && findings[0].column === 31 && findings[0].message.includes('log'), `Unexpected location ${findings[0].line}:${findings[0].column}`);
+    });
+
+    await this.test('Modules without a callback parameter are warnings', () => {
+      const { findings } = analyzeSuiteScript(USER_EVENT.replace("['N/record', 'N/log']", "['N/record', 'N/log', 'N/runtime', 'N/email']"));
+      this.assert(this.ruleIds(findings) === 'suitescript-define-arguments:warning', this.ruleIds(findings));
+      this.assert(findings[0].message === 'Modules N/runtime, N/email are loaded but not bound to a callback parameter', findings[0].message);
+    });
+
+    await this.test('Syntax errors are reported with their position', () => {
+      const { findings } = analyzeSuiteScript(USER_EVENT.replace('return {', 'return {{'));
+      this.assert(this.ruleIds(findings) === 'suitescript-syntax:error' && findings[0].line === 8, `Unexpected ${this.ruleIds(findings)} at ${findings[0]?.line}`);
+    });
+  }
+
+  async testEntryPoints() {
+    await this.test('Map/reduce scripts need getInputData and map or reduce', () => {
+      const content = `/**
+ * @NApiVersion 2.x
+ * @NScriptType MapReduceScript
+ */
+define([], function () {
+  return { summarize: function () {} };
+});`;
+      const { findings } = analyzeSuiteScript(content);
+      this.assert(this.ruleIds(findings) === 'suitescript-entry-point:error,suitescript-entry-point:error', this.ruleIds(findings));
+      this.assert(findings[0].message === 'MapReduceScript must return a getInputData entry point' && findings[1].message === 'MapReduceScript must return map or reduce', 'Unexpected messages');
+    });
+
+    await this.test('Entry points of another script type are flagged', () => {
+      const content = USER_EVENT.replace('return { beforeSubmit, afterSubmit: () => {} };', 'return { execute: beforeSubmit };');
+      const { findings } = analyzeSuiteScript(content);
+
+      this.assert(this.ruleIds(findings) === 'suitescript-entry-point:error,suitescript-entry-point:warning', this.ruleIds(findings));
+      this.assert(findings[1].message === 'execute is not a UserEventScript entry point' && findings[1].line === 8, 'Expected the warning at the property');
+    });
+
+    await this.test('Exports built on a returned variable are followed', () => {
+      const content = `/**
+ * @NApiVersion 2.1
+ * @NScriptType ScheduledScript
+ */
+define(['N/search'], (search) => {
+  const exports = {};
+  exports.execute = () => search.load({ id: 'customsearch_open_orders' });
+  return exports;
+});`;
+      const analysis = analyzeSuiteScript(content);
+      this.assert(analysis.findings.length === 0 && analysis.entryPoints.join() === 'execute', `Unexpected ${this.ruleIds(analysis.findings)}`);
+    });
+
+    await this.test('The SDF script record type must match @NScriptType', () => {
+      const { findings } = analyzeSuiteScript(USER_EVENT, { sdfScriptTypes: ['ClientScript'] });
+      this.assert(findings[0]?.message === '@NScriptType UserEventScript does not match the SDF script record type ClientScript', this.ruleIds(findings));
+    });
+  }
+
+  async testIntegration(tempDir) {
+    await this.test('validateCode reports SuiteScript findings by severity', async () => {
+      const rulesDb = await RulesTestDatabase.create(path.join(tempDir, 'rules.db'));
+      const ruleManager = new ValidationRuleManager(rulesDb.db);
+
+      try {
+        const content = USER_EVENT.replace("['N/record', 'N/log']", "['N/record', 'N/log', 'N/runtime']").replace('return { beforeSubmit,', 'return { execute: beforeSubmit,');
+        const results = await ruleManager.validateCode(content, path.join(tempDir, 'order_sync_ue.js'), 'acme', tempDir, ['javascript', 'suitescript']);
+        const javascriptOnly = await ruleManager.validateCode(content, path.join(tempDir, 'order_sync_ue.js'), 'acme', tempDir, ['javascript']);
+
+        this.assert(results.errors.length === 0 && this.ruleIds(results.warnings) === 'suitescript-define-arguments:warning,suitescript-entry-point:warning', this.ruleIds(results.warnings));
+        this.assert(results.suitescript.header.NScriptType === 'UserEventScript' && results.suitescript.entryPoints.join() === 'execute,afterSubmit', 'Expected the analysis summary');
+        this.assert(!javascriptOnly.suitescript && javascriptOnly.warnings.length === 0, 'SuiteScript checks only run for suitescript');
+      } finally {
+        await rulesDb.close();
+      }
+    });
+
+    await this.test('Project types come from @NScriptType before file name suffixes', async () => {
+      const scheduled = path.join(tempDir, 'cleanup.js');
+      const suitelet = path.join(tempDir, 'portal_sl.js');
+      await fs.writeFile(scheduled, '/**\n * @NApiVersion 2.1\n * @NScriptType ScheduledScript\n */\ndefine([], () => ({ execute() {} }));');
+      await fs.writeFile(suitelet, 'define([], () => ({ onRequest() {} }));');
+
+      const projectType = new ProjectDetectionSystem().determineProjectType([scheduled, suitelet]);
+      this.assert(projectType === 'Scheduled Script, Suitelet', projectType);
+    });
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new SuiteScriptAnalyzerTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default SuiteScriptAnalyzerTester;
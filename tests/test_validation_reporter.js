@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+
+/**
+ * Validation Reporter Test Suite
+ * SARIF, JUnit and JSON reports of project runs, severity thresholds and the
+ * project validator's --format, --output and --fail-on flags
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { toSarif, toJUnit, toJsonSummary, exitCodeFor, formatReport } from '../lib/validation_reporter.js';
+import ProjectValidator from '../tools/project_validator.js';
+import { RulesTestDatabase } from './rules_test_db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FILES = {
+  'src/orders.js': "var orders = [];\nconsole.log('orders <b>', orders);\n",
+  'src/clean.js': 'export const total = (a, b) => a + b;\n'
+};
+
+class ValidationReporterTester {
+  constructor() {
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  async setup(tempDir) {
+    // The CLI opens the database under $HOME, so the suite builds it there
+    this.home = path.join(tempDir, 'home');
+    const dbPath = path.join(this.home, 'saralegui-solutions-mcp', 'database', 'saralegui_assistant.db');
+    await fs.mkdir(path.dirname(dbPath), { recursive: true });
+    this.rulesDb = await RulesTestDatabase.create(dbPath);
+    await this.rulesDb.addRule('no-var', '\\bvar\\b', {
+      priority: 'error',
+      message: 'Use const or let',
+      suggestion: 'Replace var with const',
+      autoFixPattern: 's/var/const/',
+      confidence: 0.9
+    });
+    await this.rulesDb.addRule('no-console', 'console\\.log', { message: 'Remove console.log' });
+
+    this.projectPath = path.join(tempDir, 'project');
+    for (const [file, content] of Object.entries(FILES)) {
+      await fs.mkdir(path.dirname(path.join(this.projectPath, file)), { recursive: true });
+      await fs.writeFile(path.join(this.projectPath, file), content);
+    }
+  }
+
+  async runTests() {
+    this.log('🧪 Starting Validation Reporter Test Suite\n');
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'validation-reporter-'));
+    const { error: originalError } = console;
+    console.error = () => {};
+
+    try {
+      await this.setup(tempDir);
+      this.results = await this.validateProject();
+      await this.testSarif();
+      await this.testJUnit();
+      await this.testJsonSummary();
+      await this.testThresholds();
+      await this.testCli(tempDir);
+    } finally {
+      console.error = originalError;
+      await this.rulesDb.close();
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+
+  async validateProject() {
+    const validator = new ProjectValidator(this.rulesDb.dbPath);
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      await validator.initialize();
+      return await validator.validateProject(this.projectPath, { clientName: 'acme', technologies: ['javascript'], concurrency: 1, cache: false });
+    } finally {
+      await new Promise(resolve => validator.db.close(resolve));
+      console.log = originalLog;
+    }
+  }
+
+  async testSarif() {
+    await this.test('Project findings carry their file', () => {
+      const orders = path.join(this.projectPath, 'src/orders.js');
+      this.assert(this.results.errors.length === 1 && this.results.warnings.length === 1, JSON.stringify(this.results.errors));
+      this.assert([...this.results.errors, ...this.results.warnings].every(issue => issue.file === orders), 'Expected every finding tagged with its file');
+    });
+
+    await this.test('SARIF describes rules and locates results with fixes', () => {
+      const sarif = toSarif(this.results, { toolVersion: '2.1.0' });
+      const [run] = sarif.runs;
+      const noVar = run.tool.driver.rules.find(rule => rule.id === 'no-var');
+      const result = run.results.find(entry => entry.ruleId === 'no-var');
+      const location = result.locations[0].physicalLocation;
+
+      this.assert(sarif.version === '2.1.0' && run.tool.driver.version === '2.1.0', 'Expected SARIF 2.1.0 with the tool version');
+      this.assert(noVar.shortDescription.text === 'Use const or let' && noVar.help.text === 'Replace var with const', JSON.stringify(noVar));
+      this.assert(noVar.defaultConfiguration.level === 'error' && noVar.properties.category === 'style' && noVar.properties.autoFix === true, JSON.stringify(noVar));
+      this.assert(run.tool.driver.rules[result.ruleIndex].id === 'no-var' && result.level === 'error', 'Expected the rule index and level');
+      this.assert(location.artifactLocation.uri === 'src/orders.js' && location.artifactLocation.uriBaseId === '%SRCROOT%', JSON.stringify(location));
+      this.assert(location.region.startLine === 1 && location.region.startColumn === 1, JSON.stringify(location.region));
+
+      const replacement = result.fixes[0].artifactChanges[0].replacements[0];
+      this.assert(replacement.deletedRegion.charOffset === 0 && replacement.deletedRegion.charLength === 3 && replacement.insertedContent.text === 'const', JSON.stringify(replacement));
+      this.assert(!run.results.find(entry => entry.ruleId === 'no-console').fixes, 'Rules without auto-fix have no fixes');
+    });
+
+    await this.test('SARIF adds built-in checks and omits regions of file-level findings', () => {
+      const results = {
+        ...this.results,
+        errors: [],
+        warnings: [{ file: path.join(this.projectPath, 'Objects/customscript_x.xml'), line: 0, column: 0, message: 'Unparsable XML', severity: 'warning', category: 'sdf' }]
+      };
+      const [run] = toSarif(results).runs;
+      const [result] = run.results;
+
+      this.assert(run.tool.driver.rules.some(rule => rule.id === 'sdf'), 'Expected a descriptor for the built-in check');
+      this.assert(result.ruleId === 'sdf' && !result.locations[0].physicalLocation.region, JSON.stringify(result));
+      this.assert(result.locations[0].physicalLocation.artifactLocation.uri === 'Objects/customscript_x.xml', 'Expected a project-relative uri');
+    });
+  }
+
+  async testJUnit() {
+    await this.test('JUnit fails findings at the threshold and passes clean files', () => {
+      const xml = toJUnit(this.results, { failOn: 'error' });
+
+      this.assert(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>'), 'Expected an XML declaration');
+      this.assert(xml.includes('<testsuites name="saralegui-project-validator" tests="3" failures="1"'), xml);
+      this.assert(xml.includes('<testsuite name="src/orders.js" tests="2" failures="1" errors="0">'), xml);
+      this.assert(xml.includes('<testcase classname="src/clean.js" name="src/clean.js"/>'), 'Expected a passing case for the clean file');
+      this.assert(/<failure message="Use const or let" type="error">/.test(xml), 'Expected the error as a failure');
+      this.assert(/<system-out>line 2, col 1, warning - Remove console.log \(no-console\)<\/system-out>/.test(xml), 'Expected the warning below the threshold in system-out');
+
+      const strict = toJUnit(this.results, { failOn: 'warning' });
+      this.assert(strict.includes('tests="3" failures="2"'), 'Warnings fail at the warning threshold');
+    });
+
+    await this.test('JUnit escapes XML in messages and names', () => {
+      const results = { ...this.results, warnings: [], errors: [{ ...this.results.errors[0], message: 'a < b & "c"' }] };
+      const xml = toJUnit(results);
+      this.assert(xml.includes('message="a &lt; b &amp; &quot;c&quot;"') && !xml.includes('a < b'), xml);
+    });
+  }
+
+  async testJsonSummary() {
+    await this.test('JSON summary counts findings by severity, rule and category', () => {
+      const summary = JSON.parse(formatReport(this.results, 'json', { failOn: 'warning' }));
+
+      this.assert(summary.counts.error === 1 && summary.counts.warning === 1 && summary.counts.suggestion === 0, JSON.stringify(summary.counts));
+      this.assert(summary.byRule['no-var'] === 1 && summary.byCategory.style === 2, JSON.stringify(summary.byRule));
+      this.assert(summary.files.total === 2 && summary.files.validated === 2 && summary.failed && summary.failOn === 'warning', JSON.stringify(summary.files));
+      this.assert(summary.findings[0].file === 'src/orders.js' && summary.findings[0].autoFix === true, JSON.stringify(summary.findings[0]));
+      this.assert(toJsonSummary(this.results, { failOn: 'none' }).failed === false, 'Nothing fails at threshold none');
+    });
+  }
+
+  async testThresholds() {
+    await this.test('Exit codes follow the severity threshold', () => {
+      const warningsOnly = { ...this.results, errors: [] };
+      const suggestionsOnly = { ...this.results, errors: [], warnings: [], suggestions: [{ ruleId: 'x', line: 1, message: 'm', severity: 'suggestion' }] };
+
+      this.assert(exitCodeFor(this.results, 'error') === 1 && exitCodeFor(warningsOnly, 'error') === 0, 'Errors fail the default threshold');
+      this.assert(exitCodeFor(warningsOnly, 'warning') === 1 && exitCodeFor(suggestionsOnly, 'warning') === 0, 'Warnings fail at warning');
+      this.assert(exitCodeFor(suggestionsOnly, 'suggestion') === 1 && exitCodeFor(this.results, 'none') === 0, 'Suggestions fail at suggestion');
+
+      let thrown = null;
+      try {
+        exitCodeFor(this.results, 'fatal');
+      } catch (error) {
+        thrown = error;
+      }
+      this.assert(thrown?.message.startsWith('Unknown severity threshold "fatal"'), 'Expected unknown thresholds to throw');
+    });
+  }
+
+  async testCli(tempDir) {
+    const cli = args => spawnSync(process.execPath, [path.join(__dirname, '..', 'tools', 'project_validator.js'), ...args], {
+      env: { ...process.env, HOME: this.home },
+      encoding: 'utf8',
+      timeout: 60000
+    });
+
+    await this.test('The CLI prints machine reports on stdout and exits by threshold', () => {
+      const json = cli(['validate', this.projectPath, 'acme', '--format=json', '--no-cache', '--concurrency=1']);
+      const summary = JSON.parse(json.stdout);
+      this.assert(json.status === 1 && summary.counts.error === 1, `Expected exit 1, got ${json.status}: ${json.stderr}`);
+      this.assert(json.stderr.includes('Validation Summary'), 'Progress output goes to stderr');
+
+      const lenient = cli(['validate', this.projectPath, 'acme', '--format=json', '--fail-on=none', '--concurrency=1']);
+      this.assert(lenient.status === 0 && JSON.parse(lenient.stdout).failed === false, `Expected exit 0, got ${lenient.status}`);
+    });
+
+    await this.test('The CLI writes reports to --output and rejects unknown formats and concurrency', async () => {
+      const output = path.join(tempDir, 'reports', 'results.sarif');
+      const sarif = cli(['validate', this.projectPath, 'acme', '--format=sarif', `--output=${output}`, '--concurrency=1']);
+      const log = JSON.parse(await fs.readFile(output, 'utf8'));
+      this.assert(sarif.status === 1 && log.runs[0].results.length === 2, `Expected a SARIF file, got ${sarif.status}`);
+
+      const unknown = cli(['validate', this.projectPath, '--format=xml']);
+      this.assert(unknown.status === 2 && unknown.stderr.includes('--format must be one of'), `Expected exit 2, got ${unknown.status}`);
+
+      const badConcurrency = cli(['validate', this.projectPath, '--concurrency=abc']);
+      this.assert(badConcurrency.status === 2 && badConcurrency.stderr.includes('--concurrency must be a positive integer'), `Expected exit 2, got ${badConcurrency.status}`);
+    });
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new ValidationReporterTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default ValidationReporterTester;
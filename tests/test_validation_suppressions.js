@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+
+/**
+ * Validation Suppressions Test Suite
+ * Suppression comments, project baselines, and suppressions counted as
+ * negative rule feedback
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ValidationRuleManager } from '../lib/validation_rule_manager.js';
+import { RulePropagationEngine } from '../lib/rule_propagation_engine.js';
+import { parseSuppressions, createBaseline, applyBaseline, BASELINE_FILE } from '../lib/validation_suppressions.js';
+import { toSarif, toJsonSummary } from '../lib/validation_reporter.js';
+import ProjectValidator from '../tools/project_validator.js';
+import { RulesTestDatabase } from './rules_test_db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const SUPPRESSED = [
+  '// saralegui-disable-next-line no-var -- legacy module',
+  'var legacy = 1;',
+  'var fresh = 2;',
+  'console.log(fresh); /* saralegui-disable-next-line -- debug output */',
+  'console.log(legacy);',
+  ''
+].join('\n');
+
+class ValidationSuppressionsTester {
+  constructor() {
+    this.testsPassed = 0;
+    this.testsFailed = 0;
+  }
+
+  log(message, type = 'info') {
+    const colors = {
+      info: '\x1b[36m',
+      success: '\x1b[32m',
+      error: '\x1b[31m',
+      reset: '\x1b[0m'
+    };
+    console.log(`${colors[type]}${message}${colors.reset}`);
+  }
+
+  async test(name, testFn) {
+    try {
+      await testFn();
+      this.log(`✓ ${name}`, 'success');
+      this.testsPassed++;
+    } catch (error) {
+      this.log(`✗ ${name}: ${error.message}`, 'error');
+      this.testsFailed++;
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+
+  async setup(tempDir) {
+    this.rulesDb = await RulesTestDatabase.create(path.join(tempDir, 'rules.db'));
+    await this.rulesDb.addRule('no-var', '\\bvar \\w+ =', { priority: 'error' });
+    await this.rulesDb.addRule('no-console', 'console\\.log', { priority: 'warning' });
+
+    this.projectPath = path.join(tempDir, 'project');
+    await fs.mkdir(path.join(this.projectPath, 'src'), { recursive: true });
+    await fs.writeFile(path.join(this.projectPath, 'src/orders.js'), 'var orders = [];\nvar total = 0;\n');
+    await fs.writeFile(path.join(this.projectPath, 'src/legacy.js'), '// saralegui-disable-file no-var -- generated\nvar a = 1;\nvar b = 2;\n');
+  }
+
+  async runTests() {
+    this.log('🧪 Starting Validation Suppressions Test Suite\n');
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'validation-suppressions-'));
+    const { error: originalError } = console;
+    console.error = () => {};
+
+    try {
+      await this.setup(tempDir);
+      await this.testParsing();
+      await this.testSuppressions();
+      await this.testBaseline();
+      await this.testProjectRuns();
+      await this.testPropagation();
+    } finally {
+      console.error = originalError;
+      await this.rulesDb.close();
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    this.log(`\nOVERALL: ${this.testsPassed} passed, ${this.testsFailed} failed`,
+      this.testsFailed === 0 ? 'success' : 'error');
+    return this.testsFailed === 0;
+  }
+
+  // Run the project validator with its own connection, quietly
+  async validateProject(options = {}, method = 'validateProject') {
+    const validator = new ProjectValidator(this.rulesDb.dbPath);
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      await validator.initialize();
+      return await validator[method](this.projectPath, { clientName: 'acme', technologies: ['javascript'], concurrency: 1, ...options });
+    } finally {
+      await new Promise(resolve => validator.db.close(resolve));
+      console.log = originalLog;
+    }
+  }
+
+  async testParsing() {
+    await this.test('Directives parse rule ids, reasons and targets', () => {
+      const suppressions = parseSuppressions([
+        'const a = 1; // saralegui-disable-next-line no-var, no-console -- reviewed -- twice',
+        '/* saralegui-disable-file governance-loop-call */',
+        '// saralegui-disable-next-line -- generated',
+        '// saralegui-disable-next-liner no-var',
+        '// saralegui-disable-file',
+        '/* saralegui-disable-next-line -- */',
+        "const note = 'no directive here';"
+      ].join('\n'));
+
+      this.assert(suppressions.length === 3, `Expected 3 directives, got ${suppressions.length}`);
+      this.assert(suppressions[0].kind === 'next-line' && suppressions[0].target === 2, JSON.stringify(suppressions[0]));
+      this.assert(suppressions[0].ruleIds.join() === 'no-var,no-console' && suppressions[0].reason === 'reviewed -- twice', JSON.stringify(suppressions[0]));
+      this.assert(suppressions[1].kind === 'file' && suppressions[1].ruleIds.join() === 'governance-loop-call' && suppressions[1].reason === null, JSON.stringify(suppressions[1]));
+      this.assert(suppressions[2].ruleIds === null && suppressions[2].target === 4 && suppressions[2].reason === 'generated', 'Expected a directive for every rule');
+    });
+  }
+
+  async testSuppressions() {
+    await this.test('Suppressed findings move out of the results', async () => {
+      const ruleManager = new ValidationRuleManager(this.rulesDb.db);
+      const results = await ruleManager.validateCode(SUPPRESSED, 'legacy.js', 'acme', this.projectPath);
+
+      this.assert(results.errors.length === 1 && results.errors[0].line === 3, `Only the unsuppressed var should remain: ${JSON.stringify(results.errors)}`);
+      this.assert(results.warnings.length === 1 && results.warnings[0].line === 4, 'A directive after code applies to the next line');
+      this.assert(results.suppressed.length === 2, `Expected 2 suppressed findings, got ${results.suppressed.length}`);
+      this.assert(results.suppressed[0].ruleId === 'no-var' && results.suppressed[0].suppression.reason === 'legacy module', JSON.stringify(results.suppressed[0]));
+    });
+
+    await this.test('Bare directives without rule ids or a reason suppress nothing', async () => {
+      const ruleManager = new ValidationRuleManager(this.rulesDb.db);
+      const { results } = await ruleManager.evaluateCode('// saralegui-disable-file\nvar legacy = 1;\n', 'bare.js', await ruleManager.getRulesForScope(['global'], ['javascript']));
+
+      this.assert(results.errors.length === 1 && results.suppressed.length === 0, `Expected the finding reported, got ${JSON.stringify(results.suppressed)}`);
+    });
+
+    await this.test('Suppressions count as negative feedback in rule_effectiveness', async () => {
+      const [effectiveness] = await this.rulesDb.all("SELECT * FROM rule_effectiveness WHERE rule_id = 'no-var'");
+      const [rule] = await this.rulesDb.all("SELECT effectiveness_score FROM validation_rules WHERE rule_id = 'no-var'");
+
+      this.assert(effectiveness.user_feedback_negative === 1 && effectiveness.applications_count === 2, JSON.stringify(effectiveness));
+      this.assert(Math.abs(rule.effectiveness_score - 0.4) < 1e-9, `Expected one of two true positives discounted, got ${rule.effectiveness_score}`);
+    });
+
+    await this.test('Each suppression is counted once however often the file is validated', async () => {
+      const ruleManager = new ValidationRuleManager(this.rulesDb.db);
+      ruleManager.beginApplicationBatch();
+      await ruleManager.validateCode(SUPPRESSED, 'legacy.js', 'acme', this.projectPath);
+      await ruleManager.validateCode(SUPPRESSED, 'legacy.js', 'acme', this.projectPath);
+      await ruleManager.flushApplicationBatch();
+      await ruleManager.validateCode(SUPPRESSED, 'other.js', 'acme', this.projectPath);
+
+      const [effectiveness] = await this.rulesDb.all("SELECT * FROM rule_effectiveness WHERE rule_id = 'no-var'");
+      const suppressions = await this.rulesDb.all('SELECT rule_id, file_path, directive FROM rule_suppressions ORDER BY file_path, rule_id');
+      this.assert(effectiveness.user_feedback_negative === 2 && effectiveness.applications_count === 8, JSON.stringify(effectiveness));
+      this.assert(suppressions.map(row => `${row.file_path}:${row.rule_id}:${row.directive}`).join() ===
+        'legacy.js:no-console:next-line -- debug output,legacy.js:no-var:next-line -- legacy module,other.js:no-console:next-line -- debug output,other.js:no-var:next-line -- legacy module',
+        JSON.stringify(suppressions));
+    });
+  }
+
+  async testBaseline() {
+    await this.test('Baselines absorb known findings across line shifts, but not new copies', () => {
+      const issue = (line, matchedText) => ({ ruleId: 'no-var', line, matchedText, file: path.join(this.projectPath, 'src/a.js'), message: 'm' });
+      const baseline = createBaseline({ projectPath: this.projectPath, errors: [issue(1, 'var')], warnings: [], suggestions: [] });
+
+      this.assert(baseline.findings.length === 1 && baseline.findings[0].file === 'src/a.js' && baseline.findings[0].count === 1, JSON.stringify(baseline));
+
+      const results = applyBaseline({ errors: [issue(7, 'var'), issue(9, 'var')], warnings: [], suggestions: [] }, baseline, this.projectPath);
+      this.assert(results.baselined.length === 1 && results.baselined[0].line === 7, 'Expected the shifted finding in the baseline');
+      this.assert(results.errors.length === 1 && results.errors[0].line === 9, 'Expected the second copy reported as new');
+    });
+  }
+
+  async testProjectRuns() {
+    await this.test('File-level suppressions and the baseline keep project runs to new findings', async () => {
+      const first = await this.validateProject();
+      this.assert(first.errors.length === 2 && first.suppressed.length === 2, `Expected 2 errors and 2 suppressed, got ${first.errors.length}/${first.suppressed.length}`);
+      this.assert(first.suppressed.every(issue => issue.file.endsWith('legacy.js') && issue.suppression.kind === 'file'), 'Expected the file-level suppression');
+
+      const { baseline } = await this.validateProject({}, 'updateBaseline');
+      const written = JSON.parse(await fs.readFile(path.join(this.projectPath, BASELINE_FILE), 'utf8'));
+      this.assert(baseline.findings.length === 2 && written.findings.every(entry => entry.count === 1 && entry.file === 'src/orders.js'), JSON.stringify(written));
+
+      await fs.writeFile(path.join(this.projectPath, 'src/orders.js'), '// header\nvar orders = [];\nvar total = 0;\nvar extra = 1;\n');
+      const next = await this.validateProject();
+      this.assert(next.errors.length === 1 && next.errors[0].line === 4 && next.baselined.length === 2, `Expected only the new finding, got ${JSON.stringify(next.errors)}`);
+
+      const all = await this.validateProject({ baseline: false });
+      this.assert(all.errors.length === 3 && all.baselined.length === 0, 'Expected every finding without the baseline');
+    });
+
+    await this.test('Reports mark suppressed and baselined findings', async () => {
+      const results = await this.validateProject();
+      const sarifResults = toSarif(results).runs[0].results;
+      const summary = toJsonSummary(results);
+
+      this.assert(sarifResults.filter(result => result.suppressions?.[0].kind === 'inSource').length === 2, 'Expected in-source suppressions');
+      this.assert(sarifResults.filter(result => result.suppressions?.[0].kind === 'external').length === 2, 'Expected baseline suppressions');
+      this.assert(sarifResults.filter(result => !result.suppressions).length === 1, 'Expected one active result');
+      this.assert(summary.suppressed === 2 && summary.baselined === 2 && summary.counts.error === 1, JSON.stringify(summary));
+    });
+  }
+
+  async testPropagation() {
+    await this.test('Rules people keep suppressing are demoted, once per new feedback, not deactivated', async () => {
+      await this.rulesDb.addRule('noisy', 'noisy', { priority: 'error' });
+      const ruleManager = new ValidationRuleManager(this.rulesDb.db);
+      await ruleManager.recordRuleApplications(Array.from({ length: 12 }, (_, index) => ({
+        ruleId: 'noisy', projectPath: this.projectPath, clientName: 'acme', filePath: 'src/noisy.js', lineNumber: index + 1, success: true, executionTime: 1
+      })));
+      for (let index = 0; index < 7; index++) {
+        await ruleManager.recordRuleFeedback('noisy', { positive: false });
+      }
+
+      const engine = new RulePropagationEngine(this.rulesDb.db);
+      const cycle = async () => {
+        const originalLog = console.log;
+        console.log = () => {};
+        try {
+          await engine.deactivateIneffectiveRules();
+        } finally {
+          console.log = originalLog;
+        }
+        const [rule] = await this.rulesDb.all("SELECT priority, is_active FROM validation_rules WHERE rule_id = 'noisy'");
+        return rule;
+      };
+
+      const first = await cycle();
+      this.assert(first.is_active === 1 && first.priority === 'warning', `Expected an active warning, got ${JSON.stringify(first)}`);
+
+      const second = await cycle();
+      this.assert(second.priority === 'warning', `The same feedback must not demote the rule again, got ${second.priority}`);
+
+      // Feedback recorded on a later day than the demotion counts again
+      await this.rulesDb.run("UPDATE rule_demotions SET demoted_at = datetime('now', '-2 days')");
+      const later = await cycle();
+      const demotions = await this.rulesDb.all("SELECT old_priority, new_priority FROM rule_demotions WHERE rule_id = 'noisy' ORDER BY id");
+      this.assert(later.is_active === 1 && later.priority === 'suggestion', `Expected a suggestion, got ${JSON.stringify(later)}`);
+      this.assert(demotions.map(row => `${row.old_priority}>${row.new_priority}`).join() === 'error>warning,warning>suggestion', JSON.stringify(demotions));
+
+      const stats = { applications: 20, negative_feedback: 5 };
+      this.assert(engine.calculateDemotedPriority({ ...stats, priority: 'error' }) === 'error', 'Occasional suppressions keep the priority');
+      this.assert(engine.calculateDemotedPriority({ ...stats, negative_feedback: 11, priority: 'suggestion' }) === 'suggestion', 'Suggestions stay suggestions');
+    });
+  }
+}
+
+// Run tests if this file is executed directly
+if (process.argv[1] === __filename) {
+  const tester = new ValidationSuppressionsTester();
+  tester.runTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Test runner failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export default ValidationSuppressionsTester;
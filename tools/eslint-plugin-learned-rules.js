@@ -4,6 +4,7 @@
  */
 
 import { ValidationRuleManager } from '../lib/validation_rule_manager.js';
+import { applySedPattern } from '../lib/auto_fix_engine.js';
 import sqlite3 from 'sqlite3';
 import path from 'path';
 
@@ -31,6 +32,12 @@ class LearnedRulesPlugin {
     }
 
     createESLintRule(validationRule) {
+        // Rules from getRulesForScope() carry their compiled fix; a malformed
+        // pattern compiles to null and offers no fix
+        const autoFix = !validationRule.auto_fix || !validationRule.auto_fix_pattern ? null
+            : 'autoFixPattern' in validationRule ? validationRule.autoFixPattern
+            : ValidationRuleManager.prototype.compileAutoFix(validationRule.auto_fix_pattern);
+
         return {
             meta: {
                 type: validationRule.priority === 'error' ? 'problem' : 'suggestion',
@@ -44,6 +51,15 @@ class LearnedRulesPlugin {
             },
 
             create(context) {
+                // ESLint takes ESTree selectors as visitor keys, so AST rules become real node visitors
+                if (validationRule.pattern_type === 'ast') {
+                    return {
+                        [validationRule.pattern_text](node) {
+                            context.report({ node, message: validationRule.message });
+                        }
+                    };
+                }
+
                 return {
                     Program(node) {
                         const sourceCode = context.getSourceCode();
@@ -61,11 +77,12 @@ class LearnedRulesPlugin {
                                     node,
                                     loc: startPos,
                                     message: validationRule.message,
-                                    fix: validationRule.auto_fix ? (fixer) => {
-                                        if (validationRule.autoFixReplacement) {
+                                    fix: autoFix ? (fixer) => {
+                                        const replacement = applySedPattern(match[0], autoFix);
+                                        if (replacement !== null) {
                                             return fixer.replaceTextRange(
                                                 [start, start + match[0].length],
-                                                validationRule.autoFixReplacement
+                                                replacement
                                             );
                                         }
                                         return null;
@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+
+/**
+ * Git Hook Installer
+ * Installs pre-commit and pre-push hooks in detected client projects. The
+ * hooks validate staged or pushed content with the learned rules, block on
+ * error-priority findings, and record one-time bypasses as rule feedback.
+ */
+
+import { ValidationRuleManager } from '../lib/validation_rule_manager.js';
+import { ProjectDetectionSystem } from '../lib/project_detection_system.js';
+import {
+    HOOK_TYPES, BYPASS_ENV, gitHooksDir, stagedFiles, parsePushRefs, pushedFiles, readGitFile, hookScript, isManagedHook
+} from '../lib/git_hooks.js';
+import { applyBaseline, loadBaseline } from '../lib/validation_suppressions.js';
+import sqlite3 from 'sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+
+class GitHookInstaller {
+    constructor(dbPath = null) {
+        this.dbPath = dbPath || path.join(process.env.HOME, 'saralegui-solutions-mcp/database/saralegui_assistant.db');
+        this.db = null;
+        this.ruleManager = null;
+        this.projectDetector = new ProjectDetectionSystem();
+    }
+
+    async initialize() {
+        this.db = new sqlite3.Database(this.dbPath, (err) => {
+            if (err) {
+                throw new Error(`Failed to connect to database: ${err.message}`);
+            }
+        });
+
+        this.ruleManager = new ValidationRuleManager(this.db);
+        await this.ruleManager.dbRun(`
+            CREATE TABLE IF NOT EXISTS hook_bypasses (
+                id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+                project_path TEXT NOT NULL,
+                client_name TEXT NOT NULL,
+                hook TEXT NOT NULL,
+                reason TEXT NOT NULL,
+                rule_ids TEXT DEFAULT '[]',
+                findings TEXT DEFAULT '[]',
+                bypassed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    /**
+     * Install the hooks in the repository of a detected NetSuite client project.
+     * Hooks written by someone else are kept unless force is set, which
+     * moves them to <hook>.bak. The client name defaults to the detected one.
+     * @returns {Array} [{ hook, path, status: 'installed' | 'updated' | 'skipped' }]
+     */
+    installHooks(projectPath, { hooks = HOOK_TYPES, force = false, clientName = null } = {}) {
+        const projectRoot = path.resolve(projectPath);
+        const detection = this.projectDetector.detectNetSuiteProject(projectRoot);
+        if (!detection.isNetSuiteProject) {
+            throw new Error(`Not a NetSuite client project: ${projectRoot} (${(detection.confidence * 100).toFixed(0)}% confidence)`);
+        }
+
+        const client = clientName || detection.indicators.clientName || path.basename(projectRoot);
+        const hooksDir = gitHooksDir(projectRoot);
+        fs.mkdirSync(hooksDir, { recursive: true });
+
+        const installed = [];
+        for (const hook of hooks) {
+            if (!HOOK_TYPES.includes(hook)) {
+                throw new Error(`Unknown hook "${hook}". Use one of: ${HOOK_TYPES.join(', ')}`);
+            }
+
+            const hookPath = path.join(hooksDir, hook);
+            const managed = isManagedHook(hookPath);
+            if (fs.existsSync(hookPath) && !managed) {
+                if (!force) {
+                    console.log(`⚠️  ${hook}: existing hook kept, use --force to replace it (${hookPath})`);
+                    installed.push({ hook, path: hookPath, status: 'skipped' });
+                    continue;
+                }
+                fs.renameSync(hookPath, `${hookPath}.bak`);
+            }
+
+            fs.writeFileSync(hookPath, hookScript(hook, { runnerScript: __filename, projectPath: projectRoot, clientName: client }));
+            fs.chmodSync(hookPath, 0o755);
+            installed.push({ hook, path: hookPath, status: managed ? 'updated' : 'installed' });
+            console.log(`✅ ${managed ? 'Updated' : 'Installed'} ${hook} hook for ${client}: ${hookPath}`);
+        }
+
+        return installed;
+    }
+
+    /**
+     * Remove the hooks this installer wrote, restoring any hook they replaced
+     */
+    uninstallHooks(projectPath, { hooks = HOOK_TYPES } = {}) {
+        const hooksDir = gitHooksDir(path.resolve(projectPath));
+        const removed = [];
+
+        for (const hook of hooks) {
+            const hookPath = path.join(hooksDir, hook);
+            if (!isManagedHook(hookPath)) continue;
+
+            fs.unlinkSync(hookPath);
+            if (fs.existsSync(`${hookPath}.bak`)) {
+                fs.renameSync(`${hookPath}.bak`, hookPath);
+            }
+            removed.push(hook);
+            console.log(`🗑️  Removed ${hook} hook: ${hookPath}`);
+        }
+
+        return removed;
+    }
+
+    /**
+     * Validate what a commit or push would record, never the working tree.
+     * Findings in the project baseline do not block.
+     * @param {string} hook - 'pre-commit' or 'pre-push'
+     * @param {Object} options - { projectPath, clientName, technologies, pushInput, bypassReason }
+     * @returns {Object} { hook, files, errors, warnings, suppressed, baselined, blocked, bypassed }
+     */
+    async runHook(hook, options = {}) {
+        const {
+            projectPath = process.cwd(),
+            clientName = path.basename(projectPath),
+            technologies = ['javascript', 'suitescript'],
+            pushInput = '',
+            bypassReason = process.env[BYPASS_ENV] || null
+        } = options;
+
+        // Staged content comes from the index, pushed content from the pushed commit
+        const sources = hook === 'pre-commit'
+            ? stagedFiles(projectPath).map(file => ({ file, revision: '' }))
+            : parsePushRefs(pushInput).flatMap(ref => pushedFiles(projectPath, ref).map(file => ({ file, revision: ref.localSha })));
+
+        const outcome = { hook, files: [], errors: [], warnings: [], suppressed: [], baselined: [], blocked: false, bypassed: false };
+        const seen = new Set();
+
+        this.ruleManager.beginApplicationBatch();
+        try {
+            for (const { file, revision } of sources) {
+                if (seen.has(file)) continue;
+                seen.add(file);
+
+                const filePath = path.join(projectPath, file);
+                const content = readGitFile(projectPath, file, revision);
+                const results = await this.ruleManager.validateCode(content, filePath, clientName, projectPath, technologies);
+
+                outcome.files.push(file);
+                outcome.errors.push(...results.errors.map(issue => ({ ...issue, file })));
+                outcome.warnings.push(...results.warnings.map(issue => ({ ...issue, file })));
+                outcome.suppressed.push(...results.suppressed.map(issue => ({ ...issue, file })));
+            }
+        } finally {
+            await this.ruleManager.flushApplicationBatch();
+        }
+
+        applyBaseline(outcome, loadBaseline(projectPath), projectPath);
+
+        if (outcome.errors.length > 0) {
+            if (bypassReason && bypassReason.trim()) {
+                await this.recordBypass(hook, { projectPath, clientName, reason: bypassReason.trim(), findings: outcome.errors });
+                outcome.bypassed = true;
+            } else {
+                outcome.blocked = true;
+            }
+        }
+
+        this.printHookSummary(outcome);
+        return outcome;
+    }
+
+    /**
+     * Record a bypass and count it as negative feedback for every rule it overrode
+     */
+    async recordBypass(hook, { projectPath, clientName, reason, findings }) {
+        const ruleIds = [...new Set(findings.map(issue => issue.ruleId).filter(Boolean))];
+
+        await this.ruleManager.dbRun(`
+            INSERT INTO hook_bypasses (project_path, client_name, hook, reason, rule_ids, findings)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+            projectPath,
+            clientName,
+            hook,
+            reason,
+            JSON.stringify(ruleIds),
+            JSON.stringify(findings.map(({ file, line, column, ruleId, message }) => ({ file, line, column, ruleId, message })))
+        ]);
+
+        for (const ruleId of ruleIds) {
+            await this.ruleManager.recordRuleFeedback(ruleId, { positive: false });
+        }
+
+        return ruleIds;
+    }
+
+    printHookSummary(outcome) {
+        for (const issue of outcome.errors) {
+            console.log(`❌ ${issue.file}:${issue.line}:${issue.column} ${issue.message} (${issue.ruleId || issue.category})`);
+        }
+
+        if (outcome.blocked) {
+            console.log(`\n⛔ ${outcome.hook}: ${outcome.errors.length} error-priority findings in ${outcome.files.length} files`);
+            console.log(`💡 Fix them, or let this one through and record why: ${BYPASS_ENV}="reason" git ${outcome.hook === 'pre-commit' ? 'commit' : 'push'} ...`);
+        } else if (outcome.bypassed) {
+            console.log(`\n⚠️  ${outcome.hook}: ${outcome.errors.length} error-priority findings bypassed, recorded as rule feedback`);
+        } else {
+            console.log(`✅ ${outcome.hook}: ${outcome.files.length} files validated, ${outcome.warnings.length} warnings`);
+        }
+    }
+
+    async close() {
+        if (this.db) {
+            await new Promise(resolve => this.db.close(resolve));
+        }
+    }
+}
+
+// CLI interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const args = process.argv.slice(2);
+    const command = args[0];
+    const positional = args.slice(1).filter(arg => !arg.startsWith('--'));
+    const hookArg = args.find(arg => arg.startsWith('--hook='));
+    const hooks = hookArg ? hookArg.split('=')[1].split(',') : HOOK_TYPES;
+
+    const installer = new GitHookInstaller();
+
+    const readStdin = async () => {
+        if (process.stdin.isTTY) return '';
+        const chunks = [];
+        for await (const chunk of process.stdin) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks).toString('utf8');
+    };
+
+    const runCommand = async () => {
+        switch (command) {
+            case 'install':
+                installer.installHooks(positional[0] || process.cwd(), { hooks, force: args.includes('--force'), clientName: positional[1] });
+                break;
+
+            case 'uninstall':
+                installer.uninstallHooks(positional[0] || process.cwd(), { hooks });
+                break;
+
+            case 'run': {
+                // Called by the installed hooks: run <hook> <project_path> <client_name>
+                const [hook, projectPath, clientName] = positional;
+                if (!HOOK_TYPES.includes(hook)) {
+                    throw new Error(`Usage: run <${HOOK_TYPES.join('|')}> [project_path] [client_name]`);
+                }
+
+                await installer.initialize();
+                try {
+                    const outcome = await installer.runHook(hook, {
+                        projectPath: projectPath || process.cwd(),
+                        clientName,
+                        pushInput: hook === 'pre-push' ? await readStdin() : ''
+                    });
+                    process.exitCode = outcome.blocked ? 1 : 0;
+                } finally {
+                    await installer.close();
+                }
+                break;
+            }
+
+            default:
+                console.log('Usage:');
+                console.log('  install [project_path] [client_name]  - Install pre-commit and pre-push hooks');
+                console.log('    --hook=pre-commit,pre-push          - Hooks to install (default: both)');
+                console.log('    --force                             - Replace existing hooks (kept as *.bak)');
+                console.log('  uninstall [project_path]              - Remove the installed hooks');
+                console.log('  run <hook> [project_path] [client]    - Validate staged or pushed files (used by the hooks)');
+                console.log(`  Bypass a blocked commit once: ${BYPASS_ENV}="reason" git commit ...`);
+                process.exit(1);
+        }
+    };
+
+    runCommand().catch(error => {
+        console.error('❌ Git hook command failed:', error.message);
+        process.exit(1);
+    });
+}
+
+export default GitHookInstaller;
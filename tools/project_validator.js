@@ -6,6 +6,12 @@
  */
 
 import { ValidationRuleManager } from '../lib/validation_rule_manager.js';
+import { loadSdfProject } from '../lib/sdf_project_model.js';
+import { AutoFixEngine } from '../lib/auto_fix_engine.js';
+import { ValidationCache, hashContent, rulesetVersion } from '../lib/validation_cache.js';
+import { ValidationWorkerPool, defaultPoolSize } from '../lib/validation_worker_pool.js';
+import { formatReport, exitCodeFor, REPORT_FORMATS, FAIL_ON } from '../lib/validation_reporter.js';
+import { BASELINE_FILE, applyBaseline, createBaseline, loadBaseline, writeBaseline } from '../lib/validation_suppressions.js';
 import sqlite3 from 'sqlite3';
 import fs from 'fs';
 import path from 'path';
@@ -15,6 +21,8 @@ class ProjectValidator {
         this.dbPath = dbPath || path.join(process.env.HOME, 'saralegui-solutions-mcp/database/saralegui_assistant.db');
         this.db = null;
         this.ruleManager = null;
+        this.fixEngine = null;
+        this.cache = null;
     }
 
     async initialize() {
@@ -29,6 +37,9 @@ class ProjectValidator {
 
         // Initialize rule manager
         this.ruleManager = new ValidationRuleManager(this.db);
+        this.fixEngine = new AutoFixEngine(this.ruleManager);
+        this.cache = new ValidationCache(this.db);
+        await this.cache.initialize();
         
         console.log('✅ Project Validator initialized');
     }
@@ -38,7 +49,10 @@ class ProjectValidator {
             clientName = this.extractClientName(projectPath),
             technologies = ['javascript', 'suitescript'],
             filePatterns = ['**/*.js'],
-            excludePatterns = ['**/node_modules/**', '**/dist/**', '**/build/**']
+            excludePatterns = ['**/node_modules/**', '**/dist/**', '**/build/**'],
+            cache = true,
+            concurrency = defaultPoolSize(),
+            baseline = true
         } = options;
 
         console.log(`🔍 Validating project: ${projectPath}`);
@@ -50,9 +64,14 @@ class ProjectValidator {
             clientName,
             totalFiles: 0,
             validatedFiles: 0,
+            cachedFiles: 0,
+            fileList: [],
+            rules: [],
             errors: [],
             warnings: [],
             suggestions: [],
+            suppressed: [],
+            baselined: [],
             performance: {
                 startTime: Date.now(),
                 endTime: null,
@@ -64,17 +83,99 @@ class ProjectValidator {
             // Find files to validate
             const filesToValidate = await this.findFilesToValidate(projectPath, filePatterns, excludePatterns);
             results.totalFiles = filesToValidate.length;
+            results.fileList = filesToValidate;
 
             console.log(`📁 Found ${filesToValidate.length} files to validate`);
 
-            // Validate each file
+            // SDF model problems (unparsable XML, missing script files) belong to the project, not one file
+            const sdfProject = loadSdfProject(projectPath);
+            if (sdfProject) {
+                results.sdf = sdfProject.summary();
+                console.log(`📦 SDF project: ${results.sdf.scripts} scripts, ${results.sdf.deployments} deployments`);
+                for (const problem of sdfProject.errors) {
+                    results.warnings.push({
+                        file: problem.file,
+                        line: 0,
+                        column: 0,
+                        message: problem.message,
+                        severity: 'warning',
+                        category: 'sdf'
+                    });
+                }
+            }
+
+            // Rules are loaded once per run; files whose content and rule set are unchanged reuse cached results
+            const scopes = this.ruleManager.determineScopesForProject(clientName, projectPath);
+            const rules = await this.ruleManager.getRulesForScope(scopes, technologies, clientName, projectPath);
+            const version = rulesetVersion(rules, { technologies, sdf: sdfProject ? sdfProject.fingerprint() : null });
+            results.rules = rules.map(rule => ({
+                rule_id: rule.rule_id,
+                scope: rule.scope,
+                category: rule.category,
+                priority: rule.priority,
+                message: rule.message,
+                suggestion: rule.suggestion,
+                auto_fix: Boolean(rule.auto_fix && rule.auto_fix_pattern),
+                confidence: rule.confidence,
+                pattern_type: rule.pattern_type
+            }));
+            const cachedEntries = cache ? await this.cache.load(projectPath) : new Map();
+
+            const outcomes = new Map();
+            const pending = [];
+            for (const filePath of filesToValidate) {
+                try {
+                    const content = fs.readFileSync(filePath, 'utf8');
+                    const contentHash = hashContent(content);
+                    const cachedResults = cache ? this.cache.lookup(cachedEntries, filePath, contentHash, version) : null;
+                    if (cachedResults) {
+                        outcomes.set(filePath, { results: cachedResults });
+                        results.cachedFiles++;
+                    } else {
+                        pending.push({ filePath, content, contentHash });
+                    }
+                } catch (error) {
+                    outcomes.set(filePath, { error });
+                }
+            }
+
+            if (results.cachedFiles > 0) {
+                console.log(`♻️  ${results.cachedFiles} unchanged files taken from the validation cache`);
+            }
+
+            // Rule applications of the whole run go to the database in one transaction
+            this.ruleManager.beginApplicationBatch();
+            try {
+                const fresh = await this.validateFiles(pending, rules, { clientName, projectPath, technologies, concurrency });
+                for (const [filePath, outcome] of fresh) {
+                    outcomes.set(filePath, outcome);
+                }
+            } finally {
+                await this.ruleManager.flushApplicationBatch();
+            }
+
+            if (cache) {
+                await this.cache.store(projectPath, pending
+                    .filter(file => outcomes.get(file.filePath).results)
+                    .map(file => ({
+                        filePath: file.filePath,
+                        contentHash: file.contentHash,
+                        rulesetVersion: version,
+                        results: outcomes.get(file.filePath).results
+                    })));
+            }
+
+            // Report in file order
             for (const filePath of filesToValidate) {
                 try {
-                    const fileResults = await this.validateFile(filePath, clientName, projectPath, technologies);
+                    const { results: fileResults, error } = outcomes.get(filePath);
+                    if (error) throw error;
                     
-                    results.errors.push(...fileResults.errors);
-                    results.warnings.push(...fileResults.warnings);
-                    results.suggestions.push(...fileResults.suggestions);
+                    // Reports locate every finding by its file
+                    results.errors.push(...fileResults.errors.map(issue => ({ ...issue, file: filePath })));
+                    results.warnings.push(...fileResults.warnings.map(issue => ({ ...issue, file: filePath })));
+                    results.suggestions.push(...fileResults.suggestions.map(issue => ({ ...issue, file: filePath })));
+                    results.suppressed.push(...(fileResults.suppressed || []).map(issue => ({ ...issue, file: filePath })));
                     results.validatedFiles++;
 
                     if (fileResults.errors.length > 0 || fileResults.warnings.length > 0) {
@@ -93,6 +194,12 @@ class ProjectValidator {
                 }
             }
 
+            // Findings recorded in the project baseline are known; only new ones count
+            const projectBaseline = baseline ? loadBaseline(projectPath) : null;
+            if (projectBaseline) {
+                applyBaseline(results, projectBaseline, projectPath);
+            }
+
             results.performance.endTime = Date.now();
             results.performance.duration = results.performance.endTime - results.performance.startTime;
 
@@ -107,6 +214,138 @@ class ProjectValidator {
         }
     }
 
+    /**
+     * Record the project's current findings as its baseline
+     * @returns {Object} { baselinePath, baseline }
+     */
+    async updateBaseline(projectPath, options = {}) {
+        const results = await this.validateProject(projectPath, { ...options, baseline: false });
+        const baseline = createBaseline(results, projectPath);
+        const baselinePath = writeBaseline(projectPath, baseline);
+        console.log(`📌 Baseline of ${results.errors.length + results.warnings.length + results.suggestions.length} findings written to ${baselinePath}`);
+        return { baselinePath, baseline };
+    }
+
+    async fixProject(projectPath, options = {}) {
+        const {
+            clientName = this.extractClientName(projectPath),
+            technologies = ['javascript', 'suitescript'],
+            filePatterns = ['**/*.js'],
+            excludePatterns = ['**/node_modules/**', '**/dist/**', '**/build/**'],
+            dryRun = false
+        } = options;
+
+        console.log(`🔧 ${dryRun ? 'Previewing fixes for' : 'Fixing'} project: ${projectPath}`);
+        console.log(`📋 Client: ${clientName}`);
+
+        const results = {
+            projectPath,
+            clientName,
+            dryRun,
+            files: [],
+            fixes: 0,
+            skipped: 0,
+            rejected: 0
+        };
+
+        const filesToFix = await this.findFilesToValidate(projectPath, filePatterns, excludePatterns);
+        const rules = await this.fixEngine.loadRules({ clientName, projectPath, technologies });
+
+        for (const filePath of filesToFix) {
+            const relativePath = path.relative(projectPath, filePath);
+            try {
+                const outcome = await this.fixEngine.fixFile(filePath, { clientName, projectPath, technologies, dryRun, rules });
+                if (outcome.status === 'clean') continue;
+
+                results.files.push({
+                    file: filePath,
+                    status: outcome.status,
+                    fixes: outcome.edits.length,
+                    skipped: outcome.skipped.map(({ issue, reason }) => ({ ruleId: issue.ruleId, line: issue.line, reason })),
+                    unresolved: outcome.unresolved.map(issue => issue.ruleId),
+                    introduced: outcome.introduced.map(issue => issue.ruleId),
+                    backupPath: outcome.backupPath
+                });
+                results.skipped += outcome.skipped.length;
+
+                if (dryRun) {
+                    process.stdout.write(outcome.diff);
+                }
+                if (outcome.status === 'rejected') {
+                    results.rejected++;
+                    const problems = [
+                        ...outcome.unresolved.map(issue => `${issue.ruleId} still reported`),
+                        ...outcome.introduced.map(issue => `new ${issue.ruleId} error at line ${issue.line}`)
+                    ];
+                    console.log(`⛔ ${relativePath}: fixes not applied, re-validation found ${problems.join(', ')}`);
+                } else {
+                    results.fixes += outcome.edits.length;
+                    if (!dryRun) {
+                        console.log(`✅ ${relativePath}: ${outcome.edits.length} fixes applied (backup: ${path.relative(projectPath, outcome.backupPath)})`);
+                    }
+                }
+                for (const { issue, reason } of outcome.skipped) {
+                    console.log(`   ↷ ${issue.ruleId} at line ${issue.line} not fixed: ${reason}`);
+                }
+            } catch (error) {
+                console.error(`❌ Failed to fix ${relativePath}: ${error.message}`);
+                results.files.push({ file: filePath, status: 'failed', error: error.message });
+            }
+        }
+
+        console.log('\n🔧 Fix Summary:');
+        console.log('─'.repeat(50));
+        console.log(`${dryRun ? '🔍 Fixes available' : '✅ Fixes applied'}: ${results.fixes} in ${results.files.filter(file => ['applied', 'dry-run'].includes(file.status)).length} files`);
+        if (results.skipped > 0) {
+            console.log(`↷  Overlapping fixes skipped: ${results.skipped}`);
+        }
+        if (results.rejected > 0) {
+            console.log(`⛔ Files rejected by re-validation: ${results.rejected}`);
+        }
+        console.log('─'.repeat(50));
+
+        return results;
+    }
+
+    /**
+     * Validate files against already loaded rules, in worker threads when
+     * more than one worker is allowed and there is more than one file
+     * @returns {Map} file path → { results } or { error }
+     */
+    async validateFiles(files, rules, { clientName, projectPath, technologies, concurrency = defaultPoolSize() }) {
+        const outcomes = new Map();
+
+        const record = async (filePath, task) => {
+            try {
+                const { results, applications } = await task;
+                await this.ruleManager.recordRuleApplications(applications);
+                await this.ruleManager.recordSuppressions(results.suppressed, filePath);
+                outcomes.set(filePath, { results });
+            } catch (error) {
+                outcomes.set(filePath, { error });
+            }
+        };
+
+        if (concurrency <= 1 || files.length <= 1) {
+            for (const { filePath, content } of files) {
+                await record(filePath, this.ruleManager.evaluateCode(content, filePath, rules, { clientName, projectPath, technologies }));
+            }
+            return outcomes;
+        }
+
+        const pool = new ValidationWorkerPool(rules, { size: Math.min(concurrency, files.length) });
+        console.log(`🧵 Validating ${files.length} files on ${pool.size} worker threads`);
+        try {
+            await Promise.all(files.map(({ filePath, content }) => record(
+                filePath,
+                pool.validate({ filePath, content, clientName, projectPath, technologies })
+            )));
+        } finally {
+            await pool.close();
+        }
+        return outcomes;
+    }
+
     async validateFile(filePath, clientName, projectPath, technologies) {
         const content = fs.readFileSync(filePath, 'utf8');
         
@@ -157,7 +396,10 @@ class ProjectValidator {
         console.log('─'.repeat(50));
         console.log(`📁 Project: ${results.projectPath}`);
         console.log(`👤 Client: ${results.clientName}`);
-        console.log(`📄 Files: ${results.validatedFiles}/${results.totalFiles}`);
+        console.log(`📄 Files: ${results.validatedFiles}/${results.totalFiles}${results.cachedFiles ? ` (${results.cachedFiles} from cache)` : ''}`);
+        if (results.sdf) {
+            console.log(`📦 SDF: ${results.sdf.projectType || 'unknown type'}, ${results.sdf.scripts} scripts, ${results.sdf.deployments} deployments`);
+        }
         console.log(`⏱️  Duration: ${results.performance.duration}ms`);
         console.log('');
         
@@ -173,6 +415,10 @@ class ProjectValidator {
             console.log(`💡 Suggestions: ${results.suggestions.length}`);
         }
 
+        if (results.suppressed?.length > 0 || results.baselined?.length > 0) {
+            console.log(`🔕 Suppressed: ${results.suppressed?.length || 0}, in baseline: ${results.baselined?.length || 0}`);
+        }
+
         if (results.errors.length === 0 && results.warnings.length === 0) {
             console.log('✅ No issues found!');
         }
@@ -180,6 +426,35 @@ class ProjectValidator {
         console.log('─'.repeat(50));
     }
 
+    /**
+     * Write results as a SARIF, JUnit or JSON report, to a file or stdout
+     * @param {Object} options - { format, output, failOn }
+     * @returns {number} exit code for the severity threshold
+     */
+    writeReport(results, { format = 'text', output = null, failOn = 'error' } = {}) {
+        const exitCode = exitCodeFor(results, failOn);
+        if (format === 'text') return exitCode;
+
+        const report = formatReport(results, format, { failOn, toolVersion: this.toolVersion() });
+        if (output) {
+            fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+            fs.writeFileSync(output, report);
+            console.log(`📝 ${format.toUpperCase()} report written to ${output}`);
+        } else {
+            process.stdout.write(report);
+        }
+        return exitCode;
+    }
+
+    toolVersion() {
+        try {
+            const packagePath = new URL('../package.json', import.meta.url);
+            return JSON.parse(fs.readFileSync(packagePath, 'utf8')).version;
+        } catch {
+            return null;
+        }
+    }
+
     async learnFromError(errorDetails) {
         console.log('🧠 Learning from error pattern...');
         
@@ -223,6 +498,25 @@ class ProjectValidator {
 if (import.meta.url === `file://${process.argv[1]}`) {
     const args = process.argv.slice(2);
     const command = args[0];
+    const flag = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+    const report = {
+        format: flag('format') || 'text',
+        output: flag('output') || null,
+        failOn: flag('fail-on') || 'error'
+    };
+    if (!REPORT_FORMATS.includes(report.format) || !FAIL_ON.includes(report.failOn)) {
+        console.error(`❌ --format must be one of ${REPORT_FORMATS.join(', ')}; --fail-on one of ${FAIL_ON.join(', ')}`);
+        process.exit(2);
+    }
+    const concurrency = flag('concurrency');
+    if (concurrency !== undefined && !/^[1-9]\d*$/.test(concurrency)) {
+        console.error('❌ --concurrency must be a positive integer');
+        process.exit(2);
+    }
+    // A report on stdout must stay parseable, so progress output moves to stderr
+    if (report.format !== 'text' && !report.output) {
+        console.log = console.error;
+    }
     
     const validator = new ProjectValidator();
     
@@ -232,13 +526,24 @@ if (import.meta.url === `file://${process.argv[1]}`) {
         try {
             switch (command) {
                 case 'validate':
-                    const projectPath = args[1] || process.cwd();
-                    const clientName = args[2];
+                    const positional = args.slice(1).filter(arg => !arg.startsWith('--'));
+                    const projectPath = positional[0] || process.cwd();
+                    const clientName = positional[1];
                     
                     const options = {};
                     if (clientName) options.clientName = clientName;
+                    if (args.includes('--no-cache')) options.cache = false;
+                    if (args.includes('--no-baseline')) options.baseline = false;
+                    if (concurrency) options.concurrency = Number(concurrency);
                     
-                    await validator.validateProject(projectPath, options);
+                    if (args.includes('--fix') || args.includes('--fix-dry-run')) {
+                        await validator.fixProject(projectPath, { ...options, dryRun: args.includes('--fix-dry-run') });
+                    } else if (args.includes('--update-baseline')) {
+                        await validator.updateBaseline(projectPath, options);
+                    } else {
+                        const results = await validator.validateProject(projectPath, options);
+                        process.exitCode = validator.writeReport(results, report);
+                    }
                     break;
                     
                 case 'learn':
@@ -266,6 +571,15 @@ if (import.meta.url === `file://${process.argv[1]}`) {
                 default:
                     console.log('Usage:');
                     console.log('  validate [project_path] [client_name]  - Validate project');
+                    console.log('    --fix                               - Apply auto-fixes (backups in *.bak)');
+                    console.log('    --fix-dry-run                       - Print auto-fixes as a unified diff');
+                    console.log('    --no-cache                          - Re-validate unchanged files');
+                    console.log('    --concurrency=N                     - Worker threads (default: cores - 1)');
+                    console.log(`    --update-baseline                   - Record current findings in ${BASELINE_FILE}`);
+                    console.log('    --no-baseline                       - Report findings recorded in the baseline too');
+                    console.log('    --format=text|sarif|junit|json      - Report format (default: text)');
+                    console.log('    --output=FILE                       - Write the report to FILE instead of stdout');
+                    console.log('    --fail-on=error|warning|suggestion|none - Exit 1 at this severity (default: error)');
                     console.log('  learn "error" "code" [file]           - Learn from error');
                     console.log('  propagate                             - Propagate effective rules');
                     process.exit(1);